@@ -0,0 +1,30 @@
+/**
+ * Dataset consistency check
+ * Usage: npm run check:data [-- --strict]
+ * Exits with code 1 if the funding programs and the program registry disagree.
+ * With --strict (npm run check:data:strict, for CI) warnings such as orphaned
+ * registry records or missing classifications fail the check as well.
+ */
+
+import { createServer } from 'vite';
+
+const strict = process.argv.includes('--strict');
+
+// fundingPrograms.js imports fundingLogic.ts, so load the modules through vite
+const server = await createServer({
+  server: { middlewareMode: true, hmr: false },
+  appType: 'custom',
+  logLevel: 'error'
+});
+
+try {
+  const { fundingPrograms } = await server.ssrLoadModule('/src/data/fundingPrograms.js');
+  const { checkDatasetConsistency, formatConsistencyReport } = await server.ssrLoadModule('/src/services/datasetConsistencyService.js');
+
+  const report = checkDatasetConsistency(fundingPrograms);
+  console.log(formatConsistencyReport(report));
+  const failures = strict ? report.issues : report.errors;
+  process.exitCode = failures.length > 0 ? 1 : 0;
+} finally {
+  await server.close();
+}
@@ -2,9 +2,13 @@ import React, { useState, useEffect } from 'react';
 import ProjectForm from './components/ProjectForm';
 import Results from './components/Results';
 import ToolsSidebar from './components/ToolsSidebar';
+import ProgramAdmin from './components/ProgramAdmin';
+import ProgramSearch from './components/ProgramSearch';
 import { analyzeProject } from './services/geminiService';
 import { RelevanceEngine } from './services/RelevanceEngine';
 import { RelevanceCache } from './services/RelevanceCache';
+import { DatabaseUpdateService } from './services/DatabaseUpdateService';
+import { createProgramStorage, loadProgramsFromStorage } from './services/programStorage';
 import { fundingPrograms } from './data/fundingPrograms';
 
 const loadingMessages = [
@@ -25,10 +29,41 @@ function App() {
   const [loadingMessage, setLoadingMessage] = useState(loadingMessages[0]);
   const [projectData, setProjectData] = useState(null);
   const [relevanceEngine, setRelevanceEngine] = useState(null);
+  const [programs, setPrograms] = useState(fundingPrograms);
+  const [databaseService, setDatabaseService] = useState(null);
+  const [showAdmin, setShowAdmin] = useState(window.location.hash === '#admin');
+  const [searchMode, setSearchMode] = useState('guided');
 
-  // Initialize RelevanceEngine on component mount
+  // Admin view for maintaining the program database is opened via #admin
   useEffect(() => {
+    const handleHashChange = () => setShowAdmin(window.location.hash === '#admin');
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const closeAdmin = () => {
+    window.location.hash = '';
+    setShowAdmin(false);
+  };
+
+  // Load programs from storage and initialize RelevanceEngine on component mount
+  useEffect(() => {
+    let service = null;
+
     const initializeRelevanceEngine = async () => {
+      let storage = null;
+      let loadedPrograms = fundingPrograms;
+
+      try {
+        storage = createProgramStorage();
+        loadedPrograms = await loadProgramsFromStorage(storage);
+        setPrograms(loadedPrograms);
+        console.log(`💾 Loaded ${loadedPrograms.length} programs from ${storage.constructor.name}`);
+      } catch (error) {
+        console.error('❌ Failed to load programs from storage, using bundled programs:', error);
+        storage = null;
+      }
+
       try {
         const cache = new RelevanceCache({
           maxSize: 1000,
@@ -36,15 +71,24 @@ function App() {
           enableMetrics: true
         });
         
-        const engine = new RelevanceEngine(fundingPrograms, cache);
+        const engine = new RelevanceEngine(loadedPrograms, cache);
         
         // Pre-classify programs to populate cache
         const classifiedPrograms = engine.classifyPrograms();
         
         setRelevanceEngine(engine);
         
+        // Persist program edits; reload the program list whenever the database changes
+        if (storage) {
+          service = new DatabaseUpdateService(engine, storage);
+          const reloadPrograms = async () => setPrograms(await loadProgramsFromStorage(storage));
+          ['funding_program_updated', 'funding_programs_bulk_updated', 'funding_program_created', 'funding_program_deleted', 'funding_programs_bulk_deleted', 'funding_programs_reverted']
+            .forEach(event => service.on(event, reloadPrograms));
+          setDatabaseService(service);
+        }
+        
         console.log('✅ RelevanceEngine initialized successfully');
-        console.log(`📊 Processed ${fundingPrograms.length} programs`);
+        console.log(`📊 Processed ${loadedPrograms.length} programs`);
         console.log(`📈 Classification stats:`, engine.getClassificationStats());
         console.log(`🎯 Enhanced programs:`, classifiedPrograms.length);
       } catch (error) {
@@ -56,6 +100,12 @@ function App() {
     };
 
     initializeRelevanceEngine();
+
+    return () => {
+      if (service) {
+        service.removeAllListeners();
+      }
+    };
   }, []);
 
   useEffect(() => {
@@ -76,8 +126,8 @@ function App() {
     setError(null);
     setLoadingMessage(loadingMessages[0]);
     try {
-      // Pass RelevanceEngine to the analysis service
-      const analysis = await analyzeProject(data, relevanceEngine);
+      // Pass RelevanceEngine and the stored programs to the analysis service
+      const analysis = await analyzeProject(data, relevanceEngine, programs);
       setResults({ projectData: data, analysis });
     } catch (err) {
       setError(err.message);
@@ -114,7 +164,34 @@ function App() {
           </div>
         )}
 
-        {!results && !loading && <ProjectForm onSubmit={handleSubmit} relevanceEngine={relevanceEngine} />}
+        {showAdmin && (
+          <ProgramAdmin programs={programs} databaseService={databaseService} onClose={closeAdmin} />
+        )}
+
+        {!showAdmin && !results && !loading && (
+          <>
+            {/* Guided form or keyword search over the whole catalog */}
+            <div className="search-mode-tabs">
+              <button
+                type="button"
+                className={`search-mode-tab ${searchMode === 'guided' ? 'active' : ''}`}
+                onClick={() => setSearchMode('guided')}
+              >
+                Geführte Suche
+              </button>
+              <button
+                type="button"
+                className={`search-mode-tab ${searchMode === 'keyword' ? 'active' : ''}`}
+                onClick={() => setSearchMode('keyword')}
+              >
+                Stichwortsuche
+              </button>
+            </div>
+            {searchMode === 'guided'
+              ? <ProjectForm onSubmit={handleSubmit} relevanceEngine={relevanceEngine} />
+              : <ProgramSearch programs={programs} />}
+          </>
+        )}
         
         {loading && (
           <div className="loading">
@@ -122,7 +199,7 @@ function App() {
           </div>
         )}
         
-        {results && <Results results={results} onReset={handleReset} />}
+        {!showAdmin && results && <Results results={results} onReset={handleReset} />}
 
         {/* Tools always visible at bottom */}
         <ToolsSidebar 
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { formatAuditEntry } from '../services/auditLogService';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '–';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const AuditHistory = ({ databaseService, programId = null, limit = 20 }) => {
+  const [entries, setEntries] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [rollbackTime, setRollbackTime] = useState('');
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    const loadEntries = async () => {
+      const log = await databaseService.getAuditLog(programId ? { programId } : {});
+      if (active) setEntries(log.slice(-limit).reverse());
+    };
+
+    // Reload whenever the database changes
+    const events = ['funding_program_updated', 'funding_programs_bulk_updated', 'funding_program_created', 'funding_program_deleted', 'funding_programs_bulk_deleted', 'funding_programs_reverted'];
+    events.forEach(event => databaseService.on(event, loadEntries));
+    loadEntries();
+
+    return () => {
+      active = false;
+      events.forEach(event => databaseService.off(event, loadEntries));
+    };
+  }, [databaseService, programId, limit]);
+
+  const handleRevert = async (entry) => {
+    let result = await databaseService.revertChange(entry.seq);
+    if (!result.success && result.error.includes('was changed after') &&
+        window.confirm(`${result.error}. Trotzdem auf den Stand vor dieser Änderung zurücksetzen?`)) {
+      result = await databaseService.revertChange(entry.seq, { force: true });
+    }
+    setMessage(result.success ? `Änderung #${entry.seq} rückgängig gemacht.` : result.message);
+  };
+
+  const handleRollback = async () => {
+    if (!rollbackTime || !window.confirm(`Alle Programme auf den Stand vom ${rollbackTime.replace('T', ' ')} zurücksetzen?`)) {
+      return;
+    }
+    const result = await databaseService.rollbackTo(new Date(rollbackTime));
+    setMessage(result.success ? `${result.restoredCount} Programme zurückgesetzt.` : result.message);
+  };
+
+  return (
+    <div className="audit-history" style={{ marginTop: '1.5rem', fontSize: '0.85rem' }}>
+      <h3 style={{ marginBottom: '0.5rem' }}>Änderungsverlauf</h3>
+
+      {message && <p className="help-text">{message}</p>}
+
+      {!programId && (
+        <div className="form-group" style={{ display: 'flex', gap: '0.75rem', alignItems: 'center' }}>
+          <label htmlFor="rollback-time" style={{ margin: 0 }}>Datenbestand zurücksetzen auf</label>
+          <input id="rollback-time" type="datetime-local" value={rollbackTime} onChange={(e) => setRollbackTime(e.target.value)} />
+          <button type="button" className="btn btn-secondary" onClick={handleRollback} disabled={!rollbackTime}>Zurücksetzen</button>
+        </div>
+      )}
+
+      {entries.length === 0 && <p className="help-text">Noch keine Änderungen.</p>}
+
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+        {entries.map(entry => (
+          <li key={entry.seq} style={{ borderBottom: '1px solid #f0f0f0', padding: '0.4rem 0' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem' }}>
+              <span style={{ cursor: 'pointer' }} onClick={() => setExpanded(expanded === entry.seq ? null : entry.seq)}>
+                #{entry.seq} {formatAuditEntry(entry)}
+              </span>
+              <button type="button" className="btn-details" onClick={() => handleRevert(entry)}>Rückgängig</button>
+            </div>
+            {expanded === entry.seq && (
+              <table style={{ width: '100%', marginTop: '0.25rem', borderCollapse: 'collapse' }}>
+                <tbody>
+                  {entry.diff.map(change => (
+                    <tr key={change.field}>
+                      <td style={{ padding: '0.2rem 0.5rem', fontWeight: 600 }}>{change.field}</td>
+                      <td style={{ padding: '0.2rem 0.5rem', color: '#b91c1c' }}>{formatValue(change.before)}</td>
+                      <td style={{ padding: '0.2rem 0.5rem', color: '#15803d' }}>{formatValue(change.after)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default AuditHistory;
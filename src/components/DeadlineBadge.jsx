@@ -0,0 +1,58 @@
+import React from 'react';
+
+const DeadlineBadge = ({ applicationStatus, className = '' }) => {
+  // Don't render if the program has no known application windows
+  if (!applicationStatus || applicationStatus.status === 'unknown') {
+    return null;
+  }
+
+  const { status, daysUntilOpen, daysUntilClose, opensAt, closesAt, label } = applicationStatus;
+
+  const formatDate = (isoDate) => isoDate ? isoDate.split('-').reverse().join('.') : '';
+  const formatDays = (days) => days === 1 ? '1 Tag' : `${days} Tagen`;
+
+  let text;
+  let title;
+  let colors;
+
+  if (status === 'open' && daysUntilClose === null) {
+    text = '✅ Laufend';
+    title = 'Anträge jederzeit möglich';
+    colors = { backgroundColor: '#ecfdf5', border: '1px solid #10b981', color: '#047857' };
+  } else if (status === 'open') {
+    const isUrgent = daysUntilClose <= 14;
+    text = daysUntilClose === 0 ? '⏳ Frist endet heute' : `⏳ Frist in ${formatDays(daysUntilClose)}`;
+    title = `Antragsfrist: ${formatDate(closesAt)}`;
+    colors = isUrgent
+      ? { backgroundColor: '#fef2f2', border: '1px solid #ef4444', color: '#b91c1c' }
+      : { backgroundColor: '#fffbeb', border: '1px solid #f59e0b', color: '#b45309' };
+  } else if (status === 'upcoming') {
+    text = `📅 Öffnet in ${formatDays(daysUntilOpen)}`;
+    title = `Antragsfenster: ${formatDate(opensAt)} – ${formatDate(closesAt)}`;
+    colors = { backgroundColor: '#eff6ff', border: '1px solid #3b82f6', color: '#1d4ed8' };
+  } else {
+    text = '⛔ Frist abgelaufen';
+    title = 'Derzeit kein offener Förderaufruf bekannt';
+    colors = { backgroundColor: '#f3f4f6', border: '1px solid #9ca3af', color: '#4b5563' };
+  }
+
+  return (
+    <span
+      className={`deadline-badge ${status} ${className}`}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        padding: '0.25rem 0.5rem',
+        borderRadius: '0.375rem',
+        fontSize: '0.75rem',
+        fontWeight: '600',
+        ...colors
+      }}
+      title={label ? `${title} (${label})` : title}
+    >
+      {text}
+    </span>
+  );
+};
+
+export default DeadlineBadge;
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { FILTER_STAGES } from '../services/decisionTraceService';
+
+const ExcludedPrograms = ({ programs }) => {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+
+  // Don't render if the filters did not drop anything
+  if (!programs || programs.length === 0) {
+    return null;
+  }
+
+  const search = query.trim().toLowerCase();
+  const matches = search ? programs.filter(program => program.name.toLowerCase().includes(search)) : programs;
+  const stages = [...new Set(matches.map(program => program.stage))];
+
+  return (
+    <div
+      className="excluded-programs"
+      style={{
+        marginTop: '2rem',
+        padding: '1rem',
+        backgroundColor: '#fafafa',
+        border: '1px solid #d1d5db',
+        borderRadius: '0.5rem'
+      }}
+    >
+      <h3
+        onClick={() => setOpen(!open)}
+        style={{ margin: 0, color: '#4b5563', fontSize: '1.1rem', fontWeight: '600', cursor: 'pointer' }}
+      >
+        {open ? '▾' : '▸'} Ausgeschlossene Programme ({programs.length})
+      </h3>
+
+      {open && (
+        <>
+          <p style={{ margin: '0.5rem 0 0.75rem 0', color: '#6b7280', fontSize: '0.9rem' }}>
+            Warum nicht? Für jedes Programm, das nicht empfohlen wird, steht hier die Regel, die es aussortiert hat.
+          </p>
+          <input
+            type="search"
+            placeholder="Programm suchen…"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            style={{ width: '100%', marginBottom: '0.75rem' }}
+          />
+          {matches.length === 0 && (
+            <p style={{ color: '#6b7280', fontSize: '0.9rem' }}>
+              Kein ausgeschlossenes Programm gefunden. Programme, die hier fehlen, wurden empfohlen oder sind nicht in der Datenbank.
+            </p>
+          )}
+          {stages.map(stage => (
+            <div key={stage} style={{ marginBottom: '0.75rem' }}>
+              <h4 style={{ margin: '0 0 0.25rem 0', color: '#374151', fontSize: '0.95rem' }}>
+                {FILTER_STAGES[stage] || stage}
+              </h4>
+              <ul style={{ margin: 0, paddingLeft: '1.25rem', fontSize: '0.85rem' }}>
+                {matches.filter(program => program.stage === stage).map(program => (
+                  <li key={program.id || program.name} style={{ marginBottom: '0.35rem', color: '#374151' }}>
+                    <strong>{program.name}</strong>: {program.rule}
+                    {program.decisions.length > 1 && (
+                      <div style={{ color: '#6b7280' }}>
+                        {program.decisions.map(decision =>
+                          `${decision.passed ? '✓' : '✗'} ${FILTER_STAGES[decision.stage] || decision.stage}`
+                        ).join(' → ')}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ExcludedPrograms;
@@ -0,0 +1,50 @@
+import React from 'react';
+
+const ExpiredPrograms = ({ programs }) => {
+  // Don't render if no program has expired
+  if (!programs || programs.length === 0) {
+    return null;
+  }
+
+  const formatDate = (isoDate) => isoDate ? isoDate.split('-').reverse().join('.') : '';
+
+  return (
+    <div
+      className="expired-programs"
+      style={{
+        marginTop: '2rem',
+        padding: '1rem',
+        backgroundColor: '#f3f4f6',
+        border: '1px solid #d1d5db',
+        borderRadius: '0.5rem'
+      }}
+    >
+      <h3 style={{ margin: '0 0 0.5rem 0', color: '#4b5563', fontSize: '1.1rem', fontWeight: '600' }}>
+        ⌛ Ausgelaufene Programme
+      </h3>
+      <p style={{ margin: '0 0 0.75rem 0', color: '#6b7280', fontSize: '0.9rem' }}>
+        Die Förderperiode dieser Programme ist beendet. Neue Anträge sind nicht mehr möglich.
+      </p>
+      <ul style={{ margin: 0, paddingLeft: '1.25rem' }}>
+        {programs.map(program => (
+          <li key={program.name} style={{ marginBottom: '0.5rem', color: '#374151' }}>
+            <strong>{program.name}</strong>
+            {program.validUntil && ` (bis ${formatDate(program.validUntil)})`}
+            {program.successorProgram && (
+              <span>
+                {' → Nachfolger: '}
+                {program.successorProgram.source ? (
+                  <a href={program.successorProgram.source} target="_blank" rel="noopener noreferrer">
+                    {program.successorProgram.name}
+                  </a>
+                ) : program.successorProgram.name}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ExpiredPrograms;
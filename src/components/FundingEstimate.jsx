@@ -0,0 +1,71 @@
+import React from 'react';
+import { formatEuro } from '../services/fundingAmountService';
+
+const FundingEstimate = ({ expectedGrant, className = '' }) => {
+  // Don't render without a project budget
+  if (!expectedGrant) {
+    return null;
+  }
+
+  if (!expectedGrant.meetsMinimumVolume) {
+    return (
+      <span
+        className={`funding-estimate below-minimum ${className}`}
+        style={{ fontSize: '0.85rem', color: '#b45309' }}
+      >
+        ⚠️ Projektvolumen unter der Mindestgröße des Programms
+      </span>
+    );
+  }
+
+  if (expectedGrant.isRateUnknown) {
+    return (
+      <span
+        className={`funding-estimate rate-unknown ${className}`}
+        style={{ fontSize: '0.85rem', color: '#6b7280' }}
+        title="Das Programm nennt nur einen Förderhöchstbetrag"
+      >
+        💶 höchstens {formatEuro(expectedGrant.maxGrant)} Förderung · Förderquote unbekannt
+      </span>
+    );
+  }
+
+  if (!expectedGrant.isEstimable) {
+    return (
+      <span
+        className={`funding-estimate not-estimable ${className}`}
+        style={{ fontSize: '0.85rem', color: '#6b7280' }}
+      >
+        Fördersumme wird im Einzelfall festgelegt
+      </span>
+    );
+  }
+
+  const { minGrant, maxGrant, expectedGrant: expected, expectedEigenanteil, isCapped } = expectedGrant;
+  const range = minGrant !== maxGrant
+    ? `${formatEuro(minGrant)} – ${formatEuro(maxGrant)}`
+    : formatEuro(maxGrant);
+
+  return (
+    <span
+      className={`funding-estimate ${className}`}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '0.25rem',
+        padding: '0.25rem 0.5rem',
+        borderRadius: '0.375rem',
+        backgroundColor: '#ecfdf5',
+        border: '1px solid #10b981',
+        fontSize: '0.8rem',
+        fontWeight: '600',
+        color: '#047857'
+      }}
+      title={`Förderspanne: ${range}${isCapped ? ' (durch Förderhöchstbetrag begrenzt)' : ''}`}
+    >
+      💶 ca. {formatEuro(expected)} Förderung · Eigenanteil {formatEuro(expectedEigenanteil)}
+    </span>
+  );
+};
+
+export default FundingEstimate;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { formatEuro } from '../services/fundingAmountService';
+
+const FundingMix = ({ fundingMix }) => {
+  // Only worth a breakdown if several sources are combined
+  if (!fundingMix || fundingMix.programs.length < 2) {
+    return null;
+  }
+
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', gap: '1rem', padding: '0.25rem 0' };
+
+  return (
+    <div className="funding-mix" style={{ marginTop: '0.75rem', fontSize: '0.9rem', color: '#5d4037' }}>
+      {fundingMix.programs.map(part => (
+        <div key={part.name} style={rowStyle}>
+          <span>{part.name}{part.isReduced && ' *'}</span>
+          <span>{formatEuro(part.grant)}</span>
+        </div>
+      ))}
+      <div style={{ ...rowStyle, borderTop: '1px solid #d7ccc8', fontWeight: '600' }}>
+        <span>Förderung gesamt ({fundingMix.fundingQuota} %)</span>
+        <span>{formatEuro(fundingMix.totalGrant)}</span>
+      </div>
+      <div style={rowStyle}>
+        <span>Eigenanteil</span>
+        <span>{formatEuro(fundingMix.eigenanteil)}</span>
+      </div>
+      {fundingMix.isCapped && (
+        <p style={{ margin: '0.25rem 0 0 0', fontSize: '0.8rem' }}>
+          * gekürzt auf die Höchstförderquote von {fundingMix.maxTotalRate} %
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default FundingMix;
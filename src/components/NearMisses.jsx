@@ -0,0 +1,51 @@
+import React from 'react';
+
+const NearMisses = ({ nearMisses }) => {
+  // Only computed for empty or thin results
+  if (!nearMisses || nearMisses.length === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      className="near-misses"
+      style={{
+        marginTop: '2rem',
+        padding: '1rem',
+        backgroundColor: '#fffbeb',
+        border: '1px solid #fcd34d',
+        borderRadius: '0.5rem',
+        textAlign: 'left'
+      }}
+    >
+      <h3 style={{ margin: '0 0 0.5rem 0', color: '#92400e', fontSize: '1.1rem', fontWeight: '600' }}>
+        💡 Knapp verfehlt
+      </h3>
+      <p style={{ margin: '0 0 0.75rem 0', color: '#78350f', fontSize: '0.9rem' }}>
+        Mit einer geänderten Angabe kämen diese Programme in Frage:
+      </p>
+      {nearMisses.map(nearMiss => (
+        <div key={`${nearMiss.field}-${nearMiss.to}`} style={{ marginBottom: '0.75rem' }}>
+          <strong style={{ color: '#374151' }}>{nearMiss.change}</strong>
+          <ul style={{ margin: '0.25rem 0 0 0', paddingLeft: '1.25rem' }}>
+            {nearMiss.programs.map(program => (
+              <li key={program.name} style={{ color: '#374151' }}>
+                {program.source ? (
+                  <a href={program.source} target="_blank" rel="noopener noreferrer">{program.name}</a>
+                ) : program.name}
+                {program.fundingRate && ` (${program.fundingRate})`}
+              </li>
+            ))}
+          </ul>
+          {nearMiss.totalPrograms > nearMiss.programs.length && (
+            <p style={{ margin: '0.25rem 0 0 0', color: '#6b7280', fontSize: '0.85rem' }}>
+              und {nearMiss.totalPrograms - nearMiss.programs.length} weitere
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default NearMisses;
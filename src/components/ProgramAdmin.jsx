@@ -0,0 +1,443 @@
+import React, { useState } from 'react';
+import AuditHistory from './AuditHistory';
+import ProgramImport from './ProgramImport';
+import ProgramDrafts from './ProgramDrafts';
+import { discardProgramDraft } from '../services/foerderdatenbankImportService';
+import { APPLICANT_TYPES } from '../services/applicantEligibilityService';
+import {
+  PROGRAM_TYPES,
+  PROGRAM_MEASURES,
+  USE_CASES,
+  LOCATION_TYPES,
+  PROGRAM_CATEGORIES,
+  PROGRAM_ORIGINS,
+  IMPLEMENTATION_LEVELS
+} from '../data/programLabels';
+import {
+  FORM_FEDERAL_STATES,
+  searchPrograms,
+  createEmptyFormValues,
+  programToFormValues,
+  formValuesToProgram,
+  deriveMetadataFormValues,
+  saveProgram
+} from '../services/programAdminService';
+
+const CheckboxGroup = ({ name, options, values, onChange }) => (
+  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem 1rem' }}>
+    {Object.entries(options).map(([value, label]) => (
+      <label key={value} style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', fontWeight: 'normal' }}>
+        <input
+          type="checkbox"
+          name={name}
+          checked={values.includes(value)}
+          onChange={(e) => onChange(name, e.target.checked
+            ? [...values, value]
+            : values.filter(v => v !== value))}
+        />
+        {label}
+      </label>
+    ))}
+  </div>
+);
+
+const ProgramAdmin = ({ programs, databaseService, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [editing, setEditing] = useState(null); // { original, draft } - original is null for new programs
+  const [values, setValues] = useState(createEmptyFormValues());
+  const [validation, setValidation] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [showDrafts, setShowDrafts] = useState(false);
+  const [draftsVersion, setDraftsVersion] = useState(0);
+  const [user, setUser] = useState(() => window.localStorage.getItem('programAdminUser') || '');
+
+  const visiblePrograms = searchPrograms(programs, query);
+
+  const openEditor = (program) => {
+    setEditing({ original: program });
+    setValues(program ? programToFormValues(program) : createEmptyFormValues());
+    setValidation(null);
+    setMessage(null);
+  };
+
+  // Drafts from the Förderdatenbank import are saved as new programs
+  const openDraft = (draft) => {
+    setEditing({ original: null, draft });
+    setValues(programToFormValues(draft.program));
+    setValidation(null);
+    setMessage(null);
+  };
+
+  const closeEditor = () => {
+    setEditing(null);
+    setValidation(null);
+  };
+
+  const setField = (name, value) => {
+    setValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setField(name, type === 'checkbox' ? checked : value);
+  };
+
+  // Recorded as "who" in the audit log
+  const handleUserChange = (e) => {
+    setUser(e.target.value);
+    window.localStorage.setItem('programAdminUser', e.target.value);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    // Draft fields not covered by the form (contacts, fundingType) are kept
+    const program = formValuesToProgram(values, editing.original || editing.draft?.program || null);
+    databaseService.setUser(user.trim());
+
+    setSaving(true);
+    const { success, validation: result, result: dbResult } = await saveProgram(databaseService, program, {
+      existingPrograms: programs,
+      original: editing.original
+    });
+    setSaving(false);
+    setValidation(result);
+
+    if (success) {
+      if (editing.draft) {
+        await discardProgramDraft(databaseService.storage, editing.draft.draftId);
+        setDraftsVersion(version => version + 1);
+      }
+      setMessage({ type: 'success', text: `„${program.name}“ wurde gespeichert.` });
+      closeEditor();
+    } else if (dbResult) {
+      setMessage({ type: 'error', text: dbResult.message });
+    }
+  };
+
+  const handleDelete = async () => {
+    const { original } = editing;
+    if (!window.confirm(`Programm „${original.name}“ wirklich löschen?`)) {
+      return;
+    }
+
+    databaseService.setUser(user.trim());
+    const result = await databaseService.deleteProgram(original.id || original.name);
+    setMessage(result.success
+      ? { type: 'success', text: `„${original.name}“ wurde gelöscht.` }
+      : { type: 'error', text: result.message });
+    if (result.success) {
+      closeEditor();
+    }
+  };
+
+  const fieldErrors = (field) => (validation?.errors || []).filter(error => error.field === field);
+  const renderErrors = (field) => fieldErrors(field).map(error => (
+    <p key={error.message} className="help-text" style={{ color: '#b91c1c' }}>{error.message}</p>
+  ));
+
+  if (!databaseService) {
+    return (
+      <div className="form-section">
+        <h2>Programmverwaltung</h2>
+        <p>Der Programmspeicher ist nicht verfügbar. Änderungen können nicht gespeichert werden.</p>
+        <button type="button" className="btn btn-secondary" onClick={onClose}>Zurück</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="program-admin">
+      <div className="form-section">
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+          <h2>Programmverwaltung</h2>
+          <button type="button" className="btn btn-secondary" onClick={onClose}>Zurück zur Suche</button>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="admin-user">Bearbeiter</label>
+          <input id="admin-user" value={user} onChange={handleUserChange} placeholder="Name für den Änderungsverlauf" />
+        </div>
+
+        {message && (
+          <div style={{
+            background: message.type === 'success' ? '#d4edda' : '#f8d7da',
+            color: message.type === 'success' ? '#155724' : '#721c24',
+            padding: '10px 15px',
+            borderRadius: '8px',
+            marginBottom: '15px'
+          }}>
+            {message.text}
+          </div>
+        )}
+
+        {!editing && (
+          <>
+            <div className="form-group" style={{ display: 'flex', gap: '1rem' }}>
+              <input
+                type="search"
+                placeholder="Programme durchsuchen (Name, ID, Bundesland)"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                style={{ flex: 1 }}
+              />
+              <button type="button" className="btn" onClick={() => openEditor(null)}>+ Neues Programm</button>
+              <button type="button" className="btn btn-secondary" onClick={() => setImporting(!importing)}>Tabelle importieren</button>
+              {databaseService.storage && (
+                <button type="button" className="btn btn-secondary" onClick={() => setShowDrafts(!showDrafts)}>Förderdatenbank</button>
+              )}
+            </div>
+
+            {importing && (
+              <ProgramImport
+                programs={programs}
+                databaseService={databaseService}
+                user={user.trim()}
+                onDone={setMessage}
+              />
+            )}
+
+            {showDrafts && databaseService.storage && (
+              <ProgramDrafts
+                storage={databaseService.storage}
+                programs={programs}
+                onReview={openDraft}
+                reloadKey={draftsVersion}
+              />
+            )}
+
+            <p className="help-text">{visiblePrograms.length} von {programs.length} Programmen</p>
+
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', borderBottom: '2px solid #e0e0e0' }}>
+                  <th style={{ padding: '0.5rem' }}>Programm</th>
+                  <th style={{ padding: '0.5rem' }}>Bundesländer</th>
+                  <th style={{ padding: '0.5rem' }}>Förderquote</th>
+                  <th style={{ padding: '0.5rem' }}>Kategorie</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visiblePrograms.map(program => (
+                  <tr
+                    key={program.id || program.name}
+                    onClick={() => openEditor(program)}
+                    style={{ cursor: 'pointer', borderBottom: '1px solid #f0f0f0' }}
+                  >
+                    <td style={{ padding: '0.5rem' }}>
+                      <strong>{program.name}</strong>
+                      <div style={{ color: '#888', fontSize: '0.8rem' }}>{program.id}</div>
+                    </td>
+                    <td style={{ padding: '0.5rem' }}>{(program.federalStates || []).join(', ')}</td>
+                    <td style={{ padding: '0.5rem' }}>{program.fundingRate}</td>
+                    <td style={{ padding: '0.5rem' }}>{PROGRAM_CATEGORIES[program.category] || program.category}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <AuditHistory databaseService={databaseService} />
+          </>
+        )}
+      </div>
+
+      {editing && (
+        <form onSubmit={handleSave}>
+          <div className="form-section">
+            <h2>{editing.original ? `Bearbeiten: ${editing.original.name}` : (editing.draft ? `Entwurf prüfen: ${editing.draft.program.name}` : 'Neues Programm')}</h2>
+            {editing.draft && editing.draft.notes.length > 0 && (
+              <p className="help-text" style={{ color: '#b45309' }}>{editing.draft.notes.join(' · ')}</p>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="admin-name">Name *</label>
+              <input id="admin-name" name="name" value={values.name} onChange={handleChange} />
+              {renderErrors('name')}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="admin-id">ID</label>
+              <input
+                id="admin-id"
+                name="id"
+                value={values.id}
+                onChange={handleChange}
+                disabled={Boolean(editing.original)}
+                placeholder="wird aus dem Namen erzeugt"
+              />
+              {renderErrors('id')}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="admin-description">Beschreibung</label>
+              <textarea id="admin-description" name="description" rows={3} value={values.description} onChange={handleChange} />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="admin-fundingRate">Förderquote *</label>
+              <input id="admin-fundingRate" name="fundingRate" placeholder="z.B. bis 75% oder bis 10.000 EUR" value={values.fundingRate} onChange={handleChange} />
+              {renderErrors('fundingRate')}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="admin-source">Quelle (URL) *</label>
+              <input id="admin-source" name="source" type="url" value={values.source} onChange={handleChange} />
+              {renderErrors('source')}
+            </div>
+
+            <div className="form-group">
+              <label>Projekttypen *</label>
+              <CheckboxGroup name="type" options={PROGRAM_TYPES} values={values.type} onChange={setField} />
+              {renderErrors('type')}
+            </div>
+
+            <div className="form-group">
+              <label>Bundesländer *</label>
+              <CheckboxGroup name="federalStates" options={FORM_FEDERAL_STATES} values={values.federalStates} onChange={setField} />
+              {renderErrors('federalStates')}
+            </div>
+
+            <div className="form-group">
+              <label>Maßnahmen</label>
+              <CheckboxGroup name="measures" options={PROGRAM_MEASURES} values={values.measures} onChange={setField} />
+            </div>
+
+            <div className="form-group">
+              <label>Antragsberechtigte</label>
+              <CheckboxGroup name="eligibleApplicants" options={APPLICANT_TYPES} values={values.eligibleApplicants} onChange={setField} />
+              <p className="help-text">Keine Auswahl: keine Einschränkung bekannt.</p>
+            </div>
+          </div>
+
+          <div className="form-section">
+            <h2>Klassifizierung</h2>
+
+            <div className="form-group">
+              <label htmlFor="admin-category">Kategorie</label>
+              <select id="admin-category" name="category" value={values.category} onChange={handleChange}>
+                {Object.entries(PROGRAM_CATEGORIES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="admin-locationType">Gebietstyp</label>
+              <select id="admin-locationType" name="locationType" value={values.locationType} onChange={handleChange}>
+                <option value="">Automatisch (Registry / Programmname)</option>
+                {Object.entries(LOCATION_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>Passende Projekttypen (strenge Filterung)</label>
+              <CheckboxGroup name="classificationTypes" options={PROGRAM_TYPES} values={values.classificationTypes} onChange={setField} />
+            </div>
+
+            <div className="form-group">
+              <label>Passende Einsatzbereiche</label>
+              <CheckboxGroup name="useCases" options={USE_CASES} values={values.useCases} onChange={setField} />
+            </div>
+
+            <div className="form-group">
+              <label>Ausgeschlossene Einsatzbereiche</label>
+              <CheckboxGroup name="excludedUseCases" options={USE_CASES} values={values.excludedUseCases} onChange={setField} />
+              <p className="help-text">Ohne Angaben gilt die Klassifizierung aus der Programm-Registry.</p>
+            </div>
+          </div>
+
+          <div className="form-section">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+              <h2>Relevanz-Metadaten</h2>
+              <button type="button" className="btn btn-secondary" onClick={() => setValues(deriveMetadataFormValues(values))}>
+                Aus Programmdaten ableiten
+              </button>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="admin-relevanceLevel">Relevanzstufe (1-4)</label>
+              <input id="admin-relevanceLevel" name="relevanceLevel" type="number" min="1" max="4" value={values.relevanceLevel} onChange={handleChange} />
+              {renderErrors('relevanceLevel')}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="admin-programOrigin">Herkunft</label>
+              <select id="admin-programOrigin" name="programOrigin" value={values.programOrigin} onChange={handleChange}>
+                <option value="">Automatisch</option>
+                {Object.entries(PROGRAM_ORIGINS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {renderErrors('programOrigin')}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="admin-implementationLevel">Umsetzungsebene</label>
+              <select id="admin-implementationLevel" name="implementationLevel" value={values.implementationLevel} onChange={handleChange}>
+                <option value="">Automatisch</option>
+                {Object.entries(IMPLEMENTATION_LEVELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {renderErrors('implementationLevel')}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="admin-successRate">Erfolgsquote (%)</label>
+              <input id="admin-successRate" name="successRate" type="number" min="0" max="100" value={values.successRate} onChange={handleChange} />
+              {renderErrors('successRate')}
+            </div>
+
+            <div className="form-group">
+              <label style={{ fontWeight: 'normal' }}>
+                <input type="checkbox" name="isFederalStateSpecific" checked={Boolean(values.isFederalStateSpecific)} onChange={handleChange} />
+                {' '}Landesspezifisches Programm
+              </label>
+              <label style={{ fontWeight: 'normal' }}>
+                <input type="checkbox" name="playgroundFundingHistory" checked={Boolean(values.playgroundFundingHistory)} onChange={handleChange} />
+                {' '}Hat bereits Spielplätze gefördert
+              </label>
+            </div>
+
+            {renderErrors('metadata')}
+            {(validation?.warnings || []).map(warning => (
+              <p key={warning} className="help-text" style={{ color: '#b45309' }}>⚠️ {warning}</p>
+            ))}
+          </div>
+
+          {validation && !validation.isValid && (
+            <div style={{ background: '#f8d7da', color: '#721c24', padding: '10px 15px', borderRadius: '8px', marginBottom: '15px' }}>
+              <strong>Nicht gespeichert – bitte korrigieren:</strong>
+              <ul style={{ margin: '0.5rem 0 0 1.25rem' }}>
+                {validation.errors.map(error => <li key={`${error.field}-${error.message}`}>{error.message}</li>)}
+              </ul>
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+            <button type="submit" className="btn" disabled={saving}>
+              {saving ? 'Speichern...' : 'Speichern'}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={closeEditor}>Abbrechen</button>
+            {editing.original && (
+              <button type="button" className="btn btn-secondary" onClick={handleDelete} style={{ color: '#b91c1c' }}>
+                Löschen
+              </button>
+            )}
+          </div>
+
+          {editing.original && (
+            <div className="form-section">
+              <AuditHistory databaseService={databaseService} programId={editing.original.id || editing.original.name} />
+            </div>
+          )}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ProgramAdmin;
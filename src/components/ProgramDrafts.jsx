@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import {
+  parseFoerderdatenbankExport,
+  queueFoerderdatenbankDrafts,
+  loadProgramDrafts,
+  discardProgramDraft
+} from '../services/foerderdatenbankImportService';
+import { PROGRAM_TYPES, PROGRAM_MEASURES, LOCATION_TYPES } from '../data/programLabels';
+
+const formatLabels = (values, labels) => values.map(value => labels[value] || value).join(', ') || '–';
+
+const ProgramDrafts = ({ storage, programs, onReview, reloadKey }) => {
+  const [drafts, setDrafts] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const reload = async () => {
+    setDrafts(await loadProgramDrafts(storage));
+  };
+
+  // reloadKey changes when a draft was published from the editor
+  useEffect(() => {
+    reload();
+  }, [storage, reloadKey]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const records = parseFoerderdatenbankExport({ name: file.name, content: await file.text() });
+      const { queued, skipped } = await queueFoerderdatenbankDrafts(storage, records, { existingPrograms: programs });
+      setMessage(`${records.length} Einträge gelesen: ${queued.length} als Entwurf vorgemerkt, ${skipped.length} übersprungen.`);
+      await reload();
+    } catch (err) {
+      setMessage(`Import fehlgeschlagen: ${err.message}`);
+    }
+    e.target.value = '';
+  };
+
+  const handleDiscard = async (draft) => {
+    if (!window.confirm(`Entwurf „${draft.program.name}“ verwerfen?`)) {
+      return;
+    }
+    await discardProgramDraft(storage, draft.draftId);
+    await reload();
+  };
+
+  return (
+    <div className="program-drafts" style={{ border: '1px solid #e0e0e0', borderRadius: '8px', padding: '1rem', marginBottom: '1rem' }}>
+      <h3 style={{ marginBottom: '0.5rem' }}>Förderdatenbank-Import</h3>
+      <p className="help-text">
+        Lokal gespeicherten Export der Förderdatenbank (XML, JSON oder CSV) einlesen. Die Programme werden als
+        Entwürfe vorgemerkt; Projekttyp, Maßnahmen und Gebietstyp sind Vorschläge und müssen vor dem Speichern geprüft werden.
+      </p>
+
+      <div className="form-group">
+        <input type="file" accept=".xml,.json,.csv" onChange={handleFile} />
+      </div>
+
+      {message && <p className="help-text">{message}</p>}
+
+      {drafts.length === 0 && <p className="help-text">Keine offenen Entwürfe.</p>}
+
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0, fontSize: '0.85rem' }}>
+        {drafts.map(draft => (
+          <li key={draft.draftId} style={{ borderBottom: '1px solid #f0f0f0', padding: '0.5rem 0' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem' }}>
+              <div>
+                <strong>{draft.program.name}</strong>
+                <div style={{ color: '#555' }}>
+                  Typ: {formatLabels(draft.program.type, PROGRAM_TYPES)} ·
+                  Maßnahmen: {formatLabels(draft.program.measures, PROGRAM_MEASURES)} ·
+                  Gebiet: {LOCATION_TYPES[draft.program.locationType] || 'automatisch'} ·
+                  Länder: {draft.program.federalStates.join(', ') || '–'}
+                </div>
+                {draft.notes.length > 0 && (
+                  <div style={{ color: '#b45309' }}>{draft.notes.join(' · ')}</div>
+                )}
+              </div>
+              <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-start' }}>
+                <button type="button" className="btn-details" onClick={() => onReview(draft)}>Prüfen</button>
+                <button type="button" className="btn-details" onClick={() => handleDiscard(draft)}>Verwerfen</button>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ProgramDrafts;
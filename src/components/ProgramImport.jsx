@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { parseSpreadsheet } from '../services/spreadsheetParser';
+import { mapImportRows, buildImportPreview, applyImportPreview } from '../services/programImportService';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '–';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const SECTIONS = [
+  { key: 'additions', title: 'Neue Programme', color: '#15803d' },
+  { key: 'changes', title: 'Änderungen', color: '#b45309' },
+  { key: 'removals', title: 'Entfernen', color: '#b91c1c' }
+];
+
+const ProgramImport = ({ programs, databaseService, user, onDone }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState(null);
+  const [ignoredColumns, setIgnoredColumns] = useState([]);
+  const [detectRemovals, setDetectRemovals] = useState(false);
+  const [approved, setApproved] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [error, setError] = useState(null);
+  const [applying, setApplying] = useState(false);
+
+  const preview = rows ? buildImportPreview(rows, programs, { detectRemovals }) : null;
+  const applicable = preview
+    ? SECTIONS.flatMap(section => preview[section.key]).filter(entry => entry.errors.length === 0)
+    : [];
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setError(null);
+    setFileName(file.name);
+    try {
+      const content = file.name.toLowerCase().endsWith('.xlsx') ? await file.arrayBuffer() : await file.text();
+      const mapped = mapImportRows(await parseSpreadsheet({ name: file.name, content }));
+      const firstPreview = buildImportPreview(mapped.importRows, programs, { detectRemovals });
+
+      setRows(mapped.importRows);
+      setIgnoredColumns(mapped.ignoredColumns);
+      // Additions and changes are approved by default, removals have to be ticked one by one
+      setApproved([...firstPreview.additions, ...firstPreview.changes]
+        .filter(entry => entry.errors.length === 0)
+        .map(entry => entry.key));
+    } catch (err) {
+      setRows(null);
+      setError(err.message);
+    }
+  };
+
+  const toggleApproved = (key) => {
+    setApproved(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    const result = await applyImportPreview(databaseService, preview, { approvedKeys: approved, user });
+    setApplying(false);
+
+    if (result.success) {
+      setRows(null);
+      setFileName('');
+    }
+    onDone(result.success
+      ? { type: 'success', text: `Import: ${result.message}.` }
+      : { type: 'error', text: `Import: ${result.message}` });
+  };
+
+  const approvedCount = applicable.filter(entry => approved.includes(entry.key)).length;
+
+  return (
+    <div className="program-import" style={{ border: '1px solid #e0e0e0', borderRadius: '8px', padding: '1rem', marginBottom: '1rem' }}>
+      <h3 style={{ marginBottom: '0.5rem' }}>Programme aus Tabelle importieren</h3>
+      <p className="help-text">
+        CSV oder XLSX mit Kopfzeile (z.B. Name, Förderquote, Bundesländer, Projekttyp, Quelle).
+        Zeilen werden über ID oder Name zugeordnet, leere Zellen lassen den bisherigen Wert unverändert.
+      </p>
+
+      <div className="form-group" style={{ display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap' }}>
+        <input type="file" accept=".csv,.txt,.xlsx" onChange={handleFile} />
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', fontWeight: 'normal', margin: 0 }}>
+          <input type="checkbox" checked={detectRemovals} onChange={(e) => setDetectRemovals(e.target.checked)} />
+          Programme, die in der Datei fehlen, zum Entfernen vorschlagen
+        </label>
+      </div>
+
+      {error && <p className="help-text" style={{ color: '#b91c1c' }}>{error}</p>}
+
+      {preview && (
+        <>
+          <p className="help-text">
+            {fileName}: {preview.additions.length} neu, {preview.changes.length} geändert, {preview.removals.length} entfernt, {preview.unchanged.length} unverändert
+            {ignoredColumns.length > 0 && ` · ignorierte Spalten: ${ignoredColumns.join(', ')}`}
+          </p>
+
+          {preview.rowErrors.length > 0 && (
+            <div style={{ background: '#f8d7da', color: '#721c24', padding: '10px 15px', borderRadius: '8px', marginBottom: '15px' }}>
+              <strong>{preview.rowErrors.length} Zeilen mit Fehlern werden nicht übernommen:</strong>
+              <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+                {preview.rowErrors.map(row => (
+                  <li key={`${row.rowNumber}-${row.key}`}>
+                    Zeile {row.rowNumber} ({row.key || 'ohne Name'}): {row.errors.map(e => `${e.field}: ${e.message}`).join('; ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {SECTIONS.filter(section => preview[section.key].length > 0).map(section => (
+            <div key={section.key} style={{ marginBottom: '0.75rem', fontSize: '0.85rem' }}>
+              <h4 style={{ color: section.color, margin: '0.5rem 0' }}>{section.title}</h4>
+              <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+                {preview[section.key].map(entry => (
+                  <li key={entry.key} style={{ borderBottom: '1px solid #f0f0f0', padding: '0.4rem 0' }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 'normal', margin: 0 }}>
+                      <input
+                        type="checkbox"
+                        disabled={entry.errors.length > 0}
+                        checked={entry.errors.length === 0 && approved.includes(entry.key)}
+                        onChange={() => toggleApproved(entry.key)}
+                      />
+                      <span style={{ cursor: 'pointer' }} onClick={(e) => { e.preventDefault(); setExpanded(expanded === entry.key ? null : entry.key); }}>
+                        {entry.rowNumber && `Zeile ${entry.rowNumber} · `}<strong>{(entry.program || entry.before).name || entry.key}</strong>
+                        {' '}({entry.diff.length} Felder)
+                      </span>
+                    </label>
+                    {expanded === entry.key && (
+                      <table style={{ width: '100%', marginTop: '0.25rem', borderCollapse: 'collapse' }}>
+                        <tbody>
+                          {entry.diff.map(change => (
+                            <tr key={change.field}>
+                              <td style={{ padding: '0.2rem 0.5rem', fontWeight: 600 }}>{change.field}</td>
+                              <td style={{ padding: '0.2rem 0.5rem', color: '#b91c1c' }}>{formatValue(change.before)}</td>
+                              <td style={{ padding: '0.2rem 0.5rem', color: '#15803d' }}>{formatValue(change.after)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+
+          <button type="button" className="btn" onClick={handleApply} disabled={applying || approvedCount === 0}>
+            {applying ? 'Übernehme...' : `${approvedCount} Änderungen übernehmen`}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProgramImport;
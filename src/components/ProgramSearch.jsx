@@ -0,0 +1,93 @@
+import React, { useState, useMemo } from 'react';
+import { createSearchIndex, searchProgramIndex, SEARCH_FACETS } from '../services/programSearchService';
+
+const RESULT_LIMIT = 50;
+
+const Highlighted = ({ segments }) => (
+  <>
+    {segments.map((segment, i) => (segment.match ? <mark key={i}>{segment.text}</mark> : <span key={i}>{segment.text}</span>))}
+  </>
+);
+
+const ProgramSearch = ({ programs }) => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({});
+
+  // Rebuild the index only when the program list changes (admin edits, storage reload)
+  const index = useMemo(() => createSearchIndex(programs), [programs]);
+  const { results, facets, total } = useMemo(
+    () => searchProgramIndex(index, query, { filters, limit: RESULT_LIMIT }),
+    [index, query, filters]
+  );
+
+  const handleFilterChange = (facet, value) => {
+    setFilters(prev => ({ ...prev, [facet]: value || undefined }));
+  };
+
+  return (
+    <div className="form-section program-search">
+      <h2>Stichwortsuche</h2>
+      <p className="help-text">
+        Durchsucht Name, Beschreibung und Einordnung aller Programme, z. B. „inklusiv“, „Schulhof“ oder „Bewegungsparcours“.
+        Zusammengesetzte Wörter, Umlaute und Pluralformen werden erkannt.
+      </p>
+
+      <div className="form-group">
+        <input
+          type="search"
+          placeholder="Stichwort eingeben…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          autoFocus
+        />
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', marginBottom: '1rem' }}>
+        {Object.entries(SEARCH_FACETS).map(([facet, { label }]) => (
+          <div key={facet} className="form-group" style={{ flex: '1 1 10rem', marginBottom: 0 }}>
+            <label htmlFor={`facet-${facet}`}>{label}</label>
+            <select
+              id={`facet-${facet}`}
+              value={filters[facet] || ''}
+              onChange={(e) => handleFilterChange(facet, e.target.value)}
+            >
+              <option value="">Alle</option>
+              {facets[facet].map(({ value, label: valueLabel, count }) => (
+                <option key={value} value={value}>{valueLabel} ({count})</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <p className="help-text">
+        {total} {total === 1 ? 'Programm' : 'Programme'} gefunden{total > RESULT_LIMIT ? `, die ersten ${RESULT_LIMIT} werden angezeigt` : ''}.
+      </p>
+
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+        {results.map(({ program, highlights }) => (
+          <li key={program.id || program.name} style={{ borderBottom: '1px solid #f0f0f0', padding: '0.75rem 0' }}>
+            <strong><Highlighted segments={highlights.name} /></strong>
+            {program.description && (
+              <div style={{ color: '#555', fontSize: '0.9rem' }}>
+                <Highlighted segments={highlights.description} />
+              </div>
+            )}
+            <div style={{ color: '#6b7280', fontSize: '0.8rem', marginTop: '0.25rem' }}>
+              {(program.federalStates || []).map(state => SEARCH_FACETS.federalState.labels[state] || state).join(', ')}
+              {program.fundingRate && ` · Förderquote ${program.fundingRate}`}
+              {program.source && (
+                <>
+                  {' · '}
+                  <a href={program.source} target="_blank" rel="noopener noreferrer">Zur Programmseite</a>
+                </>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ProgramSearch;
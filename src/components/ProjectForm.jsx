@@ -1,10 +1,33 @@
 import React, { useState } from 'react';
+import { APPLICANT_TYPES } from '../services/applicantEligibilityService';
+import { lookupPostalCode, parsePostalCode, formatLocation } from '../services/regionService';
+import { PROGRAM_MEASURES } from '../data/programLabels';
+import { getProjectBudget, formatEuro } from '../services/fundingAmountService';
+import { getSiteTypesForArea, isSiteTypeAvailable } from '../services/siteTypeService';
+import { listScoringProfiles, getDefaultScoringProfileId } from '../services/scoringProfileService';
+
+const scoringProfiles = listScoringProfiles();
+
+// Yes / no select of the municipality profile; '' means not specified
+const toFlag = (value) => (value === '' ? null : value === 'ja');
 
 const ProjectForm = ({ onSubmit }) => {
   const [formData, setFormData] = useState({
     federalState: '',
+    postalCode: '',
     projectType: '',
-    einsatzbereich: ''
+    measures: [],
+    einsatzbereich: '',
+    siteType: '',
+    applicantType: '',
+    municipalityPopulation: '',
+    isFinanzschwach: '',
+    hasSanierungsgebiet: '',
+    hasSozialeStadtGebiet: '',
+    projectBudget: '',
+    projectArea: '',
+    openWithinWeeks: '',
+    scoringProfile: getDefaultScoringProfileId()
   });
 
   const handleChange = (e) => {
@@ -12,9 +35,45 @@ const ProjectForm = ({ onSubmit }) => {
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
+  // The site type depends on the area type; drop it if the new area does not offer it
+  const handleAreaChange = (e) => {
+    const { value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      einsatzbereich: value,
+      siteType: isSiteTypeAvailable(prev.siteType, value) ? prev.siteType : ''
+    }));
+  };
+
+  const handleMeasureChange = (e) => {
+    const { value, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      measures: checked ? [...prev.measures, value] : prev.measures.filter(measure => measure !== value)
+    }));
+  };
+
+  const location = lookupPostalCode(formData.postalCode);
+  const estimatedBudget = getProjectBudget(formData);
+  const locationMismatch = location && formData.federalState && location.federalState !== formData.federalState;
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+    const { municipalityPopulation, isFinanzschwach, hasSanierungsgebiet, hasSozialeStadtGebiet, ...projectData } = formData;
+    onSubmit({
+      ...projectData,
+      municipality: {
+        population: municipalityPopulation ? Number(municipalityPopulation) : null,
+        isFinanzschwach: toFlag(isFinanzschwach),
+        hasSanierungsgebiet: toFlag(hasSanierungsgebiet),
+        hasSozialeStadtGebiet: toFlag(hasSozialeStadtGebiet)
+      },
+      postalCode: formData.postalCode.trim() || null,
+      siteType: formData.siteType || null,
+      projectBudget: formData.projectBudget ? Number(formData.projectBudget) : null,
+      projectArea: formData.projectArea ? Number(formData.projectArea) : null,
+      openWithinWeeks: formData.openWithinWeeks !== '' ? Number(formData.openWithinWeeks) : null
+    });
   };
 
   return (
@@ -28,7 +87,7 @@ const ProjectForm = ({ onSubmit }) => {
             id="einsatzbereich"
             name="einsatzbereich"
             value={formData.einsatzbereich}
-            onChange={handleChange}
+            onChange={handleAreaChange}
             required
           >
             <option value="">Bitte wählen</option>
@@ -38,6 +97,24 @@ const ProjectForm = ({ onSubmit }) => {
           <p className="help-text">Wählen Sie den Standort aus, wo der Spielplatz neu gebaut wird. Diese Auswahl präzisiert die Fördermittelsuche.</p>
         </div>
 
+        {formData.einsatzbereich && (
+          <div className="form-group">
+            <label htmlFor="siteType">Art des Standorts</label>
+            <select
+              id="siteType"
+              name="siteType"
+              value={formData.siteType}
+              onChange={handleChange}
+            >
+              <option value="">Allgemein / keine Angabe</option>
+              {getSiteTypesForArea(formData.einsatzbereich).map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <p className="help-text">Optional. Z.B. Kita-Außengelände oder Schulhof – Programme, die diesen Standort ausschließen, werden ausgeblendet.</p>
+          </div>
+        )}
+
         <div className="form-group">
           <label htmlFor="federalState">Bundesland *</label>
           <select
@@ -67,6 +144,88 @@ const ProjectForm = ({ onSubmit }) => {
           </select>
         </div>
 
+        <div className="form-group">
+          <label htmlFor="postalCode">Postleitzahl des Standorts</label>
+          <input
+            type="text"
+            id="postalCode"
+            name="postalCode"
+            inputMode="numeric"
+            pattern="\d{5}"
+            maxLength={5}
+            placeholder="z.B. 82467"
+            value={formData.postalCode}
+            onChange={handleChange}
+          />
+          {location && !locationMismatch && (
+            <p className="help-text">📍 {formatLocation(location)}</p>
+          )}
+          {locationMismatch && (
+            <p className="help-text" style={{ color: '#b45309' }}>
+              ⚠️ Diese Postleitzahl liegt nicht im gewählten Bundesland und wird ignoriert.
+            </p>
+          )}
+          {!location && parsePostalCode(formData.postalCode) && (
+            <p className="help-text" style={{ color: '#b45309' }}>
+              ⚠️ Diese Postleitzahl ist im Ortsverzeichnis noch nicht enthalten. Programme einzelner Landkreise oder LEADER-/ILE-Regionen werden angezeigt, ohne den Standort zu prüfen – bitte die Gebietskulisse selbst klären.
+            </p>
+          )}
+          <p className="help-text">Optional. Programme, die nur in bestimmten Landkreisen oder LEADER-/ILE-Regionen gelten, werden damit genauer gefiltert. Das Ortsverzeichnis umfasst bisher die Stadtstaaten, einige Großstädte und einzelne Gemeinden in LEADER-/ILE-Regionen.</p>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="applicantType">Antragsteller *</label>
+          <select
+            id="applicantType"
+            name="applicantType"
+            value={formData.applicantType}
+            onChange={handleChange}
+            required
+          >
+            <option value="">Bitte wählen</option>
+            {Object.entries(APPLICANT_TYPES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <p className="help-text">Wer stellt den Antrag? Programme, für die Sie nicht antragsberechtigt sind, werden ausgeblendet.</p>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="municipalityPopulation">Einwohnerzahl der Gemeinde</label>
+          <input
+            type="number"
+            id="municipalityPopulation"
+            name="municipalityPopulation"
+            min="0"
+            step="100"
+            placeholder="z.B. 4500"
+            value={formData.municipalityPopulation}
+            onChange={handleChange}
+          />
+          <p className="help-text">Optional. Dorfentwicklungsprogramme fördern z.B. nur Gemeinden bzw. Orte bis zu einer bestimmten Größe.</p>
+        </div>
+
+        <div className="form-group">
+          <label>Kommunale Voraussetzungen</label>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem 1rem' }}>
+            {[
+              ['isFinanzschwach', 'Finanzschwache Gemeinde'],
+              ['hasSanierungsgebiet', 'Sanierungsgebiet festgelegt'],
+              ['hasSozialeStadtGebiet', 'Soziale-Stadt-Gebiet festgelegt']
+            ].map(([name, label]) => (
+              <label key={name} htmlFor={name} style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', fontWeight: 'normal' }}>
+                {label}
+                <select id={name} name={name} value={formData[name]} onChange={handleChange}>
+                  <option value="">unbekannt</option>
+                  <option value="ja">ja</option>
+                  <option value="nein">nein</option>
+                </select>
+              </label>
+            ))}
+          </div>
+          <p className="help-text">Optional. Der Ausgleichstock fördert nur finanzschwache Gemeinden, die Städtebauförderung nur in festgelegten Fördergebieten. Unbekannte Angaben blenden keine Programme aus, werden aber als offene Voraussetzung angezeigt.</p>
+        </div>
+
         <div className="form-group">
           <label htmlFor="projectType">Projekttyp *</label>
           <select
@@ -79,7 +238,96 @@ const ProjectForm = ({ onSubmit }) => {
             <option value="">Bitte wählen</option>
             <option value="playground">Spielplatz</option>
             <option value="calisthenics">Calisthenics / Outdoor Fitness</option>
+            <option value="combination">Kombination (Spielplatz + Outdoor Fitness)</option>
+          </select>
+          <p className="help-text">Calisthenics-Anlagen werden zusätzlich über die Sportstättenförderung der Länder gesucht. Bei einer Kombination werden Spielplatz- und Fitness-Programme gemeinsam angezeigt und gekennzeichnet.</p>
+        </div>
+
+        <div className="form-group">
+          <label>Maßnahmen</label>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem 1rem' }}>
+            {Object.entries(PROGRAM_MEASURES).map(([value, label]) => (
+              <label key={value} style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', fontWeight: 'normal' }}>
+                <input
+                  type="checkbox"
+                  name="measures"
+                  value={value}
+                  checked={formData.measures.includes(value)}
+                  onChange={handleMeasureChange}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          <p className="help-text">Optional. Was ist geplant? Es werden nur Programme angezeigt, die alle gewählten Maßnahmen fördern – eine reine Sanierung blendet z.B. Programme aus, die nur Neubau fördern.</p>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="projectBudget">Geschätzte Projektkosten (€)</label>
+          <input
+            type="number"
+            id="projectBudget"
+            name="projectBudget"
+            min="0"
+            step="1000"
+            placeholder="z.B. 80000"
+            value={formData.projectBudget}
+            onChange={handleChange}
+          />
+          <p className="help-text">Optional. Damit berechnen wir die erwartete Fördersumme und Ihren Eigenanteil je Programm.</p>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="projectArea">Fläche (m²)</label>
+          <input
+            type="number"
+            id="projectArea"
+            name="projectArea"
+            min="0"
+            step="10"
+            placeholder="z.B. 400"
+            value={formData.projectArea}
+            onChange={handleChange}
+          />
+          <p className="help-text">
+            Optional. Ohne Projektkosten schätzen wir die Kosten aus der Fläche
+            {estimatedBudget.isEstimated && ` (ca. ${formatEuro(estimatedBudget.amount)})`}.
+          </p>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="openWithinWeeks">Antragsfenster</label>
+          <select
+            id="openWithinWeeks"
+            name="openWithinWeeks"
+            value={formData.openWithinWeeks}
+            onChange={handleChange}
+          >
+            <option value="">Alle Programme</option>
+            <option value="0">Jetzt offen</option>
+            <option value="4">Offen oder öffnet in den nächsten 4 Wochen</option>
+            <option value="8">Offen oder öffnet in den nächsten 8 Wochen</option>
+            <option value="12">Offen oder öffnet in den nächsten 12 Wochen</option>
+          </select>
+          <p className="help-text">Blendet Programme aus, deren Antragsfrist abgelaufen ist oder deren nächster Förderaufruf später beginnt. Programme ohne bekannte Fristen bleiben sichtbar.</p>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="scoringProfile">Bewertungsprofil</label>
+          <select
+            id="scoringProfile"
+            name="scoringProfile"
+            value={formData.scoringProfile}
+            onChange={handleChange}
+          >
+            {scoringProfiles.map(profile => (
+              <option key={profile.id} value={profile.id}>{profile.label}</option>
+            ))}
           </select>
+          <p className="help-text">
+            {scoringProfiles.find(profile => profile.id === formData.scoringProfile)?.description}.
+            Die Gewichtung jedes Programms sehen Sie in der Ergebnisliste unter „Bewertung“.
+          </p>
         </div>
 
 
@@ -0,0 +1,39 @@
+import React from 'react';
+
+const BADGES = {
+  playground: { text: '🛝 Spielplatz', colors: { backgroundColor: '#fff7ed', border: '1px solid #fb923c', color: '#c2410c' } },
+  calisthenics: { text: '🏋️ Outdoor Fitness', colors: { backgroundColor: '#f0fdfa', border: '1px solid #14b8a6', color: '#0f766e' } },
+  both: { text: '🛝🏋️ Spielplatz + Fitness', colors: { backgroundColor: '#f5f3ff', border: '1px solid #8b5cf6', color: '#6d28d9' } }
+};
+
+const ProjectTypeBadge = ({ matchedProjectTypes, className = '' }) => {
+  // Only meaningful when several search paths were merged (Kombination)
+  if (!matchedProjectTypes || matchedProjectTypes.length === 0) {
+    return null;
+  }
+
+  const badge = matchedProjectTypes.length > 1 ? BADGES.both : BADGES[matchedProjectTypes[0]];
+  if (!badge) {
+    return null;
+  }
+
+  return (
+    <span
+      className={`project-type-badge ${className}`}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        padding: '0.25rem 0.5rem',
+        borderRadius: '0.375rem',
+        fontSize: '0.75rem',
+        fontWeight: '600',
+        ...badge.colors
+      }}
+      title={matchedProjectTypes.length > 1 ? 'Fördert Spielplatz und Outdoor-Fitness-Bereich' : 'Gefunden über diesen Projekttyp'}
+    >
+      {badge.text}
+    </span>
+  );
+};
+
+export default ProjectTypeBadge;
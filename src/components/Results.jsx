@@ -4,11 +4,23 @@ import ProgramDetail from './ProgramDetail';
 import RelevanceIndicator from './RelevanceIndicator';
 import FederalStateBadge from './FederalStateBadge';
 import ResultsSummary from './ResultsSummary';
+import FundingEstimate from './FundingEstimate';
+import DeadlineBadge from './DeadlineBadge';
+import ProjectTypeBadge from './ProjectTypeBadge';
+import ExpiredPrograms from './ExpiredPrograms';
+import ExcludedPrograms from './ExcludedPrograms';
+import FundingMix from './FundingMix';
+import ScoreBreakdown from './ScoreBreakdown';
+import NearMisses from './NearMisses';
+import { sortPrograms } from '../services/fundingLogic';
+import { getProjectBudget } from '../services/fundingAmountService';
+import { SORT_ORDERS } from '../services/sortService';
 
 const Results = ({ results, onReset }) => {
   const { projectData, analysis } = results;
   const [selectedProgram, setSelectedProgram] = useState(null);
   const [expandedCards, setExpandedCards] = useState({});
+  const [sortOrder, setSortOrder] = useState('relevance');
 
   const toggleCard = (index) => {
     setExpandedCards(prev => ({
@@ -50,11 +62,20 @@ const Results = ({ results, onReset }) => {
             🔄 Neue Suche starten
           </button>
         </div>
+        <NearMisses nearMisses={analysis.nearMisses} />
+        <ExpiredPrograms programs={analysis.expiredPrograms} />
+        <ExcludedPrograms programs={analysis.excludedPrograms} />
       </div>
     );
   }
 
   const topProgram = analysis.programs?.[0];
+  const projectBudget = getProjectBudget(projectData).amount;
+
+  // Analysis order is the relevance order; "expectedFunding" re-sorts within each category
+  const sortedPrograms = sortOrder === 'expectedFunding' && projectBudget
+    ? sortPrograms([...analysis.programs], { orderBy: 'expectedFunding', projectBudget })
+    : analysis.programs;
 
   return (
     <div className="results">
@@ -66,10 +87,37 @@ const Results = ({ results, onReset }) => {
 
       <h2>Empfohlene Förderprogramme</h2>
 
+      {projectBudget && (
+        <div className="form-group" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <label htmlFor="sortOrder" style={{ marginBottom: 0 }}>Sortierung</label>
+          <select
+            id="sortOrder"
+            value={sortOrder}
+            onChange={(e) => {
+              setSortOrder(e.target.value);
+              setExpandedCards({});
+            }}
+            style={{ width: 'auto' }}
+          >
+            {Object.entries(SORT_ORDERS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {projectData.projectType === 'combination' && (
+        <p className="help-text">
+          Kombinationsprojekt: {analysis.programs.filter(p => p.matchedProjectTypes?.includes('playground')).length} Programme für
+          den Spielplatz, {analysis.programs.filter(p => p.matchedProjectTypes?.includes('calisthenics')).length} für den
+          Outdoor-Fitness-Bereich. Programme mit beiden Kennzeichnungen fördern das Gesamtprojekt.
+        </p>
+      )}
+
       {/* Group programs by category */}
       {(() => {
-        const corePrograms = analysis.programs.filter(p => p.category === 'core');
-        const conditionalPrograms = analysis.programs.filter(p => p.category === 'conditional');
+        const corePrograms = sortedPrograms.filter(p => p.category === 'core');
+        const conditionalPrograms = sortedPrograms.filter(p => p.category === 'conditional');
         
         // Simple debug output
         console.log('Results Debug - Federal State:', projectData.federalState);
@@ -187,6 +235,14 @@ const Results = ({ results, onReset }) => {
                                 </span>
                               )}
                               
+                              {/* Application Deadline Badge */}
+                              <DeadlineBadge applicationStatus={program.applicationStatus} />
+
+                              {/* Project Type Badge (Kombination) */}
+                              {projectData.projectType === 'combination' && (
+                                <ProjectTypeBadge matchedProjectTypes={program.matchedProjectTypes} />
+                              )}
+                              
                               <span className={`eligibility ${program.eligibility.toLowerCase().replace(' ', '-')}`}>
                                 {program.eligibility}
                               </span>
@@ -196,6 +252,7 @@ const Results = ({ results, onReset }) => {
                             {program.fundingRate && (
                               <span className="funding-badge">💰 {program.fundingRate}</span>
                             )}
+                            <FundingEstimate expectedGrant={program.expectedGrant} />
                           </div>
                         </div>
                         <div className="card-score-section">
@@ -225,6 +282,35 @@ const Results = ({ results, onReset }) => {
                               </ul>
                             </div>
 
+                            {((program.risks && program.risks.length > 0) || (program.scoreCheck && !program.scoreCheck.isPlausible)) && (
+                              <div className="detail-section">
+                                <h4>⚠️ Risiken</h4>
+                                <ul>
+                                  {(program.risks || []).map((risk, i) => (
+                                    <li key={i}>{risk}</li>
+                                  ))}
+                                </ul>
+                                {program.scoreCheck && !program.scoreCheck.isPlausible && (
+                                  <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.85rem', color: '#b45309' }}>
+                                    Regelbasierte Bewertung: {program.scoreCheck.offlineScore}% – die KI-Bewertung weicht deutlich ab.
+                                  </p>
+                                )}
+                              </div>
+                            )}
+
+                            {program.municipalityChecks && program.municipalityChecks.length > 0 && (
+                              <div className="detail-section">
+                                <h4>🏛️ Kommunale Voraussetzungen</h4>
+                                <ul>
+                                  {program.municipalityChecks.map((check, i) => (
+                                    <li key={i}>
+                                      {check.passed ? '✓' : check.passed === null ? '?' : '✗'} {check.reason}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </div>
+                            )}
+
                             <div className="detail-section">
                               <h4>📋 Nächste Schritte</h4>
                               <ul>
@@ -262,6 +348,8 @@ const Results = ({ results, onReset }) => {
                                 </button>
                               </div>
                             </div>
+
+                            <ScoreBreakdown scoreBreakdown={program.scoreBreakdown} />
                           </div>
 
                           <button 
@@ -388,6 +476,14 @@ const Results = ({ results, onReset }) => {
                                 </span>
                               )}
                               
+                              {/* Application Deadline Badge */}
+                              <DeadlineBadge applicationStatus={program.applicationStatus} />
+
+                              {/* Project Type Badge (Kombination) */}
+                              {projectData.projectType === 'combination' && (
+                                <ProjectTypeBadge matchedProjectTypes={program.matchedProjectTypes} />
+                              )}
+                              
                               <span className={`eligibility ${program.eligibility.toLowerCase().replace(' ', '-')}`}>
                                 {program.eligibility}
                               </span>
@@ -397,6 +493,7 @@ const Results = ({ results, onReset }) => {
                             {program.fundingRate && (
                               <span className="funding-badge">💰 {program.fundingRate}</span>
                             )}
+                            <FundingEstimate expectedGrant={program.expectedGrant} />
                           </div>
                         </div>
                         <div className="card-score-section">
@@ -426,6 +523,35 @@ const Results = ({ results, onReset }) => {
                               </ul>
                             </div>
 
+                            {((program.risks && program.risks.length > 0) || (program.scoreCheck && !program.scoreCheck.isPlausible)) && (
+                              <div className="detail-section">
+                                <h4>⚠️ Risiken</h4>
+                                <ul>
+                                  {(program.risks || []).map((risk, i) => (
+                                    <li key={i}>{risk}</li>
+                                  ))}
+                                </ul>
+                                {program.scoreCheck && !program.scoreCheck.isPlausible && (
+                                  <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.85rem', color: '#b45309' }}>
+                                    Regelbasierte Bewertung: {program.scoreCheck.offlineScore}% – die KI-Bewertung weicht deutlich ab.
+                                  </p>
+                                )}
+                              </div>
+                            )}
+
+                            {program.municipalityChecks && program.municipalityChecks.length > 0 && (
+                              <div className="detail-section">
+                                <h4>🏛️ Kommunale Voraussetzungen</h4>
+                                <ul>
+                                  {program.municipalityChecks.map((check, i) => (
+                                    <li key={i}>
+                                      {check.passed ? '✓' : check.passed === null ? '?' : '✗'} {check.reason}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </div>
+                            )}
+
                             <div className="detail-section">
                               <h4>📋 Nächste Schritte</h4>
                               <ul>
@@ -463,6 +589,8 @@ const Results = ({ results, onReset }) => {
                                 </button>
                               </div>
                             </div>
+
+                            <ScoreBreakdown scoreBreakdown={program.scoreBreakdown} />
                           </div>
 
                           <button 
@@ -482,10 +610,17 @@ const Results = ({ results, onReset }) => {
         );
       })()}
 
+      <NearMisses nearMisses={analysis.nearMisses} />
+      <ExpiredPrograms programs={analysis.expiredPrograms} />
+      <ExcludedPrograms programs={analysis.excludedPrograms} />
+
       {analysis.combinationAdvice && (
         <div className="combination-hint">
           <span className="hint-icon">💡</span>
-          <p>{analysis.combinationAdvice}</p>
+          <div>
+            <p>{analysis.combinationAdvice}</p>
+            <FundingMix fundingMix={analysis.fundingMix} />
+          </div>
         </div>
       )}
 
@@ -0,0 +1,36 @@
+import React from 'react';
+
+const ScoreBreakdown = ({ scoreBreakdown }) => {
+  // Only available when the RelevanceEngine is initialized
+  if (!scoreBreakdown) {
+    return null;
+  }
+
+  const { profile, components, total, score } = scoreBreakdown;
+
+  return (
+    <div className="detail-section score-breakdown">
+      <h4>⚖️ Bewertung ({profile.label})</h4>
+      <table style={{ width: '100%', fontSize: '0.85rem', borderCollapse: 'collapse' }}>
+        <tbody>
+          {components.map(component => (
+            <tr key={component.key} style={{ borderBottom: '1px solid #f0f0f0' }}>
+              <td style={{ padding: '0.25rem 0' }}>{component.label}</td>
+              <td style={{ padding: '0.25rem 0', textAlign: 'right', color: component.points > 0 ? '#047857' : '#9ca3af' }}>
+                {component.points} / {component.weight}
+              </td>
+            </tr>
+          ))}
+          <tr>
+            <td style={{ padding: '0.25rem 0', fontWeight: '600' }}>Relevanzwert</td>
+            <td style={{ padding: '0.25rem 0', textAlign: 'right', fontWeight: '600' }}>
+              {Math.round(score)}{total > 100 ? ' (max. 100)' : ''}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ScoreBreakdown;
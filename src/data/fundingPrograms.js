@@ -57,9 +57,10 @@ function addEnhancedMetadata(program) {
     }
   }
 
-  // Exclude clearly irrelevant programs (Level 4)
+  // Exclude clearly irrelevant programs (Level 4); sports facility programs stay
+  // relevant as long as they fund playgrounds, outdoor fitness or combined projects
   if (program.name.includes('Sportstätten') && !program.type.includes('playground') && 
-      !program.type.includes('combination')) {
+      !program.type.includes('calisthenics') && !program.type.includes('combination')) {
     relevanceLevel = 4; // Excluded Programs
     successRate = 20;
   }
@@ -80,74 +81,101 @@ function addEnhancedMetadata(program) {
   };
 }
 
-const rawPrograms = [
+export const rawPrograms = [
   // ========== BUNDESWEITE PROGRAMME ==========
   
   // Städtebauförderung Bund
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-lebendige-zentren",
     name: "Städtebauförderung - Lebendige Zentren",
     type: ["playground", "combination"],
     federalStates: ["all"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-90%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.staedtebaufoerderung.info/DE/Programme/LebedigeZentren/lebendige_zentren_node.html",
     description: "Förderung zur Stärkung von Innenstädten und Ortsteilzentren"
   }),
   addEnhancedMetadata({
+    id: "wachstum-und-nachhaltige-erneuerung",
     name: "Wachstum und nachhaltige Erneuerung",
     type: ["playground", "combination"],
     federalStates: ["all"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.staedtebaufoerderung.info/DE/Programme/WachstumNachhaltigeErneuerung/wachstum_nachhaltige_erneuerung_node.html",
     description: "Strukturwandel und Anpassung an demografische Veränderungen"
   }),
   
   // Ländliche Entwicklung Bund
   addEnhancedMetadata({
+    id: "gak-foerderung-der-dorfentwicklung",
     name: "GAK - Förderung der Dorfentwicklung",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["all"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-75%",
+    combinability: { group: "laendlich" },
+    municipalityRequirements: { maxOrtPopulation: 10000 },
     source: "https://www.bmel.de/DE/themen/laendliche-regionen/foerderung-des-laendlichen-raumes/gemeinschaftsaufgabe-agrarstruktur-kuestenschutz/gak.html",
     description: "Gemeinschaftsaufgabe Agrarstruktur und Küstenschutz - Dorfentwicklung"
   }),
   addEnhancedMetadata({
+    id: "leader-eu-foerderung-fuer-laendliche-regionen",
     name: "LEADER - EU-Förderung für ländliche Regionen",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["all"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-80%",
+    combinability: { group: "laendlich" },
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://www.eler.niedersachsen.de/startseite/leader/",
     description: "EU-Förderprogramm für lokale Entwicklungsstrategien im ländlichen Raum"
   }),
   addEnhancedMetadata({
+    id: "buleplus-soziale-dorfentwicklung",
     name: "BULEplus - Soziale Dorfentwicklung",
     type: ["playground", "combination"],
     federalStates: ["all"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 80%",
+    combinability: { group: "laendlich" },
     source: "https://www.bmel.de/DE/themen/laendliche-regionen/foerderung-des-laendlichen-raumes/bundesprogramm-laendliche-entwicklung.html",
     description: "Förderung sozialer Infrastruktur in Dörfern"
   }),
   
   // Stiftungen & Kinderhilfswerke
   addEnhancedMetadata({
+    id: "deutsches-kinderhilfswerk-themenfonds-spielraum",
     name: "Deutsches Kinderhilfswerk - Themenfonds Spielraum",
     type: ["playground", "combination"],
     federalStates: ["all"],
+    eligibleApplicants: ["verein", "initiative", "kita-traeger", "kirchengemeinde"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 10.000 EUR",
+    combinability: { group: "stiftung", excludes: ["deutsches-kinderhilfswerk-spielplatz-initiative", "laenderfonds-bremen-spielraeume-schaffen-dkhw"] },
     source: "https://www.dkhw.de/foerderung/themenfonds-spielraum/",
     description: "Förderung von Spiel- und Bewegungsräumen für Kinder"
   }),
   addEnhancedMetadata({
+    id: "deutsches-kinderhilfswerk-spielplatz-initiative",
     name: "Deutsches Kinderhilfswerk - Spielplatz-Initiative",
     type: ["playground"],
     federalStates: ["all"],
+    eligibleApplicants: ["verein", "initiative", "kita-traeger", "kirchengemeinde"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "bis 5.000 EUR",
+    combinability: { group: "stiftung", excludes: ["deutsches-kinderhilfswerk-themenfonds-spielraum", "laenderfonds-bremen-spielraeume-schaffen-dkhw"] },
+    applicationWindows: [{ type: "laufend" }],
     source: "https://www.dkhw.de/foerderung/foerderantrag-stellen/",
     description: "Schnelle Förderung für Spielplatzprojekte"
   }),
@@ -155,121 +183,175 @@ const rawPrograms = [
   
   // ========== BADEN-WÜRTTEMBERG ==========
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-baden-wuerttemberg",
     name: "Städtebauförderung Baden-Württemberg",
     type: ["playground", "combination"],
     federalStates: ["BW"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://wm.baden-wuerttemberg.de/de/bauen/staedtebau/staedtebaufoerderung/",
     description: "Landesprogramm für städtebauliche Erneuerung und Entwicklung"
   }),
   addEnhancedMetadata({
+    id: "investitionspakt-bw-soziale-integration-im-quartier",
     name: "Investitionspakt BW - Soziale Integration im Quartier",
     type: ["playground", "combination"],
     federalStates: ["BW"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "bis 75%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://wm.baden-wuerttemberg.de/de/bauen/staedtebau/staedtebaufoerderung/",
     description: "Landesförderprogramm für soziale Integration"
   }),
   addEnhancedMetadata({
+    id: "entwicklungsprogramm-laendlicher-raum-elr-bw",
     name: "Entwicklungsprogramm Ländlicher Raum (ELR) BW",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["BW"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 70%",
+    combinability: { group: "laendlich" },
+    applicationWindows: [{ type: "jaehrlich", end: "09-30", label: "Antragsstichtag ELR-Jahresprogramm" }],
     source: "https://mlr.baden-wuerttemberg.de/de/unsere-themen/laendlicher-raum/foerderung/elr/",
     description: "Förderung ländlicher Infrastruktur in Baden-Württemberg"
   }),
   addEnhancedMetadata({
+    id: "leader-baden-wuerttemberg",
     name: "LEADER Baden-Württemberg",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["BW"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-75%",
+    combinability: { group: "laendlich" },
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://mlr.baden-wuerttemberg.de/de/unsere-themen/laendlicher-raum/leader/",
     description: "EU-Förderung für ländliche Regionen in BW"
   }),
   addEnhancedMetadata({
+    id: "regionalbudget-baden-wuerttemberg",
     name: "Regionalbudget Baden-Württemberg",
     type: ["playground", "calisthenics"],
     federalStates: ["BW"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation"],
     fundingRate: "bis 80%, max 20.000 EUR",
+    combinability: { group: "laendlich" },
     source: "https://mlr.baden-wuerttemberg.de/de/unsere-themen/laendlicher-raum/leader/",
     description: "Kleinprojekte im ländlichen Raum"
   }),
   addEnhancedMetadata({
+    id: "ausgleichstock-baden-wuerttemberg",
     name: "Ausgleichstock Baden-Württemberg",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["BW"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "variabel",
+    combinability: { group: "landesprogramm" },
+    municipalityRequirements: { finanzschwach: true },
     source: "https://rp.baden-wuerttemberg.de/",
     description: "Landesförderung für kommunale Infrastruktur"
   }),
   addEnhancedMetadata({
+    id: "baden-wuerttemberg-sportstaettenfoerderung",
     name: "Baden-Württemberg Sportstättenförderung",
     type: ["calisthenics", "combination"],
     federalStates: ["BW"],
+    eligibleApplicants: ["kommune", "verein"],
     measures: ["newBuild", "renovation"],
     fundingRate: "30-40%",
+    combinability: { group: "sport" },
     source: "https://www.km-bw.de/,Lde/startseite/sport/sportstättenförderung",
     description: "Landesförderung für Sportstätten"
   }),
   
   // ========== BAYERN ==========
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-bayern",
     name: "Städtebauförderung Bayern",
     type: ["playground", "combination"],
     federalStates: ["BY"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.stmb.bayern.de/buw/staedtebaufoerderung/",
     description: "Bayerisches Städtebauförderprogramm"
   }),
   addEnhancedMetadata({
+    id: "dorferneuerung-bayern",
     name: "Dorferneuerung Bayern",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["BY"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 70%",
+    combinability: { group: "laendlich" },
+    applicationWindows: [{ type: "laufend", label: "Antrag beim Amt für Ländliche Entwicklung" }],
+    municipalityRequirements: { maxOrtPopulation: 10000 },
     source: "https://www.stmelf.bayern.de/landentwicklung/dorferneuerung/",
     description: "Förderung der Dorfentwicklung in Bayern"
   }),
   addEnhancedMetadata({
+    id: "leader-bayern-2023-2027",
     name: "LEADER Bayern 2023-2027",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["BY"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-80%",
+    combinability: { group: "laendlich" },
+    validFrom: "2023-01-01",
+    validUntil: "2027-12-31",
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://www.stmelf.bayern.de/agrarpolitik/foerderung/leader/",
     description: "EU-Förderung für ländliche Regionen in Bayern"
   }),
   addEnhancedMetadata({
+    id: "regionalbudget-bayern",
     name: "Regionalbudget Bayern",
     type: ["playground", "calisthenics"],
     federalStates: ["BY"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation"],
     fundingRate: "bis 80%, max 20.000 EUR",
+    combinability: { group: "laendlich" },
+    applicationWindows: [{ type: "jaehrlich", start: "11-01", end: "01-31", label: "Projektaufruf der ILE" }],
+    regionRestriction: { regionTypes: ["ile"] },
     source: "https://www.stmelf.bayern.de/agrarpolitik/foerderung/leader/",
     description: "Kleinprojekte im ländlichen Raum Bayern"
   }),
   addEnhancedMetadata({
+    id: "kita-und-spielplatzsanierungsprogramm-bayern-kssp",
     name: "Kita- und Spielplatzsanierungsprogramm Bayern (KSSP)",
     type: ["playground"],
     federalStates: ["BY"],
+    eligibleApplicants: ["kommune", "kita-traeger", "kirchengemeinde"],
     measures: ["renovation", "accessibility"],
     fundingRate: "bis 90%",
+    combinability: { group: "landesprogramm" },
     source: "https://www.stmas.bayern.de/",
     description: "Spezielle Förderung für Spielplatzsanierung"
   }),
   addEnhancedMetadata({
+    id: "landesfoerderprogramm-sport-bayern",
     name: "Landesförderprogramm Sport Bayern",
     type: ["calisthenics", "combination"],
     federalStates: ["BY"],
+    eligibleApplicants: ["kommune", "verein"],
     measures: ["newBuild", "renovation"],
     fundingRate: "30-50%",
+    combinability: { group: "sport" },
     source: "https://www.stmwi.bayern.de/foerderungen/sportstättenförderung/",
     description: "Bayerische Sportstättenförderung"
   }),
@@ -277,105 +359,146 @@ const rawPrograms = [
   
   // ========== BERLIN ==========
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-berlin-lebendige-zentren",
     name: "Städtebauförderung Berlin - Lebendige Zentren",
     type: ["playground", "combination"],
     federalStates: ["BE"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.stadtentwicklung.berlin.de/staedtebau/foerderprogramme/lebendige_zentren/",
     description: "Förderung von Zentren und Quartieren in Berlin"
   }),
   addEnhancedMetadata({
+    id: "gruenflaechen-und-spielplaetze-in-der-nachbarschaft-berlin",
     name: "Grünflächen und Spielplätze in der Nachbarschaft (Berlin)",
     type: ["playground", "combination"],
     federalStates: ["BE"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "greening"],
     fundingRate: "variabel",
+    combinability: { group: "landesprogramm" },
     source: "https://www.berlin.de/",
     description: "Berliner Programm für Grünflächen und Spielplätze"
   }),
   
   // ========== BRANDENBURG ==========
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-brandenburg",
     name: "Städtebauförderung Brandenburg",
     type: ["playground", "combination"],
     federalStates: ["BB"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://mil.brandenburg.de/mil/de/themen/staedtebau/staedtebaufoerderung/",
     description: "Städtebauförderung des Landes Brandenburg"
   }),
   addEnhancedMetadata({
+    id: "leader-brandenburg",
     name: "LEADER Brandenburg",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["BB"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-80%",
+    combinability: { group: "laendlich" },
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://mluk.brandenburg.de/mluk/de/landwirtschaft/foerderung/leader/",
     description: "EU-Förderung für ländliche Regionen in Brandenburg"
   }),
   addEnhancedMetadata({
+    id: "integrierte-laendliche-entwicklung-brandenburg-ile",
     name: "Integrierte ländliche Entwicklung Brandenburg (ILE)",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["BB"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 75%",
+    combinability: { group: "laendlich" },
     source: "https://mluk.brandenburg.de/",
     description: "Förderung ländlicher Infrastruktur"
   }),
   addEnhancedMetadata({
+    id: "ilb-zusammenhalt-in-kleinen-gemeinden",
     name: "ILB - Zusammenhalt in kleinen Gemeinden",
     type: ["playground", "combination"],
     federalStates: ["BB"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "bis 80%",
+    combinability: { group: "laendlich" },
     source: "https://www.ilb.de/",
     description: "Förderung kleiner Gemeinden und Ortsteile"
   }),
   
   // ========== BREMEN ==========
   addEnhancedMetadata({
+    id: "spielraumfoerderung-bremen",
     name: "Spielraumförderung Bremen",
     type: ["playground"],
     federalStates: ["HB"],
+    eligibleApplicants: ["kommune", "verein", "initiative"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "variabel",
+    combinability: { group: "landesprogramm" },
     source: "https://www.soziales.bremen.de/",
     description: "Bremer Spielplatzförderung"
   }),
   addEnhancedMetadata({
+    id: "laenderfonds-bremen-spielraeume-schaffen-dkhw",
     name: "Länderfonds Bremen - SpielRäume schaffen (DKHW)",
     type: ["playground"],
     federalStates: ["HB"],
+    eligibleApplicants: ["verein", "initiative", "kita-traeger", "kirchengemeinde"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "bis 10.000 EUR",
+    combinability: { group: "stiftung", excludes: ["deutsches-kinderhilfswerk-themenfonds-spielraum", "deutsches-kinderhilfswerk-spielplatz-initiative"] },
     source: "https://www.dkhw.de/",
     description: "Deutsches Kinderhilfswerk Länderfonds Bremen"
   }),
   addEnhancedMetadata({
+    id: "wohnen-in-nachbarschaften-win-bremen",
     name: "Wohnen in Nachbarschaften (WiN) Bremen",
     type: ["playground", "combination"],
     federalStates: ["HB"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    regionRestriction: { landkreise: ["04011"] },
     source: "https://www.bauumwelt.bremen.de/",
     description: "Quartiersförderung in Bremen"
   }),
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-bremerhaven",
     name: "Städtebauförderung Bremerhaven",
     type: ["playground", "combination"],
     federalStates: ["HB"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    regionRestriction: { landkreise: ["04012"] },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.bremerhaven.de/",
     description: "Städtebauförderung für Bremerhaven"
   }),
   addEnhancedMetadata({
+    id: "landesprogramm-lebendige-quartiere-bremerhaven",
     name: "Landesprogramm Lebendige Quartiere Bremerhaven",
     type: ["playground", "combination"],
     federalStates: ["HB"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "greening"],
     fundingRate: "variabel",
+    combinability: { group: "staedtebau" },
+    regionRestriction: { landkreise: ["04012"] },
     source: "https://www.bremerhaven.de/",
     description: "Quartiersförderung Bremerhaven"
   }),
@@ -383,150 +506,204 @@ const rawPrograms = [
   
   // ========== HAMBURG ==========
   addEnhancedMetadata({
+    id: "rise-rahmenprogramm-integrierte-stadtteilentwicklung",
     name: "RISE - Rahmenprogramm Integrierte Stadtteilentwicklung",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["HH"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "variabel",
+    combinability: { group: "staedtebau" },
     source: "https://www.hamburg.de/rise/",
     description: "Hamburger Stadtteilentwicklungsprogramm"
   }),
   addEnhancedMetadata({
+    id: "stadtentwicklungsfonds-lebendige-quartiere-hamburg",
     name: "Stadtentwicklungsfonds Lebendige Quartiere Hamburg",
     type: ["playground", "combination"],
     federalStates: ["HH"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "greening"],
     fundingRate: "variabel",
+    combinability: { group: "staedtebau" },
     source: "https://www.hamburg.de/",
     description: "Förderung lebendiger Quartiere"
   }),
   addEnhancedMetadata({
+    id: "investitionspakt-soziale-integration-im-quartier-hamburg",
     name: "Investitionspakt Soziale Integration im Quartier (Hamburg)",
     type: ["playground", "combination"],
     federalStates: ["HH"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "bis 75%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.hamburg.de/",
     description: "Soziale Integration in Hamburger Quartieren"
   }),
   addEnhancedMetadata({
+    id: "gemeinschaftsfonds-hamburger-spielraeume",
     name: "Gemeinschaftsfonds Hamburger Spielräume",
     type: ["playground"],
     federalStates: ["HH"],
+    eligibleApplicants: ["verein", "initiative", "kita-traeger", "kirchengemeinde"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "variabel",
+    combinability: { group: "stiftung" },
     source: "https://www.buergerstiftung-hamburg.de/",
     description: "BürgerStiftung Hamburg Spielraumförderung"
   }),
   addEnhancedMetadata({
+    id: "quartiersfonds-hamburg",
     name: "Quartiersfonds Hamburg",
     type: ["playground", "combination"],
     federalStates: ["HH"],
+    eligibleApplicants: ["verein", "initiative", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation"],
     fundingRate: "variabel",
+    combinability: { group: "landesprogramm" },
     source: "https://www.hamburg.de/",
     description: "Bezirkliche Quartiersförderung"
   }),
   
   // ========== HESSEN ==========
   addEnhancedMetadata({
+    id: "rilise-nachhaltige-stadtentwicklung-hessen",
     name: "RiLiSE - Nachhaltige Stadtentwicklung Hessen",
     type: ["playground", "combination"],
     federalStates: ["HE"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
     source: "https://wirtschaft.hessen.de/staedte-und-regionen/staedtebaufoerderung",
     description: "Hessische Städtebauförderung"
   }),
   addEnhancedMetadata({
+    id: "lebendige-zentren-hessen",
     name: "Lebendige Zentren Hessen",
     type: ["playground", "combination"],
     federalStates: ["HE"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://wirtschaft.hessen.de/",
     description: "Förderung von Zentren in Hessen"
   }),
   addEnhancedMetadata({
+    id: "dorfentwicklung-hessen",
     name: "Dorfentwicklung Hessen",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["HE"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 70%",
+    combinability: { group: "laendlich" },
+    municipalityRequirements: { maxOrtPopulation: 10000 },
     source: "https://umwelt.hessen.de/",
     description: "Förderung ländlicher Infrastruktur in Hessen"
   }),
   addEnhancedMetadata({
+    id: "starkes-dorf-hessen",
     name: "STARKES DORF+ Hessen",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["HE"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "bis 80%",
+    combinability: { group: "laendlich" },
     source: "https://staatskanzlei.hessen.de/",
     description: "Hessisches Dorfentwicklungsprogramm"
   }),
   addEnhancedMetadata({
+    id: "sportstaettenbau-hessen",
     name: "Sportstättenbau Hessen",
     type: ["calisthenics", "combination"],
     federalStates: ["HE"],
+    eligibleApplicants: ["kommune", "verein"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "30-50%",
+    combinability: { group: "sport" },
     source: "https://www.hessen.de/",
     description: "Hessische Sportstättenförderung"
   }),
   
   // ========== MECKLENBURG-VORPOMMERN ==========
   addEnhancedMetadata({
+    id: "spielplatzfoerderung-mecklenburg-vorpommern",
     name: "Spielplatzförderung Mecklenburg-Vorpommern",
     type: ["playground"],
     federalStates: ["MV"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "bis 90%",
+    combinability: { group: "landesprogramm" },
     source: "https://www.regierung-mv.de/",
     description: "Zuschuss für kommunale Kinderspielplätze"
   }),
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-mecklenburg-vorpommern",
     name: "Städtebauförderung Mecklenburg-Vorpommern",
     type: ["playground", "combination"],
     federalStates: ["MV"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.lfi-mv.de/foerderungen/staedtebaufoerderung/",
     description: "Städtebauförderung in M-V"
   }),
   addEnhancedMetadata({
+    id: "leader-mecklenburg-vorpommern",
     name: "LEADER Mecklenburg-Vorpommern",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["MV"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-80%",
+    combinability: { group: "laendlich" },
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://www.lfi-mv.de/",
     description: "EU-Förderung für ländliche Regionen in M-V"
   }),
   addEnhancedMetadata({
+    id: "integrierte-laendliche-entwicklung-m-v-ilerl",
     name: "Integrierte ländliche Entwicklung M-V (ILERL)",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["MV"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 75%",
+    combinability: { group: "laendlich" },
     source: "https://www.lfi-mv.de/",
     description: "Dorfentwicklung in Mecklenburg-Vorpommern"
   }),
   addEnhancedMetadata({
+    id: "gak-regionalbudget-mecklenburg-vorpommern",
     name: "GAK-Regionalbudget Mecklenburg-Vorpommern",
     type: ["playground", "calisthenics"],
     federalStates: ["MV"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation"],
     fundingRate: "bis 80%, max 20.000 EUR",
+    combinability: { group: "laendlich" },
     source: "https://www.lfi-mv.de/",
     description: "Kleinprojekte im ländlichen Raum"
   }),
   addEnhancedMetadata({
+    id: "buergerfonds-mecklenburg-vorpommern-spielplaetze",
     name: "Bürgerfonds Mecklenburg-Vorpommern - Spielplätze",
     type: ["playground"],
     federalStates: ["MV"],
+    eligibleApplicants: ["verein", "initiative", "kita-traeger", "kirchengemeinde"],
     measures: ["newBuild", "renovation"],
     fundingRate: "variabel",
+    combinability: { group: "stiftung" },
     source: "https://www.buergerfonds-mv.de/",
     description: "Bürgerschaftliche Spielplatzprojekte"
   }),
@@ -534,403 +711,573 @@ const rawPrograms = [
   
   // ========== NIEDERSACHSEN ==========
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-niedersachsen-lebendige-zentren",
     name: "Städtebauförderung Niedersachsen - Lebendige Zentren",
     type: ["playground", "combination"],
     federalStates: ["NI"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.nbank.de/Privatpersonen/Wohnen-Leben/Städtebauförderung/index.jsp",
     description: "Förderung lebendiger Zentren in Niedersachsen"
   }),
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-niedersachsen-sozialer-zusammenhalt",
     name: "Städtebauförderung Niedersachsen - Sozialer Zusammenhalt",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["NI"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["soziale-stadt"] },
     source: "https://www.nbank.de/",
     description: "Quartiersförderung in Niedersachsen"
   }),
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-niedersachsen-wachstum-und-nachhaltige-erneuerung",
     name: "Städtebauförderung Niedersachsen - Wachstum und nachhaltige Erneuerung",
     type: ["playground", "combination"],
     federalStates: ["NI"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.nbank.de/",
     description: "Nachhaltige Stadtentwicklung in Niedersachsen"
   }),
   addEnhancedMetadata({
+    id: "kleinere-staedte-und-gemeinden-niedersachsen",
     name: "Kleinere Städte und Gemeinden - Niedersachsen",
     type: ["playground", "combination"],
     federalStates: ["NI"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "60-75%",
+    combinability: { group: "staedtebau" },
     source: "https://www.nbank.de/",
     description: "Förderung überörtlicher Zusammenarbeit"
   }),
   addEnhancedMetadata({
+    id: "zile-dorfentwicklung-niedersachsen",
     name: "ZILE - Dorfentwicklung Niedersachsen",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["NI"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 70%",
+    combinability: { group: "laendlich" },
+    municipalityRequirements: { maxOrtPopulation: 10000 },
     source: "https://www.ml.niedersachsen.de/",
     description: "Zuwendungen zur integrierten ländlichen Entwicklung"
   }),
   addEnhancedMetadata({
+    id: "zile-basisdienstleistungen-niedersachsen",
     name: "ZILE - Basisdienstleistungen Niedersachsen",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["NI"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "bis 65%",
+    combinability: { group: "laendlich" },
     source: "https://www.ml.niedersachsen.de/",
     description: "Förderung von Basisdienstleistungen im ländlichen Raum"
   }),
   addEnhancedMetadata({
+    id: "leader-niedersachsen-klara",
     name: "LEADER Niedersachsen (KLARA)",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["NI"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-80%",
+    combinability: { group: "laendlich" },
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://www.eler.niedersachsen.de/startseite/leader/",
     description: "EU-Förderung für ländliche Regionen in Niedersachsen"
   }),
   addEnhancedMetadata({
+    id: "sportstaettenbaufoerderung-niedersachsen",
     name: "Sportstättenbauförderung Niedersachsen",
     type: ["calisthenics", "combination"],
     federalStates: ["NI"],
+    eligibleApplicants: ["kommune", "verein"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "30-50%",
+    combinability: { group: "sport" },
     source: "https://www.lsb-niedersachsen.de/",
     description: "Landessportbund Niedersachsen Förderung"
   }),
   
   // ========== NORDRHEIN-WESTFALEN ==========
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-nordrhein-westfalen",
     name: "Städtebauförderung Nordrhein-Westfalen",
     type: ["playground", "combination"],
     federalStates: ["NW"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    applicationWindows: [{ type: "jaehrlich", end: "09-30", label: "Stichtag Programmaufruf Städtebauförderung" }],
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.mhkbd.nrw/themen/bau/staedtebau/staedtebaufoerderung",
     description: "NRW Städtebauförderung (MHKBD)"
   }),
   addEnhancedMetadata({
+    id: "struktur-und-dorfentwicklung-nrw",
     name: "Struktur- und Dorfentwicklung NRW",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["NW"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 70%",
+    combinability: { group: "laendlich" },
     source: "https://www.umwelt.nrw.de/",
     description: "Strukturentwicklung des ländlichen Raums"
   }),
   addEnhancedMetadata({
+    id: "regionalbudget-fuer-kleinprojekte-nrw",
     name: "Regionalbudget für Kleinprojekte NRW",
     type: ["playground", "calisthenics"],
     federalStates: ["NW"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation"],
     fundingRate: "bis 80%, max 20.000 EUR",
+    combinability: { group: "laendlich" },
     source: "https://www.umwelt.nrw.de/",
     description: "GAK-Regionalbudget für Kleinprojekte"
   }),
   addEnhancedMetadata({
+    id: "leader-nordrhein-westfalen-2023-2027",
     name: "LEADER Nordrhein-Westfalen 2023-2027",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["NW"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-80%",
+    combinability: { group: "laendlich" },
+    validFrom: "2023-01-01",
+    validUntil: "2027-12-31",
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://www.umwelt.nrw.de/landwirtschaft/foerderung/leader",
     description: "EU-Förderung für ländliche Regionen in NRW"
   }),
   addEnhancedMetadata({
+    id: "nrw-sportstaettenfoerderung",
     name: "NRW Sportstättenförderung",
     type: ["calisthenics", "combination"],
     federalStates: ["NW"],
+    eligibleApplicants: ["kommune", "verein"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "bis 50%",
+    combinability: { group: "sport" },
     source: "https://www.land.nrw/de/tags/sportstättenförderung",
     description: "Förderung von Sportstätten in NRW"
   }),
   
   // ========== RHEINLAND-PFALZ ==========
   addEnhancedMetadata({
+    id: "staedtebauliche-erneuerung-rheinland-pfalz-rl-stee",
     name: "Städtebauliche Erneuerung Rheinland-Pfalz (RL-StEE)",
     type: ["playground", "combination"],
     federalStates: ["RP"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://mwvlw.rlp.de/de/themen/bauen-und-wohnen/staedtebau/staedtebaufoerderung/",
     description: "Förderung der Städtebaulichen Erneuerung und Entwicklung"
   }),
   addEnhancedMetadata({
+    id: "dorferneuerung-rheinland-pfalz-kommunal",
     name: "Dorferneuerung Rheinland-Pfalz (kommunal)",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["RP"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 70%",
+    combinability: { group: "laendlich" },
     source: "https://www.eler-eulle.rlp.de/",
     description: "Kommunale Dorferneuerung in RLP"
   }),
   addEnhancedMetadata({
+    id: "leader-rheinland-pfalz",
     name: "LEADER Rheinland-Pfalz",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["RP"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-80%",
+    combinability: { group: "laendlich" },
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://mwvlw.rlp.de/de/themen/laendlicher-raum/leader/",
     description: "EU-Förderung für ländliche Regionen in RLP"
   }),
   addEnhancedMetadata({
+    id: "regionalbudget-gak-rheinland-pfalz",
     name: "Regionalbudget (GAK) Rheinland-Pfalz",
     type: ["playground", "calisthenics"],
     federalStates: ["RP"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation"],
     fundingRate: "bis 80%, max 20.000 EUR",
+    combinability: { group: "laendlich" },
     source: "https://www.eler-eulle.rlp.de/",
     description: "Kleinprojekte im ländlichen Raum"
   }),
   addEnhancedMetadata({
+    id: "sportstaettenfoerderprogramm-land-in-bewegung-rlp",
     name: "Sportstättenförderprogramm Land in Bewegung (RLP)",
     type: ["calisthenics", "combination"],
     federalStates: ["RP"],
+    eligibleApplicants: ["kommune", "verein"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "30-50%",
+    combinability: { group: "sport" },
     source: "https://mffki.rlp.de/",
     description: "Sportstättenförderung in Rheinland-Pfalz"
   }),
   
   // ========== SAARLAND ==========
   addEnhancedMetadata({
+    id: "lebendige-zentren-saarland",
     name: "Lebendige Zentren Saarland",
     type: ["playground", "combination"],
     federalStates: ["SL"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.saarland.de/",
     description: "Förderung von Stadt- und Ortskernen"
   }),
   addEnhancedMetadata({
+    id: "wachstum-und-nachhaltige-erneuerung-saarland",
     name: "Wachstum und nachhaltige Erneuerung Saarland",
     type: ["playground", "combination"],
     federalStates: ["SL"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.saarland.de/",
     description: "Nachhaltige Stadtentwicklung"
   }),
   addEnhancedMetadata({
+    id: "investitionspakt-soziale-integration-im-quartier-saarland",
     name: "Investitionspakt Soziale Integration im Quartier (Saarland)",
     type: ["playground", "combination"],
     federalStates: ["SL"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "bis 75%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.saarland.de/",
     description: "Soziale Integration in Quartieren"
   }),
   addEnhancedMetadata({
+    id: "oeffentliche-dorferneuerung-saarland-eler-2023-2027",
     name: "Öffentliche Dorferneuerung Saarland (ELER 2023-2027)",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["SL"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 70%",
+    combinability: { group: "laendlich" },
+    validFrom: "2023-01-01",
+    validUntil: "2027-12-31",
     source: "https://www.saarland.de/",
     description: "Dorfentwicklung im Saarland"
   }),
   addEnhancedMetadata({
+    id: "leader-saarland-2023-2027",
     name: "LEADER Saarland 2023-2027",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["SL"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-80%",
+    combinability: { group: "laendlich" },
+    validFrom: "2023-01-01",
+    validUntil: "2027-12-31",
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://www.saarland.de/",
     description: "EU-Förderung für ländliche Regionen"
   }),
   
   // ========== SACHSEN ==========
   addEnhancedMetadata({
+    id: "lebendige-zentren-sachsen-lzp",
     name: "Lebendige Zentren Sachsen (LZP)",
     type: ["playground", "combination"],
     federalStates: ["SN"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.sab.sachsen.de/",
     description: "Erhalt und Entwicklung der Stadt- und Ortskerne"
   }),
   addEnhancedMetadata({
+    id: "wachstum-und-nachhaltige-erneuerung-sachsen-wep",
     name: "Wachstum und nachhaltige Erneuerung Sachsen (WEP)",
     type: ["playground", "combination"],
     federalStates: ["SN"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.sab.sachsen.de/",
     description: "Lebendige Quartiere gestalten"
   }),
   addEnhancedMetadata({
+    id: "investitionspakt-sportstaetten-sachsen-ivp-sport",
     name: "Investitionspakt Sportstätten Sachsen (IVP-Sport)",
     type: ["calisthenics", "combination"],
     federalStates: ["SN"],
+    eligibleApplicants: ["kommune", "verein"],
     measures: ["newBuild", "renovation", "accessibility"],
     fundingRate: "bis 75%",
+    combinability: { group: "sport" },
     source: "https://www.sab.sachsen.de/",
     description: "Förderung von Sportstätten"
   }),
   addEnhancedMetadata({
+    id: "vitale-dorfkerne-und-ortszentren-sachsen",
     name: "Vitale Dorfkerne und Ortszentren Sachsen",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["SN"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 75%",
+    combinability: { group: "laendlich" },
     source: "https://www.sab.sachsen.de/",
     description: "Dorfkernentwicklung im ländlichen Raum"
   }),
   addEnhancedMetadata({
+    id: "regionalbudgets-sachsen",
     name: "Regionalbudgets Sachsen",
     type: ["playground", "calisthenics"],
     federalStates: ["SN"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation"],
     fundingRate: "bis 80%, max 20.000 EUR",
+    combinability: { group: "laendlich" },
     source: "https://www.sab.sachsen.de/",
     description: "Kleinprojekte im ländlichen Raum"
   }),
   addEnhancedMetadata({
+    id: "leader-sachsen",
     name: "LEADER Sachsen",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["SN"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-80%",
+    combinability: { group: "laendlich" },
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://www.leader.sachsen.de/",
     description: "EU-Förderung für ländliche Regionen"
   }),
   addEnhancedMetadata({
+    id: "foerderrichtlinie-laendliche-entwicklung-sachsen-frl-le-2025",
     name: "Förderrichtlinie Ländliche Entwicklung Sachsen (FRL LE/2025)",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["SN"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 75%",
+    combinability: { group: "laendlich" },
     source: "https://www.sab.sachsen.de/",
     description: "Ländliche Entwicklung in Sachsen"
   }),
   addEnhancedMetadata({
+    id: "sachsen-barrierefrei-2030",
     name: "Sachsen barrierefrei 2030",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["SN"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["accessibility", "renovation"],
     fundingRate: "variabel",
+    combinability: { group: "landesprogramm" },
     source: "https://www.sab.sachsen.de/",
     description: "Förderung barrierefreier Maßnahmen"
   }),
   
   // ========== SACHSEN-ANHALT ==========
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-sachsen-anhalt-mid",
     name: "Städtebauförderung Sachsen-Anhalt (MID)",
     type: ["playground", "combination"],
     federalStates: ["ST"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://mid.sachsen-anhalt.de/",
     description: "Städtebauförderung in Sachsen-Anhalt"
   }),
   addEnhancedMetadata({
+    id: "leader-sachsen-anhalt",
     name: "LEADER Sachsen-Anhalt",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["ST"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-80%",
+    combinability: { group: "laendlich" },
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://mw.sachsen-anhalt.de/",
     description: "EU-Förderung für ländliche Regionen"
   }),
   addEnhancedMetadata({
+    id: "dorfentwicklung-und-laendlicher-wegebau-sachsen-anhalt",
     name: "Dorfentwicklung und ländlicher Wegebau Sachsen-Anhalt",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["ST"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 70%",
+    combinability: { group: "laendlich" },
     source: "https://www.ib-sachsen-anhalt.de/",
     description: "Dorferneuerung und -entwicklung (ELER)"
   }),
   
   // ========== SCHLESWIG-HOLSTEIN ==========
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-schleswig-holstein-lz-sz-wune",
     name: "Städtebauförderung Schleswig-Holstein (LZ/SZ/WuNE)",
     type: ["playground", "combination"],
     federalStates: ["SH"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://www.schleswig-holstein.de/",
     description: "Lebendige Zentren, Sozialer Zusammenhalt, Wachstum und nachhaltige Erneuerung"
   }),
   addEnhancedMetadata({
+    id: "gak-ortskernentwicklung-schleswig-holstein",
     name: "GAK-Ortskernentwicklung Schleswig-Holstein",
     type: ["playground", "combination"],
     federalStates: ["SH"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 75%",
+    combinability: { group: "laendlich" },
     source: "https://www.schleswig-holstein.de/",
     description: "Ortskernentwicklung im ländlichen Raum"
   }),
   addEnhancedMetadata({
+    id: "foerderung-des-laendlichen-raums-sh-2023-2027-eler-gap",
     name: "Förderung des ländlichen Raums SH 2023-2027 (ELER/GAP)",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["SH"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 70%",
+    combinability: { group: "laendlich" },
+    validFrom: "2023-01-01",
+    validUntil: "2027-12-31",
     source: "https://www.schleswig-holstein.de/",
     description: "ELER-Förderung für ländliche Entwicklung"
   }),
   addEnhancedMetadata({
+    id: "leader-2023-2027-schleswig-holstein-aktivregionen",
     name: "LEADER 2023-2027 Schleswig-Holstein (AktivRegionen)",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["SH"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-80%",
+    combinability: { group: "laendlich" },
+    validFrom: "2023-01-01",
+    validUntil: "2027-12-31",
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://www.schleswig-holstein.de/",
     description: "EU-Förderung für ländliche Regionen"
   }),
   addEnhancedMetadata({
+    id: "integrierte-laendliche-entwicklung-ile-schleswig-holstein",
     name: "Integrierte ländliche Entwicklung (ILE) Schleswig-Holstein",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["SH"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 70%",
+    combinability: { group: "laendlich" },
     source: "https://www.schleswig-holstein.de/",
     description: "ILE-Richtlinie 2023-2027"
   }),
   
   // ========== THÜRINGEN ==========
   addEnhancedMetadata({
+    id: "staedtebaufoerderung-thueringen",
     name: "Städtebauförderung Thüringen",
     type: ["playground", "combination"],
     federalStates: ["TH"],
+    eligibleApplicants: ["kommune"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "60-80%",
+    combinability: { group: "staedtebau" },
+    municipalityRequirements: { foerdergebiete: ["sanierungsgebiet", "soziale-stadt"] },
     source: "https://infrastruktur-landwirtschaft.thueringen.de/",
     description: "Städtebauförderung in Thüringen"
   }),
   addEnhancedMetadata({
+    id: "dorferneuerung-und-entwicklung-thueringen",
     name: "Dorferneuerung und -entwicklung Thüringen",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["TH"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 70%",
+    combinability: { group: "laendlich" },
     source: "https://infrastruktur-landwirtschaft.thueringen.de/",
     description: "Dorfentwicklung in Thüringen"
   }),
   addEnhancedMetadata({
+    id: "leader-thueringen-portia",
     name: "LEADER Thüringen (PORTIA)",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["TH"],
+    eligibleApplicants: ["kommune", "verein", "kita-traeger", "kirchengemeinde", "initiative", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "50-80%",
+    combinability: { group: "laendlich" },
+    applicationWindows: [{ type: "laufend", label: "Rollierende Förderaufrufe der LAG" }],
+    regionRestriction: { regionTypes: ["leader"] },
     source: "https://infrastruktur-landwirtschaft.thueringen.de/",
     description: "EU-Förderung für ländliche Regionen - Online-Antragstellung"
   }),
   addEnhancedMetadata({
+    id: "integrierte-laendliche-entwicklung-ile-thueringen",
     name: "Integrierte Ländliche Entwicklung (ILE) Thüringen",
     type: ["playground", "calisthenics", "combination"],
     federalStates: ["TH"],
+    eligibleApplicants: ["kommune", "verein", "kirchengemeinde", "privat"],
     measures: ["newBuild", "renovation", "accessibility", "greening"],
     fundingRate: "bis 75%",
+    combinability: { group: "laendlich" },
     source: "https://infrastruktur-landwirtschaft.thueringen.de/",
     description: "ILE-Programmübersicht"
   })
@@ -0,0 +1,82 @@
+/**
+ * Display labels for the program codes
+ *
+ * Shared by the filter stages, the analysis texts, the search and the admin
+ * and import views; the codes are the values stored in fundingPrograms.js and
+ * programRegistry.js.
+ */
+
+/**
+ * Project types with display labels
+ */
+export const PROGRAM_TYPES = {
+  'playground': 'Spielplatz',
+  'calisthenics': 'Calisthenics / Outdoor Fitness',
+  'combination': 'Kombination'
+};
+
+/**
+ * Measures with display labels
+ */
+export const PROGRAM_MEASURES = {
+  'newBuild': 'Neubau',
+  'renovation': 'Sanierung',
+  'accessibility': 'Barrierefreiheit',
+  'greening': 'Begrünung'
+};
+
+/**
+ * Use cases of the strict classification with display labels
+ */
+export const USE_CASES = {
+  'stadt-quartier': 'Stadt / Quartier',
+  'laendlicher-raum': 'Ländlicher Raum',
+  'oeffentlich-kommunal': 'Öffentlich / kommunal',
+  'kommunal-angebunden': 'Kommunal angebunden',
+  'parks-gruenanlage': 'Park / Grünanlage',
+  'wohnquartier': 'Wohnquartier',
+  'neubaugebiet': 'Neubaugebiet',
+  'sozialer-wohnungsbau': 'Sozialer Wohnungsbau',
+  'soziale-einrichtung': 'Soziale Einrichtung',
+  'kita': 'Kita',
+  'schule': 'Schule',
+  'freizeit-erholung': 'Freizeit / Erholung'
+};
+
+/**
+ * Location types with display labels
+ */
+export const LOCATION_TYPES = {
+  'urban': 'Städtisch',
+  'rural': 'Ländlich',
+  'both': 'Stadt und Land'
+};
+
+/**
+ * Program categories with display labels
+ */
+export const PROGRAM_CATEGORIES = {
+  'core': 'Kern (Einzelförderung)',
+  'conditional': 'Bedingt (Teil eines größeren Projekts)',
+  'hidden': 'Ausgeblendet'
+};
+
+/**
+ * Program origins (validateProgramOrigin) with display labels
+ */
+export const PROGRAM_ORIGINS = {
+  'federal': 'Bund',
+  'state': 'Land',
+  'eu': 'EU',
+  'mixed': 'Gemischt (Stiftung, Lotterie)'
+};
+
+/**
+ * Implementation levels (validateImplementationLevel) with display labels
+ */
+export const IMPLEMENTATION_LEVELS = {
+  'national': 'Bundesweit',
+  'state': 'Landesebene',
+  'regional': 'Regional',
+  'local': 'Lokal'
+};
@@ -0,0 +1,1139 @@
+/**
+ * Program registry
+ * Single source for the per-program attributes the filters rely on. Every program
+ * has a stable `id`; location type, use-case classification, category and the
+ * strict-filter exclusion are attributes of its record. Legacy references by
+ * name (including old names listed in `aliases`) are resolved through the loader
+ * functions below, so renaming a program no longer drops it from results.
+ *
+ * Record fields:
+ * - id: stable identifier, never changes once assigned
+ * - name: current program name (matches fundingPrograms.js)
+ * - aliases: former names that still resolve to this record
+ * - category: 'core' | 'conditional' | 'hidden' | 'deleted'
+ *   ('deleted': program removed from the dataset, the record keeps its references resolving)
+ * - locationType: 'urban' | 'rural' | 'both'
+ * - excluded: never recommended by the strict filter (Stiftungen, LOTTO, Sanierung)
+ * - classification: { types, useCases, excludedUseCases } for strict matching, or null
+ */
+
+/**
+ * Use cases excluded by most rural development programs
+ */
+const RURAL_EXCLUDED_USE_CASES = ['neubaugebiet', 'wohnquartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'kommunal-angebunden'];
+
+/**
+ * Classification shared by the Sportstättenförderung programs of the states.
+ * They fund outdoor fitness / calisthenics facilities in towns and villages alike.
+ */
+const SPORTS_FACILITY_CLASSIFICATION = {
+  types: ['sports_facilities', 'public_infrastructure'],
+  useCases: ['stadt-quartier', 'laendlicher-raum', 'oeffentlich-kommunal', 'parks-gruenanlage', 'freizeit-erholung'],
+  excludedUseCases: ['kita', 'schule', 'soziale-einrichtung']
+};
+
+/**
+ * Classification shared by the Städtebauförderung programs of the states
+ * (Lebendige Zentren, Wachstum und nachhaltige Erneuerung in urban areas).
+ */
+const STAEDTEBAU_CLASSIFICATION = {
+  types: ['urban_development', 'public_infrastructure'],
+  useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'neubaugebiet', 'wohnquartier'],
+  excludedUseCases: ['laendlicher-raum']
+};
+
+/**
+ * Städtebauförderung for small towns and rural centres (Kleinere Städte und
+ * Gemeinden, Wachstum und nachhaltige Erneuerung outside the cities).
+ */
+const STAEDTEBAU_SMALL_TOWNS_CLASSIFICATION = {
+  types: ['urban_development', 'public_infrastructure'],
+  useCases: ['stadt-quartier', 'laendlicher-raum', 'oeffentlich-kommunal', 'parks-gruenanlage', 'neubaugebiet'],
+  excludedUseCases: []
+};
+
+/**
+ * Classification shared by the Sozialer Zusammenhalt / Investitionspakt
+ * programs and the neighbourhood funds of the city-states.
+ */
+const SOCIAL_INTEGRATION_CLASSIFICATION = {
+  types: ['social_integration', 'urban_development', 'public_infrastructure'],
+  useCases: ['stadt-quartier', 'wohnquartier', 'soziale-einrichtung', 'kommunal-angebunden', 'oeffentlich-kommunal'],
+  excludedUseCases: ['laendlicher-raum']
+};
+
+/**
+ * Classification shared by the dedicated playground programs of the states.
+ */
+const PLAYGROUND_CLASSIFICATION = {
+  types: ['public_infrastructure', 'social_facilities'],
+  useCases: ['stadt-quartier', 'laendlicher-raum', 'oeffentlich-kommunal', 'parks-gruenanlage', 'wohnquartier', 'kommunal-angebunden', 'freizeit-erholung'],
+  excludedUseCases: []
+};
+
+export const PROGRAM_REGISTRY = [
+  {
+    id: 'staedtebaufoerderung-lebendige-zentren',
+    name: 'Städtebauförderung - Lebendige Zentren',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: {
+      types: ['urban_development', 'public_infrastructure'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'neubaugebiet', 'wohnquartier'],
+      excludedUseCases: ['kita', 'schule', 'soziale-einrichtung']
+    }
+  },
+  {
+    id: 'wachstum-und-nachhaltige-erneuerung',
+    name: 'Wachstum und nachhaltige Erneuerung',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: {
+      types: ['urban_development', 'public_infrastructure'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'neubaugebiet'],
+      excludedUseCases: ['kommunal-angebunden']
+    }
+  },
+  {
+    id: 'gak-foerderung-der-dorfentwicklung',
+    name: 'GAK - Förderung der Dorfentwicklung',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: ['oeffentlich-kommunal', 'parks-gruenanlage', 'neubaugebiet', 'wohnquartier', 'kommunal-angebunden']
+    }
+  },
+  {
+    id: 'leader-eu-foerderung-fuer-laendliche-regionen',
+    name: 'LEADER - EU-Förderung für ländliche Regionen',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: ['oeffentlich-kommunal', 'parks-gruenanlage', 'neubaugebiet', 'wohnquartier', 'kommunal-angebunden']
+    }
+  },
+  {
+    id: 'buleplus-soziale-dorfentwicklung',
+    name: 'BULEplus - Soziale Dorfentwicklung',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'social_integration'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: ['stadt-quartier', 'neubaugebiet', 'wohnquartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'kommunal-angebunden']
+    }
+  },
+  {
+    id: 'deutsches-kinderhilfswerk-themenfonds-spielraum',
+    name: 'Deutsches Kinderhilfswerk - Themenfonds Spielraum',
+    category: 'core',
+    locationType: 'both',
+    excluded: true,
+    classification: {
+      types: ['public_infrastructure', 'social_facilities'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'wohnquartier', 'kommunal-angebunden'],
+      excludedUseCases: []
+    }
+  },
+  {
+    id: 'deutsches-kinderhilfswerk-spielplatz-initiative',
+    name: 'Deutsches Kinderhilfswerk - Spielplatz-Initiative',
+    category: 'core',
+    locationType: 'both',
+    excluded: true,
+    classification: {
+      types: ['public_infrastructure', 'social_facilities'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'wohnquartier', 'kommunal-angebunden'],
+      excludedUseCases: []
+    }
+  },
+  {
+    id: 'staedtebaufoerderung-baden-wuerttemberg',
+    name: 'Städtebauförderung Baden-Württemberg',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: {
+      types: ['urban_development', 'public_infrastructure'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'neubaugebiet', 'wohnquartier'],
+      excludedUseCases: ['laendlicher-raum']
+    }
+  },
+  {
+    id: 'investitionspakt-bw-soziale-integration-im-quartier',
+    name: 'Investitionspakt BW - Soziale Integration im Quartier',
+    category: 'core',
+    locationType: 'urban',
+    classification: {
+      types: ['social_integration', 'urban_development', 'public_infrastructure'],
+      useCases: ['stadt-quartier', 'wohnquartier', 'soziale-einrichtung', 'kommunal-angebunden', 'oeffentlich-kommunal'],
+      excludedUseCases: ['laendlicher-raum']
+    }
+  },
+  {
+    id: 'entwicklungsprogramm-laendlicher-raum-elr-bw',
+    name: 'Entwicklungsprogramm Ländlicher Raum (ELR) BW',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'public_infrastructure'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'leader-baden-wuerttemberg',
+    name: 'LEADER Baden-Württemberg',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'regionalbudget-baden-wuerttemberg',
+    name: 'Regionalbudget Baden-Württemberg',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'ausgleichstock-baden-wuerttemberg',
+    name: 'Ausgleichstock Baden-Württemberg',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: {
+      types: ['public_infrastructure', 'municipal_investment'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'wohnquartier', 'kommunal-angebunden'],
+      excludedUseCases: []
+    }
+  },
+  {
+    id: 'baden-wuerttemberg-sportstaettenfoerderung',
+    name: 'Baden-Württemberg Sportstättenförderung',
+    category: 'core',
+    locationType: 'both',
+    classification: SPORTS_FACILITY_CLASSIFICATION
+  },
+  {
+    id: 'staedtebaufoerderung-bayern',
+    name: 'Städtebauförderung Bayern',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'dorferneuerung-bayern',
+    name: 'Dorferneuerung Bayern',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'leader-bayern-2023-2027',
+    name: 'LEADER Bayern 2023-2027',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'regionalbudget-bayern',
+    name: 'Regionalbudget Bayern',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'kita-und-spielplatzsanierungsprogramm-bayern-kssp',
+    name: 'Kita- und Spielplatzsanierungsprogramm Bayern (KSSP)',
+    category: 'core',
+    locationType: 'both',
+    classification: {
+      types: ['public_infrastructure', 'social_facilities'],
+      useCases: ['stadt-quartier', 'laendlicher-raum', 'oeffentlich-kommunal', 'parks-gruenanlage', 'kommunal-angebunden', 'kita'],
+      excludedUseCases: []
+    }
+  },
+  {
+    id: 'landesfoerderprogramm-sport-bayern',
+    name: 'Landesförderprogramm Sport Bayern',
+    category: 'core',
+    locationType: 'both',
+    classification: SPORTS_FACILITY_CLASSIFICATION
+  },
+  {
+    id: 'staedtebaufoerderung-berlin-lebendige-zentren',
+    name: 'Städtebauförderung Berlin - Lebendige Zentren',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: {
+      types: ['urban_development', 'public_infrastructure'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'neubaugebiet', 'wohnquartier'],
+      excludedUseCases: ['laendlicher-raum']
+    }
+  },
+  {
+    id: 'gruenflaechen-und-spielplaetze-in-der-nachbarschaft-berlin',
+    name: 'Grünflächen und Spielplätze in der Nachbarschaft (Berlin)',
+    category: 'core',
+    locationType: 'urban',
+    classification: {
+      types: ['green_spaces', 'public_infrastructure'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'wohnquartier', 'kommunal-angebunden'],
+      excludedUseCases: ['laendlicher-raum']
+    }
+  },
+  {
+    id: 'staedtebaufoerderung-brandenburg',
+    name: 'Städtebauförderung Brandenburg',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'leader-brandenburg',
+    name: 'LEADER Brandenburg',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'integrierte-laendliche-entwicklung-brandenburg-ile',
+    name: 'Integrierte ländliche Entwicklung Brandenburg (ILE)',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'ilb-zusammenhalt-in-kleinen-gemeinden',
+    name: 'ILB - Zusammenhalt in kleinen Gemeinden',
+    category: 'core',
+    locationType: 'both',
+    classification: {
+      types: ['social_integration', 'public_infrastructure'],
+      useCases: ['laendlicher-raum', 'oeffentlich-kommunal', 'kommunal-angebunden', 'freizeit-erholung'],
+      excludedUseCases: ['neubaugebiet', 'sozialer-wohnungsbau']
+    }
+  },
+  {
+    id: 'spielraumfoerderung-bremen',
+    name: 'Spielraumförderung Bremen',
+    category: 'core',
+    locationType: 'both',
+    classification: PLAYGROUND_CLASSIFICATION
+  },
+  {
+    id: 'laenderfonds-bremen-spielraeume-schaffen-dkhw',
+    name: 'Länderfonds Bremen - SpielRäume schaffen (DKHW)',
+    category: 'core',
+    locationType: 'both',
+    classification: PLAYGROUND_CLASSIFICATION
+  },
+  {
+    id: 'wohnen-in-nachbarschaften-win-bremen',
+    name: 'Wohnen in Nachbarschaften (WiN) Bremen',
+    category: 'core',
+    locationType: 'both',
+    classification: SOCIAL_INTEGRATION_CLASSIFICATION
+  },
+  {
+    id: 'staedtebaufoerderung-bremerhaven',
+    name: 'Städtebauförderung Bremerhaven',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'landesprogramm-lebendige-quartiere-bremerhaven',
+    name: 'Landesprogramm Lebendige Quartiere Bremerhaven',
+    category: 'core',
+    locationType: 'urban',
+    classification: SOCIAL_INTEGRATION_CLASSIFICATION
+  },
+  {
+    id: 'rise-rahmenprogramm-integrierte-stadtteilentwicklung',
+    name: 'RISE - Rahmenprogramm Integrierte Stadtteilentwicklung',
+    category: 'conditional',
+    locationType: 'both',
+    classification: SOCIAL_INTEGRATION_CLASSIFICATION
+  },
+  {
+    id: 'stadtentwicklungsfonds-lebendige-quartiere-hamburg',
+    name: 'Stadtentwicklungsfonds Lebendige Quartiere Hamburg',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'investitionspakt-soziale-integration-im-quartier-hamburg',
+    name: 'Investitionspakt Soziale Integration im Quartier (Hamburg)',
+    category: 'core',
+    locationType: 'urban',
+    classification: SOCIAL_INTEGRATION_CLASSIFICATION
+  },
+  {
+    id: 'gemeinschaftsfonds-hamburger-spielraeume',
+    name: 'Gemeinschaftsfonds Hamburger Spielräume',
+    category: 'core',
+    locationType: 'both',
+    classification: PLAYGROUND_CLASSIFICATION
+  },
+  {
+    id: 'quartiersfonds-hamburg',
+    name: 'Quartiersfonds Hamburg',
+    category: 'core',
+    locationType: 'urban',
+    classification: SOCIAL_INTEGRATION_CLASSIFICATION
+  },
+  {
+    id: 'rilise-nachhaltige-stadtentwicklung-hessen',
+    name: 'RiLiSE - Nachhaltige Stadtentwicklung Hessen',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: {
+      types: ['urban_development', 'public_infrastructure'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'neubaugebiet', 'wohnquartier'],
+      excludedUseCases: ['kita', 'schule']
+    }
+  },
+  {
+    id: 'lebendige-zentren-hessen',
+    name: 'Lebendige Zentren Hessen',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: {
+      types: ['urban_development', 'public_infrastructure'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'neubaugebiet', 'wohnquartier'],
+      excludedUseCases: ['laendlicher-raum']
+    }
+  },
+  {
+    id: 'dorfentwicklung-hessen',
+    name: 'Dorfentwicklung Hessen',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal', 'public_infrastructure'],
+      useCases: ['laendlicher-raum', 'oeffentlich-kommunal', 'parks-gruenanlage'],
+      excludedUseCases: ['neubaugebiet', 'wohnquartier']
+    }
+  },
+  {
+    id: 'starkes-dorf-hessen',
+    name: 'STARKES DORF+ Hessen',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal', 'public_infrastructure'],
+      useCases: ['laendlicher-raum', 'oeffentlich-kommunal', 'parks-gruenanlage'],
+      excludedUseCases: ['neubaugebiet', 'wohnquartier']
+    }
+  },
+  {
+    id: 'sportstaettenbau-hessen',
+    name: 'Sportstättenbau Hessen',
+    category: 'core',
+    locationType: 'urban',
+    classification: {
+      types: ['sports_facilities', 'public_infrastructure'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'freizeit-erholung'],
+      excludedUseCases: ['kita', 'schule', 'soziale-einrichtung']
+    }
+  },
+  {
+    id: 'spielplatzfoerderung-mecklenburg-vorpommern',
+    name: 'Spielplatzförderung Mecklenburg-Vorpommern',
+    category: 'core',
+    locationType: 'both',
+    classification: PLAYGROUND_CLASSIFICATION
+  },
+  {
+    id: 'staedtebaufoerderung-mecklenburg-vorpommern',
+    name: 'Städtebauförderung Mecklenburg-Vorpommern',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'leader-mecklenburg-vorpommern',
+    name: 'LEADER Mecklenburg-Vorpommern',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'integrierte-laendliche-entwicklung-m-v-ilerl',
+    name: 'Integrierte ländliche Entwicklung M-V (ILERL)',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'gak-regionalbudget-mecklenburg-vorpommern',
+    name: 'GAK-Regionalbudget Mecklenburg-Vorpommern',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'buergerfonds-mecklenburg-vorpommern-spielplaetze',
+    name: 'Bürgerfonds Mecklenburg-Vorpommern - Spielplätze',
+    category: 'core',
+    locationType: 'both',
+    excluded: true,
+    classification: null
+  },
+  {
+    id: 'staedtebaufoerderung-niedersachsen-lebendige-zentren',
+    name: 'Städtebauförderung Niedersachsen - Lebendige Zentren',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'staedtebaufoerderung-niedersachsen-sozialer-zusammenhalt',
+    name: 'Städtebauförderung Niedersachsen - Sozialer Zusammenhalt',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: SOCIAL_INTEGRATION_CLASSIFICATION
+  },
+  {
+    id: 'staedtebaufoerderung-niedersachsen-wachstum-und-nachhaltige-erneuerung',
+    name: 'Städtebauförderung Niedersachsen - Wachstum und nachhaltige Erneuerung',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'kleinere-staedte-und-gemeinden-niedersachsen',
+    name: 'Kleinere Städte und Gemeinden - Niedersachsen',
+    category: 'conditional',
+    locationType: 'both',
+    classification: STAEDTEBAU_SMALL_TOWNS_CLASSIFICATION
+  },
+  {
+    id: 'zile-dorfentwicklung-niedersachsen',
+    name: 'ZILE - Dorfentwicklung Niedersachsen',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'zile-basisdienstleistungen-niedersachsen',
+    name: 'ZILE - Basisdienstleistungen Niedersachsen',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'public_infrastructure'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'leader-niedersachsen-klara',
+    name: 'LEADER Niedersachsen (KLARA)',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'sportstaettenbaufoerderung-niedersachsen',
+    name: 'Sportstättenbauförderung Niedersachsen',
+    category: 'core',
+    locationType: 'both',
+    classification: SPORTS_FACILITY_CLASSIFICATION
+  },
+  {
+    id: 'staedtebaufoerderung-nordrhein-westfalen',
+    name: 'Städtebauförderung Nordrhein-Westfalen',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'struktur-und-dorfentwicklung-nrw',
+    name: 'Struktur- und Dorfentwicklung NRW',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'regionalbudget-fuer-kleinprojekte-nrw',
+    name: 'Regionalbudget für Kleinprojekte NRW',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'leader-nordrhein-westfalen-2023-2027',
+    name: 'LEADER Nordrhein-Westfalen 2023-2027',
+    aliases: ['LEADER Nordrhein-Westfalen'],
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'nrw-sportstaettenfoerderung',
+    name: 'NRW Sportstättenförderung',
+    category: 'core',
+    locationType: 'both',
+    classification: SPORTS_FACILITY_CLASSIFICATION
+  },
+  {
+    id: 'staedtebauliche-erneuerung-rheinland-pfalz-rl-stee',
+    name: 'Städtebauliche Erneuerung Rheinland-Pfalz (RL-StEE)',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'dorferneuerung-rheinland-pfalz-kommunal',
+    name: 'Dorferneuerung Rheinland-Pfalz (kommunal)',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'leader-rheinland-pfalz',
+    name: 'LEADER Rheinland-Pfalz',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'regionalbudget-gak-rheinland-pfalz',
+    name: 'Regionalbudget (GAK) Rheinland-Pfalz',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'sportstaettenfoerderprogramm-land-in-bewegung-rlp',
+    name: 'Sportstättenförderprogramm Land in Bewegung (RLP)',
+    category: 'core',
+    locationType: 'both',
+    classification: SPORTS_FACILITY_CLASSIFICATION
+  },
+  {
+    id: 'lebendige-zentren-saarland',
+    name: 'Lebendige Zentren Saarland',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'wachstum-und-nachhaltige-erneuerung-saarland',
+    name: 'Wachstum und nachhaltige Erneuerung Saarland',
+    category: 'conditional',
+    locationType: 'both',
+    classification: STAEDTEBAU_SMALL_TOWNS_CLASSIFICATION
+  },
+  {
+    id: 'investitionspakt-soziale-integration-im-quartier-saarland',
+    name: 'Investitionspakt Soziale Integration im Quartier (Saarland)',
+    category: 'core',
+    locationType: 'urban',
+    classification: SOCIAL_INTEGRATION_CLASSIFICATION
+  },
+  {
+    id: 'oeffentliche-dorferneuerung-saarland-eler-2023-2027',
+    name: 'Öffentliche Dorferneuerung Saarland (ELER 2023-2027)',
+    aliases: ['Öffentliche Dorferneuerung Saarland'],
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'leader-saarland-2023-2027',
+    name: 'LEADER Saarland 2023-2027',
+    aliases: ['LEADER Saarland'],
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'lebendige-zentren-sachsen-lzp',
+    name: 'Lebendige Zentren Sachsen (LZP)',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'wachstum-und-nachhaltige-erneuerung-sachsen-wep',
+    name: 'Wachstum und nachhaltige Erneuerung Sachsen (WEP)',
+    category: 'conditional',
+    locationType: 'both',
+    classification: STAEDTEBAU_SMALL_TOWNS_CLASSIFICATION
+  },
+  {
+    id: 'investitionspakt-sportstaetten-sachsen-ivp-sport',
+    name: 'Investitionspakt Sportstätten Sachsen (IVP-Sport)',
+    category: 'core',
+    locationType: 'both',
+    classification: SPORTS_FACILITY_CLASSIFICATION
+  },
+  {
+    id: 'vitale-dorfkerne-und-ortszentren-sachsen',
+    name: 'Vitale Dorfkerne und Ortszentren Sachsen',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'regionalbudgets-sachsen',
+    name: 'Regionalbudgets Sachsen',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'leader-sachsen',
+    name: 'LEADER Sachsen',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'foerderrichtlinie-laendliche-entwicklung-sachsen-frl-le-2025',
+    name: 'Förderrichtlinie Ländliche Entwicklung Sachsen (FRL LE/2025)',
+    aliases: ['Förderrichtlinie Ländliche Entwicklung Sachsen'],
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'sachsen-barrierefrei-2030',
+    name: 'Sachsen barrierefrei 2030',
+    category: 'core',
+    locationType: 'both',
+    classification: {
+      types: ['public_infrastructure', 'social_facilities'],
+      useCases: ['stadt-quartier', 'laendlicher-raum', 'oeffentlich-kommunal', 'parks-gruenanlage', 'kommunal-angebunden', 'soziale-einrichtung'],
+      excludedUseCases: []
+    }
+  },
+  {
+    id: 'staedtebaufoerderung-sachsen-anhalt-mid',
+    name: 'Städtebauförderung Sachsen-Anhalt (MID)',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'leader-sachsen-anhalt',
+    name: 'LEADER Sachsen-Anhalt',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'dorfentwicklung-und-laendlicher-wegebau-sachsen-anhalt',
+    name: 'Dorfentwicklung und ländlicher Wegebau Sachsen-Anhalt',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'staedtebaufoerderung-schleswig-holstein-lz-sz-wune',
+    name: 'Städtebauförderung Schleswig-Holstein (LZ/SZ/WuNE)',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'gak-ortskernentwicklung-schleswig-holstein',
+    name: 'GAK-Ortskernentwicklung Schleswig-Holstein',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'foerderung-des-laendlichen-raums-sh-2023-2027-eler-gap',
+    name: 'Förderung des ländlichen Raums SH 2023-2027 (ELER/GAP)',
+    aliases: ['Förderung des ländlichen Raums (ELER/GAP)'],
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'leader-2023-2027-schleswig-holstein-aktivregionen',
+    name: 'LEADER 2023-2027 Schleswig-Holstein (AktivRegionen)',
+    aliases: ['LEADER Schleswig-Holstein'],
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'integrierte-laendliche-entwicklung-ile-schleswig-holstein',
+    name: 'Integrierte ländliche Entwicklung (ILE) Schleswig-Holstein',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'staedtebaufoerderung-thueringen',
+    name: 'Städtebauförderung Thüringen',
+    category: 'conditional',
+    locationType: 'urban',
+    classification: STAEDTEBAU_CLASSIFICATION
+  },
+  {
+    id: 'dorferneuerung-und-entwicklung-thueringen',
+    name: 'Dorferneuerung und -entwicklung Thüringen',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'village_renewal'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'leader-thueringen-portia',
+    name: 'LEADER Thüringen (PORTIA)',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development', 'leader'],
+      useCases: ['laendlicher-raum', 'freizeit-erholung'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+  {
+    id: 'integrierte-laendliche-entwicklung-ile-thueringen',
+    name: 'Integrierte Ländliche Entwicklung (ILE) Thüringen',
+    category: 'core',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: RURAL_EXCLUDED_USE_CASES
+    }
+  },
+
+  // Catalog entries without a record in fundingPrograms.js (kept for name lookups)
+  {
+    id: 'soziale-stadt-zusammenhalt-im-quartier',
+    name: 'Soziale Stadt - Zusammenhalt im Quartier',
+    category: 'deleted',
+    locationType: 'urban',
+    classification: {
+      types: ['social_integration', 'urban_development'],
+      useCases: ['stadt-quartier', 'wohnquartier', 'sozialer-wohnungsbau', 'soziale-einrichtung'],
+      excludedUseCases: ['kita', 'schule', 'tourismus']
+    }
+  },
+  {
+    id: 'bmwsb-nationale-projekte-des-staedtebaus',
+    name: 'BMWSB - Nationale Projekte des Städtebaus',
+    category: 'deleted',
+    locationType: 'urban',
+    classification: {
+      types: ['urban_development', 'public_infrastructure'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage'],
+      excludedUseCases: ['kommunal-angebunden', 'laendlicher-raum']
+    }
+  },
+  {
+    id: 'bundesprogramm-sanierung-kommunaler-einrichtungen',
+    name: 'Bundesprogramm Sanierung kommunaler Einrichtungen',
+    category: 'deleted',
+    locationType: 'urban',
+    excluded: true,
+    classification: {
+      types: ['public_infrastructure', 'municipal_investment'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'kommunal-angebunden'],
+      excludedUseCases: []
+    }
+  },
+  {
+    id: 'sozialer-zusammenhalt-berlin-quartiersmanagement',
+    name: 'Sozialer Zusammenhalt Berlin / Quartiersmanagement',
+    category: 'deleted',
+    locationType: 'urban',
+    classification: {
+      types: ['social_integration', 'urban_development', 'public_infrastructure'],
+      useCases: ['stadt-quartier', 'wohnquartier', 'soziale-einrichtung', 'kommunal-angebunden', 'oeffentlich-kommunal'],
+      excludedUseCases: ['laendlicher-raum']
+    }
+  },
+  {
+    id: 'sozialer-zusammenhalt-hessen',
+    name: 'Sozialer Zusammenhalt Hessen',
+    category: 'deleted',
+    locationType: 'urban',
+    classification: {
+      types: ['social_integration', 'urban_development'],
+      useCases: ['stadt-quartier', 'wohnquartier', 'soziale-einrichtung', 'kommunal-angebunden'],
+      excludedUseCases: ['laendlicher-raum']
+    }
+  },
+  {
+    id: 'zukunft-innenstadt-hessen',
+    name: 'Zukunft Innenstadt Hessen',
+    category: 'deleted',
+    locationType: 'urban',
+    classification: {
+      types: ['urban_development', 'public_infrastructure'],
+      useCases: ['oeffentlich-kommunal', 'parks-gruenanlage', 'neubaugebiet', 'wohnquartier'],
+      excludedUseCases: ['laendlicher-raum']
+    }
+  },
+  {
+    id: 'kfw-208-investitionskredit-kommunen',
+    name: 'KfW 208 - Investitionskredit Kommunen',
+    category: 'deleted',
+    locationType: 'both',
+    classification: {
+      types: ['public_infrastructure', 'municipal_investment'],
+      useCases: ['stadt-quartier', 'oeffentlich-kommunal', 'parks-gruenanlage', 'kommunal-angebunden'],
+      excludedUseCases: ['freizeit-erholung']
+    }
+  },
+  {
+    id: 'klimaanpassung-in-sozialen-einrichtungen-anpaso',
+    name: 'Klimaanpassung in sozialen Einrichtungen (AnpaSo)',
+    category: 'deleted',
+    locationType: 'both',
+    classification: {
+      types: ['social_facilities', 'climate_adaptation'],
+      useCases: ['stadt-quartier', 'kommunal-angebunden'],
+      excludedUseCases: ['oeffentlich-kommunal', 'parks-gruenanlage', 'freizeit-erholung']
+    }
+  },
+  {
+    id: 'buleplus-bundesprogramm-laendliche-entwicklung',
+    name: 'BULEplus - Bundesprogramm Ländliche Entwicklung',
+    category: 'deleted',
+    locationType: 'rural',
+    classification: {
+      types: ['rural_development'],
+      useCases: ['laendlicher-raum'],
+      excludedUseCases: ['neubaugebiet', 'wohnquartier', 'kommunal-angebunden']
+    }
+  },
+  {
+    id: 'lotto-hilft-hessen',
+    name: 'LOTTO hilft Hessen',
+    category: 'deleted',
+    locationType: 'both',
+    excluded: true,
+    classification: {
+      types: ['social_facilities', 'public_infrastructure'],
+      useCases: ['oeffentlich-kommunal', 'parks-gruenanlage', 'kommunal-angebunden', 'freizeit-erholung'],
+      excludedUseCases: []
+    }
+  }
+];
+
+const entriesById = new Map(PROGRAM_REGISTRY.map(entry => [entry.id, entry]));
+const entriesByName = new Map();
+PROGRAM_REGISTRY.forEach(entry => {
+  [entry.name, ...(entry.aliases || [])].forEach(name => entriesByName.set(name, entry));
+});
+
+/**
+ * Resolve a program reference (id, current name or legacy name) to its stable id
+ * @param {string} ref - Program id or name
+ * @returns {string|null} Registry id or null if unknown
+ */
+export function resolveProgramId(ref) {
+  if (!ref || typeof ref !== 'string') {
+    return null;
+  }
+  const entry = entriesById.get(ref) || entriesByName.get(ref);
+  return entry ? entry.id : null;
+}
+
+/**
+ * Get the registry record of a program
+ * @param {Object|string} programOrRef - Program object, id or name
+ * @returns {Object|null} Registry record or null if the program is not registered
+ */
+export function getRegistryEntry(programOrRef) {
+  if (!programOrRef) {
+    return null;
+  }
+  if (typeof programOrRef === 'string') {
+    return entriesById.get(resolveProgramId(programOrRef)) || null;
+  }
+  return entriesById.get(programOrRef.id) || entriesByName.get(programOrRef.name) || null;
+}
+
+/**
+ * Get the filter attributes of a program
+ * @param {Object|string} programOrRef - Program object, id or name
+ * @returns {Object|null} { id, category, locationType, excluded, classification } or null
+ */
+export function getProgramAttributes(programOrRef) {
+  const entry = getRegistryEntry(programOrRef);
+  if (!entry) {
+    return null;
+  }
+  return {
+    id: entry.id,
+    category: entry.category,
+    locationType: entry.locationType,
+    excluded: Boolean(entry.excluded),
+    classification: entry.classification
+  };
+}
+
+/**
+ * Attach registry attributes to a program (fields already on the program win)
+ * @param {Object} program - Funding program
+ * @returns {Object} Program with id, category, locationType, excluded and classification
+ */
+export function applyRegistryAttributes(program) {
+  const attributes = getProgramAttributes(program);
+  if (!attributes) {
+    return program;
+  }
+  return { ...attributes, ...program };
+}
+
+/**
+ * Convert a legacy name-keyed map to an id-keyed map
+ * @param {Object} nameKeyedMap - Map keyed by program name (current or legacy)
+ * @returns {Object} { resolved: id-keyed map, unresolved: names without a registry record }
+ */
+export function loadLegacyNameMap(nameKeyedMap) {
+  const resolved = {};
+  const unresolved = [];
+
+  Object.entries(nameKeyedMap || {}).forEach(([name, value]) => {
+    const id = resolveProgramId(name);
+    if (id) {
+      resolved[id] = value;
+    } else {
+      unresolved.push(name);
+    }
+  });
+
+  if (unresolved.length > 0) {
+    console.warn(`Unresolved program references: ${unresolved.join(', ')}`);
+  }
+
+  return { resolved, unresolved };
+}
@@ -0,0 +1,114 @@
+/**
+ * Tests for the program registry
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import {
+  PROGRAM_REGISTRY,
+  resolveProgramId,
+  getRegistryEntry,
+  getProgramAttributes,
+  applyRegistryAttributes,
+  loadLegacyNameMap
+} from './programRegistry.js';
+import { fundingPrograms } from './fundingPrograms.js';
+import { strictFilterPrograms, isProgramAllowedForUseCase } from '../services/strictFilterService.js';
+import { getProgramLocationType } from '../services/simpleFilterService.js';
+
+describe('Program Registry', () => {
+  test('should use unique ids and names', () => {
+    const ids = PROGRAM_REGISTRY.map(entry => entry.id);
+    const names = PROGRAM_REGISTRY.flatMap(entry => [entry.name, ...(entry.aliases || [])]);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(new Set(names).size).toBe(names.length);
+  });
+
+  test('should register every funding program under its id', () => {
+    fundingPrograms.forEach(program => {
+      const entry = getRegistryEntry(program.id);
+      expect(entry, program.name).not.toBeNull();
+      expect(entry.name).toBe(program.name);
+    });
+  });
+
+  test('should carry category, location type and classification on the record', () => {
+    const entry = getRegistryEntry('leader-bayern-2023-2027');
+
+    expect(entry.category).toBe('core');
+    expect(entry.locationType).toBe('rural');
+    expect(entry.classification.useCases).toContain('laendlicher-raum');
+  });
+
+  describe('resolveProgramId', () => {
+    test('should resolve ids, current names and legacy names', () => {
+      expect(resolveProgramId('leader-saarland-2023-2027')).toBe('leader-saarland-2023-2027');
+      expect(resolveProgramId('LEADER Saarland 2023-2027')).toBe('leader-saarland-2023-2027');
+      expect(resolveProgramId('LEADER Saarland')).toBe('leader-saarland-2023-2027');
+    });
+
+    test('should return null for unknown references', () => {
+      expect(resolveProgramId('Unbekanntes Programm')).toBeNull();
+      expect(resolveProgramId(null)).toBeNull();
+      expect(resolveProgramId({})).toBeNull();
+    });
+  });
+
+  describe('getRegistryEntry', () => {
+    test('should prefer the id over the name of a program object', () => {
+      const entry = getRegistryEntry({ id: 'leader-bayern-2023-2027', name: 'LEADER Bayern (umbenannt)' });
+      expect(entry.name).toBe('LEADER Bayern 2023-2027');
+    });
+
+    test('should return null for unregistered programs', () => {
+      expect(getRegistryEntry({ name: 'Neues Programm' })).toBeNull();
+      expect(getProgramAttributes('Neues Programm')).toBeNull();
+    });
+  });
+
+  describe('applyRegistryAttributes', () => {
+    test('should add registry attributes without overriding program fields', () => {
+      const program = applyRegistryAttributes({ name: 'LEADER Saarland', locationType: 'both' });
+
+      expect(program.id).toBe('leader-saarland-2023-2027');
+      expect(program.locationType).toBe('both');
+      expect(program.classification.types).toContain('leader');
+    });
+
+    test('should return unregistered programs unchanged', () => {
+      const program = { name: 'Neues Programm' };
+      expect(applyRegistryAttributes(program)).toBe(program);
+    });
+  });
+
+  describe('loadLegacyNameMap', () => {
+    test('should re-key legacy maps by id and report unresolved names', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const { resolved, unresolved } = loadLegacyNameMap({
+        'LEADER Schleswig-Holstein': 'rural',
+        'Gibt es nicht': 'urban'
+      });
+
+      expect(resolved).toEqual({ 'leader-2023-2027-schleswig-holstein-aktivregionen': 'rural' });
+      expect(unresolved).toEqual(['Gibt es nicht']);
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+
+  describe('filters reading the registry', () => {
+    test('should keep renamed programs in strict results', () => {
+      const names = strictFilterPrograms('laendlicher-raum', 'SL', fundingPrograms).map(p => p.name);
+      expect(names).toContain('LEADER Saarland 2023-2027');
+    });
+
+    test('should resolve legacy names in use-case checks', () => {
+      expect(isProgramAllowedForUseCase('LEADER Saarland', 'laendlicher-raum')).toBe(true);
+      expect(isProgramAllowedForUseCase('Deutsches Kinderhilfswerk - Spielplatz-Initiative', 'stadt-quartier')).toBe(false);
+    });
+
+    test('should read location types from the registry', () => {
+      expect(getProgramLocationType({ id: 'leader-saarland-2023-2027', name: 'Umbenannt' })).toBe('rural');
+    });
+  });
+});
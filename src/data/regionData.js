@@ -0,0 +1,112 @@
+/**
+ * Offline geography data below state level
+ * Gemeinden with their postal codes, Landkreise and LEADER / ILE regions.
+ *
+ * AGS (Amtlicher Gemeindeschlüssel) is 8 digits, the first five digits are the
+ * Kreisschlüssel of the Landkreis / kreisfreie Stadt. Postal codes are listed as
+ * single codes ("82467") or inclusive ranges ("28195-28779").
+ *
+ * This is an excerpt covering the city-states, a few large cities (including
+ * the ones on a Landesgrenze, e.g. Ulm / Neu-Ulm, Mannheim / Ludwigshafen) and single
+ * Gemeinden of LEADER / ILE regions – not a complete PLZ directory. Postal codes
+ * outside the excerpt resolve to no location, so region restrictions are not
+ * applied for them (the form says so). Ranges only cover codes of the Gemeinde
+ * itself: codes of neighbouring Gemeinden in other states are left out (Hamburg
+ * without Lüneburg / Harburg, Berlin without 12529 Schönefeld). Further Gemeinden
+ * and regions are added in the same format (source: Gemeindeverzeichnis
+ * GV-ISys, Gebietskulissen der Länder).
+ */
+
+/**
+ * Landkreise and kreisfreie Städte by Kreisschlüssel
+ * `borderStates` lists the federal states a Landkreis borders on.
+ */
+export const LANDKREISE = {
+  '01059': { name: 'Kreis Schleswig-Flensburg', federalState: 'SH' },
+  '02000': { name: 'Hamburg', federalState: 'HH', borderStates: ['SH', 'NI'] },
+  '04011': { name: 'Bremen', federalState: 'HB', borderStates: ['NI'] },
+  '04012': { name: 'Bremerhaven', federalState: 'HB', borderStates: ['NI'] },
+  '05315': { name: 'Köln', federalState: 'NW' },
+  '06414': { name: 'Wiesbaden', federalState: 'HE', borderStates: ['RP'] },
+  '07314': { name: 'Ludwigshafen am Rhein', federalState: 'RP', borderStates: ['BW'] },
+  '07315': { name: 'Mainz', federalState: 'RP', borderStates: ['HE'] },
+  '07319': { name: 'Worms', federalState: 'RP', borderStates: ['HE'] },
+  '08111': { name: 'Stuttgart', federalState: 'BW' },
+  '08222': { name: 'Mannheim', federalState: 'BW', borderStates: ['RP', 'HE'] },
+  '08421': { name: 'Ulm', federalState: 'BW', borderStates: ['BY'] },
+  '09162': { name: 'München', federalState: 'BY' },
+  '09163': { name: 'Rosenheim', federalState: 'BY' },
+  '09180': { name: 'Landkreis Garmisch-Partenkirchen', federalState: 'BY' },
+  '11000': { name: 'Berlin', federalState: 'BE', borderStates: ['BB'] },
+  '14612': { name: 'Dresden', federalState: 'SN' },
+  '14713': { name: 'Leipzig', federalState: 'SN' }
+};
+
+/**
+ * Gemeinden with AGS and postal codes
+ */
+export const GEMEINDEN = [
+  { ags: '01059045', name: 'Kappeln', postalCodes: ['24376'] },
+  { ags: '02000000', name: 'Hamburg', postalCodes: ['20095-20539', '21029-21039', '21073-21079', '21107-21149', '22041-22769', '27499'] },
+  { ags: '04011000', name: 'Bremen', postalCodes: ['28195-28779'] },
+  { ags: '04012000', name: 'Bremerhaven', postalCodes: ['27568-27580'] },
+  { ags: '05315000', name: 'Köln', postalCodes: ['50667-51149'] },
+  { ags: '06414000', name: 'Wiesbaden', postalCodes: ['65183-65207', '55246', '55252'] },
+  { ags: '07314000', name: 'Ludwigshafen am Rhein', postalCodes: ['67059-67071'] },
+  { ags: '07315000', name: 'Mainz', postalCodes: ['55116-55131'] },
+  { ags: '07319000', name: 'Worms', postalCodes: ['67547-67551'] },
+  { ags: '08111000', name: 'Stuttgart', postalCodes: ['70173-70629'] },
+  { ags: '08222000', name: 'Mannheim', postalCodes: ['68159-68309'] },
+  { ags: '08421000', name: 'Ulm', postalCodes: ['89073-89081'] },
+  { ags: '09162000', name: 'München', postalCodes: ['80331-81929'] },
+  { ags: '09163000', name: 'Rosenheim', postalCodes: ['83022-83026'] },
+  { ags: '09180117', name: 'Garmisch-Partenkirchen', postalCodes: ['82467'] },
+  { ags: '09180129', name: 'Oberammergau', postalCodes: ['82487'] },
+  { ags: '11000000', name: 'Berlin', postalCodes: ['10115-12527', '12531-14199'] },
+  { ags: '14612000', name: 'Dresden', postalCodes: ['01067-01328'] },
+  { ags: '14713000', name: 'Leipzig', postalCodes: ['04103-04357'] }
+];
+
+/**
+ * LEADER Aktionsgruppen (LAG) and ILE regions
+ * A region covers whole Landkreise (`landkreise`) and/or single Gemeinden (`gemeinden`).
+ */
+export const REGIONS = [
+  {
+    id: 'leader-by-zugspitz-region',
+    name: 'LAG Zugspitz Region',
+    type: 'leader',
+    federalState: 'BY',
+    landkreise: ['09180']
+  },
+  {
+    id: 'ile-by-ammergauer-alpen',
+    name: 'ILE Ammergauer Alpen',
+    type: 'ile',
+    federalState: 'BY',
+    gemeinden: ['09180129']
+  },
+  {
+    id: 'leader-sh-schlei-ostsee',
+    name: 'AktivRegion Schlei-Ostsee',
+    type: 'leader',
+    federalState: 'SH',
+    gemeinden: ['01059045']
+  }
+];
+
+/**
+ * Landkreise whose regions of a type are completely listed in REGIONS, by region type
+ * ({ leader: ['09180'] }). Only there does a missing membership rule a location out
+ * of a `regionTypes` restriction; elsewhere the membership is an open check.
+ * Add a Landkreis once its Gebietskulisse is entered in full.
+ */
+export const REGION_TYPE_COVERAGE = {};
+
+/**
+ * Region types with display labels
+ */
+export const REGION_TYPES = {
+  'leader': 'LEADER-Region',
+  'ile': 'ILE-Region'
+};
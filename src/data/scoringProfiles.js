@@ -0,0 +1,101 @@
+/**
+ * Scoring profiles for RelevanceEngine.calculateRelevanceScore and
+ * FederalStatePrioritizer
+ *
+ * A profile weights the score components (points added to the 0-100 relevance
+ * score) and the state priority weights used to order programs by federal state.
+ * `standard` reproduces the original fixed weights; the other profiles serve
+ * customer segments (Kommune vs. Verein) or goals (maximum amount vs. approval odds).
+ *
+ * Weights:
+ * - relevanceLevel: base points per relevance level (1-4)
+ * - stateMatch: state-specific program for the user's state
+ * - statePriority: state priority of the program (statePriorityWeights, 0-100 %)
+ * - projectType: program funds the selected project type
+ * - playgroundHistory: program has funded playgrounds before (playground projects)
+ * - measures: share of the planned measures the program funds
+ * - applicant: program explicitly lists the user's applicant type
+ * - fundingRate: funding rate / maximum amount (getFundingRateScore, 0-100 %)
+ * - successRate: estimated approval odds (successRate metadata, 0-100 %)
+ *
+ * Profiles only list what differs from `standard`; missing weights are taken from it.
+ */
+
+export const DEFAULT_SCORING_PROFILE = 'standard';
+
+export const SCORING_PROFILES = {
+  standard: {
+    label: 'Standard',
+    description: 'Ausgewogene Gewichtung: Landesprogramme, Projekttyp und Förderhistorie',
+    weights: {
+      relevanceLevel: { 1: 50, 2: 40, 3: 30, 4: 0 },
+      stateMatch: 30,
+      statePriority: 0,
+      projectType: 25,
+      playgroundHistory: 20,
+      measures: 15,
+      applicant: 0,
+      fundingRate: 0,
+      successRate: 0
+    },
+    statePriorityWeights: {
+      EXACT_STATE_MATCH: 100,
+      MULTI_STATE_MATCH: 80,
+      ALL_STATES_CORE: 60,
+      ALL_STATES_SUPPLEMENTARY: 40,
+      ALL_STATES_NATIONAL: 20,
+      NO_MATCH: 0
+    }
+  },
+
+  kommune: {
+    label: 'Kommune',
+    description: 'Für Gemeinden: Landes- und Städtebauprogramme, passende Maßnahmen',
+    weights: {
+      stateMatch: 35,
+      playgroundHistory: 15,
+      measures: 20,
+      applicant: 10
+    }
+  },
+
+  verein: {
+    label: 'Verein / Initiative',
+    description: 'Für Vereine und Initiativen: Programme, die Vereine ausdrücklich fördern',
+    weights: {
+      relevanceLevel: { 1: 40, 2: 35, 3: 35, 4: 0 },
+      stateMatch: 20,
+      statePriority: 15,
+      playgroundHistory: 15,
+      applicant: 30
+    },
+    statePriorityWeights: {
+      ALL_STATES_CORE: 70,
+      ALL_STATES_NATIONAL: 40
+    }
+  },
+
+  maxAmount: {
+    label: 'Maximale Fördersumme',
+    description: 'Bevorzugt hohe Förderquoten und Förderbeträge',
+    weights: {
+      relevanceLevel: { 1: 40, 2: 35, 3: 30, 4: 0 },
+      stateMatch: 20,
+      projectType: 20,
+      playgroundHistory: 10,
+      measures: 10,
+      fundingRate: 35
+    }
+  },
+
+  approvalOdds: {
+    label: 'Beste Bewilligungschancen',
+    description: 'Bevorzugt Programme mit hoher Erfolgsquote und Spielplatz-Förderhistorie',
+    weights: {
+      relevanceLevel: { 1: 40, 2: 35, 3: 30, 4: 0 },
+      playgroundHistory: 25,
+      measures: 10,
+      successRate: 30
+    }
+  }
+};
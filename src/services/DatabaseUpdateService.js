@@ -4,14 +4,31 @@
  * This service demonstrates how to integrate cache invalidation with database operations.
  * It provides methods for updating, creating, and deleting funding programs while
  * automatically triggering appropriate cache invalidation.
+ *
+ * With a storage adapter (see programStorage.js) all operations are persisted.
+ * Without one, database operations are only simulated.
+ *
+ * Every change is recorded in an append-only audit log (auditLogService.js) and
+ * can be reverted individually or rolled back to a point in time.
  */
 
-import { EventEmitter } from 'events';
+import { EventEmitter } from './eventEmitter.js';
+import { AuditLog, AUDIT_ACTIONS, diffPrograms } from './auditLogService.js';
 
 export class DatabaseUpdateService extends EventEmitter {
-  constructor(relevanceEngine) {
+  /**
+   * @param {RelevanceEngine|null} relevanceEngine - Engine whose cache is invalidated on changes
+   * @param {Object|null} storage - Storage adapter from programStorage.js (null = simulated database)
+   * @param {Object} options - Options
+   * @param {AuditLog} options.auditLog - Audit log (default: persisted in the storage adapter)
+   * @param {string} options.user - Default user recorded in the audit log
+   */
+  constructor(relevanceEngine, storage = null, options = {}) {
     super();
     this.relevanceEngine = relevanceEngine;
+    this.storage = storage;
+    this.auditLog = options.auditLog || new AuditLog(storage);
+    this.user = options.user || null;
     
     // Initialize event listeners for cache invalidation
     if (relevanceEngine) {
@@ -34,8 +51,14 @@ export class DatabaseUpdateService extends EventEmitter {
     };
 
     try {
-      // Simulate database update operation
-      await this.performDatabaseUpdate(updatedProgram);
+      // Update the program in the database
+      const { before } = await this.performDatabaseUpdate(updatedProgram);
+      result.auditEntry = await this.recordChange({
+        action: AUDIT_ACTIONS.UPDATE,
+        before,
+        after: updatedProgram,
+        user: options.user
+      });
       
       // Emit event for cache invalidation
       this.emit('funding_program_updated', {
@@ -74,34 +97,51 @@ export class DatabaseUpdateService extends EventEmitter {
    * Update multiple funding programs in bulk
    * @param {Array} updatedPrograms - Array of updated program data
    * @param {Object} options - Update options
+   * @param {boolean} options.allowCreate - Create programs that do not exist yet (e.g. spreadsheet import)
    * @returns {Promise<Object>} Update result
    */
   async updateProgramsBulk(updatedPrograms, options = {}) {
     const result = {
       success: true,
       updatedCount: 0,
+      createdCount: 0,
       failedPrograms: [],
       timestamp: new Date().toISOString(),
       cacheInvalidation: null
     };
 
     try {
-      // Simulate bulk database update
+      // Update all programs in the database
       const updateResults = await Promise.allSettled(
-        updatedPrograms.map(program => this.performDatabaseUpdate(program))
+        updatedPrograms.map(program => this.performDatabaseUpdate(program, { allowCreate: options.allowCreate }))
       );
 
       // Process results
-      updateResults.forEach((updateResult, index) => {
+      const batchId = this.auditLog.createBatchId();
+      const createdPrograms = [];
+      result.batchId = batchId;
+
+      for (const [index, updateResult] of updateResults.entries()) {
         if (updateResult.status === 'fulfilled') {
           result.updatedCount++;
+          if (options.allowCreate && !updateResult.value.before) {
+            result.createdCount++;
+            createdPrograms.push(updatedPrograms[index]);
+          }
+          await this.recordChange({
+            action: AUDIT_ACTIONS.BULK_UPDATE,
+            before: updateResult.value.before,
+            after: updatedPrograms[index],
+            user: options.user,
+            batchId
+          });
         } else {
           result.failedPrograms.push({
             program: updatedPrograms[index].name,
             error: updateResult.reason.message
           });
         }
-      });
+      }
 
       // Only emit event for successfully updated programs
       const successfulPrograms = updatedPrograms.filter((_, index) => 
@@ -131,6 +171,11 @@ export class DatabaseUpdateService extends EventEmitter {
               refreshAfterBulk: options.refreshAfterBulk !== false
             }
           );
+
+          // New programs are not known to the engine yet
+          if (createdPrograms.length > 0) {
+            this.relevanceEngine.onBulkOperation('bulk_create', createdPrograms, { refreshAfterBulk: false });
+          }
         }
       }
 
@@ -161,8 +206,14 @@ export class DatabaseUpdateService extends EventEmitter {
     };
 
     try {
-      // Simulate database creation
+      // Create the program in the database
       await this.performDatabaseCreate(newProgram);
+      result.auditEntry = await this.recordChange({
+        action: AUDIT_ACTIONS.CREATE,
+        before: null,
+        after: newProgram,
+        user: options.user
+      });
       
       // Emit event for cache invalidation
       this.emit('funding_program_created', {
@@ -206,8 +257,14 @@ export class DatabaseUpdateService extends EventEmitter {
     };
 
     try {
-      // Simulate database deletion
-      await this.performDatabaseDelete(programName);
+      // Delete the program from the database
+      const { before } = await this.performDatabaseDelete(programName);
+      result.auditEntry = await this.recordChange({
+        action: AUDIT_ACTIONS.DELETE,
+        before,
+        after: null,
+        user: options.user
+      });
       
       // Emit event for cache invalidation
       this.emit('funding_program_deleted', {
@@ -236,6 +293,68 @@ export class DatabaseUpdateService extends EventEmitter {
     return result;
   }
 
+  /**
+   * Delete multiple funding programs in bulk
+   * @param {Array} programNames - Names (or ids) of the programs to delete
+   * @param {Object} options - Deletion options
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteProgramsBulk(programNames, options = {}) {
+    const result = {
+      success: true,
+      deletedCount: 0,
+      failedPrograms: [],
+      timestamp: new Date().toISOString(),
+      cacheInvalidation: null
+    };
+
+    try {
+      // Deletes run one after another so every audit entry holds the right state
+      const batchId = this.auditLog.createBatchId();
+      const deletedPrograms = [];
+      result.batchId = batchId;
+
+      for (const programName of programNames) {
+        try {
+          const { before } = await this.performDatabaseDelete(programName);
+          deletedPrograms.push(before);
+          result.deletedCount++;
+          await this.recordChange({ action: AUDIT_ACTIONS.DELETE, before, after: null, user: options.user, batchId });
+        } catch (error) {
+          result.failedPrograms.push({ program: programName, error: error.message });
+        }
+      }
+
+      if (deletedPrograms.length > 0) {
+        this.emit('funding_programs_bulk_deleted', {
+          programs: deletedPrograms,
+          context: {
+            deletionType: 'bulk',
+            totalAttempted: programNames.length,
+            successfulCount: deletedPrograms.length,
+            ...options
+          }
+        });
+
+        if (this.relevanceEngine) {
+          result.cacheInvalidation = this.relevanceEngine.onBulkOperation('bulk_delete', deletedPrograms, {
+            refreshAfterBulk: options.refreshAfterBulk !== false
+          });
+        }
+      }
+
+      result.success = result.failedPrograms.length === 0;
+      result.message = `Bulk delete completed: ${result.deletedCount}/${programNames.length} programs deleted successfully`;
+
+    } catch (error) {
+      result.success = false;
+      result.error = error.message;
+      result.message = `Bulk delete failed: ${error.message}`;
+    }
+
+    return result;
+  }
+
   /**
    * Trigger manual cache invalidation
    * @param {Object} criteria - Invalidation criteria
@@ -337,11 +456,21 @@ export class DatabaseUpdateService extends EventEmitter {
   }
 
   /**
-   * Simulate database update operation
+   * Persist an updated program
    * @param {Object} program - Program to update
-   * @returns {Promise<void>}
+   * @param {Object} options - { allowCreate } - insert the program if it does not exist
+   * @returns {Promise<Object>} { before } - the program before the update (null if created)
    */
-  async performDatabaseUpdate(program) {
+  async performDatabaseUpdate(program, options = {}) {
+    if (this.storage) {
+      const existing = await this.storage.get(program.id || program.name);
+      if (!existing && !options.allowCreate) {
+        throw new Error('Program not found');
+      }
+      await this.storage.put(program);
+      return { before: existing };
+    }
+
     // Simulate async database operation
     await new Promise(resolve => setTimeout(resolve, 10));
     
@@ -350,16 +479,26 @@ export class DatabaseUpdateService extends EventEmitter {
       throw new Error('Simulated database error');
     }
     
-    // In a real implementation, this would update the actual database
     console.log(`Database: Updated program '${program.name}'`);
+    return { before: this.findKnownProgram(program.id || program.name) };
   }
 
   /**
-   * Simulate database create operation
+   * Persist a new program
    * @param {Object} program - Program to create
    * @returns {Promise<void>}
    */
   async performDatabaseCreate(program) {
+    if (this.storage) {
+      const existing = await this.storage.get(program.id || program.name) ||
+        (program.id ? await this.storage.get(program.name) : null);
+      if (existing) {
+        throw new Error('Program already exists');
+      }
+      await this.storage.put(program);
+      return;
+    }
+
     // Simulate async database operation
     await new Promise(resolve => setTimeout(resolve, 15));
     
@@ -372,11 +511,20 @@ export class DatabaseUpdateService extends EventEmitter {
   }
 
   /**
-   * Simulate database delete operation
-   * @param {string} programName - Program name to delete
-   * @returns {Promise<void>}
+   * Delete a program from the database
+   * @param {string} programName - Program name (or id) to delete
+   * @returns {Promise<Object>} { before } - the deleted program
    */
   async performDatabaseDelete(programName) {
+    if (this.storage) {
+      const existing = await this.storage.get(programName);
+      const removed = await this.storage.remove(programName);
+      if (!removed) {
+        throw new Error('Program not found');
+      }
+      return { before: existing };
+    }
+
     // Simulate async database operation
     await new Promise(resolve => setTimeout(resolve, 8));
     
@@ -386,6 +534,196 @@ export class DatabaseUpdateService extends EventEmitter {
     }
     
     console.log(`Database: Deleted program '${programName}'`);
+    return { before: this.findKnownProgram(programName) || { name: programName } };
+  }
+
+  /**
+   * Find the current version of a program in the simulated database (the engine's programs)
+   * @param {string} ref - Program id or name
+   * @returns {Object|null} Program or null if unknown
+   */
+  findKnownProgram(ref) {
+    const programs = this.relevanceEngine?.programs;
+    if (!Array.isArray(programs)) {
+      return null;
+    }
+    return programs.find(p => p.id === ref || p.name === ref) || null;
+  }
+
+  /**
+   * Record a change in the audit log
+   * An audit failure never fails the database operation itself.
+   * @param {Object} change - { action, before, after, user, batchId, revertOf }
+   * @returns {Promise<Object|null>} Audit entry or null if it could not be written
+   */
+  async recordChange(change) {
+    try {
+      return await this.auditLog.append({ ...change, user: change.user || this.user });
+    } catch (error) {
+      console.error('Failed to write audit log entry:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Set the user recorded in the audit log for following changes
+   * @param {string|null} user - User name
+   */
+  setUser(user) {
+    this.user = user || null;
+  }
+
+  /**
+   * Get audit log entries
+   * @param {Object} filter - { programId, action, since } (see AuditLog.getEntries)
+   * @returns {Promise<Array>} Entries, oldest first
+   */
+  async getAuditLog(filter = {}) {
+    return this.auditLog.getEntries(filter);
+  }
+
+  /**
+   * Revert a single change
+   * Refuses if the program was changed again afterwards, unless options.force is set.
+   * @param {number} seq - Sequence number of the audit entry
+   * @param {Object} options - { user, force }
+   * @returns {Promise<Object>} Revert result
+   */
+  async revertChange(seq, options = {}) {
+    const result = {
+      success: true,
+      revertedEntry: seq,
+      timestamp: new Date().toISOString(),
+      cacheInvalidation: null
+    };
+
+    try {
+      if (!this.storage) {
+        throw new Error('Revert requires a storage adapter');
+      }
+
+      const entry = await this.auditLog.getEntry(seq);
+      if (!entry) {
+        throw new Error(`Audit entry ${seq} not found`);
+      }
+
+      const current = await this.storage.get(entry.programId);
+      if (!options.force && diffPrograms(current, entry.after).length > 0) {
+        throw new Error(`Program '${entry.programName}' was changed after entry ${seq}`);
+      }
+
+      const change = await this.restoreProgramState(entry.programId, entry.before);
+      result.auditEntry = await this.recordChange({
+        action: AUDIT_ACTIONS.REVERT,
+        ...change,
+        user: options.user,
+        revertOf: entry.seq
+      });
+      result.cacheInvalidation = this.applyRestoredChanges([change], { revertOf: entry.seq });
+      result.message = `Change ${seq} to '${entry.programName}' reverted`;
+
+    } catch (error) {
+      result.success = false;
+      result.error = error.message;
+      result.message = `Failed to revert change ${seq}: ${error.message}`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Roll the dataset back to a point in time
+   * Every program changed after that point is restored to its state at that point.
+   * @param {Date|string} pointInTime - Point in time
+   * @param {Object} options - { user }
+   * @returns {Promise<Object>} Rollback result
+   */
+  async rollbackTo(pointInTime, options = {}) {
+    const result = {
+      success: true,
+      pointInTime: new Date(pointInTime).toISOString(),
+      restoredCount: 0,
+      timestamp: new Date().toISOString(),
+      cacheInvalidation: null
+    };
+
+    try {
+      if (!this.storage) {
+        throw new Error('Rollback requires a storage adapter');
+      }
+
+      const states = await this.auditLog.getStatesAt(pointInTime);
+      const batchId = this.auditLog.createBatchId();
+      const changes = [];
+
+      for (const { programId, state } of states) {
+        const change = await this.restoreProgramState(programId, state);
+        if (diffPrograms(change.before, change.after).length > 0) {
+          changes.push(change);
+          await this.recordChange({ action: AUDIT_ACTIONS.ROLLBACK, ...change, user: options.user, batchId });
+        }
+      }
+
+      result.batchId = batchId;
+      result.restoredCount = changes.length;
+      result.cacheInvalidation = this.applyRestoredChanges(changes, { rollbackTo: result.pointInTime });
+      result.message = `Rolled back ${changes.length} programs to ${result.pointInTime}`;
+
+    } catch (error) {
+      result.success = false;
+      result.error = error.message;
+      result.message = `Rollback failed: ${error.message}`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Write a program state back to storage
+   * @param {string} programId - Program id or name
+   * @param {Object|null} state - Program to restore (null removes the program)
+   * @returns {Promise<Object>} { before, after }
+   */
+  async restoreProgramState(programId, state) {
+    const current = await this.storage.get(programId);
+
+    if (state) {
+      await this.storage.put(state);
+    } else if (current) {
+      await this.storage.remove(programId);
+    }
+
+    return { before: current, after: state };
+  }
+
+  /**
+   * Bring RelevanceEngine and listeners in line with restored programs
+   * @param {Array} changes - Restored changes as { before, after }
+   * @param {Object} context - Revert context
+   * @returns {Object|null} Invalidation result of onProgramsUpdated
+   */
+  applyRestoredChanges(changes, context = {}) {
+    const restored = changes.filter(change => change.after).map(change => change.after);
+    const removed = changes.filter(change => change.before && !change.after).map(change => change.before);
+
+    this.emit('funding_programs_reverted', { programs: restored, removedPrograms: removed, context });
+
+    if (!this.relevanceEngine) {
+      return null;
+    }
+
+    removed.forEach(program => this.relevanceEngine.onProgramDeleted(program.name, { deletionType: 'revert' }));
+    changes
+      .filter(change => change.after && !change.before)
+      .forEach(change => this.relevanceEngine.onProgramCreated(change.after, { creationType: 'revert' }));
+
+    return restored.length > 0
+      ? this.relevanceEngine.onProgramsUpdated(restored, {
+        updateType: 'revert',
+        updateInternalData: true,
+        ...context
+      })
+      : null;
   }
 
   /**
@@ -450,6 +788,7 @@ export class DatabaseUpdateService extends EventEmitter {
     const status = {
       timestamp: new Date().toISOString(),
       relevanceEngineAvailable: !!this.relevanceEngine,
+      storage: this.storage ? this.storage.constructor.name : 'simulated',
       eventListeners: this.listenerCount('funding_program_updated') > 0
     };
 
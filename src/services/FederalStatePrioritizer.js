@@ -11,6 +11,8 @@
  * - Integration with RelevanceEngine for optimized sorting
  */
 
+import { parseFundingRate, getFundingModel, getFundingRateScore } from './fundingAmountService.js';
+
 export class FederalStatePrioritizer {
   // German federal state codes and names mapping
   static FEDERAL_STATES = {
@@ -32,7 +34,7 @@ export class FederalStatePrioritizer {
     'TH': 'Thüringen'
   };
 
-  // Priority weights for different state matching scenarios
+  // Default priority weights for different state matching scenarios (standard scoring profile)
   static PRIORITY_WEIGHTS = {
     EXACT_STATE_MATCH: 100,      // Program specifically for user's state
     MULTI_STATE_MATCH: 80,       // Program for multiple states including user's
@@ -42,8 +44,19 @@ export class FederalStatePrioritizer {
     NO_MATCH: 0                  // Program not available in user's state
   };
 
-  constructor() {
-    // Initialize any needed state or configuration
+  /**
+   * @param {Object} priorityWeights - State priority weights of the scoring profile (default: PRIORITY_WEIGHTS)
+   */
+  constructor(priorityWeights = FederalStatePrioritizer.PRIORITY_WEIGHTS) {
+    this.priorityWeights = { ...FederalStatePrioritizer.PRIORITY_WEIGHTS, ...priorityWeights };
+  }
+
+  /**
+   * Replace the state priority weights (scoring profile switch)
+   * @param {Object} priorityWeights - State priority weights
+   */
+  setPriorityWeights(priorityWeights) {
+    this.priorityWeights = { ...FederalStatePrioritizer.PRIORITY_WEIGHTS, ...priorityWeights };
   }
 
   /**
@@ -75,7 +88,7 @@ export class FederalStatePrioritizer {
    */
   calculateStatePriorityScore(program, userFederalState) {
     if (!program || !userFederalState) {
-      return FederalStatePrioritizer.PRIORITY_WEIGHTS.NO_MATCH;
+      return this.priorityWeights.NO_MATCH;
     }
 
     const federalStates = Array.isArray(program.federalStates) 
@@ -84,17 +97,17 @@ export class FederalStatePrioritizer {
 
     // No match - program not available in user's state
     if (!this.matchesFederalState(program, userFederalState)) {
-      return FederalStatePrioritizer.PRIORITY_WEIGHTS.NO_MATCH;
+      return this.priorityWeights.NO_MATCH;
     }
 
     // Exact state match - program specifically for user's state only
     if (federalStates.length === 1 && federalStates[0] === userFederalState) {
-      return FederalStatePrioritizer.PRIORITY_WEIGHTS.EXACT_STATE_MATCH;
+      return this.priorityWeights.EXACT_STATE_MATCH;
     }
 
     // Multi-state match - program for multiple specific states including user's
     if (federalStates.includes(userFederalState) && !federalStates.includes('all')) {
-      return FederalStatePrioritizer.PRIORITY_WEIGHTS.MULTI_STATE_MATCH;
+      return this.priorityWeights.MULTI_STATE_MATCH;
     }
 
     // Programs available to all states - prioritize by relevance level
@@ -103,17 +116,17 @@ export class FederalStatePrioritizer {
       
       switch (relevanceLevel) {
         case 1: // Core Programs
-          return FederalStatePrioritizer.PRIORITY_WEIGHTS.ALL_STATES_CORE;
+          return this.priorityWeights.ALL_STATES_CORE;
         case 2: // Supplementary Programs  
-          return FederalStatePrioritizer.PRIORITY_WEIGHTS.ALL_STATES_SUPPLEMENTARY;
+          return this.priorityWeights.ALL_STATES_SUPPLEMENTARY;
         case 3: // National Programs
-          return FederalStatePrioritizer.PRIORITY_WEIGHTS.ALL_STATES_NATIONAL;
+          return this.priorityWeights.ALL_STATES_NATIONAL;
         default:
-          return FederalStatePrioritizer.PRIORITY_WEIGHTS.NO_MATCH;
+          return this.priorityWeights.NO_MATCH;
       }
     }
 
-    return FederalStatePrioritizer.PRIORITY_WEIGHTS.NO_MATCH;
+    return this.priorityWeights.NO_MATCH;
   }
 
   /**
@@ -154,8 +167,8 @@ export class FederalStatePrioritizer {
       }
 
       // Tertiary sort: Funding rate (higher is better)
-      const aRate = this.parseFundingRate(a.fundingRate);
-      const bRate = this.parseFundingRate(b.fundingRate);
+      const aRate = getFundingRateScore(getFundingModel(a));
+      const bRate = getFundingRateScore(getFundingModel(b));
       return bRate - aRate;
     });
   }
@@ -326,27 +339,12 @@ export class FederalStatePrioritizer {
 
   /**
    * Parse funding rate string to numeric value for comparison
+   * Delegates to the shared funding model so all services rank rates alike.
    * @param {string} fundingRate - Funding rate string (e.g., "60-80%", "bis 90%")
    * @returns {number} Numeric funding rate (0-100)
    */
   parseFundingRate(fundingRate) {
-    if (!fundingRate || typeof fundingRate !== 'string') {
-      return 0;
-    }
-
-    // Extract numbers from funding rate string
-    const numbers = fundingRate.match(/\d+/g);
-    if (!numbers || numbers.length === 0) {
-      return 0;
-    }
-
-    // If range (e.g., "60-80%"), take the higher value
-    if (numbers.length > 1) {
-      return Math.max(...numbers.map(n => parseInt(n, 10)));
-    }
-
-    // Single number
-    return parseInt(numbers[0], 10);
+    return parseFundingRate(fundingRate);
   }
 
   /**
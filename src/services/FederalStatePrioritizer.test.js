@@ -357,17 +357,25 @@ describe('FederalStatePrioritizer', () => {
       expect(prioritizer.parseFundingRate('bis 90%')).toBe(90);
     });
 
-    test('should parse EUR amounts correctly', () => {
-      expect(prioritizer.parseFundingRate('bis 10.000 EUR')).toBe(10);
-      expect(prioritizer.parseFundingRate('max 20.000 EUR')).toBe(20);
+    test('should parse EUR amounts on the shared logarithmic scale', () => {
+      expect(prioritizer.parseFundingRate('bis 10.000 EUR')).toBeCloseTo(80, 0);
+      expect(prioritizer.parseFundingRate('max 20.000 EUR'))
+        .toBeGreaterThan(prioritizer.parseFundingRate('bis 10.000 EUR'));
+    });
+
+    test('should prefer the percentage over the cap for combined rates', () => {
+      expect(prioritizer.parseFundingRate('bis 80%, max 20.000 EUR')).toBe(80);
     });
 
     test('should handle invalid inputs', () => {
       expect(prioritizer.parseFundingRate(null)).toBe(0);
       expect(prioritizer.parseFundingRate('')).toBe(0);
-      expect(prioritizer.parseFundingRate('variabel')).toBe(0);
       expect(prioritizer.parseFundingRate(123)).toBe(0); // Not a string
     });
+
+    test('should rank variable rates in the middle', () => {
+      expect(prioritizer.parseFundingRate('variabel')).toBe(50);
+    });
   });
 
   describe('Static Methods', () => {
@@ -51,6 +51,31 @@ export class RelevanceClassifier {
     'nationale projekte', 'modellvorhaben', 'bundesmittel'
   ];
 
+  // Keywords that indicate outdoor fitness / sports facilities (type 'calisthenics')
+  static CALISTHENICS_KEYWORDS = [
+    'calisthenics', 'outdoor-fitness', 'fitnessparcours', 'trimm-dich', 'bewegungsparcours',
+    'bewegungspark', 'sportstätte', 'sportanlage', 'sportplatz', 'vereinssport', 'sportförderung'
+  ];
+
+  // Keywords that indicate programs funding playgrounds as part of larger projects (type 'combination')
+  static COMBINATION_KEYWORDS = [
+    'dorfentwicklung', 'dorferneuerung', 'städtebau', 'stadtentwicklung', 'quartier',
+    'grünfläche', 'freiraum', 'ländliche entwicklung', 'sozialer zusammenhalt', 'innenentwicklung'
+  ];
+
+  // Keywords per measure
+  static MEASURE_KEYWORDS = {
+    newBuild: ['neubau', 'errichtung', 'neuanlage', 'neugestaltung', 'bau von'],
+    renovation: ['sanierung', 'modernisierung', 'instandsetzung', 'erneuerung', 'umbau'],
+    accessibility: ['barrierefrei', 'barrierefreiheit', 'inklusion', 'inklusiv'],
+    greening: ['begrünung', 'grünfläche', 'naturnah', 'klimaanpassung', 'entsiegelung']
+  };
+
+  // Location indicators; rural ones are word stems matched at the start of a word
+  // ('dorf' matches "Dorfentwicklung", not "Düsseldorf")
+  static RURAL_INDICATORS = ['ländlich', 'dorf', 'leader', 'gak', 'eler', 'agrarstruktur'];
+  static URBAN_INDICATORS = ['städtebau', 'stadtentwicklung', 'stadtteil', 'innenstadt', 'quartier', 'urban'];
+
   /**
    * Classify a funding program into one of 4 relevance levels
    * @param {Object} program - Funding program to classify
@@ -180,6 +205,52 @@ export class RelevanceClassifier {
     return isNationalButEUFederal;
   }
 
+  /**
+   * Propose type, measures and location type for a program from its text,
+   * e.g. for records imported from external sources that have no classification yet
+   * @param {Object} program - Funding program (name, description, ...)
+   * @returns {Object} { type, measures, locationType, relevanceLevel, matches }
+   *   matches lists the keywords behind every proposal, for the reviewer
+   */
+  suggestClassification(program) {
+    const searchText = this.getSearchableText(program || {});
+    const findKeywords = (keywords) => keywords.filter(keyword => searchText.includes(keyword));
+    const matches = {};
+
+    // Values whose keywords occur in the text, remembering the matched keywords
+    const suggestValues = (keywordsByValue) => Object.entries(keywordsByValue)
+      .filter(([value, keywords]) => {
+        const found = findKeywords(keywords);
+        if (found.length > 0) matches[value] = found;
+        return found.length > 0;
+      })
+      .map(([value]) => value);
+
+    const type = suggestValues({
+      playground: RelevanceClassifier.PLAYGROUND_KEYWORDS,
+      calisthenics: RelevanceClassifier.CALISTHENICS_KEYWORDS,
+      combination: RelevanceClassifier.COMBINATION_KEYWORDS
+    });
+    const measures = suggestValues(RelevanceClassifier.MEASURE_KEYWORDS);
+
+    const rural = RelevanceClassifier.RURAL_INDICATORS
+      .filter(keyword => new RegExp(`(^|[^a-zäöüß])${keyword}`).test(searchText));
+    const urban = findKeywords(RelevanceClassifier.URBAN_INDICATORS);
+    let locationType = null;
+    if (rural.length > 0 || urban.length > 0) {
+      locationType = rural.length > 0 && urban.length > 0 ? 'both' : (rural.length > 0 ? 'rural' : 'urban');
+      matches.locationType = [...rural, ...urban];
+    }
+
+    return {
+      type,
+      measures,
+      locationType,
+      relevanceLevel: this.classifyProgram({ ...program, type, measures }),
+      matches
+    };
+  }
+
   /**
    * Get searchable text from program for keyword matching
    * @param {Object} program - Funding program
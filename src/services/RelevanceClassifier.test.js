@@ -265,6 +265,46 @@ describe('RelevanceClassifier', () => {
     });
   });
 
+  describe('suggestClassification', () => {
+    test('should propose type, measures and location from keywords', () => {
+      const suggestion = classifier.suggestClassification({
+        name: 'Förderung der Dorfentwicklung',
+        description: 'Neubau und Sanierung barrierefreier Spielplatz- und Bewegungsparcours-Anlagen im ländlichen Raum',
+        federalStates: ['BY']
+      });
+
+      expect(suggestion.type).toEqual(['playground', 'calisthenics', 'combination']);
+      expect(suggestion.measures).toEqual(['newBuild', 'renovation', 'accessibility']);
+      expect(suggestion.locationType).toBe('rural');
+      expect(suggestion.relevanceLevel).toBe(1);
+      expect(suggestion.matches.calisthenics).toEqual(['bewegungsparcours']);
+    });
+
+    test('should not read rural indicators inside other words', () => {
+      const suggestion = classifier.suggestClassification({
+        name: 'Spielplatzprogramm Düsseldorf',
+        description: 'Neugestaltung von Spielplätzen in Düsseldorfer Stadtteilen',
+        source: 'https://www.duesseldorf.de/spielplaetze',
+        federalStates: ['NW']
+      });
+
+      expect(suggestion.locationType).toBe('urban');
+      expect(suggestion.matches.locationType).toEqual(['stadtteil']);
+    });
+
+    test('should propose nothing for unrelated programs', () => {
+      const suggestion = classifier.suggestClassification({
+        name: 'Breitbandausbau',
+        description: 'Förderung des Breitbandausbaus',
+        federalStates: ['all']
+      });
+
+      expect(suggestion.type).toEqual([]);
+      expect(suggestion.locationType).toBeNull();
+      expect(suggestion.relevanceLevel).toBe(RelevanceClassifier.RELEVANCE_LEVELS.EXCLUDED);
+    });
+  });
+
   describe('Static Methods', () => {
     test('isValidRelevanceLevel should validate levels correctly', () => {
       expect(RelevanceClassifier.isValidRelevanceLevel(1)).toBe(true);
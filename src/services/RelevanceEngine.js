@@ -6,31 +6,82 @@
  * Level 2 (Supplementary): Landesumgesetzte Bundes-/EU-Programme  
  * Level 3 (National): Echte bundesweite Programme
  * Level 4 (Excluded): Unrelevante Programme
+ *
+ * Relevance scores are weighted by a scoring profile (see scoringProfileService).
  */
 
 import { RelevanceClassifier } from './RelevanceClassifier.js';
 import { FederalStatePrioritizer } from './FederalStatePrioritizer.js';
 import { addEnhancedMetadata, addEnhancedMetadataToAll, validateProgramMetadata } from '../data/metadataHelpers.js';
+import { partitionByFundingPeriod } from './fundingPeriodService.js';
+import { applyRegistryAttributes, resolveProgramId } from '../data/programRegistry.js';
+import { getScoringProfile, calculateScoreBreakdown } from './scoringProfileService.js';
 
 export class RelevanceEngine {
-  constructor(fundingPrograms, cache = null) {
+  constructor(fundingPrograms, cache = null, scoringProfile = null) {
     this.programs = fundingPrograms || [];
     this.cache = cache;
     this.classifier = new RelevanceClassifier();
-    this.prioritizer = new FederalStatePrioritizer();
+    this.scoringProfile = getScoringProfile(scoringProfile);
+    this.prioritizer = new FederalStatePrioritizer(this.scoringProfile.statePriorityWeights);
     this.classifiedPrograms = new Map();
     
     // Automatically enhance programs with metadata on initialization
-    this.enhancedPrograms = addEnhancedMetadataToAll(this.programs);
+    this.enhancedPrograms = this.enhancePrograms(this.programs);
+  }
+
+  /**
+   * Add enhanced metadata and program registry attributes to programs
+   * @param {Array} programs - Programs to enhance
+   * @returns {Array} Enhanced programs
+   */
+  enhancePrograms(programs) {
+    return addEnhancedMetadataToAll(programs).map(applyRegistryAttributes);
+  }
+
+  /**
+   * Check if a program matches a reference (id, current name or legacy name)
+   * @param {Object} program - Program to check
+   * @param {string} ref - Program id or name
+   * @returns {boolean} True if the reference points at the program
+   */
+  matchesProgramRef(program, ref) {
+    if (!program || !ref) {
+      return false;
+    }
+    if (program.id === ref || program.name === ref) {
+      return true;
+    }
+    const id = resolveProgramId(ref);
+    return Boolean(id) && (program.id || resolveProgramId(program.name)) === id;
+  }
+
+  /**
+   * Find a program by id, current name or legacy name
+   * @param {string} ref - Program id or name
+   * @returns {Object|undefined} Program or undefined if not found
+   */
+  findProgram(ref) {
+    return this.programs.find(p => this.matchesProgramRef(p, ref));
   }
 
   /**
    * Classify all programs into relevance levels
+   * Programs whose funding period has ended are hidden unless includeExpired is set
+   * @param {Object} options - Classification options
+   * @param {boolean} options.includeExpired - Keep expired programs, marked as "ausgelaufen"
+   * @param {Date|string} options.referenceDate - Day to check funding periods against (default: today)
    * @returns {Array} Programs with relevance level metadata
    */
-  classifyPrograms() {
+  classifyPrograms(options = {}) {
+    const { includeExpired = false, referenceDate = new Date() } = options;
+    const { active, expired } = partitionByFundingPeriod(this.enhancedPrograms, { referenceDate });
+    const programs = includeExpired
+      ? [...active, ...expired.map(program => ({ ...program, lifecycleStatus: 'ausgelaufen' }))]
+      : active;
+
     // Use the enhanced programs that already have metadata
-    const classifiedPrograms = this.enhancedPrograms.map(program => {
+    const classifiedPrograms = programs.map(program => {
       // Check cache first
       const cacheKey = this.generateCacheKey(program);
       if (this.cache && this.cache.has(cacheKey)) {
@@ -76,6 +127,15 @@ export class RelevanceEngine {
     return classifiedPrograms;
   }
 
+  /**
+   * Get programs whose funding period has ended ("ausgelaufen" section)
+   * @param {Date|string} referenceDate - Day to check funding periods against (default: today)
+   * @returns {Array} Expired programs with a pointer to their successor (successorProgram)
+   */
+  getExpiredPrograms(referenceDate = new Date()) {
+    return partitionByFundingPeriod(this.enhancedPrograms, { referenceDate }).expired;
+  }
+
   /**
    * Get programs by specific relevance level
    * @param {number} level - Relevance level (1-4)
@@ -97,6 +157,35 @@ export class RelevanceEngine {
     return filtered;
   }
 
+  /**
+   * Switch the scoring profile (score weights and state priority weights)
+   * @param {string|Object} profile - Profile id or profile object
+   */
+  setScoringProfile(profile) {
+    this.scoringProfile = getScoringProfile(profile);
+    this.prioritizer.setPriorityWeights(this.scoringProfile.statePriorityWeights);
+  }
+
+  /**
+   * Calculate the weighted score components of a program
+   * @param {Object} program - Funding program
+   * @param {Object} userCriteria - User selection criteria (`scoringProfile` overrides the engine's profile)
+   * @returns {Object} { profile, components: [{ key, label, weight, points }], total, score }
+   */
+  getScoreBreakdown(program, userCriteria = {}) {
+    // First classify the program to get its relevance level
+    const classified = this.classifyPrograms().find(p => p.name === program.name) || program;
+    const profile = userCriteria.scoringProfile ? getScoringProfile(userCriteria.scoringProfile) : this.scoringProfile;
+
+    return calculateScoreBreakdown({
+      ...program,
+      relevanceLevel: classified.relevanceLevel,
+      isFederalStateSpecific: classified.isFederalStateSpecific,
+      playgroundFundingHistory: classified.playgroundFundingHistory,
+      successRate: classified.successRate
+    }, userCriteria, profile);
+  }
+
   /**
    * Calculate relevance score for a program based on user criteria
    * @param {Object} program - Funding program
@@ -104,41 +193,7 @@ export class RelevanceEngine {
    * @returns {number} Relevance score (0-100)
    */
   calculateRelevanceScore(program, userCriteria) {
-    // First classify the program to get its relevance level
-    const classified = this.classifyPrograms().find(p => p.name === program.name) || program;
-    
-    let score = 0;
-    
-    // Base score from relevance level (higher level = lower score)
-    const levelScores = { 1: 50, 2: 40, 3: 30, 4: 0 };
-    score += levelScores[classified.relevanceLevel] || 0;
-    
-    // Federal state match bonus
-    if (userCriteria.federalState && classified.isFederalStateSpecific) {
-      if (program.federalStates && program.federalStates.includes(userCriteria.federalState)) {
-        score += 30;
-      }
-    }
-    
-    // Project type match bonus
-    if (userCriteria.projectType && program.type && program.type.includes(userCriteria.projectType)) {
-      score += 25;
-    }
-    
-    // Playground funding history bonus
-    if (userCriteria.projectType === 'playground' && classified.playgroundFundingHistory) {
-      score += 20;
-    }
-    
-    // Measures match bonus
-    if (userCriteria.measures && program.measures) {
-      const matchingMeasures = userCriteria.measures.filter(measure => 
-        program.measures.includes(measure)
-      );
-      score += (matchingMeasures.length / userCriteria.measures.length) * 15;
-    }
-    
-    return Math.min(score, 100); // Cap at 100
+    return this.getScoreBreakdown(program, userCriteria).score;
   }
 
   /**
@@ -251,7 +306,7 @@ export class RelevanceEngine {
 
     programNames.forEach(name => {
       try {
-        const program = this.programs.find(p => p.name === name);
+        const program = this.findProgram(name);
         if (program) {
           const cacheKey = this.generateCacheKey(program);
           
@@ -344,7 +399,7 @@ export class RelevanceEngine {
       if (programNames) {
         // Refresh specific programs
         programNames.forEach(name => {
-          const program = this.programs.find(p => p.name === name);
+          const program = this.findProgram(name);
           if (program) {
             // Trigger re-classification which will populate cache
             this.getRelevanceLevel(program);
@@ -429,7 +484,8 @@ export class RelevanceEngine {
       national: classified.filter(p => p.relevanceLevel === 3).length,
       excluded: classified.filter(p => p.relevanceLevel === 4).length,
       federalStateSpecific: classified.filter(p => p.isFederalStateSpecific).length,
-      playgroundRelevant: classified.filter(p => p.playgroundFundingHistory).length
+      playgroundRelevant: classified.filter(p => p.playgroundFundingHistory).length,
+      expired: this.getExpiredPrograms().length
     };
     
     return stats;
@@ -562,7 +618,7 @@ export class RelevanceEngine {
   onProgramCreated(newProgram, context = {}) {
     // Add to internal programs array
     this.programs.push(newProgram);
-    this.enhancedPrograms = addEnhancedMetadataToAll(this.programs);
+    this.enhancedPrograms = this.enhancePrograms(this.programs);
 
     // Invalidate related cache entries
     const invalidationOptions = {
@@ -638,7 +694,7 @@ export class RelevanceEngine {
       
       case 'bulk_create':
         this.programs.push(...affectedPrograms);
-        this.enhancedPrograms = addEnhancedMetadataToAll(this.programs);
+        this.enhancedPrograms = this.enhancePrograms(this.programs);
         result = this.invalidateCache(null); // Full invalidation for bulk creates
         break;
       
@@ -667,14 +723,16 @@ export class RelevanceEngine {
    */
   updateInternalPrograms(updatedPrograms) {
     updatedPrograms.forEach(updatedProgram => {
-      const index = this.programs.findIndex(p => p.name === updatedProgram.name);
+      const index = this.programs.findIndex(p =>
+        this.matchesProgramRef(p, updatedProgram.id) || this.matchesProgramRef(p, updatedProgram.name)
+      );
       if (index !== -1) {
         this.programs[index] = { ...this.programs[index], ...updatedProgram };
       }
     });
 
     // Regenerate enhanced programs
-    this.enhancedPrograms = addEnhancedMetadataToAll(this.programs);
+    this.enhancedPrograms = this.enhancePrograms(this.programs);
   }
 
   /**
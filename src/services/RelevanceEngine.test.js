@@ -272,6 +272,59 @@ describe('RelevanceEngine', () => {
     });
   });
 
+  describe('funding period expiry', () => {
+    let periodEngine;
+
+    beforeEach(() => {
+      periodEngine = new RelevanceEngine([
+        ...mockPrograms,
+        {
+          name: 'LEADER Bayern 2014-2020',
+          type: ['playground'],
+          federalStates: ['BY'],
+          measures: ['newBuild'],
+          successor: 'LEADER Bayern 2023-2027'
+        },
+        {
+          name: 'LEADER Bayern 2023-2027',
+          type: ['playground'],
+          federalStates: ['BY'],
+          measures: ['newBuild'],
+          validFrom: '2023-01-01',
+          validUntil: '2027-12-31'
+        }
+      ]);
+    });
+
+    test('should hide expired programs from classification', () => {
+      const classified = periodEngine.classifyPrograms({ referenceDate: '2026-10-18' });
+      const names = classified.map(p => p.name);
+
+      expect(names).not.toContain('LEADER Bayern 2014-2020');
+      expect(names).toContain('LEADER Bayern 2023-2027');
+    });
+
+    test('should mark expired programs as ausgelaufen when requested', () => {
+      const classified = periodEngine.classifyPrograms({ referenceDate: '2026-10-18', includeExpired: true });
+      const expired = classified.find(p => p.name === 'LEADER Bayern 2014-2020');
+
+      expect(expired.lifecycleStatus).toBe('ausgelaufen');
+      expect(expired.successorProgram.name).toBe('LEADER Bayern 2023-2027');
+      expect(expired).toHaveProperty('relevanceLevel');
+    });
+
+    test('should list expired programs with successor pointer', () => {
+      const expired = periodEngine.getExpiredPrograms('2028-01-01');
+
+      expect(expired.map(p => p.name)).toEqual(['LEADER Bayern 2014-2020', 'LEADER Bayern 2023-2027']);
+      expect(expired[1].successorProgram).toBeNull();
+    });
+
+    test('should count expired programs in statistics', () => {
+      expect(periodEngine.getClassificationStats().expired).toBeGreaterThanOrEqual(1);
+    });
+  });
+
   describe('getClassificationStats', () => {
     test('should return classification statistics', () => {
       const stats = engine.getClassificationStats();
@@ -0,0 +1,89 @@
+/**
+ * Applicant Eligibility Service
+ *
+ * Who may apply decides whether a program is usable at all: Städtebauförderung
+ * only funds Kommunen, foundations like the DKHW fund Vereine and Initiativen.
+ * Programs list their Antragsberechtigte in `eligibleApplicants`; the filters
+ * hard-exclude programs the selected applicant type cannot receive.
+ */
+
+/**
+ * Supported applicant types with display labels
+ */
+export const APPLICANT_TYPES = {
+  'kommune': 'Kommune / Gemeinde',
+  'verein': 'Verein',
+  'kita-traeger': 'Kita-Träger',
+  'kirchengemeinde': 'Kirchengemeinde',
+  'initiative': 'Bürger- / Elterninitiative',
+  'privat': 'Privatperson / Unternehmen'
+};
+
+/**
+ * Get the eligible applicant types of a program
+ * @param {Object} program - Funding program
+ * @returns {Array|null} Applicant types, or null if the program has no restriction data
+ */
+export const getEligibleApplicants = (program) => {
+  if (!program || !Array.isArray(program.eligibleApplicants) || program.eligibleApplicants.length === 0) {
+    return null;
+  }
+  return program.eligibleApplicants;
+};
+
+/**
+ * Check if an applicant type may receive funding from a program
+ * @param {Object} program - Funding program
+ * @param {string} applicantType - Applicant type key (e.g., "kommune", "verein")
+ * @returns {boolean} True if eligible (or if no applicant type / restriction is given)
+ */
+export const isApplicantEligible = (program, applicantType) => {
+  if (!applicantType) {
+    return true;
+  }
+
+  const eligibleApplicants = getEligibleApplicants(program);
+  if (!eligibleApplicants) {
+    return true;
+  }
+
+  return eligibleApplicants.includes(applicantType);
+};
+
+/**
+ * Remove programs the applicant cannot receive
+ * @param {Array} programs - Programs to filter
+ * @param {string} applicantType - Applicant type key
+ * @returns {Array} Programs the applicant is eligible for
+ */
+export const filterByApplicantType = (programs, applicantType) => {
+  if (!Array.isArray(programs)) {
+    return [];
+  }
+
+  if (!applicantType) {
+    return programs;
+  }
+
+  return programs.filter(program => isApplicantEligible(program, applicantType));
+};
+
+/**
+ * Get the display label of an applicant type
+ * @param {string} applicantType - Applicant type key
+ * @returns {string} Display label (falls back to the key)
+ */
+export const getApplicantTypeLabel = (applicantType) => {
+  return APPLICANT_TYPES[applicantType] || applicantType;
+};
+
+/**
+ * Describe why a program was removed for an applicant type (decision trace)
+ * @param {Object} program - Funding program
+ * @param {string} applicantType - Applicant type key
+ * @returns {string} Rule text
+ */
+export const describeApplicantExclusion = (program, applicantType) => {
+  const eligible = (getEligibleApplicants(program) || []).map(getApplicantTypeLabel).join(', ');
+  return `Nicht antragsberechtigt als ${getApplicantTypeLabel(applicantType)} (antragsberechtigt: ${eligible})`;
+};
@@ -0,0 +1,105 @@
+/**
+ * Tests for Applicant Eligibility Service
+ * Feature: applicant-eligibility
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  APPLICANT_TYPES,
+  getEligibleApplicants,
+  isApplicantEligible,
+  filterByApplicantType,
+  getApplicantTypeLabel
+} from './applicantEligibilityService.js';
+import { simpleFilterPrograms } from './simpleFilterService.js';
+import { fundingPrograms } from '../data/fundingPrograms.js';
+
+const kommunalProgram = { name: 'Städtebau', eligibleApplicants: ['kommune'] };
+const vereinProgram = { name: 'Stiftung', eligibleApplicants: ['verein', 'initiative'] };
+const unrestrictedProgram = { name: 'Ohne Angabe' };
+
+describe('Applicant Eligibility Service', () => {
+
+  describe('program data', () => {
+    it('should define eligible applicants for every program', () => {
+      fundingPrograms.forEach(program => {
+        expect(Array.isArray(program.eligibleApplicants)).toBe(true);
+        expect(program.eligibleApplicants.length).toBeGreaterThan(0);
+        program.eligibleApplicants.forEach(type => {
+          expect(APPLICANT_TYPES[type]).toBeDefined();
+        });
+      });
+    });
+
+    it('should restrict Städtebauförderung to Kommunen', () => {
+      fundingPrograms
+        .filter(program => program.name.startsWith('Städtebauförderung'))
+        .forEach(program => {
+          expect(program.eligibleApplicants).toEqual(['kommune']);
+        });
+    });
+
+    it('should not allow Kommunen to apply for DKHW funds', () => {
+      fundingPrograms
+        .filter(program => program.name.includes('Kinderhilfswerk'))
+        .forEach(program => {
+          expect(program.eligibleApplicants).toContain('initiative');
+          expect(program.eligibleApplicants).not.toContain('kommune');
+        });
+    });
+  });
+
+  describe('isApplicantEligible', () => {
+    it('should check the applicant type against the program', () => {
+      expect(isApplicantEligible(kommunalProgram, 'kommune')).toBe(true);
+      expect(isApplicantEligible(kommunalProgram, 'verein')).toBe(false);
+      expect(isApplicantEligible(vereinProgram, 'initiative')).toBe(true);
+    });
+
+    it('should not restrict without applicant type or program data', () => {
+      expect(isApplicantEligible(kommunalProgram, '')).toBe(true);
+      expect(isApplicantEligible(unrestrictedProgram, 'privat')).toBe(true);
+      expect(getEligibleApplicants(unrestrictedProgram)).toBeNull();
+    });
+  });
+
+  describe('filterByApplicantType', () => {
+    it('should remove programs the applicant cannot receive', () => {
+      const result = filterByApplicantType([kommunalProgram, vereinProgram, unrestrictedProgram], 'verein');
+      expect(result.map(p => p.name)).toEqual(['Stiftung', 'Ohne Angabe']);
+    });
+
+    it('should handle invalid input', () => {
+      expect(filterByApplicantType(null, 'verein')).toEqual([]);
+      expect(filterByApplicantType([kommunalProgram], null)).toHaveLength(1);
+    });
+  });
+
+  describe('getApplicantTypeLabel', () => {
+    it('should return display labels', () => {
+      expect(getApplicantTypeLabel('kita-traeger')).toBe('Kita-Träger');
+      expect(getApplicantTypeLabel('unknown')).toBe('unknown');
+    });
+  });
+
+  describe('simpleFilterPrograms integration', () => {
+    it('should hard-exclude programs for the selected applicant type', () => {
+      fc.assert(fc.property(
+        fc.constantFrom(...Object.keys(APPLICANT_TYPES)),
+        fc.constantFrom('stadt-quartier', 'laendlicher-raum'),
+        fc.constantFrom('BW', 'BY', 'HH', 'NI', 'SN'),
+        (applicantType, einsatzbereich, federalState) => {
+          const result = simpleFilterPrograms(einsatzbereich, federalState, fundingPrograms, { applicantType });
+          return result.every(program => program.eligibleApplicants.includes(applicantType));
+        }
+      ), { numRuns: 20 });
+    });
+
+    it('should not change results without applicant type', () => {
+      const withoutOption = simpleFilterPrograms('stadt-quartier', 'BY', fundingPrograms);
+      const withEmptyOption = simpleFilterPrograms('stadt-quartier', 'BY', fundingPrograms, { applicantType: '' });
+      expect(withEmptyOption.map(p => p.name)).toEqual(withoutOption.map(p => p.name));
+    });
+  });
+});
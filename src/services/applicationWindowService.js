@@ -0,0 +1,240 @@
+/**
+ * Application Window Service
+ *
+ * Deadline / call-window model for funding programs. A program can carry an
+ * `applicationWindows` array with any mix of:
+ *
+ * - { type: 'laufend' }                                    Anträge jederzeit
+ * - { type: 'jaehrlich', start: 'MM-DD', end: 'MM-DD' }    Jährlich wiederkehrend;
+ *   without `start` the end date is a Stichtag (open all year until then),
+ *   a `start` after `end` means the window spans the turn of the year
+ * - { type: 'aufruf', start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }  Einmaliger Förderaufruf
+ *
+ * Every window may carry a `label` shown in the UI. Programs without windows
+ * have an unknown status and are never hidden by the window filter unless
+ * explicitly requested.
+ */
+
+export const WINDOW_TYPES = {
+  LAUFEND: 'laufend',
+  JAEHRLICH: 'jaehrlich',
+  AUFRUF: 'aufruf'
+};
+
+export const APPLICATION_STATUS = {
+  OPEN: 'open',
+  UPCOMING: 'upcoming',
+  CLOSED: 'closed',
+  UNKNOWN: 'unknown'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an ISO date ("YYYY-MM-DD") as UTC midnight
+ * @param {string} isoDate - ISO date string
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+const parseIsoDay = (isoDate) => {
+  const match = typeof isoDate === 'string' && isoDate.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+};
+
+/**
+ * Normalize a date to UTC midnight of its calendar day
+ * @param {Date|string} date - Date or ISO date string
+ * @returns {Date|null} Normalized date or null if invalid
+ */
+const toDay = (date) => {
+  if (typeof date === 'string' && parseIsoDay(date)) {
+    return parseIsoDay(date);
+  }
+  const value = date instanceof Date ? date : new Date(date);
+  if (isNaN(value.getTime())) {
+    return null;
+  }
+  return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+};
+
+/**
+ * Build the date of a recurring "MM-DD" in a given year
+ * @param {string} monthDay - Month and day ("MM-DD")
+ * @param {number} year - Year
+ * @returns {Date|null} Date or null if invalid
+ */
+const monthDayInYear = (monthDay, year) => {
+  return parseIsoDay(typeof monthDay === 'string' ? `${year}-${monthDay}` : null);
+};
+
+const formatIsoDay = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+const daysBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / DAY_MS);
+
+/**
+ * Resolve a window to the concrete period that is current or next for a date
+ * @param {Object} window - Application window
+ * @param {Date} today - Reference day (UTC midnight)
+ * @returns {Object|null} { opensAt, closesAt } (Dates, null = unbounded) or null if no period remains
+ */
+const resolvePeriod = (window, today) => {
+  if (!window || !window.type) {
+    return null;
+  }
+
+  if (window.type === WINDOW_TYPES.LAUFEND) {
+    return { opensAt: null, closesAt: null };
+  }
+
+  if (window.type === WINDOW_TYPES.AUFRUF) {
+    const opensAt = window.start ? parseIsoDay(window.start) : null;
+    const closesAt = parseIsoDay(window.end);
+    if (!closesAt || closesAt < today) {
+      return null;
+    }
+    return { opensAt, closesAt };
+  }
+
+  if (window.type === WINDOW_TYPES.JAEHRLICH) {
+    const year = today.getUTCFullYear();
+
+    // Check last year's, this year's and next year's occurrence
+    for (const offset of [-1, 0, 1]) {
+      const endInSameYear = !window.start || window.start <= window.end;
+      const opensAt = window.start ? monthDayInYear(window.start, year + offset) : null;
+      const closesAt = monthDayInYear(window.end, year + offset + (endInSameYear ? 0 : 1));
+      if (!closesAt) {
+        return null;
+      }
+      if (closesAt >= today) {
+        return { opensAt, closesAt };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the application windows of a program
+ * @param {Object} program - Funding program
+ * @returns {Array} Application windows (empty if unknown)
+ */
+export const getApplicationWindows = (program) => {
+  if (!program || !Array.isArray(program.applicationWindows)) {
+    return [];
+  }
+  return program.applicationWindows;
+};
+
+/**
+ * Determine whether a program is open, upcoming or closed on a given day
+ * @param {Object} program - Funding program
+ * @param {Date|string} referenceDate - Day to evaluate (defaults to today)
+ * @returns {Object} Status { status, opensAt, closesAt, daysUntilOpen, daysUntilClose, label }
+ */
+export const getApplicationStatus = (program, referenceDate = new Date()) => {
+  const windows = getApplicationWindows(program);
+  const today = toDay(referenceDate);
+  const status = {
+    status: APPLICATION_STATUS.UNKNOWN,
+    opensAt: null,
+    closesAt: null,
+    daysUntilOpen: null,
+    daysUntilClose: null,
+    label: null
+  };
+
+  if (windows.length === 0 || !today) {
+    return status;
+  }
+
+  const periods = windows
+    .map(window => ({ window, period: resolvePeriod(window, today) }))
+    .filter(entry => entry.period);
+
+  if (periods.length === 0) {
+    return { ...status, status: APPLICATION_STATUS.CLOSED };
+  }
+
+  const open = periods.filter(({ period }) => !period.opensAt || period.opensAt <= today);
+
+  if (open.length > 0) {
+    // Prefer the window with the nearest deadline; "laufend" only if nothing closes
+    const [next] = open.sort((a, b) => {
+      if (!a.period.closesAt) return 1;
+      if (!b.period.closesAt) return -1;
+      return a.period.closesAt - b.period.closesAt;
+    });
+    return {
+      ...status,
+      status: APPLICATION_STATUS.OPEN,
+      closesAt: formatIsoDay(next.period.closesAt),
+      daysUntilClose: next.period.closesAt ? daysBetween(today, next.period.closesAt) : null,
+      label: next.window.label || null
+    };
+  }
+
+  const [next] = periods.sort((a, b) => a.period.opensAt - b.period.opensAt);
+  return {
+    ...status,
+    status: APPLICATION_STATUS.UPCOMING,
+    opensAt: formatIsoDay(next.period.opensAt),
+    closesAt: formatIsoDay(next.period.closesAt),
+    daysUntilOpen: daysBetween(today, next.period.opensAt),
+    daysUntilClose: daysBetween(today, next.period.closesAt),
+    label: next.window.label || null
+  };
+};
+
+/**
+ * Check if a program is open now or opens within the given number of weeks
+ * @param {Object} program - Funding program
+ * @param {number} weeks - Look-ahead in weeks (0 = open now only)
+ * @param {Date|string} referenceDate - Day to evaluate (defaults to today)
+ * @returns {boolean} True if open now or opening within the look-ahead
+ */
+export const isOpenWithinWeeks = (program, weeks = 0, referenceDate = new Date()) => {
+  const { status, daysUntilOpen } = getApplicationStatus(program, referenceDate);
+
+  if (status === APPLICATION_STATUS.OPEN) {
+    return true;
+  }
+
+  return status === APPLICATION_STATUS.UPCOMING && daysUntilOpen <= weeks * 7;
+};
+
+/**
+ * Filter programs by application window ("open now / opens within N weeks")
+ * @param {Array} programs - Programs to filter
+ * @param {Object} options - Filter options
+ * @param {number|null} options.openWithinWeeks - Look-ahead in weeks, null disables the filter
+ * @param {boolean} options.includeUnknown - Keep programs without known windows (default true)
+ * @param {Date|string} options.referenceDate - Day to evaluate (defaults to today)
+ * @returns {Array} Filtered programs
+ */
+export const filterByApplicationWindow = (programs, options = {}) => {
+  if (!Array.isArray(programs)) {
+    return [];
+  }
+
+  const { openWithinWeeks = null, includeUnknown = true, referenceDate = new Date() } = options;
+  const weeks = openWithinWeeks === null || openWithinWeeks === '' ? NaN : Number(openWithinWeeks);
+
+  if (isNaN(weeks) || weeks < 0) {
+    return programs;
+  }
+
+  const filtered = programs.filter(program => {
+    if (getApplicationWindows(program).length === 0) {
+      return includeUnknown;
+    }
+    return isOpenWithinWeeks(program, weeks, referenceDate);
+  });
+
+  console.log(`📅 Application window filter (${weeks} weeks): ${programs.length} → ${filtered.length}`);
+
+  return filtered;
+};
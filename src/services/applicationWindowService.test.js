@@ -0,0 +1,153 @@
+/**
+ * Tests for Application Window Service
+ * Feature: application-deadlines
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  getApplicationWindows,
+  getApplicationStatus,
+  isOpenWithinWeeks,
+  filterByApplicationWindow,
+  APPLICATION_STATUS
+} from './applicationWindowService.js';
+import { fundingPrograms } from '../data/fundingPrograms.js';
+
+const laufend = { name: 'Laufend', applicationWindows: [{ type: 'laufend' }] };
+const stichtag = { name: 'Stichtag', applicationWindows: [{ type: 'jaehrlich', end: '09-30' }] };
+const winterCall = { name: 'Winter', applicationWindows: [{ type: 'jaehrlich', start: '11-01', end: '01-31' }] };
+const oneOff = { name: 'Aufruf', applicationWindows: [{ type: 'aufruf', start: '2026-03-01', end: '2026-04-15', label: 'Aufruf 2026' }] };
+const unknown = { name: 'Unbekannt' };
+
+describe('Application Window Service', () => {
+
+  describe('getApplicationWindows', () => {
+    it('should return an empty list for programs without windows', () => {
+      expect(getApplicationWindows(unknown)).toEqual([]);
+      expect(getApplicationWindows(null)).toEqual([]);
+    });
+
+    it('should give all LEADER programs a rolling call window', () => {
+      fundingPrograms
+        .filter(program => program.name.startsWith('LEADER'))
+        .forEach(program => {
+          expect(getApplicationWindows(program)[0].type).toBe('laufend');
+        });
+    });
+  });
+
+  describe('getApplicationStatus', () => {
+    it('should report unknown status without windows', () => {
+      expect(getApplicationStatus(unknown, '2026-05-01').status).toBe(APPLICATION_STATUS.UNKNOWN);
+    });
+
+    it('should treat "laufend" as always open without deadline', () => {
+      const status = getApplicationStatus(laufend, '2026-05-01');
+      expect(status.status).toBe(APPLICATION_STATUS.OPEN);
+      expect(status.closesAt).toBeNull();
+      expect(status.daysUntilClose).toBeNull();
+    });
+
+    it('should count down to a yearly Stichtag', () => {
+      const status = getApplicationStatus(stichtag, '2026-09-20');
+      expect(status.status).toBe(APPLICATION_STATUS.OPEN);
+      expect(status.closesAt).toBe('2026-09-30');
+      expect(status.daysUntilClose).toBe(10);
+    });
+
+    it('should roll a passed Stichtag over to next year', () => {
+      const status = getApplicationStatus(stichtag, '2026-10-01');
+      expect(status.closesAt).toBe('2027-09-30');
+    });
+
+    it('should handle yearly windows spanning the turn of the year', () => {
+      expect(getApplicationStatus(winterCall, '2026-01-10').closesAt).toBe('2026-01-31');
+      expect(getApplicationStatus(winterCall, '2026-12-01').closesAt).toBe('2027-01-31');
+
+      const upcoming = getApplicationStatus(winterCall, '2026-10-18');
+      expect(upcoming.status).toBe(APPLICATION_STATUS.UPCOMING);
+      expect(upcoming.opensAt).toBe('2026-11-01');
+      expect(upcoming.daysUntilOpen).toBe(14);
+    });
+
+    it('should resolve one-off calls', () => {
+      expect(getApplicationStatus(oneOff, '2026-02-01').status).toBe(APPLICATION_STATUS.UPCOMING);
+      expect(getApplicationStatus(oneOff, '2026-04-15').status).toBe(APPLICATION_STATUS.OPEN);
+      expect(getApplicationStatus(oneOff, '2026-04-15').label).toBe('Aufruf 2026');
+      expect(getApplicationStatus(oneOff, '2026-04-16').status).toBe(APPLICATION_STATUS.CLOSED);
+    });
+
+    it('should prefer the nearest deadline among open windows', () => {
+      const program = {
+        applicationWindows: [{ type: 'laufend' }, { type: 'jaehrlich', end: '06-30' }]
+      };
+      expect(getApplicationStatus(program, '2026-06-01').closesAt).toBe('2026-06-30');
+    });
+
+    it('should accept Date objects', () => {
+      expect(getApplicationStatus(stichtag, new Date(2026, 8, 29)).daysUntilClose).toBe(1);
+    });
+  });
+
+  describe('isOpenWithinWeeks', () => {
+    it('should include windows opening within the look-ahead', () => {
+      expect(isOpenWithinWeeks(winterCall, 0, '2026-10-18')).toBe(false);
+      expect(isOpenWithinWeeks(winterCall, 2, '2026-10-18')).toBe(true);
+      expect(isOpenWithinWeeks(winterCall, 1, '2026-10-18')).toBe(false);
+    });
+  });
+
+  describe('filterByApplicationWindow', () => {
+    const programs = [laufend, stichtag, winterCall, oneOff, unknown];
+
+    it('should not filter without a look-ahead', () => {
+      expect(filterByApplicationWindow(programs, {})).toHaveLength(5);
+      expect(filterByApplicationWindow(programs, { openWithinWeeks: null })).toHaveLength(5);
+      expect(filterByApplicationWindow(programs, { openWithinWeeks: '' })).toHaveLength(5);
+    });
+
+    it('should keep only open programs for "open now"', () => {
+      const result = filterByApplicationWindow(programs, {
+        openWithinWeeks: 0,
+        referenceDate: '2026-10-18'
+      });
+      expect(result.map(p => p.name)).toEqual(['Laufend', 'Stichtag', 'Unbekannt']);
+    });
+
+    it('should include upcoming windows within N weeks', () => {
+      const result = filterByApplicationWindow(programs, {
+        openWithinWeeks: 4,
+        referenceDate: '2026-10-18'
+      });
+      expect(result.map(p => p.name)).toContain('Winter');
+    });
+
+    it('should drop unknown programs when requested', () => {
+      const result = filterByApplicationWindow(programs, {
+        openWithinWeeks: 0,
+        includeUnknown: false,
+        referenceDate: '2026-10-18'
+      });
+      expect(result.map(p => p.name)).not.toContain('Unbekannt');
+    });
+
+    it('should handle invalid input', () => {
+      expect(filterByApplicationWindow(null, { openWithinWeeks: 0 })).toEqual([]);
+    });
+
+    it('should never return more programs for a shorter look-ahead', () => {
+      fc.assert(fc.property(
+        fc.integer({ min: 0, max: 52 }),
+        fc.integer({ min: 0, max: 52 }),
+        fc.date({ min: new Date(2024, 0, 1), max: new Date(2030, 11, 31), noInvalidDate: true }),
+        (a, b, date) => {
+          const [short, long] = a <= b ? [a, b] : [b, a];
+          const shortResult = filterByApplicationWindow(fundingPrograms, { openWithinWeeks: short, referenceDate: date });
+          const longResult = filterByApplicationWindow(fundingPrograms, { openWithinWeeks: long, referenceDate: date });
+          return shortResult.every(program => longResult.includes(program));
+        }
+      ), { numRuns: 30 });
+    });
+  });
+});
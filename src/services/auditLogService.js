@@ -0,0 +1,207 @@
+/**
+ * Audit Log Service
+ *
+ * Append-only change log for funding programs. DatabaseUpdateService records
+ * every create, update, delete and bulk operation here:
+ *
+ *   {
+ *     seq: 12,                          // sequence number, increasing
+ *     timestamp: '2026-03-01T10:00:00Z',
+ *     user: 'm.mustermann',
+ *     action: 'update',                 // AUDIT_ACTIONS
+ *     programId: 'leader-bayern-2023-2027',
+ *     programName: 'LEADER Bayern 2023-2027',
+ *     batchId: null,                    // shared by entries of one bulk / rollback operation
+ *     revertOf: null,                   // seq of the reverted entry (revert only)
+ *     before: { ... } | null,           // program before the change (null on create)
+ *     after: { ... } | null,            // program after the change (null on delete)
+ *     diff: [{ field, before, after }]
+ *   }
+ *
+ * Entries are persisted through the storage adapter (appendAuditEntry /
+ * loadAuditLog, see programStorage.js) and can never be changed or removed.
+ */
+
+/**
+ * Audit actions
+ */
+export const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  BULK_UPDATE: 'bulk_update',
+  REVERT: 'revert',
+  ROLLBACK: 'rollback'
+};
+
+/**
+ * Fields that change on every save and are left out of diffs
+ */
+const VOLATILE_FIELDS = ['lastValidation', 'lastRelevanceUpdate'];
+
+/**
+ * Deep freeze an entry so it cannot be changed after appending
+ * @param {*} value - Value to freeze
+ * @returns {*} Frozen value
+ */
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+/**
+ * Compute the field diff between two program versions
+ * @param {Object|null} before - Program before the change
+ * @param {Object|null} after - Program after the change
+ * @returns {Array} Changed fields as { field, before, after }
+ */
+export const diffPrograms = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter(field => !VOLATILE_FIELDS.includes(field))
+    .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .sort()
+    .map(field => ({
+      field,
+      before: before?.[field] ?? null,
+      after: after?.[field] ?? null
+    }));
+};
+
+/**
+ * Append-only audit log
+ */
+export class AuditLog {
+  /**
+   * @param {Object|null} store - Storage adapter with appendAuditEntry / loadAuditLog (null = in memory only)
+   * @param {Object} options - Options
+   * @param {Function} options.now - Clock, returns a Date (for tests)
+   */
+  constructor(store = null, options = {}) {
+    this.store = store && typeof store.appendAuditEntry === 'function' ? store : null;
+    this.now = options.now || (() => new Date());
+    this.entries = null;
+    this.batchCounter = 0;
+  }
+
+  /**
+   * Load the persisted entries once
+   * @returns {Promise<Array>} Entries
+   */
+  async loadEntries() {
+    if (!this.entries) {
+      const stored = this.store ? await this.store.loadAuditLog() : [];
+      this.entries = (stored || []).map(deepFreeze);
+    }
+    return this.entries;
+  }
+
+  /**
+   * Create an id shared by the entries of one bulk / rollback operation
+   * @returns {string} Batch id
+   */
+  createBatchId() {
+    this.batchCounter++;
+    return `batch-${this.now().getTime().toString(36)}-${this.batchCounter}`;
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} change - Change data
+   * @param {string} change.action - AUDIT_ACTIONS value
+   * @param {Object|null} change.before - Program before the change
+   * @param {Object|null} change.after - Program after the change
+   * @param {string} change.user - Who made the change (default: 'system')
+   * @param {string} change.batchId - Batch id (optional)
+   * @param {number} change.revertOf - Reverted entry (optional)
+   * @returns {Promise<Object>} The appended (frozen) entry
+   */
+  async append(change) {
+    const entries = await this.loadEntries();
+    const { action, before = null, after = null, user, batchId = null, revertOf = null } = change;
+    const program = after || before || {};
+
+    const entry = deepFreeze(JSON.parse(JSON.stringify({
+      seq: entries.length > 0 ? entries[entries.length - 1].seq + 1 : 1,
+      timestamp: this.now().toISOString(),
+      user: user || 'system',
+      action,
+      programId: program.id || program.name || null,
+      programName: program.name || null,
+      batchId,
+      revertOf,
+      before,
+      after,
+      diff: diffPrograms(before, after)
+    })));
+
+    if (this.store) {
+      await this.store.appendAuditEntry(entry);
+    }
+    entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Get entries, oldest first
+   * @param {Object} filter - Filter
+   * @param {string} filter.programId - Only entries of this program (id or name)
+   * @param {string} filter.action - Only entries with this action
+   * @param {Date|string} filter.since - Only entries after this point in time
+   * @returns {Promise<Array>} Entries
+   */
+  async getEntries(filter = {}) {
+    const entries = await this.loadEntries();
+    const since = filter.since ? new Date(filter.since).getTime() : null;
+
+    return entries.filter(entry =>
+      (!filter.programId || entry.programId === filter.programId || entry.programName === filter.programId) &&
+      (!filter.action || entry.action === filter.action) &&
+      (since === null || new Date(entry.timestamp).getTime() > since)
+    );
+  }
+
+  /**
+   * Get a single entry
+   * @param {number} seq - Sequence number
+   * @returns {Promise<Object|null>} Entry or null if unknown
+   */
+  async getEntry(seq) {
+    const entries = await this.loadEntries();
+    return entries.find(entry => entry.seq === Number(seq)) || null;
+  }
+
+  /**
+   * Get the state of every program changed after a point in time, as it was at that time
+   * @param {Date|string} pointInTime - Point in time
+   * @returns {Promise<Array>} { programId, state } where state is null if the program did not exist
+   */
+  async getStatesAt(pointInTime) {
+    const later = await this.getEntries({ since: pointInTime });
+    const states = new Map();
+
+    // The first change after the point in time holds the state at that time
+    later.forEach(entry => {
+      if (!states.has(entry.programId)) {
+        states.set(entry.programId, entry.before);
+      }
+    });
+
+    return [...states.entries()].map(([programId, state]) => ({ programId, state }));
+  }
+}
+
+/**
+ * Format an entry for display ("2026-03-01 10:00 · m.mustermann · update LEADER Bayern: fundingRate")
+ * @param {Object} entry - Audit entry
+ * @returns {string} Summary
+ */
+export const formatAuditEntry = (entry) => {
+  const time = entry.timestamp.slice(0, 16).replace('T', ' ');
+  const fields = entry.diff.map(change => change.field).join(', ');
+  return `${time} · ${entry.user} · ${entry.action} ${entry.programName}${fields ? `: ${fields}` : ''}`;
+};
@@ -0,0 +1,196 @@
+/**
+ * Tests for Audit Log Service and revert / rollback in DatabaseUpdateService
+ * Feature: program-audit-log
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AuditLog, AUDIT_ACTIONS, diffPrograms, formatAuditEntry } from './auditLogService.js';
+import { InMemoryStorageAdapter, loadProgramsFromStorage } from './programStorage.js';
+import { DatabaseUpdateService } from './DatabaseUpdateService.js';
+import { RelevanceEngine } from './RelevanceEngine.js';
+
+const programA = { id: 'program-a', name: 'Program A', federalStates: ['BY'], type: ['playground'], fundingRate: '50%' };
+const programB = { id: 'program-b', name: 'Program B', federalStates: ['all'], type: ['playground'], fundingRate: '60%' };
+
+/**
+ * Clock that advances one minute per call
+ */
+const createClock = (start = '2026-03-01T10:00:00Z') => {
+  let time = new Date(start).getTime();
+  return () => {
+    time += 60 * 1000;
+    return new Date(time);
+  };
+};
+
+describe('Audit Log Service', () => {
+
+  describe('diffPrograms', () => {
+    it('should list changed fields only', () => {
+      const diff = diffPrograms(programA, { ...programA, fundingRate: '70%', lastValidation: 'now' });
+      expect(diff).toEqual([{ field: 'fundingRate', before: '50%', after: '70%' }]);
+    });
+
+    it('should diff against missing versions', () => {
+      expect(diffPrograms(null, programA).map(change => change.field)).toEqual(Object.keys(programA).sort());
+      expect(diffPrograms(programA, null).every(change => change.after === null)).toBe(true);
+      expect(diffPrograms(null, null)).toEqual([]);
+    });
+  });
+
+  describe('AuditLog', () => {
+    it('should append numbered, frozen entries', async () => {
+      const log = new AuditLog(null, { now: createClock() });
+      const first = await log.append({ action: AUDIT_ACTIONS.CREATE, after: programA, user: 'anna' });
+      const second = await log.append({ action: AUDIT_ACTIONS.UPDATE, before: programA, after: { ...programA, fundingRate: '70%' } });
+
+      expect(first.seq).toBe(1);
+      expect(second.seq).toBe(2);
+      expect(second.user).toBe('system');
+      expect(second.diff).toHaveLength(1);
+      expect(Object.isFrozen(first)).toBe(true);
+      expect(() => { first.after.name = 'Changed'; }).toThrow();
+    });
+
+    it('should persist entries through the storage adapter', async () => {
+      const storage = new InMemoryStorageAdapter();
+      await new AuditLog(storage).append({ action: AUDIT_ACTIONS.CREATE, after: programA });
+
+      const reloaded = new AuditLog(storage);
+      expect(await reloaded.getEntries()).toHaveLength(1);
+      expect((await reloaded.append({ action: AUDIT_ACTIONS.DELETE, before: programA })).seq).toBe(2);
+    });
+
+    it('should filter entries by program, action and time', async () => {
+      const log = new AuditLog(null, { now: createClock() });
+      await log.append({ action: AUDIT_ACTIONS.CREATE, after: programA });
+      await log.append({ action: AUDIT_ACTIONS.CREATE, after: programB });
+      await log.append({ action: AUDIT_ACTIONS.UPDATE, before: programA, after: programA });
+
+      expect(await log.getEntries({ programId: 'Program A' })).toHaveLength(2);
+      expect(await log.getEntries({ action: AUDIT_ACTIONS.CREATE })).toHaveLength(2);
+      expect(await log.getEntries({ since: '2026-03-01T10:02:00Z' })).toHaveLength(1);
+    });
+
+    it('should return program states at a point in time', async () => {
+      const log = new AuditLog(null, { now: createClock() });
+      await log.append({ action: AUDIT_ACTIONS.CREATE, after: programA });                  // 10:01
+      await log.append({ action: AUDIT_ACTIONS.UPDATE, before: programA, after: programB }); // 10:02
+      await log.append({ action: AUDIT_ACTIONS.CREATE, after: { id: 'c', name: 'C' } });      // 10:03
+
+      expect(await log.getStatesAt('2026-03-01T10:01:30Z')).toEqual([
+        { programId: 'program-b', state: programA },
+        { programId: 'c', state: null }
+      ]);
+    });
+
+    it('should format entries', async () => {
+      const log = new AuditLog(null, { now: createClock() });
+      const entry = await log.append({ action: AUDIT_ACTIONS.UPDATE, before: programA, after: { ...programA, fundingRate: '70%' }, user: 'anna' });
+      expect(formatAuditEntry(entry)).toBe('2026-03-01 10:01 · anna · update Program A: fundingRate');
+    });
+  });
+
+  describe('DatabaseUpdateService audit and revert', () => {
+    let storage;
+    let engine;
+    let service;
+
+    beforeEach(async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      storage = new InMemoryStorageAdapter([programA]);
+      engine = new RelevanceEngine(await loadProgramsFromStorage(storage));
+      service = new DatabaseUpdateService(engine, storage, {
+        auditLog: new AuditLog(storage, { now: createClock() }),
+        user: 'anna'
+      });
+    });
+
+    afterEach(() => {
+      service.destroy();
+      vi.restoreAllMocks();
+    });
+
+    it('should record create, update, delete and bulk operations', async () => {
+      await service.createProgram(programB, { user: 'ben' });
+      await service.updateProgram({ ...programA, fundingRate: '70%' });
+      await service.updateProgramsBulk([{ ...programA, fundingRate: '80%' }, { ...programB, fundingRate: '90%' }]);
+      await service.deleteProgram('Program B');
+
+      const log = await service.getAuditLog();
+      expect(log.map(entry => entry.action)).toEqual(['create', 'update', 'bulk_update', 'bulk_update', 'delete']);
+      expect(log[0].user).toBe('ben');
+      expect(log[1].user).toBe('anna');
+      expect(log[1].diff).toEqual([{ field: 'fundingRate', before: '50%', after: '70%' }]);
+      expect(log[2].batchId).toBe(log[3].batchId);
+      expect(log[4].before.fundingRate).toBe('90%');
+    });
+
+    it('should not record failed operations', async () => {
+      await service.createProgram(programA);
+      await service.updateProgram(programB);
+      expect(await service.getAuditLog()).toEqual([]);
+    });
+
+    it('should revert an update and invalidate the engine', async () => {
+      const onProgramsUpdated = vi.spyOn(engine, 'onProgramsUpdated');
+      const { auditEntry } = await service.updateProgram({ ...programA, fundingRate: '70%' });
+
+      const result = await service.revertChange(auditEntry.seq);
+
+      expect(result.success).toBe(true);
+      expect((await storage.get('program-a')).fundingRate).toBe('50%');
+      expect(onProgramsUpdated).toHaveBeenLastCalledWith([expect.objectContaining({ fundingRate: '50%' })], expect.objectContaining({ updateType: 'revert' }));
+      expect(engine.findProgram('program-a').fundingRate).toBe('50%');
+      expect(result.auditEntry).toMatchObject({ action: 'revert', revertOf: auditEntry.seq });
+    });
+
+    it('should revert creates and deletes', async () => {
+      const created = await service.createProgram(programB);
+      await service.revertChange(created.auditEntry.seq);
+      expect(await storage.get('program-b')).toBeNull();
+
+      const deleted = await service.deleteProgram('Program A');
+      await service.revertChange(deleted.auditEntry.seq);
+      expect(await storage.get('program-a')).toEqual(programA);
+      expect(engine.findProgram('program-a')).not.toBeNull();
+    });
+
+    it('should refuse to revert changes that were overwritten later', async () => {
+      const first = await service.updateProgram({ ...programA, fundingRate: '70%' });
+      await service.updateProgram({ ...programA, fundingRate: '80%' });
+
+      const refused = await service.revertChange(first.auditEntry.seq);
+      expect(refused.success).toBe(false);
+      expect(refused.error).toContain('was changed after');
+
+      expect((await service.revertChange(first.auditEntry.seq, { force: true })).success).toBe(true);
+      expect((await storage.get('program-a')).fundingRate).toBe('50%');
+    });
+
+    it('should fail for unknown entries and without storage', async () => {
+      expect((await service.revertChange(99)).error).toBe('Audit entry 99 not found');
+      expect((await new DatabaseUpdateService(null).revertChange(1)).error).toBe('Revert requires a storage adapter');
+    });
+
+    it('should roll the dataset back to a point in time', async () => {
+      await service.updateProgram({ ...programA, fundingRate: '70%' }); // 10:01
+      await service.createProgram(programB);                            // 10:02
+      await service.updateProgram({ ...programA, fundingRate: '80%' }); // 10:03
+      const listener = vi.fn();
+      service.on('funding_programs_reverted', listener);
+
+      const result = await service.rollbackTo('2026-03-01T10:01:30Z');
+
+      expect(result.success).toBe(true);
+      expect(result.restoredCount).toBe(2);
+      expect((await storage.get('program-a')).fundingRate).toBe('70%');
+      expect(await storage.get('program-b')).toBeNull();
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      const rollbackEntries = await service.getAuditLog({ action: AUDIT_ACTIONS.ROLLBACK });
+      expect(rollbackEntries).toHaveLength(2);
+      expect(rollbackEntries[0].batchId).toBe(result.batchId);
+    });
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Dataset Consistency Service
+ *
+ * Cross-references the funding programs against the program registry and the
+ * name-based classifications. A program the strict filter cannot classify, a
+ * registry record nobody points at or a program that is "rural" in one place
+ * and "urban" in another silently changes results, so they are reported here.
+ * Run via `npm run check:data` or the vitest suite.
+ */
+
+import { PROGRAM_REGISTRY } from '../data/programRegistry.js';
+import { LANDKREISE, GEMEINDEN, REGIONS, REGION_TYPES } from '../data/regionData.js';
+import { getKeywordLocationType } from './simpleFilterService.js';
+import { FUNDING_GROUPS } from './fundingMixService.js';
+
+/**
+ * Issue types reported by the checker
+ */
+export const ISSUE_TYPES = {
+  MISSING_REGISTRY_ENTRY: 'missing-registry-entry',
+  ID_MISMATCH: 'id-mismatch',
+  MISSING_CLASSIFICATION: 'missing-classification',
+  MISSING_LOCATION_TYPE: 'missing-location-type',
+  HIDDEN_CATEGORY: 'hidden-category',
+  ORPHANED_ENTRY: 'orphaned-entry',
+  DUPLICATE_ENTRY: 'duplicate-entry',
+  INVALID_VALUE: 'invalid-value',
+  UNRESOLVED_REFERENCE: 'unresolved-reference',
+  CONFLICTING_CLASSIFICATION: 'conflicting-classification'
+};
+
+/**
+ * Errors change results and fail the check, warnings fail it only in strict
+ * mode (npm run check:data:strict)
+ */
+export const ISSUE_SEVERITY = {
+  [ISSUE_TYPES.MISSING_REGISTRY_ENTRY]: 'error',
+  [ISSUE_TYPES.ID_MISMATCH]: 'error',
+  [ISSUE_TYPES.MISSING_CLASSIFICATION]: 'warning',
+  [ISSUE_TYPES.MISSING_LOCATION_TYPE]: 'warning',
+  [ISSUE_TYPES.HIDDEN_CATEGORY]: 'warning',
+  [ISSUE_TYPES.ORPHANED_ENTRY]: 'warning',
+  [ISSUE_TYPES.DUPLICATE_ENTRY]: 'error',
+  [ISSUE_TYPES.INVALID_VALUE]: 'error',
+  [ISSUE_TYPES.UNRESOLVED_REFERENCE]: 'error',
+  [ISSUE_TYPES.CONFLICTING_CLASSIFICATION]: 'error'
+};
+
+const CATEGORIES = ['core', 'conditional', 'hidden', 'deleted'];
+const LOCATION_TYPES = ['urban', 'rural', 'both'];
+const RURAL_PROGRAM_TYPES = ['rural_development', 'village_renewal', 'leader'];
+const URBAN_PROGRAM_TYPES = ['urban_development', 'housing_development'];
+
+/**
+ * Create an issue record
+ * @param {string} type - Issue type (ISSUE_TYPES)
+ * @param {Object} subject - Program or registry record the issue is about
+ * @param {string} message - Human readable description
+ * @returns {Object} Issue
+ */
+const createIssue = (type, subject, message) => ({
+  type,
+  severity: ISSUE_SEVERITY[type],
+  id: subject?.id || null,
+  name: subject?.name || null,
+  message
+});
+
+/**
+ * Build name and id lookups for registry records
+ * @param {Array} registry - Registry records
+ * @returns {Object} { byId, byName, issues } where issues lists duplicates
+ */
+const indexRegistry = (registry) => {
+  const byId = new Map();
+  const byName = new Map();
+  const issues = [];
+
+  registry.forEach(entry => {
+    if (byId.has(entry.id)) {
+      issues.push(createIssue(ISSUE_TYPES.DUPLICATE_ENTRY, entry, `Registry id "${entry.id}" is used more than once`));
+    }
+    byId.set(entry.id, entry);
+
+    [entry.name, ...(entry.aliases || [])].forEach(name => {
+      const existing = byName.get(name);
+      if (existing && existing !== entry) {
+        issues.push(createIssue(ISSUE_TYPES.DUPLICATE_ENTRY, entry, `Name "${name}" resolves to "${existing.id}" and "${entry.id}"`));
+      }
+      byName.set(name, entry);
+    });
+  });
+
+  return { byId, byName, issues };
+};
+
+/**
+ * Check a registry record's own values and classification
+ * @param {Object} entry - Registry record
+ * @returns {Array} Issues
+ */
+const checkRegistryEntry = (entry) => {
+  const issues = [];
+
+  if (!CATEGORIES.includes(entry.category)) {
+    issues.push(createIssue(ISSUE_TYPES.INVALID_VALUE, entry, `Unknown category "${entry.category}"`));
+  }
+  if (entry.locationType && !LOCATION_TYPES.includes(entry.locationType)) {
+    issues.push(createIssue(ISSUE_TYPES.INVALID_VALUE, entry, `Unknown location type "${entry.locationType}"`));
+  }
+
+  const classification = entry.classification;
+  if (!classification) {
+    return issues;
+  }
+
+  const types = classification.types || [];
+  const useCases = classification.useCases || [];
+  const excludedUseCases = classification.excludedUseCases || [];
+
+  useCases.filter(useCase => excludedUseCases.includes(useCase)).forEach(useCase => {
+    issues.push(createIssue(ISSUE_TYPES.CONFLICTING_CLASSIFICATION, entry, `Use case "${useCase}" is both allowed and excluded`));
+  });
+
+  if (entry.locationType === 'urban' && (types.some(type => RURAL_PROGRAM_TYPES.includes(type)) || useCases.includes('laendlicher-raum'))) {
+    issues.push(createIssue(ISSUE_TYPES.CONFLICTING_CLASSIFICATION, entry, 'Location type is "urban" but the classification is rural'));
+  }
+  if (entry.locationType === 'rural' && (types.some(type => URBAN_PROGRAM_TYPES.includes(type)) || useCases.includes('stadt-quartier'))) {
+    issues.push(createIssue(ISSUE_TYPES.CONFLICTING_CLASSIFICATION, entry, 'Location type is "rural" but the classification is urban'));
+  }
+
+  return issues;
+};
+
+/**
+ * Check a funding program against its registry record
+ * @param {Object} program - Funding program
+ * @param {Object|undefined} entry - Registry record resolved for the program
+ * @returns {Array} Issues
+ */
+const checkProgram = (program, entry) => {
+  if (!entry) {
+    return [createIssue(ISSUE_TYPES.MISSING_REGISTRY_ENTRY, program, 'Program has no registry record and is dropped by the strict filter')];
+  }
+
+  const issues = [];
+
+  if (!program.id) {
+    issues.push(createIssue(ISSUE_TYPES.ID_MISMATCH, program, `Program has no id (registry id "${entry.id}")`));
+  } else if (program.id !== entry.id) {
+    issues.push(createIssue(ISSUE_TYPES.ID_MISMATCH, program, `Program id "${program.id}" does not match registry id "${entry.id}"`));
+  }
+
+  if (!entry.classification && !entry.excluded) {
+    issues.push(createIssue(ISSUE_TYPES.MISSING_CLASSIFICATION, program, 'No use-case classification, the strict filter drops this program'));
+  }
+  if (!entry.locationType) {
+    issues.push(createIssue(ISSUE_TYPES.MISSING_LOCATION_TYPE, program, 'No location type, falling back to name keywords'));
+  }
+  if (entry.category === 'hidden') {
+    issues.push(createIssue(ISSUE_TYPES.HIDDEN_CATEGORY, program, 'Category "hidden", the program is never shown'));
+  }
+
+  const keywordType = getKeywordLocationType(program.name);
+  if (entry.locationType && entry.locationType !== 'both' && keywordType !== 'both' && keywordType !== entry.locationType) {
+    issues.push(createIssue(
+      ISSUE_TYPES.CONFLICTING_CLASSIFICATION,
+      program,
+      `Location type is "${entry.locationType}" in the registry but "${keywordType}" by name`
+    ));
+  }
+
+  return issues;
+};
+
+/**
+ * Check that a program's region restriction points at known regions
+ * @param {Object} program - Funding program
+ * @returns {Array} Issues
+ */
+const checkRegionRestriction = (program) => {
+  const restriction = program.regionRestriction;
+  if (!restriction) {
+    return [];
+  }
+
+  const known = {
+    landkreise: code => Boolean(LANDKREISE[code]),
+    gemeinden: ags => GEMEINDEN.some(g => g.ags === ags),
+    regions: id => REGIONS.some(region => region.id === id),
+    regionTypes: type => Boolean(REGION_TYPES[type])
+  };
+
+  return Object.entries(known).flatMap(([key, exists]) =>
+    (restriction[key] || [])
+      .filter(ref => !exists(ref))
+      .map(ref => createIssue(ISSUE_TYPES.UNRESOLVED_REFERENCE, program, `Region restriction ${key} "${ref}" does not exist`))
+  );
+};
+
+/**
+ * Check a program's combinability rules (Kumulierung)
+ * @param {Object} program - Funding program
+ * @param {Array} programs - All funding programs
+ * @returns {Array} Issues
+ */
+const checkCombinability = (program, programs) => {
+  const rules = program.combinability;
+  if (!rules) {
+    return [];
+  }
+
+  const issues = [];
+  if (rules.group && !FUNDING_GROUPS[rules.group]) {
+    issues.push(createIssue(ISSUE_TYPES.INVALID_VALUE, program, `Unknown funding group "${rules.group}"`));
+  }
+  (rules.excludes || [])
+    .filter(ref => !programs.some(p => p.id === ref || p.name === ref))
+    .forEach(ref => {
+      issues.push(createIssue(ISSUE_TYPES.UNRESOLVED_REFERENCE, program, `Kumulierungsverbot "${ref}" does not exist`));
+    });
+
+  return issues;
+};
+
+/**
+ * Cross-reference funding programs with the program registry
+ * @param {Array} programs - Funding programs
+ * @param {Array} registry - Registry records (defaults to PROGRAM_REGISTRY)
+ * @returns {Object} { issues, errors, warnings, byType }
+ */
+export const checkDatasetConsistency = (programs, registry = PROGRAM_REGISTRY) => {
+  const { byId, byName, issues } = indexRegistry(registry);
+  const referenced = new Set();
+
+  registry.forEach(entry => issues.push(...checkRegistryEntry(entry)));
+
+  (programs || []).forEach(program => {
+    const entry = byId.get(program.id) || byName.get(program.name);
+    if (entry) {
+      referenced.add(entry.id);
+    }
+    issues.push(...checkProgram(program, entry));
+    issues.push(...checkRegionRestriction(program));
+    issues.push(...checkCombinability(program, programs));
+
+    if (program.successor) {
+      const successor = byId.get(program.successor) || byName.get(program.successor);
+      const exists = programs.some(p =>
+        p.id === program.successor || p.name === program.successor || (successor && p.id === successor.id)
+      );
+      if (!exists) {
+        issues.push(createIssue(ISSUE_TYPES.UNRESOLVED_REFERENCE, program, `Successor "${program.successor}" does not exist`));
+      }
+    }
+  });
+
+  registry
+    .filter(entry => !referenced.has(entry.id) && entry.category !== 'deleted')
+    .forEach(entry => {
+      issues.push(createIssue(ISSUE_TYPES.ORPHANED_ENTRY, entry, 'Registry record does not match any funding program'));
+    });
+
+  const byType = {};
+  issues.forEach(issue => {
+    byType[issue.type] = (byType[issue.type] || 0) + 1;
+  });
+
+  return {
+    issues,
+    errors: issues.filter(issue => issue.severity === 'error'),
+    warnings: issues.filter(issue => issue.severity === 'warning'),
+    byType
+  };
+};
+
+/**
+ * Format a consistency report for the console
+ * @param {Object} report - Result of checkDatasetConsistency
+ * @returns {string} Report text
+ */
+export const formatConsistencyReport = (report) => {
+  const lines = [`Dataset consistency: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`];
+
+  Object.values(ISSUE_TYPES).forEach(type => {
+    const issues = report.issues.filter(issue => issue.type === type);
+    if (issues.length === 0) {
+      return;
+    }
+    lines.push('', `[${ISSUE_SEVERITY[type]}] ${type} (${issues.length})`);
+    issues.forEach(issue => lines.push(`  - ${issue.name || issue.id}: ${issue.message}`));
+  });
+
+  return lines.join('\n');
+};
@@ -0,0 +1,143 @@
+/**
+ * Tests for Dataset Consistency Service
+ * Feature: dataset-consistency
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  checkDatasetConsistency,
+  formatConsistencyReport,
+  ISSUE_TYPES
+} from './datasetConsistencyService.js';
+import { fundingPrograms } from '../data/fundingPrograms.js';
+
+const classification = { types: ['rural_development'], useCases: ['laendlicher-raum'], excludedUseCases: [] };
+
+const registry = [
+  { id: 'leader-test', name: 'LEADER Test 2023-2027', aliases: ['LEADER Test'], category: 'core', locationType: 'rural', classification },
+  { id: 'stadt-test', name: 'Stadtprogramm', category: 'conditional', locationType: 'urban', classification: null },
+  { id: 'alt', name: 'Altes Programm', category: 'core', locationType: 'both', classification: null }
+];
+
+const typesOf = (report) => report.issues.map(issue => issue.type);
+
+describe('Dataset Consistency Service', () => {
+
+  describe('checkDatasetConsistency', () => {
+    it('should accept consistent programs', () => {
+      const report = checkDatasetConsistency(
+        [{ id: 'leader-test', name: 'LEADER Test 2023-2027' }],
+        [registry[0]]
+      );
+      expect(report.issues).toEqual([]);
+    });
+
+    it('should report programs missing from the registry', () => {
+      const report = checkDatasetConsistency([{ id: 'neu', name: 'Neues Programm' }], registry);
+      const issue = report.errors.find(i => i.type === ISSUE_TYPES.MISSING_REGISTRY_ENTRY);
+
+      expect(issue.name).toBe('Neues Programm');
+    });
+
+    it('should resolve legacy names but report the missing id', () => {
+      const report = checkDatasetConsistency([{ name: 'LEADER Test' }], [registry[0]]);
+      expect(typesOf(report)).toEqual([ISSUE_TYPES.ID_MISMATCH]);
+    });
+
+    it('should warn about programs the strict filter cannot classify', () => {
+      const report = checkDatasetConsistency([{ id: 'stadt-test', name: 'Stadtprogramm' }], [registry[1]]);
+      expect(report.warnings.map(i => i.type)).toContain(ISSUE_TYPES.MISSING_CLASSIFICATION);
+      expect(report.errors).toEqual([]);
+    });
+
+    it('should report registry records without a program', () => {
+      const report = checkDatasetConsistency([{ id: 'leader-test', name: 'LEADER Test 2023-2027' }], registry);
+      const orphans = report.issues.filter(i => i.type === ISSUE_TYPES.ORPHANED_ENTRY).map(i => i.id);
+
+      expect(orphans).toEqual(['stadt-test', 'alt']);
+    });
+
+    it('should report rural programs classified as urban', () => {
+      const entry = {
+        id: 'konflikt',
+        name: 'Konfliktprogramm',
+        category: 'core',
+        locationType: 'rural',
+        classification: { types: ['urban_development'], useCases: ['stadt-quartier'], excludedUseCases: ['stadt-quartier'] }
+      };
+      const report = checkDatasetConsistency([{ id: 'konflikt', name: 'Konfliktprogramm' }], [entry]);
+      const conflicts = report.errors.filter(i => i.type === ISSUE_TYPES.CONFLICTING_CLASSIFICATION);
+
+      expect(conflicts).toHaveLength(2);
+    });
+
+    it('should report location types contradicting the program name', () => {
+      const entry = { id: 'dorf', name: 'Dorferneuerung Test', category: 'core', locationType: 'urban', classification: null };
+      const report = checkDatasetConsistency([{ id: 'dorf', name: 'Dorferneuerung Test' }], [entry]);
+
+      expect(report.errors.map(i => i.message)).toContain('Location type is "urban" in the registry but "rural" by name');
+    });
+
+    it('should report duplicate ids and names', () => {
+      const report = checkDatasetConsistency([], [registry[0], { ...registry[0] }]);
+      expect(typesOf(report)).toContain(ISSUE_TYPES.DUPLICATE_ENTRY);
+    });
+
+    it('should report unknown successors', () => {
+      const report = checkDatasetConsistency(
+        [{ id: 'leader-test', name: 'LEADER Test 2023-2027', successor: 'Gibt es nicht' }],
+        [registry[0]]
+      );
+      expect(typesOf(report)).toEqual([ISSUE_TYPES.UNRESOLVED_REFERENCE]);
+    });
+
+    it('should report region restrictions pointing at unknown regions', () => {
+      const report = checkDatasetConsistency(
+        [{ id: 'leader-test', name: 'LEADER Test 2023-2027', regionRestriction: { landkreise: ['99999'], regionTypes: ['leader'] } }],
+        [registry[0]]
+      );
+      expect(report.errors.map(i => i.message)).toEqual(['Region restriction landkreise "99999" does not exist']);
+    });
+
+    it('should report unknown funding groups and Kumulierungsverbote', () => {
+      const report = checkDatasetConsistency(
+        [{ id: 'leader-test', name: 'LEADER Test 2023-2027', combinability: { group: 'lotterie', excludes: ['gibt-es-nicht'] } }],
+        [registry[0]]
+      );
+      expect(typesOf(report)).toEqual([ISSUE_TYPES.INVALID_VALUE, ISSUE_TYPES.UNRESOLVED_REFERENCE]);
+    });
+  });
+
+  describe('formatConsistencyReport', () => {
+    it('should summarize errors and warnings', () => {
+      const report = checkDatasetConsistency([{ id: 'neu', name: 'Neues Programm' }], [registry[0]]);
+      const text = formatConsistencyReport(report);
+
+      expect(text).toContain('1 error(s), 1 warning(s)');
+      expect(text).toContain('Neues Programm: Program has no registry record');
+    });
+  });
+
+  describe('fundingPrograms dataset', () => {
+    const report = checkDatasetConsistency(fundingPrograms);
+
+    it('should register every program under a matching id', () => {
+      const missing = report.issues.filter(i =>
+        i.type === ISSUE_TYPES.MISSING_REGISTRY_ENTRY || i.type === ISSUE_TYPES.ID_MISMATCH
+      );
+      expect(missing).toEqual([]);
+    });
+
+    it('should not contain conflicting classifications', () => {
+      expect(report.issues.filter(i => i.type === ISSUE_TYPES.CONFLICTING_CLASSIFICATION)).toEqual([]);
+    });
+
+    it('should have no consistency errors', () => {
+      expect(report.errors).toEqual([]);
+    });
+
+    it('should pass the strict check without warnings', () => {
+      expect(report.warnings).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Decision Trace Service
+ *
+ * Answers "Warum nicht?": the filter pipeline (runFilterPipeline and its presets
+ * simpleFilterPrograms, strictFilterPrograms, preFilterPrograms) accepts an
+ * optional trace and records, per program, every stage it passed and the exact
+ * rule of the stage that removed it. Without a trace the filters behave exactly
+ * as before.
+ *
+ * A trace entry looks like:
+ * { id, name, decisions: [{ stage, passed, rule }], excludedBy: { stage, rule } | null }
+ */
+
+/**
+ * Filter stages with display labels, in pipeline order
+ * Keys are the pipeline stage names (see filterStages.js); cityState is reported by
+ * the useCase stage, applicationWindow and fundingPeriod by the analysis.
+ */
+export const FILTER_STAGES = {
+  relevance: 'Relevanzstufe',
+  state: 'Bundesland',
+  applicant: 'Antragsteller',
+  region: 'Region',
+  municipality: 'Kommune',
+  measures: 'Maßnahmen',
+  type: 'Projekttyp',
+  excluded: 'Ausschlussliste',
+  cityState: 'Stadtstaat',
+  useCase: 'Einsatzbereich',
+  location: 'Gebietstyp',
+  site: 'Standort',
+  relevanceScore: 'Relevanzschwelle',
+  applicationWindow: 'Antragsfenster',
+  fundingPeriod: 'Förderperiode'
+};
+
+/**
+ * Create an empty decision trace
+ * @returns {Object} Trace to pass as `options.trace` to the filters
+ */
+export const createDecisionTrace = () => ({
+  entries: new Map()
+});
+
+/**
+ * Key a program by id, falling back to its name
+ * @param {Object} program - Funding program
+ * @returns {string} Key
+ */
+const getProgramKey = (program) => program.id || program.name;
+
+/**
+ * Record one decision for a program
+ * @param {Object|null} trace - Decision trace (no-op if missing)
+ * @param {Object} program - Funding program
+ * @param {string} stage - Stage key from FILTER_STAGES
+ * @param {boolean} passed - Whether the program passed the stage
+ * @param {string|null} rule - Rule that removed the program
+ */
+export const recordDecision = (trace, program, stage, passed, rule = null) => {
+  if (!trace || !program) {
+    return;
+  }
+
+  const key = getProgramKey(program);
+  if (!trace.entries.has(key)) {
+    trace.entries.set(key, { id: program.id || null, name: program.name, decisions: [], excludedBy: null });
+  }
+
+  const entry = trace.entries.get(key);
+  entry.decisions.push({ stage, passed, rule: passed ? null : rule });
+  if (!passed && !entry.excludedBy) {
+    entry.excludedBy = { stage, rule };
+  }
+};
+
+/**
+ * Record a filter stage by comparing its input and output
+ * @param {Object|null} trace - Decision trace (no-op if missing)
+ * @param {string} stage - Stage key from FILTER_STAGES
+ * @param {Array} before - Programs entering the stage
+ * @param {Array} after - Programs that passed the stage
+ * @param {Function} getRule - (program) => rule text for a removed program
+ * @returns {Array} `after`, unchanged
+ */
+export const traceStage = (trace, stage, before, after, getRule) => {
+  if (!trace || !Array.isArray(before) || !Array.isArray(after)) {
+    return after;
+  }
+
+  const kept = new Set(after.map(getProgramKey));
+  before.forEach(program => {
+    const passed = kept.has(getProgramKey(program));
+    recordDecision(trace, program, stage, passed, passed ? null : getRule(program));
+  });
+
+  return after;
+};
+
+/**
+ * Get all programs removed by one of the stages, in pipeline order
+ * @param {Object|null} trace - Decision trace
+ * @returns {Array} { id, name, stage, stageLabel, rule, decisions }
+ */
+export const getExcludedPrograms = (trace) => {
+  if (!trace) {
+    return [];
+  }
+
+  const stageOrder = Object.keys(FILTER_STAGES);
+  return [...trace.entries.values()]
+    .filter(entry => entry.excludedBy)
+    .map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      stage: entry.excludedBy.stage,
+      stageLabel: FILTER_STAGES[entry.excludedBy.stage] || entry.excludedBy.stage,
+      rule: entry.excludedBy.rule,
+      decisions: entry.decisions
+    }))
+    .sort((a, b) => stageOrder.indexOf(a.stage) - stageOrder.indexOf(b.stage) || a.name.localeCompare(b.name));
+};
+
+/**
+ * Explain why a single program did or did not make it through the filters
+ * @param {Object|null} trace - Decision trace
+ * @param {string} programRef - Program id or name
+ * @returns {Object|null} Trace entry, or null if the program never entered the filters
+ */
+export const explainProgram = (trace, programRef) => {
+  if (!trace || !programRef) {
+    return null;
+  }
+
+  if (trace.entries.has(programRef)) {
+    return trace.entries.get(programRef);
+  }
+  return [...trace.entries.values()].find(entry => entry.name === programRef) || null;
+};
+
+/**
+ * Format a list of codes with display labels ("Neubau, Sanierung")
+ * @param {Array} codes - Codes
+ * @param {Object} labels - Label map
+ * @returns {string} Labels
+ */
+export const formatCodes = (codes, labels = {}) => {
+  return (codes || []).map(code => labels[code] || code).join(', ');
+};
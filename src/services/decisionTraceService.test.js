@@ -0,0 +1,171 @@
+/**
+ * Tests for the Decision Trace Service
+ * Feature: warum-nicht
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createDecisionTrace,
+  recordDecision,
+  traceStage,
+  getExcludedPrograms,
+  explainProgram
+} from './decisionTraceService.js';
+import { strictFilterPrograms, filterByRelevanceScore } from './strictFilterService.js';
+import { simpleFilterPrograms } from './simpleFilterService.js';
+import { preFilterPrograms } from './preFilterService.js';
+
+const programs = [
+  {
+    id: 'staedtebaufoerderung-lebendige-zentren',
+    name: 'Städtebauförderung - Lebendige Zentren',
+    type: ['playground'],
+    federalStates: ['all'],
+    measures: ['newBuild', 'renovation'],
+    eligibleApplicants: ['kommune']
+  },
+  {
+    id: 'spielplatzfoerderung-mecklenburg-vorpommern',
+    name: 'Spielplatzförderung Mecklenburg-Vorpommern',
+    type: ['playground'],
+    federalStates: ['MV'],
+    measures: ['newBuild']
+  },
+  {
+    id: 'deutsches-kinderhilfswerk-themenfonds-spielraum',
+    name: 'Deutsches Kinderhilfswerk - Themenfonds Spielraum',
+    type: ['playground'],
+    federalStates: ['all'],
+    measures: ['newBuild', 'renovation']
+  },
+  {
+    id: 'sportstaettenbaufoerderung-niedersachsen',
+    name: 'Sportstättenbauförderung Niedersachsen',
+    type: ['calisthenics', 'combination'],
+    federalStates: ['NI'],
+    measures: ['newBuild']
+  },
+  {
+    id: 'gak-foerderung-der-dorfentwicklung',
+    name: 'GAK - Förderung der Dorfentwicklung',
+    type: ['playground'],
+    federalStates: ['all'],
+    measures: ['newBuild', 'renovation']
+  }
+];
+
+const excludedBy = (trace) => Object.fromEntries(
+  getExcludedPrograms(trace).map(program => [program.id, [program.stage, program.rule]])
+);
+
+describe('Decision Trace Service', () => {
+
+  describe('recording', () => {
+    it('should keep the first failing stage and every decision', () => {
+      const trace = createDecisionTrace();
+      const program = { id: 'p', name: 'Programm' };
+
+      recordDecision(trace, program, 'state', true);
+      recordDecision(trace, program, 'measures', false, 'Fördert nicht: Sanierung');
+
+      expect(explainProgram(trace, 'Programm')).toEqual({
+        id: 'p',
+        name: 'Programm',
+        decisions: [
+          { stage: 'state', passed: true, rule: null },
+          { stage: 'measures', passed: false, rule: 'Fördert nicht: Sanierung' }
+        ],
+        excludedBy: { stage: 'measures', rule: 'Fördert nicht: Sanierung' }
+      });
+    });
+
+    it('should be a no-op without a trace', () => {
+      const after = [programs[0]];
+      expect(traceStage(null, 'state', programs, after, () => 'x')).toBe(after);
+      expect(getExcludedPrograms(null)).toEqual([]);
+      expect(explainProgram(null, 'x')).toBeNull();
+    });
+
+    it('should list excluded programs in pipeline order', () => {
+      const trace = createDecisionTrace();
+      traceStage(trace, 'useCase', [programs[0]], [], () => 'b');
+      traceStage(trace, 'state', [programs[1]], [], () => 'a');
+
+      expect(getExcludedPrograms(trace).map(program => program.stageLabel)).toEqual(['Bundesland', 'Einsatzbereich']);
+    });
+  });
+
+  describe('strictFilterPrograms', () => {
+    it('should record the rule of every strict stage', () => {
+      const trace = createDecisionTrace();
+      const result = strictFilterPrograms('stadt-quartier', 'NI', programs, { trace, measures: ['renovation'] });
+
+      expect(result.map(program => program.id)).toEqual(['staedtebaufoerderung-lebendige-zentren']);
+      expect(excludedBy(trace)).toEqual({
+        'spielplatzfoerderung-mecklenburg-vorpommern': ['state', 'Nur in MV verfügbar, nicht in NI'],
+        'sportstaettenbaufoerderung-niedersachsen': ['type', 'Fördert Calisthenics / Outdoor Fitness, Kombination, nicht Spielplatz'],
+        'deutsches-kinderhilfswerk-themenfonds-spielraum': ['excluded', 'Im Programmregister ausgeschlossen (Stiftung, LOTTO-Mittel oder Sanierung)'],
+        'gak-foerderung-der-dorfentwicklung': ['useCase', 'Einsatzbereich „stadt-quartier“ nicht freigegeben (freigegeben: laendlicher-raum)']
+      });
+    });
+
+    it('should record the city-state rule', () => {
+      const trace = createDecisionTrace();
+      strictFilterPrograms('laendlicher-raum', 'HH', programs, { trace });
+
+      expect(excludedBy(trace)['gak-foerderung-der-dorfentwicklung']).toEqual(
+        ['cityState', 'Programm der ländlichen Entwicklung, im Stadtstaat Hamburg nicht anwendbar']
+      );
+    });
+
+    it('should record measures and applicant type', () => {
+      const trace = createDecisionTrace();
+      strictFilterPrograms('stadt-quartier', 'NI', programs, { trace, measures: ['greening'] });
+      expect(excludedBy(trace)['staedtebaufoerderung-lebendige-zentren']).toEqual(['measures', 'Fördert nicht: Begrünung']);
+
+      const applicantTrace = createDecisionTrace();
+      strictFilterPrograms('stadt-quartier', 'NI', programs, { trace: applicantTrace, applicantType: 'verein' });
+      expect(excludedBy(applicantTrace)['staedtebaufoerderung-lebendige-zentren'][0]).toBe('applicant');
+    });
+
+    it('should record the relevance threshold', () => {
+      const trace = createDecisionTrace();
+      const scored = [{ name: 'Niedrig', relevanceScore: 35 }, { name: 'Hoch', relevanceScore: 80 }];
+
+      filterByRelevanceScore(scored, { einsatzbereich: 'oeffentlich-kommunal' }, { trace });
+
+      expect(explainProgram(trace, 'Niedrig').excludedBy).toEqual({
+        stage: 'relevanceScore',
+        rule: 'Relevanzwert 35 unter dem Mindestwert 40'
+      });
+      expect(explainProgram(trace, 'Hoch').excludedBy).toBeNull();
+    });
+  });
+
+  describe('simpleFilterPrograms', () => {
+    it('should record state, project type and location type decisions', () => {
+      const trace = createDecisionTrace();
+      simpleFilterPrograms('stadt-quartier', 'NI', programs, { trace });
+
+      const excluded = excludedBy(trace);
+      expect(excluded['spielplatzfoerderung-mecklenburg-vorpommern'][0]).toBe('state');
+      expect(excluded['sportstaettenbaufoerderung-niedersachsen'][0]).toBe('type');
+      expect(excluded['gak-foerderung-der-dorfentwicklung']).toEqual(
+        ['location', 'Programm für den ländlichen Raum, nicht für Stadt / Quartier']
+      );
+      expect(excluded['staedtebaufoerderung-lebendige-zentren']).toBeUndefined();
+    });
+  });
+
+  describe('preFilterPrograms', () => {
+    it('should record state, type and measure decisions', () => {
+      const trace = createDecisionTrace();
+      preFilterPrograms({ federalState: 'NI', projectType: 'playground', measures: ['renovation'] }, programs, null, { trace });
+
+      const excluded = excludedBy(trace);
+      expect(excluded['spielplatzfoerderung-mecklenburg-vorpommern'][0]).toBe('state');
+      expect(excluded['sportstaettenbaufoerderung-niedersachsen'][0]).toBe('type');
+      expect(Object.keys(excluded)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * EventEmitter - Minimal event emitter for browser and Node
+ *
+ * Node's 'events' module is not available in the browser bundle. This class
+ * covers the subset of its API used by DatabaseUpdateService and RelevanceEngine.
+ */
+
+export class EventEmitter {
+  constructor() {
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Register a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener
+   * @returns {EventEmitter} this
+   */
+  on(event, listener) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(listener);
+    return this;
+  }
+
+  /**
+   * Register a listener that is removed after its first call
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener
+   * @returns {EventEmitter} this
+   */
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener.apply(this, args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener
+   * @returns {EventEmitter} this
+   */
+  off(event, listener) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      const index = listeners.findIndex(l => l === listener || l.listener === listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    }
+    return this;
+  }
+
+  removeListener(event, listener) {
+    return this.off(event, listener);
+  }
+
+  /**
+   * Call all listeners of an event
+   * @param {string} event - Event name
+   * @param {...*} args - Event arguments
+   * @returns {boolean} True if the event had listeners
+   */
+  emit(event, ...args) {
+    const listeners = this.eventListeners.get(event);
+    if (!listeners || listeners.length === 0) {
+      return false;
+    }
+    [...listeners].forEach(listener => listener.apply(this, args));
+    return true;
+  }
+
+  /**
+   * Get the listeners of an event
+   * @param {string} event - Event name
+   * @returns {Array} Listeners
+   */
+  listeners(event) {
+    return (this.eventListeners.get(event) || []).map(l => l.listener || l);
+  }
+
+  /**
+   * Count the listeners of an event
+   * @param {string} event - Event name
+   * @returns {number} Number of listeners
+   */
+  listenerCount(event) {
+    return (this.eventListeners.get(event) || []).length;
+  }
+
+  /**
+   * Remove all listeners of an event (or of all events)
+   * @param {string} event - Event name (optional)
+   * @returns {EventEmitter} this
+   */
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this.eventListeners.clear();
+    } else {
+      this.eventListeners.delete(event);
+    }
+    return this;
+  }
+}
@@ -1,4 +1,5 @@
 import { jsPDF } from 'jspdf';
+import { calculateExpectedGrant, formatEuro, getProjectBudget } from './fundingAmountService';
 
 export const exportToPDF = (results) => {
   const { projectData, analysis } = results;
@@ -28,7 +29,21 @@ export const exportToPDF = (results) => {
     
     doc.setFontSize(10);
     doc.text(`Match: ${program.fitScore}% | ${program.eligibility}`, 20, y);
-    y += 10;
+    y += 5;
+
+    const estimate = program.expectedGrant || calculateExpectedGrant(program, getProjectBudget(projectData).amount);
+    if (program.fundingRate) {
+      doc.text(`Förderquote: ${program.fundingRate}`, 20, y);
+      y += 5;
+    }
+    if (estimate && estimate.isEstimable) {
+      doc.text(`Erwartete Förderung: ca. ${formatEuro(estimate.expectedGrant)} | Eigenanteil: ca. ${formatEuro(estimate.expectedEigenanteil)}`, 20, y);
+      y += 5;
+    } else if (estimate && estimate.isRateUnknown) {
+      doc.text(`Förderung: höchstens ${formatEuro(estimate.maxGrant)} (Förderquote unbekannt)`, 20, y);
+      y += 5;
+    }
+    y += 5;
     
     if (y > 250) {
       doc.addPage();
@@ -0,0 +1,95 @@
+/**
+ * Filter Pipeline for Funding Programs
+ *
+ * One filter API made of ordered, named stages (see PIPELINE_STAGES in
+ * filterStages.js). A pipeline is configured as a preset name, a
+ * comma-separated string or an array of stages; a stage can take one
+ * parameter after a colon:
+ *
+ *   'simple'
+ *   'state,type,location,useCase,sort:relevance,limit:10'
+ *
+ * simpleFilterPrograms, strictFilterPrograms and preFilterPrograms are the
+ * presets below. Deployments choose the pipeline for the analysis with
+ * VITE_FILTER_PIPELINE (default: simple).
+ */
+
+import { PIPELINE_STAGES } from './filterStages.js';
+
+/**
+ * Stage lists of the existing filters
+ */
+export const FILTER_PRESETS = {
+  // simpleFilterPrograms: location-based filtering (Stadt / Quartier vs. Ländlicher Raum)
+  simple: ['state', 'applicant', 'region', 'municipality', 'measures', 'type', 'location', 'site', 'sort:priority'],
+  // strictFilterPrograms: exact use case matching, relevance scoring with a RelevanceEngine
+  strict: ['state', 'type', 'measures', 'applicant', 'region', 'municipality', 'excluded', 'useCase', 'sort:relevance'],
+  // preFilterPrograms: deterministic pre-filter before AI analysis
+  preFilter: ['relevance', 'state:required', 'type:exact', 'measures'],
+  // preFilterPrograms + sortAndLimitByRelevance
+  ranked: ['relevance', 'state:required', 'type:exact', 'measures', 'sort:relevanceLevel', 'limit:20']
+};
+
+/**
+ * Resolve a pipeline configuration into validated stages
+ * @param {string|Array} config - Preset name, comma-separated stages or array of stages
+ * @returns {Array} Stages as { name, param }
+ * @throws {Error} On unknown presets, stages or stage parameters
+ */
+export const resolveFilterPipeline = (config) => {
+  let stages = config;
+  if (typeof config === 'string') {
+    stages = FILTER_PRESETS[config.trim()] || config.split(',');
+  }
+  if (!Array.isArray(stages)) {
+    throw new Error('Filter pipeline must be a preset name or a list of stages');
+  }
+
+  return stages.map(stage => stage.trim()).filter(Boolean).map(stage => {
+    const [name, param = null] = stage.split(':');
+    const definition = PIPELINE_STAGES[name];
+
+    if (!definition) {
+      throw new Error(`Unknown filter stage '${name}' (known: ${Object.keys(PIPELINE_STAGES).join(', ')})`);
+    }
+    if (name === 'limit' && param !== null && !(Number(param) > 0)) {
+      throw new Error(`Invalid limit '${param}'`);
+    }
+    if (name !== 'limit' && param !== null && !(definition.params || []).includes(param)) {
+      throw new Error(`Invalid parameter '${param}' for filter stage '${name}'`);
+    }
+
+    return { name, param };
+  });
+};
+
+/**
+ * Run funding programs through a filter pipeline
+ * @param {Array} programs - All available programs
+ * @param {Object} criteria - { einsatzbereich, siteType, federalState, projectType, measures, applicantType, location, municipality, projectBudget }
+ * @param {Object} options - Pipeline options
+ * @param {string|Array} options.stages - Pipeline configuration (default: the simple preset)
+ * @param {RelevanceEngine} options.relevanceEngine - RelevanceEngine for the relevance stages
+ * @param {Object} options.scoringCriteria - Criteria for relevance scoring (default: `criteria`)
+ * @param {Object} options.trace - Decision trace from decisionTraceService (records why programs were dropped)
+ * @returns {Array} Programs that passed every stage, in the order of the last sort stage
+ */
+export const runFilterPipeline = (programs, criteria = {}, options = {}) => {
+  if (!Array.isArray(programs)) {
+    return [];
+  }
+
+  const stages = resolveFilterPipeline(options.stages || 'simple');
+  const context = {
+    criteria,
+    relevanceEngine: options.relevanceEngine || null,
+    scoringCriteria: options.scoringCriteria || null,
+    trace: options.trace || null
+  };
+
+  return stages.reduce((current, { name, param }) => {
+    const result = PIPELINE_STAGES[name].run(current, context, param || undefined);
+    console.log(`🔎 Filter stage ${param ? `${name}:${param}` : name}: ${current.length} → ${result.length}`);
+    return result;
+  }, programs);
+};
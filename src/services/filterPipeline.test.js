@@ -0,0 +1,121 @@
+/**
+ * Tests for the Filter Pipeline
+ * Feature: filter-pipeline
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { FILTER_PRESETS, resolveFilterPipeline, runFilterPipeline } from './filterPipeline.js';
+import { createDecisionTrace, getExcludedPrograms } from './decisionTraceService.js';
+import { simpleFilterPrograms } from './simpleFilterService.js';
+import { strictFilterPrograms } from './strictFilterService.js';
+import { preFilterPrograms } from './preFilterService.js';
+import { sortAndLimitByRelevance } from './sortService.js';
+import { fundingPrograms } from '../data/fundingPrograms.js';
+
+const names = (programs) => programs.map(program => program.name);
+
+describe('Filter Pipeline', () => {
+
+  describe('resolveFilterPipeline', () => {
+    it('should resolve presets, stage strings and arrays', () => {
+      expect(resolveFilterPipeline('preFilter')).toEqual([
+        { name: 'relevance', param: null },
+        { name: 'state', param: 'required' },
+        { name: 'type', param: 'exact' },
+        { name: 'measures', param: null }
+      ]);
+      expect(resolveFilterPipeline(' state, type ,limit:5')).toEqual([
+        { name: 'state', param: null },
+        { name: 'type', param: null },
+        { name: 'limit', param: '5' }
+      ]);
+      expect(resolveFilterPipeline(FILTER_PRESETS.simple)).toHaveLength(FILTER_PRESETS.simple.length);
+    });
+
+    it('should reject unknown stages and parameters', () => {
+      expect(() => resolveFilterPipeline('state,colour')).toThrow("Unknown filter stage 'colour'");
+      expect(() => resolveFilterPipeline('sort:random')).toThrow("Invalid parameter 'random' for filter stage 'sort'");
+      expect(() => resolveFilterPipeline('limit:none')).toThrow("Invalid limit 'none'");
+      expect(() => resolveFilterPipeline(null)).toThrow();
+    });
+  });
+
+  describe('presets', () => {
+    const criteria = { einsatzbereich: 'stadt-quartier', federalState: 'NI', projectType: 'playground' };
+
+    it('should match simpleFilterPrograms', () => {
+      expect(names(runFilterPipeline(fundingPrograms, criteria, { stages: 'simple' })))
+        .toEqual(names(simpleFilterPrograms('stadt-quartier', 'NI', fundingPrograms, { projectType: 'playground' })));
+    });
+
+    it('should match strictFilterPrograms', () => {
+      const result = runFilterPipeline(fundingPrograms, criteria, { stages: 'strict' });
+
+      expect(result.length).toBeGreaterThan(0);
+      expect(names(result)).toEqual(names(strictFilterPrograms('stadt-quartier', 'NI', fundingPrograms)));
+    });
+
+    it('should match preFilterPrograms and sortAndLimitByRelevance', () => {
+      const input = { federalState: 'NI', projectType: 'playground', measures: ['newBuild'] };
+      const preFiltered = preFilterPrograms(input, fundingPrograms).programs;
+
+      expect(names(runFilterPipeline(fundingPrograms, input, { stages: 'preFilter' }))).toEqual(names(preFiltered));
+      expect(names(runFilterPipeline(fundingPrograms, input, { stages: 'ranked' })))
+        .toEqual(names(sortAndLimitByRelevance(preFiltered, 'NI', 20)));
+    });
+  });
+
+  describe('measures', () => {
+    const newBuildOnly = { name: 'Nur Neubau', type: ['playground'], federalStates: ['NI'], measures: ['newBuild'] };
+    const both = { name: 'Neubau und Sanierung', type: ['playground'], federalStates: ['NI'], measures: ['newBuild', 'renovation'] };
+
+    it('should drop programs in simpleFilterPrograms that lack one selected measure', () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const result = simpleFilterPrograms('stadt-quartier', 'NI', [newBuildOnly, both], {
+        projectType: 'playground',
+        measures: ['newBuild', 'renovation']
+      });
+      log.mockRestore();
+
+      expect(names(result)).toEqual(['Neubau und Sanierung']);
+    });
+  });
+
+  describe('custom pipelines', () => {
+    it('should run the stages in the configured order and limit the result', () => {
+      const result = runFilterPipeline(fundingPrograms, { federalState: 'BY', projectType: 'calisthenics' }, {
+        stages: 'state,type,sort:stateThenName,limit:3'
+      });
+
+      expect(result.length).toBeLessThanOrEqual(3);
+      result.forEach(program => {
+        expect(program.type).toContain('calisthenics');
+        expect(program.federalStates.some(state => state === 'BY' || state === 'all')).toBe(true);
+      });
+    });
+
+    it('should record the decisions of each stage under its name', () => {
+      const programs = [
+        { name: 'Dorfprogramm', type: ['playground'], federalStates: ['all'], locationType: 'rural' },
+        { name: 'Fitnessprogramm', type: ['calisthenics'], federalStates: ['all'] },
+        { name: 'Quartiersprogramm', type: ['playground'], federalStates: ['all'], locationType: 'urban' }
+      ];
+      const trace = createDecisionTrace();
+
+      const result = runFilterPipeline(programs, { einsatzbereich: 'stadt-quartier', federalState: 'NI' }, {
+        stages: ['type', 'location'],
+        trace
+      });
+
+      expect(names(result)).toEqual(['Quartiersprogramm']);
+      expect(getExcludedPrograms(trace).map(program => [program.name, program.stage])).toEqual([
+        ['Fitnessprogramm', 'type'],
+        ['Dorfprogramm', 'location']
+      ]);
+    });
+
+    it('should return an empty list without programs', () => {
+      expect(runFilterPipeline(null, {}, { stages: 'simple' })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,696 @@
+/**
+ * Filter Stages for Funding Programs
+ *
+ * The building blocks of the filter pipeline (see filterPipeline.js): the
+ * filtering primitives formerly spread over preFilterService, simpleFilterService
+ * and strictFilterService, and PIPELINE_STAGES, the named stages built from them.
+ *
+ * Every stage records its decisions in the decision trace under its own name
+ * (see decisionTraceService). The describe*Exclusion helpers word the rule.
+ */
+
+import { getFundingModel, getFundingRateScore } from './fundingAmountService.js';
+import { filterByApplicantType, describeApplicantExclusion } from './applicantEligibilityService.js';
+import { filterByLocation, describeLocationExclusion } from './regionService.js';
+import { PROGRAM_TYPES, PROGRAM_MEASURES } from '../data/programLabels.js';
+import { sortByRelevance, limitResults } from './sortService.js';
+import { FederalStatePrioritizer } from './FederalStatePrioritizer.js';
+import { traceStage, recordDecision, formatCodes } from './decisionTraceService.js';
+import { getRegistryEntry } from '../data/programRegistry.js';
+import { getExcludedSiteUseCase, isSiteTypeAllowed, getSiteTypeLabel } from './siteTypeService.js';
+import { filterByMunicipalityProfile, describeMunicipalityExclusion } from './municipalityProfileService.js';
+import { getScoringProfile } from './scoringProfileService.js';
+import { DEFAULT_SCORING_PROFILE } from '../data/scoringProfiles.js';
+
+/**
+ * Filter programs by federal state
+ * @param {Array} programs - Array of funding programs
+ * @param {string} selectedState - Selected federal state (e.g., "BY", "NW")
+ * @returns {Array} Filtered programs that match the state
+ */
+export const filterByState = (programs, selectedState) => {
+  if (!selectedState || !Array.isArray(programs)) {
+    return [];
+  }
+
+  return programs.filter(program => {
+    // Program must include the selected state OR "all" in its federalStates array
+    return program.federalStates &&
+           (program.federalStates.includes(selectedState) ||
+            program.federalStates.includes('all'));
+  });
+};
+
+/**
+ * Filter programs by project type
+ * @param {Array} programs - Array of funding programs
+ * @param {string} selectedType - Selected project type ("playground" or "calisthenics")
+ * @returns {Array} Filtered programs that match the type
+ */
+export const filterByType = (programs, selectedType) => {
+  if (!selectedType || !Array.isArray(programs)) {
+    return [];
+  }
+
+  return programs.filter(program => {
+    // Program's type array must include the selected type
+    return program.type && program.type.includes(selectedType);
+  });
+};
+
+/**
+ * Program types searched for each selectable project type.
+ * A combination project merges the playground and the outdoor fitness results.
+ */
+export const PROJECT_TYPE_SEARCH_TYPES = {
+  playground: ['playground'],
+  calisthenics: ['calisthenics'],
+  combination: ['playground', 'calisthenics']
+};
+
+/**
+ * Filter programs by the selected project type and label which search path matched
+ * @param {Array} programs - Array of funding programs
+ * @param {string} projectType - Selected project type ("playground", "calisthenics" or "combination"), defaults to playground
+ * @returns {Array} Matching programs with `matchedProjectTypes` (e.g. ["playground", "calisthenics"])
+ */
+export const filterByProjectType = (programs, projectType) => {
+  if (!Array.isArray(programs)) {
+    return [];
+  }
+
+  const selectedType = projectType || 'playground';
+  const searchTypes = PROJECT_TYPE_SEARCH_TYPES[selectedType] || [selectedType];
+
+  return programs.reduce((matches, program) => {
+    const matchedProjectTypes = searchTypes.filter(type => program.type && program.type.includes(type));
+    if (matchedProjectTypes.length > 0) {
+      matches.push({ ...program, matchedProjectTypes });
+    }
+    return matches;
+  }, []);
+};
+
+/**
+ * Filter programs by measures
+ * @param {Array} programs - Array of funding programs
+ * @param {Array} selectedMeasures - Selected measures (e.g., ["newBuild", "accessibility"])
+ * @returns {Array} Filtered programs that support ALL selected measures
+ */
+export const filterByMeasures = (programs, selectedMeasures) => {
+  if (!Array.isArray(programs)) {
+    return [];
+  }
+
+  // If no measures selected, return all programs (no filtering)
+  if (!selectedMeasures || selectedMeasures.length === 0) {
+    return programs;
+  }
+
+  return programs.filter(program => {
+    // Program's measures array must include ALL selected measures
+    if (!program.measures || !Array.isArray(program.measures)) {
+      return false;
+    }
+
+    return selectedMeasures.every(measure => program.measures.includes(measure));
+  });
+};
+
+/**
+ * Filter programs by relevance level, excluding Level 4 (irrelevant) programs
+ * @param {Array} programs - Array of funding programs
+ * @param {RelevanceEngine} relevanceEngine - Optional RelevanceEngine instance
+ * @returns {Array} Filtered programs excluding Level 4 programs
+ */
+export const filterByRelevance = (programs, relevanceEngine = null) => {
+  if (!Array.isArray(programs)) {
+    return [];
+  }
+
+  // If no RelevanceEngine provided, return all programs (backward compatibility)
+  if (!relevanceEngine) {
+    return programs;
+  }
+
+  return programs.filter(program => {
+    const relevanceLevel = relevanceEngine.getRelevanceLevel(program);
+    // Exclude Level 4 (Excluded) programs
+    return relevanceLevel !== 4;
+  });
+};
+
+/**
+ * Describe why the state filter removed a program
+ * @param {Object} program - Funding program
+ * @param {string} selectedState - Selected federal state
+ * @returns {string} Rule text
+ */
+export const describeStateExclusion = (program, selectedState) => {
+  if (!selectedState) {
+    return 'Kein Bundesland gewählt';
+  }
+  if (!program.federalStates || program.federalStates.length === 0) {
+    return 'Keine Bundesländer hinterlegt';
+  }
+  return `Nur in ${program.federalStates.join(', ')} verfügbar, nicht in ${selectedState}`;
+};
+
+/**
+ * Describe why the project type filter removed a program
+ * @param {Object} program - Funding program
+ * @param {string} projectType - Selected project type
+ * @returns {string} Rule text
+ */
+export const describeProjectTypeExclusion = (program, projectType) => {
+  const programTypes = formatCodes(program.type, PROGRAM_TYPES) || 'kein Projekttyp hinterlegt';
+  return `Fördert ${programTypes}, nicht ${PROGRAM_TYPES[projectType] || projectType || 'den gewählten Projekttyp'}`;
+};
+
+/**
+ * Describe why the measure filter removed a program
+ * @param {Object} program - Funding program
+ * @param {Array} selectedMeasures - Selected measures
+ * @returns {string} Rule text
+ */
+export const describeMeasureExclusion = (program, selectedMeasures) => {
+  const missing = (selectedMeasures || []).filter(measure => !(program.measures || []).includes(measure));
+  return `Fördert nicht: ${formatCodes(missing, PROGRAM_MEASURES)}`;
+};
+
+/**
+ * Get location type for a program
+ * Reads the program record / program registry, falls back to name keywords
+ * for programs that are not registered yet
+ * @param {Object} program - Funding program
+ * @returns {string} Location type: "urban", "rural", or "both"
+ */
+export const getProgramLocationType = (program) => {
+  if (!program || !program.name) {
+    return "both"; // Default fallback
+  }
+
+  const locationType = program.locationType || getRegistryEntry(program)?.locationType;
+  if (locationType) {
+    return locationType;
+  }
+
+  // Auto-classify based on program name keywords
+  return getKeywordLocationType(program.name);
+};
+
+/**
+ * Classify a program's location type from name keywords only
+ * @param {string} programName - Program name
+ * @returns {string} Location type: "urban", "rural", or "both"
+ */
+export const getKeywordLocationType = (programName) => {
+  const name = (programName || '').toLowerCase();
+
+  // Rural keywords
+  if (name.includes('leader') ||
+      name.includes('dorf') ||
+      name.includes('ländlich') ||
+      name.includes('gak') ||
+      name.includes('regionalbudget')) {
+    return "rural";
+  }
+
+  // Urban keywords
+  if (name.includes('städtebau') ||
+      name.includes('quartier') ||
+      name.includes('soziale stadt') ||
+      name.includes('innenstadt') ||
+      name.includes('zentren')) {
+    return "urban";
+  }
+
+  // Default to both if unclear
+  return "both";
+};
+
+/**
+ * Get program priority for sorting
+ * @param {Object} program - Funding program
+ * @param {string} userFederalState - User's federal state
+ * @returns {number} Priority (1 = highest, 3 = lowest)
+ */
+export const getProgramPriority = (program, userFederalState) => {
+  if (!program.federalStates || !Array.isArray(program.federalStates)) {
+    return 3; // Lowest priority for programs without state info
+  }
+
+  // Priority 1: Bundeslandspezifische Programme (state-specific)
+  if (program.federalStates.includes(userFederalState) && !program.federalStates.includes('all')) {
+    return 1;
+  }
+
+  // Priority 2: Bundes-/EU-Programme mit Standortbezug
+  if (program.federalStates.includes('all')) {
+    const locationType = getProgramLocationType(program);
+    if (locationType === 'urban' || locationType === 'rural') {
+      return 2; // Location-specific federal programs
+    }
+  }
+
+  // Priority 3: Allgemeine bundesweite Programme / Stiftungen
+  return 3;
+};
+
+/**
+ * Excluded program types (never allowed)
+ * Registered programs carry their own `excluded` flag; these name patterns
+ * only apply to programs that are not in the registry yet
+ */
+const EXCLUDED_PROGRAMS = [
+  // Stiftungen
+  "Deutsches Kinderhilfswerk",
+  "Aktion Mensch",
+  "Deutsche Fernsehlotterie",
+  "Deutsche Stiftung für Engagement und Ehrenamt",
+
+  // LOTTO-Mittel
+  "LOTTO-Stiftung",
+  "LOTTO hilft",
+  "Totomittel",
+  "Glück für",
+  "BINGO!",
+
+  // Ehrenamt/Engagement
+  "Freiwilliges Engagement",
+  "Bürgerfonds",
+  "Heimat-Scheck",
+
+  // Sanierung (nur Neubau erlaubt)
+  "Sanierung",
+  "Modernisierung",
+  "Energetische"
+];
+
+/**
+ * Get the strict use-case classification of a program
+ * @param {Object|string} programOrName - Program object or name
+ * @returns {Object|null} { types, useCases, excludedUseCases } or null if unclassified
+ */
+export const getProgramClassification = (programOrName) => {
+  if (programOrName && typeof programOrName === 'object' && programOrName.classification) {
+    return programOrName.classification;
+  }
+  return getRegistryEntry(programOrName)?.classification || null;
+};
+
+/**
+ * Get the rule that excludes a program from strict recommendations
+ * @param {Object|string} programOrName - Program object or name
+ * @returns {string|null} Rule text, or null if the program is not excluded
+ */
+export const getExclusionRule = (programOrName) => {
+  const entry = getRegistryEntry(programOrName);
+  if (entry) {
+    return entry.excluded ? 'Im Programmregister ausgeschlossen (Stiftung, LOTTO-Mittel oder Sanierung)' : null;
+  }
+  const programName = typeof programOrName === 'string' ? programOrName : programOrName?.name || '';
+  const pattern = EXCLUDED_PROGRAMS.find(excluded => programName.includes(excluded));
+  return pattern ? `Ausschlussliste: Name enthält „${pattern}“` : null;
+};
+
+/**
+ * Check if a program is excluded from strict recommendations
+ * @param {Object|string} programOrName - Program object or name
+ * @returns {boolean} True if the program must never be recommended
+ */
+export const isExcludedProgram = (programOrName) => {
+  return getExclusionRule(programOrName) !== null;
+};
+
+/**
+ * City-states (state codes) that should not receive rural development programs
+ */
+const CITY_STATES = ['HH', 'BE', 'HB'];
+
+/**
+ * Check if a federal state is a city-state (no rural areas)
+ * @param {string} federalState - Federal state code (e.g. "HH")
+ * @returns {boolean} True if it's a city-state
+ */
+export const isCityState = (federalState) => {
+  return CITY_STATES.includes(federalState);
+};
+
+/**
+ * Check the strict use-case classification of a program
+ * A site type (siteTypeService) refines the Einsatzbereich: programs excluding
+ * it are rejected, programs listing it pass, all others fall back to the Einsatzbereich.
+ * @param {Object|string} programOrName - Program object or name
+ * @param {string} einsatzbereich - Selected Einsatzbereich
+ * @param {string} federalState - Federal state (optional, for city-state check)
+ * @param {string} siteType - Selected site type (optional, e.g. "kita", "schule")
+ * @returns {Object|null} { stage, rule } of the failing check, or null if the use case is allowed
+ */
+export const getUseCaseRejection = (programOrName, einsatzbereich, federalState = null, siteType = null) => {
+  const classification = getProgramClassification(programOrName);
+
+  if (!classification) {
+    // If program not classified, exclude it (strict approach)
+    return { stage: 'useCase', rule: 'Keine Einsatzbereich-Zuordnung im Programmregister' };
+  }
+
+  // Special rule: Exclude rural programs for city-states
+  if (federalState && isCityState(federalState) && classification.types.includes('rural_development')) {
+    return { stage: 'cityState', rule: `Programm der ländlichen Entwicklung, im Stadtstaat ${FederalStatePrioritizer.FEDERAL_STATES[federalState]} nicht anwendbar` };
+  }
+
+  if (siteType) {
+    const excludedUseCase = getExcludedSiteUseCase(classification, siteType, einsatzbereich);
+    if (excludedUseCase) {
+      return { stage: 'site', rule: `Standort „${getSiteTypeLabel(siteType)}“ ist ausdrücklich ausgeschlossen (${excludedUseCase})` };
+    }
+    if (isSiteTypeAllowed(classification, siteType, einsatzbereich)) {
+      return null;
+    }
+  }
+
+  // Check if program explicitly allows this use case
+  if (classification.useCases && classification.useCases.includes(einsatzbereich)) {
+    return null;
+  }
+
+  // Check if program explicitly excludes this use case
+  if (classification.excludedUseCases && classification.excludedUseCases.includes(einsatzbereich)) {
+    return { stage: 'useCase', rule: `Einsatzbereich „${einsatzbereich}“ ist ausdrücklich ausgeschlossen` };
+  }
+
+  // If not explicitly defined, exclude (strict approach)
+  return {
+    stage: 'useCase',
+    rule: `Einsatzbereich „${einsatzbereich}“ nicht freigegeben (freigegeben: ${(classification.useCases || []).join(', ') || 'keine'})`
+  };
+};
+
+/**
+ * Apply relevance-based scoring to programs
+ * @param {Array} programs - Programs to score
+ * @param {Object} userCriteria - User criteria for scoring
+ * @param {RelevanceEngine} relevanceEngine - RelevanceEngine instance
+ * @returns {Array} Programs with relevance scores, sorted by score
+ */
+export const applyRelevanceScoring = (programs, userCriteria, relevanceEngine) => {
+  // Calculate relevance scores for each program
+  const scoredPrograms = programs.map(program => {
+    const relevanceScore = relevanceEngine.calculateRelevanceScore(program, userCriteria);
+    const relevanceLevel = relevanceEngine.getRelevanceLevel(program);
+
+    return {
+      ...program,
+      relevanceScore,
+      relevanceLevel,
+      // Add playground funding history flag for prioritization
+      playgroundFundingHistory: relevanceEngine.classifier.isPlaygroundRelevant(program),
+      isFederalStateSpecific: relevanceEngine.classifier.isFederalStateSpecific(program)
+    };
+  });
+
+  // Sort by relevance score (highest first), with playground funding history bonus
+  return scoredPrograms.sort((a, b) => {
+    // Primary: Relevance level (1 > 2 > 3, exclude 4)
+    if (a.relevanceLevel !== b.relevanceLevel) {
+      return a.relevanceLevel - b.relevanceLevel;
+    }
+
+    // Secondary: Playground funding history for playground projects
+    if (userCriteria.projectType === 'playground') {
+      if (a.playgroundFundingHistory && !b.playgroundFundingHistory) return -1;
+      if (!a.playgroundFundingHistory && b.playgroundFundingHistory) return 1;
+    }
+
+    // Tertiary: Federal state match
+    const aStateMatch = a.isFederalStateSpecific &&
+      a.federalStates && a.federalStates.includes(userCriteria.federalState);
+    const bStateMatch = b.isFederalStateSpecific &&
+      b.federalStates && b.federalStates.includes(userCriteria.federalState);
+
+    if (aStateMatch && !bStateMatch) return -1;
+    if (!aStateMatch && bStateMatch) return 1;
+
+    // Quaternary: Relevance score
+    return b.relevanceScore - a.relevanceScore;
+  });
+};
+
+/**
+ * Get minimum relevance score threshold based on criteria
+ * @param {Object} userCriteria - User criteria
+ * @returns {number} Minimum score threshold
+ */
+const getMinimumRelevanceScore = (userCriteria) => {
+  // Base threshold
+  let threshold = 30;
+
+  // Lower threshold for rural areas (fewer programs available)
+  if (userCriteria.einsatzbereich === 'laendlicher-raum') {
+    threshold = 20;
+  }
+
+  // Higher threshold for well-served areas
+  if (userCriteria.einsatzbereich === 'oeffentlich-kommunal') {
+    threshold = 40;
+  }
+
+  return threshold;
+};
+
+/**
+ * Filter programs by minimum relevance score
+ * @param {Array} programs - Programs with relevance scores
+ * @param {Object} userCriteria - User criteria
+ * @param {Object} options - Additional options
+ * @param {Object} options.trace - Decision trace from decisionTraceService
+ * @returns {Array} Programs meeting minimum score threshold
+ */
+export const filterByRelevanceScore = (programs, userCriteria, options = {}) => {
+  const minScore = getMinimumRelevanceScore(userCriteria);
+  return traceStage(options.trace, 'relevanceScore', programs, programs.filter(program =>
+    program.relevanceScore && program.relevanceScore >= minScore
+  ), program => `Relevanzwert ${Math.round(program.relevanceScore || 0)} unter dem Mindestwert ${minScore}`);
+};
+
+/**
+ * Orderings for the sort stage ("sort:<name>")
+ * Each receives the programs and the pipeline context and returns a new array.
+ */
+const SORTERS = {
+  // Priority 1-3 (state-specific, federal with location, general), then the score of
+  // the selected scoring profile (with a RelevanceEngine, not for the standard profile)
+  // and the funding rate
+  priority: (programs, { criteria, scoringCriteria, relevanceEngine }) => {
+    const scoring = scoringCriteria || criteria;
+    const profile = relevanceEngine ? getScoringProfile(scoring.scoringProfile || relevanceEngine.scoringProfile) : null;
+    const useProfileScore = Boolean(profile) && profile.id !== DEFAULT_SCORING_PROFILE;
+
+    const programsWithMetadata = programs.map(program => ({
+      ...program,
+      locationType: getProgramLocationType(program),
+      priority: getProgramPriority(program, criteria.federalState),
+      profileScore: useProfileScore ? relevanceEngine.getScoreBreakdown(program, scoring).total : 0,
+      fundingRateNumeric: getFundingRateScore(getFundingModel(program)),
+      isStateSpecific: program.federalStates && !program.federalStates.includes('all')
+    }));
+
+    return programsWithMetadata.sort((a, b) => {
+      // Primary: Priority (1 > 2 > 3)
+      if (a.priority !== b.priority) {
+        return a.priority - b.priority;
+      }
+
+      // Secondary: Within same priority, state-specific first
+      if (a.isStateSpecific !== b.isStateSpecific) {
+        return b.isStateSpecific - a.isStateSpecific;
+      }
+
+      // Tertiary: Scoring profile score (highest first)
+      if (a.profileScore !== b.profileScore) {
+        return b.profileScore - a.profileScore;
+      }
+
+      // Then funding rate (highest first)
+      if (a.fundingRateNumeric !== b.fundingRateNumeric) {
+        return b.fundingRateNumeric - a.fundingRateNumeric;
+      }
+
+      // Finally alphabetical by name
+      return a.name.localeCompare(b.name);
+    });
+  },
+
+  // State-specific programs first, then by program name
+  stateThenName: (programs) => [...programs].sort((a, b) => {
+    const aIsStateSpecific = a.federalStates && !a.federalStates.includes('all');
+    const bIsStateSpecific = b.federalStates && !b.federalStates.includes('all');
+
+    if (aIsStateSpecific && !bIsStateSpecific) return -1;
+    if (!aIsStateSpecific && bIsStateSpecific) return 1;
+
+    return a.name.localeCompare(b.name);
+  }),
+
+  // RelevanceEngine score (adds relevanceScore / relevanceLevel); without an engine: stateThenName
+  relevance: (programs, context) => {
+    if (!context.relevanceEngine) {
+      return SORTERS.stateThenName(programs);
+    }
+    return applyRelevanceScoring(programs, context.scoringCriteria || context.criteria, context.relevanceEngine);
+  },
+
+  // sortService.sortByRelevance: state-specific first, user's state, relevance level, funding rate
+  relevanceLevel: (programs, { criteria }) =>
+    sortByRelevance([...programs], criteria.federalState),
+
+  // Expected grant for the project budget first, then as relevanceLevel
+  expectedFunding: (programs, { criteria }) =>
+    sortByRelevance([...programs], criteria.federalState, { orderBy: 'expectedFunding', projectBudget: criteria.projectBudget })
+};
+
+/**
+ * Named stages of the filter pipeline
+ *
+ * `run(programs, context, param)` returns the programs that pass the stage;
+ * `param` is the part after the colon in the stage config ("limit:20" → "20").
+ * Context: { criteria: { einsatzbereich, siteType, federalState, projectType, measures,
+ * applicantType, location, municipality, projectBudget }, relevanceEngine, scoringCriteria, trace }.
+ */
+export const PIPELINE_STAGES = {
+  // Drop Level 4 programs (needs a RelevanceEngine, otherwise a no-op)
+  relevance: {
+    run: (programs, { relevanceEngine, trace }) => traceStage(trace, 'relevance', programs,
+      filterByRelevance(programs, relevanceEngine),
+      () => 'Relevanzstufe 4 – für Spielplatz- und Bewegungsprojekte nicht relevant')
+  },
+
+  // Federal state; "state:required" drops everything when no state is selected
+  state: {
+    params: ['required'],
+    run: (programs, { criteria, trace }, param) => {
+      const { federalState } = criteria;
+      const statePrograms = param === 'required'
+        ? filterByState(programs, federalState)
+        : programs.filter(program =>
+          program.federalStates &&
+          (program.federalStates.includes(federalState) || program.federalStates.includes('all')));
+      return traceStage(trace, 'state', programs, statePrograms,
+        program => describeStateExclusion(program, federalState));
+    }
+  },
+
+  // Applicant type (hard requirement)
+  applicant: {
+    run: (programs, { criteria, trace }) => traceStage(trace, 'applicant', programs,
+      filterByApplicantType(programs, criteria.applicantType),
+      program => describeApplicantExclusion(program, criteria.applicantType))
+  },
+
+  // Region below state level (Landkreis, LEADER / ILE region)
+  region: {
+    run: (programs, { criteria, trace }) => traceStage(trace, 'region', programs,
+      filterByLocation(programs, criteria.location),
+      program => describeLocationExclusion(program, criteria.location))
+  },
+
+  // Municipality profile (population, Finanzkraft, Fördergebiete)
+  municipality: {
+    run: (programs, { criteria, trace }) => traceStage(trace, 'municipality', programs,
+      filterByMunicipalityProfile(programs, criteria.municipality),
+      program => describeMunicipalityExclusion(program, criteria.municipality))
+  },
+
+  // Planned measures (a program must fund all of them)
+  measures: {
+    run: (programs, { criteria, trace }) => traceStage(trace, 'measures', programs,
+      filterByMeasures(programs, criteria.measures),
+      program => describeMeasureExclusion(program, criteria.measures))
+  },
+
+  // Project type search paths (combination = playground + calisthenics); "type:exact" matches the type code only
+  type: {
+    params: ['exact'],
+    run: (programs, { criteria, trace }, param) => {
+      const projectType = param === 'exact' ? criteria.projectType : criteria.projectType || 'playground';
+      const typePrograms = param === 'exact'
+        ? filterByType(programs, projectType)
+        : filterByProjectType(programs, projectType);
+      return traceStage(trace, 'type', programs, typePrograms,
+        program => describeProjectTypeExclusion(program, projectType));
+    }
+  },
+
+  // Stiftungen, LOTTO-Mittel, Sanierung
+  excluded: {
+    run: (programs, { trace }) => traceStage(trace, 'excluded', programs,
+      programs.filter(program => !isExcludedProgram(program)),
+      program => getExclusionRule(program))
+  },
+
+  // Strict Einsatzbereich matching against the registry classification (incl. city-state rule)
+  useCase: {
+    run: (programs, { criteria, trace }) => programs.filter(program => {
+      const rejection = getUseCaseRejection(program, criteria.einsatzbereich, criteria.federalState, criteria.siteType);
+
+      if (rejection) {
+        if (rejection.stage === 'cityState') {
+          console.log(`Excluding rural program "${program.name}" for city-state ${criteria.federalState}`);
+        }
+        recordDecision(trace, program, rejection.stage, false, rejection.rule);
+        return false;
+      }
+
+      recordDecision(trace, program, 'useCase', true);
+      return true;
+    })
+  },
+
+  // Site types the classification explicitly excludes (Kita, Schulhof, …); unclassified programs pass
+  site: {
+    run: (programs, { criteria, trace }) => {
+      if (!criteria.siteType) {
+        return programs;
+      }
+      const excludedUseCase = (program) =>
+        getExcludedSiteUseCase(getProgramClassification(program), criteria.siteType, criteria.einsatzbereich);
+      return traceStage(trace, 'site', programs,
+        programs.filter(program => !excludedUseCase(program)),
+        program => `Standort „${getSiteTypeLabel(criteria.siteType)}“ ist ausdrücklich ausgeschlossen (${excludedUseCase(program)})`);
+    }
+  },
+
+  // Urban / rural location type (Stadt / Quartier vs. Ländlicher Raum; other values: no filter)
+  location: {
+    run: (programs, { criteria, trace }) => {
+      const { einsatzbereich } = criteria;
+      const allowedTypes = {
+        'stadt-quartier': ['urban', 'both'],
+        'laendlicher-raum': ['rural', 'both']
+      }[einsatzbereich];
+      const locationPrograms = allowedTypes
+        ? programs.filter(program => allowedTypes.includes(getProgramLocationType(program)))
+        : programs;
+      return traceStage(trace, 'location', programs, locationPrograms, () =>
+        einsatzbereich === 'stadt-quartier'
+          ? 'Programm für den ländlichen Raum, nicht für Stadt / Quartier'
+          : 'Programm für Städte und Quartiere, nicht für den ländlichen Raum');
+    }
+  },
+
+  // Minimum relevance score (after "sort:relevance" with a RelevanceEngine)
+  relevanceScore: {
+    run: (programs, context) => filterByRelevanceScore(programs, context.scoringCriteria || context.criteria, context)
+  },
+
+  sort: {
+    params: Object.keys(SORTERS),
+    run: (programs, context, param = 'priority') => SORTERS[param](programs, context)
+  },
+
+  // Keep the first N programs ("limit:10", default 20)
+  limit: {
+    run: (programs, context, param) => limitResults(programs, param ? Number(param) : 20)
+  }
+};
@@ -0,0 +1,344 @@
+/**
+ * Förderdatenbank Import Service
+ *
+ * Offline import of locally saved exports of the federal Förderdatenbank
+ * (foerderdatenbank.de) as XML, JSON or CSV. Records carry Titel, Kurztext,
+ * Förderart, Förderberechtigte, Fördergebiet, Ansprechpartner and a link; they
+ * are mapped to our program schema and type / measures / location type are
+ * proposed from RelevanceClassifier keywords.
+ *
+ * Mapped programs are not published directly. They are queued as drafts in the
+ * program storage (loadDrafts / saveDrafts, see programStorage.js) and become
+ * programs only after review in the admin view:
+ *
+ *   {
+ *     draftId: 'fdb-12345',
+ *     source: 'foerderdatenbank',
+ *     sourceId: '12345',
+ *     importedAt: '2026-03-01T10:00:00Z',
+ *     program: { ... },                 // mapped program, fundingRate left empty
+ *     suggestion: { type, measures, locationType, relevanceLevel, matches },
+ *     notes: ['Förderberechtigte nicht zugeordnet: Forschungseinrichtung']
+ *   }
+ */
+
+import { parseCsv, decodeXml, normalizeKey } from './spreadsheetParser.js';
+import { RelevanceClassifier } from './RelevanceClassifier.js';
+import { FederalStatePrioritizer } from './FederalStatePrioritizer.js';
+import { createProgramId } from './programAdminService.js';
+import { resolveProgramId } from '../data/programRegistry.js';
+
+/**
+ * Record fields with the field names used in the different export formats
+ */
+const RECORD_FIELDS = {
+  id: ['id', 'Nummer', 'Fördernummer', 'Kennung'],
+  title: ['Titel', 'title', 'name', 'Bezeichnung', 'Programmname'],
+  summary: ['Kurztext', 'Kurzbeschreibung', 'Beschreibung', 'description', 'Zusammenfassung'],
+  fundingType: ['Förderart', 'fundingType'],
+  fundingArea: ['Förderbereich', 'fundingArea'],
+  eligibleApplicants: ['Förderberechtigte', 'eligibleApplicants'],
+  region: ['Fördergebiet', 'region'],
+  contact: ['Ansprechpartner', 'Ansprechpartnerin', 'Kontakt', 'contact'],
+  provider: ['Fördergeber', 'provider'],
+  url: ['url', 'Link', 'Quelle', 'Weiterführende Links']
+};
+
+const fieldIndex = new Map();
+Object.entries(RECORD_FIELDS).forEach(([field, names]) => {
+  names.forEach(name => fieldIndex.set(normalizeKey(name), field));
+});
+
+/**
+ * Förderberechtigte categories of the Förderdatenbank -> our applicant types
+ */
+const APPLICANT_MAPPING = {
+  kommune: ['kommune', 'gemeinde', 'landkreis', 'gebietskörperschaft', 'öffentliche einrichtung'],
+  verein: ['verband', 'vereinigung', 'verein'],
+  kirchengemeinde: ['kirche'],
+  privat: ['privatperson', 'unternehmen', 'existenzgründer']
+};
+
+/**
+ * Fördergebiet values meaning "all of Germany"
+ */
+const NATIONWIDE_REGIONS = ['bund', 'bundesweit', 'deutschland'];
+
+/**
+ * Split a multi-value field ("Kommune, Verband/Vereinigung")
+ * @param {string} value - Field value
+ * @returns {Array} Values
+ */
+const splitValues = (value) => {
+  return String(value || '').split(/[,;\n]/).map(part => part.trim()).filter(Boolean);
+};
+
+/**
+ * Convert a raw record (any field naming) to { id, title, summary, ... }
+ * @param {Object} raw - Field name -> value
+ * @returns {Object} Normalized record
+ */
+const normalizeRecord = (raw) => {
+  const record = {};
+  Object.entries(raw).forEach(([name, value]) => {
+    const field = fieldIndex.get(normalizeKey(name));
+    if (!field || value === null || value === undefined || record[field]) return;
+
+    // JSON exports may hold lists or objects (e.g. Ansprechpartner with name and phone)
+    const text = typeof value === 'object'
+      ? Object.values(value).flat().filter(part => part !== null && typeof part !== 'object').join(', ')
+      : String(value);
+    record[field] = text.trim();
+  });
+  return record;
+};
+
+/**
+ * Read the records of an XML export (<foerderprogramm>, <programm>, <record> or <eintrag> elements)
+ * @param {string} xml - XML text
+ * @returns {Array} Raw records
+ */
+const parseXmlRecords = (xml) => {
+  const records = [...xml.matchAll(/<(foerderprogramm|förderprogramm|programm|record|eintrag)\b([^>]*)>([\s\S]*?)<\/\1>/gi)];
+
+  return records.map(([, , attributes, inner]) => {
+    const raw = {};
+    const idAttribute = attributes.match(/\bid="([^"]*)"/);
+    if (idAttribute) raw.id = idAttribute[1];
+
+    for (const [, name, content] of inner.matchAll(/<([\w:.-]+)\b[^>]*>([\s\S]*?)<\/\1>/g)) {
+      const text = content.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+      // Nested values (<foerderart><wert>Zuschuss</wert>...</foerderart>) become a list
+      raw[name] = /<\w/.test(text)
+        ? [...text.matchAll(/>([^<]+)</g)].map(match => decodeXml(match[1]).trim()).filter(Boolean).join(', ')
+        : decodeXml(text);
+    }
+    return raw;
+  });
+};
+
+/**
+ * Read the records of a JSON export (array, or object holding the array)
+ * @param {string} text - JSON text
+ * @returns {Array} Raw records
+ */
+const parseJsonRecords = (text) => {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data;
+  const list = Object.values(data || {}).find(Array.isArray);
+  if (!list) {
+    throw new Error('Die JSON-Datei enthält keine Liste von Förderprogrammen');
+  }
+  return list;
+};
+
+/**
+ * Read the records of a CSV export (first row = field names)
+ * @param {string} text - CSV text
+ * @returns {Array} Raw records
+ */
+const parseCsvRecords = (text) => {
+  const [headers = [], ...rows] = parseCsv(text);
+  return rows.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index] ?? ''])));
+};
+
+/**
+ * Parse a saved Förderdatenbank export
+ * @param {Object} file - { name, content } with text content
+ * @returns {Array} Records { id, title, summary, fundingType, fundingArea, eligibleApplicants, region, contact, provider, url }
+ */
+export const parseFoerderdatenbankExport = (file) => {
+  const name = String(file?.name || '').toLowerCase();
+  const content = String(file?.content || '').replace(/^﻿/, '').trim();
+
+  let raw;
+  if (name.endsWith('.xml') || (!name.match(/\.(json|csv)$/) && content.startsWith('<'))) {
+    raw = parseXmlRecords(content);
+  } else if (name.endsWith('.json') || (!name.endsWith('.csv') && /^[[{]/.test(content))) {
+    raw = parseJsonRecords(content);
+  } else {
+    raw = parseCsvRecords(content);
+  }
+
+  return raw.map(normalizeRecord).filter(record => record.title);
+};
+
+/**
+ * Map a Fördergebiet to federal state codes
+ * @param {string} region - Fördergebiet ("Bund", "Bayern, Sachsen")
+ * @returns {Object} { federalStates, unknown }
+ */
+const mapRegion = (region) => {
+  const values = splitValues(region);
+  const states = Object.entries(FederalStatePrioritizer.FEDERAL_STATES);
+  const unknown = [];
+  const codes = [];
+
+  values.forEach(value => {
+    if (NATIONWIDE_REGIONS.includes(value.toLowerCase())) {
+      codes.push('all');
+      return;
+    }
+    const state = states.find(([code, stateName]) => normalizeKey(stateName) === normalizeKey(value) || code === value);
+    if (state) {
+      codes.push(state[0]);
+    } else {
+      unknown.push(value);
+    }
+  });
+
+  return { federalStates: codes.includes('all') ? ['all'] : [...new Set(codes)], unknown };
+};
+
+/**
+ * Map Förderberechtigte to applicant types
+ * @param {string} applicants - Förderberechtigte ("Kommune, Verband/Vereinigung")
+ * @returns {Object} { eligibleApplicants, unknown }
+ */
+const mapApplicants = (applicants) => {
+  const unknown = [];
+  const types = [];
+
+  splitValues(applicants).forEach(value => {
+    const lower = value.toLowerCase();
+    const matched = Object.entries(APPLICANT_MAPPING)
+      .filter(([, keywords]) => keywords.some(keyword => lower.includes(keyword)))
+      .map(([type]) => type);
+    if (matched.length > 0) {
+      types.push(...matched);
+    } else {
+      unknown.push(value);
+    }
+  });
+
+  return { eligibleApplicants: [...new Set(types)], unknown };
+};
+
+/**
+ * Map a Förderdatenbank record to a program and propose its classification
+ * @param {Object} record - Record from parseFoerderdatenbankExport
+ * @param {Object} options - Options
+ * @param {RelevanceClassifier} options.classifier - Classifier (default: new instance)
+ * @returns {Object} { program, suggestion, notes }
+ */
+export const mapFoerderdatenbankRecord = (record, options = {}) => {
+  const classifier = options.classifier || new RelevanceClassifier();
+  const notes = [];
+
+  const region = mapRegion(record.region);
+  const applicants = mapApplicants(record.eligibleApplicants);
+  if (region.unknown.length > 0) {
+    notes.push(`Fördergebiet nicht zugeordnet: ${region.unknown.join(', ')}`);
+  }
+  if (applicants.unknown.length > 0) {
+    notes.push(`Förderberechtigte nicht zugeordnet: ${applicants.unknown.join(', ')}`);
+  }
+
+  const program = {
+    id: createProgramId(record.title),
+    name: record.title,
+    description: record.summary || '',
+    source: record.url || '',
+    federalStates: region.federalStates,
+    eligibleApplicants: applicants.eligibleApplicants,
+    fundingType: splitValues(record.fundingType),
+    fundingRate: '',
+    ...(record.contact ? { contacts: [{ role: 'Ansprechpartner', organization: record.contact }] } : {}),
+    ...(record.provider ? { provider: record.provider } : {})
+  };
+
+  // The Förderbereich ("Städtebau & Stadterneuerung") helps the keyword matching
+  const suggestion = classifier.suggestClassification({
+    ...program,
+    description: [program.description, record.fundingArea].filter(Boolean).join(' ')
+  });
+
+  program.type = suggestion.type;
+  program.measures = suggestion.measures;
+  if (suggestion.locationType) {
+    program.locationType = suggestion.locationType;
+  }
+
+  if (!program.fundingType.some(type => /zuschuss/i.test(type)) && program.fundingType.length > 0) {
+    notes.push(`Keine Zuschussförderung (${program.fundingType.join(', ')})`);
+  }
+  if (suggestion.type.length === 0) {
+    notes.push('Kein Projekttyp erkannt');
+  }
+  notes.push('Förderquote fehlt in der Förderdatenbank');
+
+  return { program, suggestion, notes };
+};
+
+/**
+ * Load the draft queue
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Array>} Drafts
+ */
+export const loadProgramDrafts = async (storage) => {
+  return storage.loadDrafts();
+};
+
+/**
+ * Map records and queue them as drafts. Records that already exist as program
+ * (by name, registry alias or id) or as draft are skipped.
+ * @param {Object} storage - Storage adapter
+ * @param {Array} records - Records from parseFoerderdatenbankExport
+ * @param {Object} options - Options
+ * @param {Array} options.existingPrograms - Current programs
+ * @param {Function} options.now - Clock, returns a Date (for tests)
+ * @returns {Promise<Object>} { queued, skipped: [{ title, reason }] }
+ */
+export const queueFoerderdatenbankDrafts = async (storage, records, options = {}) => {
+  const { existingPrograms = [], now = () => new Date() } = options;
+  const classifier = new RelevanceClassifier();
+  const drafts = await storage.loadDrafts();
+  const queued = [];
+  const skipped = [];
+
+  records.forEach(record => {
+    const { program, suggestion, notes } = mapFoerderdatenbankRecord(record, { classifier });
+    const draftId = `fdb-${record.id || program.id}`;
+    const registryId = resolveProgramId(program.name);
+
+    if (existingPrograms.some(existing => existing.name === program.name || existing.id === program.id || (registryId && existing.id === registryId))) {
+      skipped.push({ title: record.title, reason: 'Programm existiert bereits' });
+    } else if (drafts.some(draft => draft.draftId === draftId)) {
+      skipped.push({ title: record.title, reason: 'Bereits als Entwurf vorhanden' });
+    } else {
+      const draft = {
+        draftId,
+        source: 'foerderdatenbank',
+        sourceId: record.id || null,
+        importedAt: now().toISOString(),
+        program,
+        suggestion,
+        notes
+      };
+      drafts.push(draft);
+      queued.push(draft);
+    }
+  });
+
+  if (queued.length > 0) {
+    await storage.saveDrafts(drafts);
+  }
+
+  return { queued, skipped };
+};
+
+/**
+ * Remove a draft from the queue (after it was published or rejected)
+ * @param {Object} storage - Storage adapter
+ * @param {string} draftId - Draft id
+ * @returns {Promise<boolean>} False if the draft was not found
+ */
+export const discardProgramDraft = async (storage, draftId) => {
+  const drafts = await storage.loadDrafts();
+  const remaining = drafts.filter(draft => draft.draftId !== draftId);
+  if (remaining.length === drafts.length) {
+    return false;
+  }
+  await storage.saveDrafts(remaining);
+  return true;
+};
@@ -0,0 +1,122 @@
+/**
+ * Tests for Förderdatenbank Import Service
+ * Feature: foerderdatenbank-import
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseFoerderdatenbankExport,
+  mapFoerderdatenbankRecord,
+  queueFoerderdatenbankDrafts,
+  discardProgramDraft
+} from './foerderdatenbankImportService.js';
+import { InMemoryStorageAdapter } from './programStorage.js';
+
+const xmlExport = `<?xml version="1.0" encoding="UTF-8"?>
+<foerderprogramme>
+  <foerderprogramm id="4711">
+    <titel>Dorferneuerung und Dorfentwicklung in Bayern</titel>
+    <kurztext><![CDATA[Zuschüsse für die Neugestaltung von Dorfplätzen & Spielplatz-Flächen im ländlichen Raum]]></kurztext>
+    <foerderart><wert>Zuschuss</wert></foerderart>
+    <foerderberechtigte><wert>Kommune</wert><wert>Verband/Vereinigung</wert><wert>Forschungseinrichtung</wert></foerderberechtigte>
+    <foerdergebiet>Bayern</foerdergebiet>
+    <ansprechpartner>Amt für Ländliche Entwicklung Oberbayern</ansprechpartner>
+    <url>https://www.foerderdatenbank.de/4711</url>
+  </foerderprogramm>
+  <foerderprogramm id="4712">
+    <titel>Breitbandausbau</titel>
+    <kurztext>Förderung des Breitbandausbaus</kurztext>
+    <foerderart>Darlehen</foerderart>
+    <foerdergebiet>Bund</foerdergebiet>
+  </foerderprogramm>
+</foerderprogramme>`;
+
+describe('Förderdatenbank Import Service', () => {
+
+  describe('parseFoerderdatenbankExport', () => {
+    it('should read XML exports with CDATA, attributes and nested values', () => {
+      const records = parseFoerderdatenbankExport({ name: 'export.xml', content: xmlExport });
+
+      expect(records).toHaveLength(2);
+      expect(records[0]).toMatchObject({
+        id: '4711',
+        title: 'Dorferneuerung und Dorfentwicklung in Bayern',
+        summary: 'Zuschüsse für die Neugestaltung von Dorfplätzen & Spielplatz-Flächen im ländlichen Raum',
+        eligibleApplicants: 'Kommune, Verband/Vereinigung, Forschungseinrichtung',
+        region: 'Bayern'
+      });
+    });
+
+    it('should read JSON exports with German field names and nested objects', () => {
+      const content = JSON.stringify({
+        foerderprogramme: [{ Titel: 'Programm A', Förderart: ['Zuschuss'], Ansprechpartner: { name: 'Frau X', telefon: '0123' } }]
+      });
+      const [record] = parseFoerderdatenbankExport({ name: 'export.json', content });
+
+      expect(record).toMatchObject({ title: 'Programm A', fundingType: 'Zuschuss', contact: 'Frau X, 0123' });
+    });
+
+    it('should read CSV exports and drop records without title', () => {
+      const records = parseFoerderdatenbankExport({ name: 'export.csv', content: 'Titel;Fördergebiet\nProgramm A;Sachsen\n;Bund' });
+      expect(records).toEqual([{ title: 'Programm A', region: 'Sachsen' }]);
+    });
+  });
+
+  describe('mapFoerderdatenbankRecord', () => {
+    it('should map fields and propose a classification', () => {
+      const [record] = parseFoerderdatenbankExport({ name: 'export.xml', content: xmlExport });
+      const { program, suggestion, notes } = mapFoerderdatenbankRecord(record);
+
+      expect(program).toMatchObject({
+        id: 'dorferneuerung-und-dorfentwicklung-in-bayern',
+        federalStates: ['BY'],
+        eligibleApplicants: ['kommune', 'verein'],
+        fundingType: ['Zuschuss'],
+        fundingRate: '',
+        contacts: [{ role: 'Ansprechpartner', organization: 'Amt für Ländliche Entwicklung Oberbayern' }],
+        type: ['playground', 'combination'],
+        measures: ['newBuild', 'renovation'],
+        locationType: 'rural'
+      });
+      expect(suggestion.matches.playground).toEqual(['spielplatz']);
+      expect(notes).toContain('Förderberechtigte nicht zugeordnet: Forschungseinrichtung');
+    });
+
+    it('should flag loans and records without recognizable type', () => {
+      const [, record] = parseFoerderdatenbankExport({ name: 'export.xml', content: xmlExport });
+      const { program, notes } = mapFoerderdatenbankRecord(record);
+
+      expect(program.federalStates).toEqual(['all']);
+      expect(program.type).toEqual([]);
+      expect(notes).toEqual(expect.arrayContaining(['Keine Zuschussförderung (Darlehen)', 'Kein Projekttyp erkannt']));
+    });
+  });
+
+  describe('draft queue', () => {
+    it('should queue drafts and skip known programs and drafts', async () => {
+      const storage = new InMemoryStorageAdapter([]);
+      const records = parseFoerderdatenbankExport({ name: 'export.xml', content: xmlExport });
+      const existingPrograms = [{ id: 'breitband', name: 'Breitbandausbau' }];
+      const now = () => new Date('2026-03-01T10:00:00Z');
+
+      const first = await queueFoerderdatenbankDrafts(storage, records, { existingPrograms, now });
+      expect(first.queued.map(draft => draft.draftId)).toEqual(['fdb-4711']);
+      expect(first.queued[0]).toMatchObject({ source: 'foerderdatenbank', sourceId: '4711', importedAt: '2026-03-01T10:00:00.000Z' });
+      expect(first.skipped).toEqual([{ title: 'Breitbandausbau', reason: 'Programm existiert bereits' }]);
+
+      const second = await queueFoerderdatenbankDrafts(storage, records, { existingPrograms, now });
+      expect(second.queued).toEqual([]);
+      expect(second.skipped[0].reason).toBe('Bereits als Entwurf vorhanden');
+      expect(await storage.loadDrafts()).toHaveLength(1);
+    });
+
+    it('should discard drafts', async () => {
+      const storage = new InMemoryStorageAdapter([]);
+      await storage.saveDrafts([{ draftId: 'fdb-1' }, { draftId: 'fdb-2' }]);
+
+      expect(await discardProgramDraft(storage, 'fdb-1')).toBe(true);
+      expect(await discardProgramDraft(storage, 'fdb-1')).toBe(false);
+      expect(await storage.loadDrafts()).toEqual([{ draftId: 'fdb-2' }]);
+    });
+  });
+});
@@ -0,0 +1,336 @@
+/**
+ * Funding Amount Service
+ *
+ * Structured funding model for programs. The free-text `fundingRate`
+ * ("60-90%", "bis 80%, max 20.000 EUR", "bis 10.000 EUR", "variabel")
+ * is parsed once into a model with min/max percentage, absolute cap and
+ * minimum project volume. Sorting, results and exports all read this model.
+ *
+ * On top of the model, calculateExpectedGrant() turns a project budget into
+ * an expected grant range and the remaining Eigenanteil. Without a budget, the
+ * project area (m²) gives an estimate from typical construction costs.
+ */
+
+/**
+ * Empty funding model (nothing known about the program's funding)
+ */
+const EMPTY_FUNDING_MODEL = {
+  minRate: null,          // Minimum Förderquote in percent (0-100)
+  maxRate: null,          // Maximum Förderquote in percent (0-100)
+  maxAmount: null,        // Absolute cap of the grant in EUR
+  minProjectVolume: null, // Minimum eligible project volume in EUR
+  isVariable: false       // Rate is decided case by case ("variabel")
+};
+
+/**
+ * Parse a German formatted number ("10.000", "1,5", "20000")
+ * @param {string} value - Number as written in the funding text
+ * @returns {number} Parsed number
+ */
+const parseGermanNumber = (value) => {
+  return parseFloat(value.replace(/\./g, '').replace(',', '.'));
+};
+
+/**
+ * Parse an amount followed by an optional unit ("20.000", "1,5 Mio")
+ * @param {string} number - Integer part
+ * @param {string} decimals - Optional decimal part including the comma (",5")
+ * @param {string} unit - Optional unit ("mio", "tsd")
+ * @returns {number} Amount in EUR
+ */
+const parseAmount = (number, decimals, unit) => {
+  const amount = parseGermanNumber(number + (decimals || ''));
+  if (unit && unit.startsWith('mio')) return amount * 1000000;
+  if (unit && unit.startsWith('tsd')) return amount * 1000;
+  return amount;
+};
+
+const clampRate = (rate) => Math.max(0, Math.min(100, rate));
+
+const AMOUNT_PATTERN = '(\\d{1,3}(?:\\.\\d{3})+|\\d+)(,\\d+)?\\s*(mio\\.?|tsd\\.?)?\\s*(?:eur|€)';
+
+/**
+ * Parse a free-text funding rate into a structured funding model
+ * @param {string} fundingRateStr - Funding rate string (e.g., "60-90%", "bis 80%, max 20.000 EUR")
+ * @returns {Object} Funding model { minRate, maxRate, maxAmount, minProjectVolume, isVariable }
+ */
+export const parseFundingModel = (fundingRateStr) => {
+  const model = { ...EMPTY_FUNDING_MODEL };
+
+  if (!fundingRateStr || typeof fundingRateStr !== 'string') {
+    return model;
+  }
+
+  const str = fundingRateStr.toLowerCase().trim();
+
+  // Percentage range (e.g., "60-90%")
+  const rangeMatch = str.match(/(\d+(?:,\d+)?)\s*-\s*(\d+(?:,\d+)?)\s*%/);
+  // "bis X%" / "max X%" format
+  const upToMatch = str.match(/(?:bis|max\.?)\s*(\d+(?:,\d+)?)\s*%/);
+  // Simple percentage (e.g., "75%")
+  const percentMatch = str.match(/(\d+(?:,\d+)?)\s*%/);
+
+  if (rangeMatch) {
+    const first = clampRate(parseGermanNumber(rangeMatch[1]));
+    const second = clampRate(parseGermanNumber(rangeMatch[2]));
+    model.minRate = Math.min(first, second);
+    model.maxRate = Math.max(first, second);
+  } else if (upToMatch) {
+    model.maxRate = clampRate(parseGermanNumber(upToMatch[1]));
+  } else if (percentMatch) {
+    model.minRate = clampRate(parseGermanNumber(percentMatch[1]));
+    model.maxRate = model.minRate;
+  }
+
+  // Minimum project volume (e.g., "ab 5.000 EUR Projektvolumen")
+  const minVolumeMatch = str.match(new RegExp(`ab\\s*${AMOUNT_PATTERN}`));
+  if (minVolumeMatch) {
+    model.minProjectVolume = parseAmount(minVolumeMatch[1], minVolumeMatch[2], minVolumeMatch[3]);
+  }
+
+  // Absolute cap (e.g., "bis 10.000 EUR", "max 20.000 EUR")
+  const amountRegex = new RegExp(AMOUNT_PATTERN, 'g');
+  let amountMatch;
+  while ((amountMatch = amountRegex.exec(str)) !== null) {
+    const precededByAb = /ab\s*$/.test(str.slice(0, amountMatch.index));
+    if (!precededByAb) {
+      model.maxAmount = parseAmount(amountMatch[1], amountMatch[2], amountMatch[3]);
+      break;
+    }
+  }
+
+  model.isVariable = str.includes('variabel');
+
+  return model;
+};
+
+/**
+ * Get the structured funding model of a program
+ * Always derived from `fundingRate`, so edits to the text take effect everywhere.
+ * Optional `fundingOverrides` on the record (never written by default) take
+ * precedence for details the text does not carry, e.g. a minimum volume.
+ * @param {Object} program - Funding program
+ * @returns {Object} Funding model
+ */
+export const getFundingModel = (program) => {
+  if (!program) {
+    return { ...EMPTY_FUNDING_MODEL };
+  }
+
+  return {
+    ...parseFundingModel(program.fundingRate),
+    ...(program.fundingOverrides || {})
+  };
+};
+
+/**
+ * Comparable score for a funding model (0-100)
+ * Percentages use the maximum rate; pure EUR caps use a logarithmic scale.
+ * @param {Object} model - Funding model
+ * @returns {number} Score for sorting (higher = better)
+ */
+export const getFundingRateScore = (model) => {
+  if (!model) {
+    return 0;
+  }
+
+  if (model.maxRate !== null && model.maxRate !== undefined) {
+    return model.maxRate;
+  }
+
+  if (model.maxAmount) {
+    // Use logarithmic scale to handle wide range of amounts
+    return Math.min(100, Math.log10(model.maxAmount + 1) * 20);
+  }
+
+  if (model.isVariable) {
+    return 50; // Default middle value for variable rates
+  }
+
+  return 0;
+};
+
+/**
+ * Parse funding rate string to numeric value for comparison
+ * @param {string} fundingRateStr - Funding rate string (e.g., "60-90%", "bis 80%", "bis 10.000 EUR")
+ * @returns {number} Numeric value for comparison (0-100)
+ */
+export const parseFundingRate = (fundingRateStr) => {
+  if (!fundingRateStr || typeof fundingRateStr !== 'string') {
+    return 0;
+  }
+
+  return getFundingRateScore(parseFundingModel(fundingRateStr));
+};
+
+/**
+ * Calculate the expected grant and Eigenanteil for a project budget
+ *
+ * Ranges ("60-90%") yield a min/max grant with the midpoint as expectation.
+ * "bis X%" is treated as the regular rate. Caps and minimum project volumes
+ * are applied on top. A cap without a rate ("bis 10.000 EUR") only gives the
+ * maximum grant: `expectedGrant` stays null and `isRateUnknown` is set.
+ *
+ * @param {Object} program - Funding program
+ * @param {number} projectBudget - Total project costs in EUR
+ * @returns {Object|null} Grant estimate, or null without a valid budget
+ */
+export const calculateExpectedGrant = (program, projectBudget) => {
+  const budget = Number(projectBudget);
+  if (!projectBudget || isNaN(budget) || budget <= 0) {
+    return null;
+  }
+
+  const model = getFundingModel(program);
+  const estimate = {
+    projectBudget: budget,
+    minGrant: null,
+    maxGrant: null,
+    expectedGrant: null,
+    minEigenanteil: null,
+    maxEigenanteil: null,
+    expectedEigenanteil: null,
+    isEstimable: false,
+    isCapped: false,
+    isRateUnknown: false,
+    meetsMinimumVolume: true
+  };
+
+  if (model.minProjectVolume && budget < model.minProjectVolume) {
+    estimate.meetsMinimumVolume = false;
+    return estimate;
+  }
+
+  let minGrant;
+  let maxGrant;
+
+  if (model.maxRate !== null && model.maxRate !== undefined) {
+    const minRate = model.minRate !== null && model.minRate !== undefined ? model.minRate : model.maxRate;
+    minGrant = budget * minRate / 100;
+    maxGrant = budget * model.maxRate / 100;
+  } else if (model.maxAmount) {
+    // Förderquote unknown: only the cap is certain, not the grant
+    estimate.maxGrant = Math.round(Math.min(model.maxAmount, budget));
+    estimate.minEigenanteil = budget - estimate.maxGrant;
+    estimate.isCapped = budget > model.maxAmount;
+    estimate.isRateUnknown = true;
+    return estimate;
+  } else {
+    // Variable or unknown rate - no reliable estimate possible
+    return estimate;
+  }
+
+  if (model.maxAmount) {
+    estimate.isCapped = maxGrant > model.maxAmount;
+    minGrant = Math.min(minGrant, model.maxAmount);
+    maxGrant = Math.min(maxGrant, model.maxAmount);
+  }
+
+  estimate.minGrant = Math.round(minGrant);
+  estimate.maxGrant = Math.round(maxGrant);
+  estimate.expectedGrant = Math.round((minGrant + maxGrant) / 2);
+  estimate.minEigenanteil = budget - estimate.maxGrant;
+  estimate.maxEigenanteil = budget - estimate.minGrant;
+  estimate.expectedEigenanteil = budget - estimate.expectedGrant;
+  estimate.isEstimable = true;
+
+  return estimate;
+};
+
+/**
+ * Expected grant in EUR for sorting by amount
+ * Respects caps; projects below the minimum volume get nothing.
+ * @param {Object} program - Funding program
+ * @param {number} projectBudget - Total project costs in EUR
+ * @returns {number|null} Expected grant, or null without budget or estimable rate
+ */
+export const getExpectedFundingAmount = (program, projectBudget) => {
+  const estimate = calculateExpectedGrant(program, projectBudget);
+  if (!estimate) {
+    return null;
+  }
+  if (!estimate.meetsMinimumVolume) {
+    return 0;
+  }
+  return estimate.isEstimable ? estimate.expectedGrant : null;
+};
+
+/**
+ * Compare two programs by expected grant (highest first, not estimable last)
+ * @param {Object} a - Funding program
+ * @param {Object} b - Funding program
+ * @param {number} projectBudget - Total project costs in EUR
+ * @returns {number} Sort order
+ */
+export const compareByExpectedFunding = (a, b, projectBudget) => {
+  const aAmount = getExpectedFundingAmount(a, projectBudget);
+  const bAmount = getExpectedFundingAmount(b, projectBudget);
+
+  if (aAmount === bAmount) return 0;
+  if (aAmount === null) return 1;
+  if (bAmount === null) return -1;
+  return bAmount - aAmount;
+};
+
+/**
+ * Typical construction costs per m² (Richtwerte incl. Fallschutz and Planung)
+ */
+export const COSTS_PER_SQUARE_METER = {
+  playground: 250,
+  calisthenics: 300,
+  combination: 275
+};
+
+/**
+ * Project budget from the form: entered costs, otherwise estimated from the area
+ * @param {Object} projectData - { projectBudget, projectArea, projectType }
+ * @returns {Object} { amount, isEstimated } (amount null if neither is given)
+ */
+export const getProjectBudget = (projectData) => {
+  const budget = Number(projectData?.projectBudget);
+  if (budget > 0) {
+    return { amount: budget, isEstimated: false };
+  }
+
+  const area = Number(projectData?.projectArea);
+  if (area > 0) {
+    const costPerSquareMeter = COSTS_PER_SQUARE_METER[projectData.projectType] || COSTS_PER_SQUARE_METER.playground;
+    return { amount: Math.round(area * costPerSquareMeter), isEstimated: true };
+  }
+
+  return { amount: null, isEstimated: false };
+};
+
+/**
+ * Calculate expected grants for a list of programs
+ * @param {Array} programs - Funding programs
+ * @param {number} projectBudget - Total project costs in EUR
+ * @returns {Array} Programs with `expectedGrant` estimate attached
+ */
+export const calculateExpectedGrants = (programs, projectBudget) => {
+  if (!Array.isArray(programs)) {
+    return [];
+  }
+
+  return programs.map(program => ({
+    ...program,
+    expectedGrant: calculateExpectedGrant(program, projectBudget)
+  }));
+};
+
+/**
+ * Format an EUR amount for display (e.g., "48.000 €")
+ * @param {number} amount - Amount in EUR
+ * @returns {string} Formatted amount
+ */
+export const formatEuro = (amount) => {
+  if (amount === null || amount === undefined || isNaN(amount)) {
+    return '';
+  }
+
+  return new Intl.NumberFormat('de-DE', {
+    style: 'currency',
+    currency: 'EUR',
+    maximumFractionDigits: 0
+  }).format(amount);
+};
@@ -0,0 +1,251 @@
+/**
+ * Tests for Funding Amount Service
+ * Feature: structured-funding-model
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  parseFundingModel,
+  getFundingModel,
+  getFundingRateScore,
+  parseFundingRate,
+  calculateExpectedGrant,
+  calculateExpectedGrants,
+  getExpectedFundingAmount,
+  compareByExpectedFunding,
+  getProjectBudget,
+  formatEuro
+} from './fundingAmountService.js';
+import { parseFundingRate as sortParseFundingRate } from './sortService.js';
+import { parseFundingRate as simpleParseFundingRate } from './simpleFilterService.js';
+import { FederalStatePrioritizer } from './FederalStatePrioritizer.js';
+import { fundingPrograms } from '../data/fundingPrograms.js';
+
+describe('Funding Amount Service', () => {
+
+  describe('parseFundingModel', () => {
+    it('should parse percentage ranges', () => {
+      expect(parseFundingModel('60-90%')).toEqual({
+        minRate: 60,
+        maxRate: 90,
+        maxAmount: null,
+        minProjectVolume: null,
+        isVariable: false
+      });
+    });
+
+    it('should parse "bis X%" as maximum rate', () => {
+      const model = parseFundingModel('bis 80%');
+      expect(model.minRate).toBeNull();
+      expect(model.maxRate).toBe(80);
+    });
+
+    it('should parse combined rate and cap', () => {
+      const model = parseFundingModel('bis 80%, max 20.000 EUR');
+      expect(model.maxRate).toBe(80);
+      expect(model.maxAmount).toBe(20000);
+    });
+
+    it('should parse pure EUR caps with German thousands separator', () => {
+      const model = parseFundingModel('bis 10.000 EUR');
+      expect(model.maxRate).toBeNull();
+      expect(model.maxAmount).toBe(10000);
+    });
+
+    it('should keep the decimal part of amounts with units', () => {
+      expect(parseFundingModel('bis 60%, max 1,5 Mio EUR').maxAmount).toBe(1500000);
+      expect(parseFundingModel('ab 2,5 Tsd. EUR').minProjectVolume).toBe(2500);
+    });
+
+    it('should parse minimum project volume', () => {
+      const model = parseFundingModel('bis 50%, ab 25.000 EUR Projektvolumen');
+      expect(model.maxRate).toBe(50);
+      expect(model.minProjectVolume).toBe(25000);
+      expect(model.maxAmount).toBeNull();
+    });
+
+    it('should mark variable rates', () => {
+      expect(parseFundingModel('variabel').isVariable).toBe(true);
+    });
+
+    it('should return an empty model for invalid input', () => {
+      expect(parseFundingModel(null).maxRate).toBeNull();
+      expect(parseFundingModel(123).maxAmount).toBeNull();
+    });
+  });
+
+  describe('getFundingModel', () => {
+    it('should let explicit funding overrides override the parsed text', () => {
+      const model = getFundingModel({
+        fundingRate: '60-80%',
+        fundingOverrides: { minProjectVolume: 10000 }
+      });
+      expect(model.minRate).toBe(60);
+      expect(model.minProjectVolume).toBe(10000);
+    });
+
+    it('should derive the model of every program in the database from its text', () => {
+      fundingPrograms.forEach(program => {
+        expect(program.funding).toBeUndefined();
+        expect(getFundingModel(program)).toEqual(parseFundingModel(program.fundingRate));
+      });
+    });
+
+    it('should follow edits to the funding rate', () => {
+      const program = fundingPrograms.find(entry => entry.fundingRate === 'bis 80%, max 20.000 EUR');
+      const edited = { ...program, fundingRate: '50%' };
+
+      expect(getFundingModel(edited)).toMatchObject({ maxRate: 50, maxAmount: null });
+      expect(calculateExpectedGrant(edited, 100000).expectedGrant).toBe(50000);
+    });
+  });
+
+  describe('parseFundingRate consistency', () => {
+    it('should give identical results in all services', () => {
+      const prioritizer = new FederalStatePrioritizer();
+      const rates = ['60-90%', 'bis 80%', 'bis 80%, max 20.000 EUR', 'bis 10.000 EUR', 'variabel', '30-40%', ''];
+
+      rates.forEach(rate => {
+        const expected = parseFundingRate(rate);
+        expect(sortParseFundingRate(rate)).toBe(expected);
+        expect(simpleParseFundingRate(rate)).toBe(expected);
+        expect(prioritizer.parseFundingRate(rate)).toBe(expected);
+      });
+    });
+
+    it('should rank percentage over cap for combined rates', () => {
+      expect(getFundingRateScore(parseFundingModel('bis 80%, max 20.000 EUR'))).toBe(80);
+    });
+  });
+
+  describe('calculateExpectedGrant', () => {
+    it('should return the midpoint of a rate range', () => {
+      const estimate = calculateExpectedGrant({ fundingRate: '60-90%' }, 80000);
+      expect(estimate.minGrant).toBe(48000);
+      expect(estimate.maxGrant).toBe(72000);
+      expect(estimate.expectedGrant).toBe(60000);
+      expect(estimate.expectedEigenanteil).toBe(20000);
+      expect(estimate.minEigenanteil).toBe(8000);
+      expect(estimate.maxEigenanteil).toBe(32000);
+    });
+
+    it('should apply absolute caps', () => {
+      const estimate = calculateExpectedGrant({ fundingRate: 'bis 80%, max 20.000 EUR' }, 200000);
+      expect(estimate.expectedGrant).toBe(20000);
+      expect(estimate.isCapped).toBe(true);
+      expect(estimate.expectedEigenanteil).toBe(180000);
+    });
+
+    it('should only give the maximum grant for pure EUR caps', () => {
+      const small = calculateExpectedGrant({ fundingRate: 'bis 10.000 EUR' }, 6000);
+      expect(small).toMatchObject({
+        maxGrant: 6000,
+        expectedGrant: null,
+        expectedEigenanteil: null,
+        minEigenanteil: 0,
+        isEstimable: false,
+        isRateUnknown: true,
+        isCapped: false
+      });
+
+      const large = calculateExpectedGrant({ fundingRate: 'bis 10.000 EUR' }, 60000);
+      expect(large).toMatchObject({ maxGrant: 10000, expectedGrant: null, minEigenanteil: 50000, isCapped: true });
+    });
+
+    it('should reject projects below the minimum volume', () => {
+      const estimate = calculateExpectedGrant(
+        { fundingRate: '50%', fundingOverrides: { minProjectVolume: 50000 } },
+        20000
+      );
+      expect(estimate.meetsMinimumVolume).toBe(false);
+      expect(estimate.isEstimable).toBe(false);
+    });
+
+    it('should not estimate variable rates', () => {
+      const estimate = calculateExpectedGrant({ fundingRate: 'variabel' }, 50000);
+      expect(estimate.isEstimable).toBe(false);
+      expect(estimate.expectedGrant).toBeNull();
+    });
+
+    it('should return null without a valid budget', () => {
+      expect(calculateExpectedGrant({ fundingRate: '60-90%' }, null)).toBeNull();
+      expect(calculateExpectedGrant({ fundingRate: '60-90%' }, 0)).toBeNull();
+      expect(calculateExpectedGrant({ fundingRate: '60-90%' }, 'abc')).toBeNull();
+    });
+
+    it('should keep grant plus Eigenanteil equal to the budget', () => {
+      fc.assert(fc.property(
+        fc.constantFrom(...fundingPrograms),
+        fc.integer({ min: 1000, max: 2000000 }),
+        (program, budget) => {
+          const estimate = calculateExpectedGrant(program, budget);
+          if (!estimate.isEstimable) return true;
+          return estimate.expectedGrant + estimate.expectedEigenanteil === budget &&
+                 estimate.minGrant <= estimate.expectedGrant &&
+                 estimate.expectedGrant <= estimate.maxGrant &&
+                 estimate.maxGrant <= budget;
+        }
+      ), { numRuns: 50 });
+    });
+  });
+
+  describe('calculateExpectedGrants', () => {
+    it('should attach estimates to all programs', () => {
+      const result = calculateExpectedGrants([{ fundingRate: '50%' }, { fundingRate: 'variabel' }], 10000);
+      expect(result[0].expectedGrant.expectedGrant).toBe(5000);
+      expect(result[1].expectedGrant.isEstimable).toBe(false);
+    });
+
+    it('should handle invalid input', () => {
+      expect(calculateExpectedGrants(null, 10000)).toEqual([]);
+    });
+  });
+
+  describe('getExpectedFundingAmount', () => {
+    it('should rank a capped high rate below an uncapped lower rate for large budgets', () => {
+      const capped = { fundingRate: '90%, max 10.000 EUR' };
+      const uncapped = { fundingRate: '60%' };
+
+      expect(getExpectedFundingAmount(capped, 200000)).toBe(10000);
+      expect(getExpectedFundingAmount(uncapped, 200000)).toBe(120000);
+      expect(compareByExpectedFunding(capped, uncapped, 200000)).toBeGreaterThan(0);
+    });
+
+    it('should give nothing below the minimum volume and null when not estimable', () => {
+      expect(getExpectedFundingAmount({ fundingRate: '80%, ab 50.000 EUR' }, 20000)).toBe(0);
+      expect(getExpectedFundingAmount({ fundingRate: 'variabel' }, 20000)).toBeNull();
+      expect(getExpectedFundingAmount({ fundingRate: '80%' }, null)).toBeNull();
+    });
+
+    it('should sort programs without estimate last', () => {
+      const programs = [{ fundingRate: 'variabel' }, { fundingRate: '80%, ab 50.000 EUR' }, { fundingRate: '50%' }];
+      const sorted = [...programs].sort((a, b) => compareByExpectedFunding(a, b, 20000));
+
+      expect(sorted.map(program => program.fundingRate)).toEqual(['50%', '80%, ab 50.000 EUR', 'variabel']);
+    });
+  });
+
+  describe('getProjectBudget', () => {
+    it('should prefer the entered costs over the area estimate', () => {
+      expect(getProjectBudget({ projectBudget: 80000, projectArea: 400 })).toEqual({ amount: 80000, isEstimated: false });
+    });
+
+    it('should estimate the costs from the area and project type', () => {
+      expect(getProjectBudget({ projectArea: 400, projectType: 'playground' })).toEqual({ amount: 100000, isEstimated: true });
+      expect(getProjectBudget({ projectArea: 400, projectType: 'calisthenics' })).toEqual({ amount: 120000, isEstimated: true });
+    });
+
+    it('should return no amount without costs or area', () => {
+      expect(getProjectBudget({})).toEqual({ amount: null, isEstimated: false });
+      expect(getProjectBudget(null)).toEqual({ amount: null, isEstimated: false });
+    });
+  });
+
+  describe('formatEuro', () => {
+    it('should format amounts in German notation', () => {
+      expect(formatEuro(48000).replace(/\s/g, ' ')).toBe('48.000 €');
+      expect(formatEuro(null)).toBe('');
+    });
+  });
+});
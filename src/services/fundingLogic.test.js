@@ -0,0 +1,43 @@
+/**
+ * Tests for Funding Logic
+ * Feature: expected-funding-order
+ */
+
+import { describe, it, expect } from 'vitest';
+import { sortPrograms } from './fundingLogic.ts';
+
+const core = (name, fundingRate, federalStates = ['all']) => ({ name, fundingRate, federalStates, category: 'core' });
+
+describe('Funding Logic', () => {
+
+  describe('sortPrograms', () => {
+    const stateProgram = core('Landesprogramm', '50%', ['BY']);
+    const cappedProgram = core('Gedeckelt', '90%, max 10.000 EUR');
+    const capOnlyProgram = core('Nur Höchstbetrag', 'bis 20.000 EUR');
+    const smallProgram = core('Kleinprogramm', '70%');
+    const conditionalProgram = { ...core('Städtebau', '80%'), category: 'conditional' };
+
+    const programs = () => [conditionalProgram, capOnlyProgram, cappedProgram, stateProgram, smallProgram];
+
+    it('should keep the relevance order by default', () => {
+      expect(sortPrograms(programs(), { projectBudget: 8000 }).map(p => p.name))
+        .toEqual(['Landesprogramm', 'Gedeckelt', 'Kleinprogramm', 'Nur Höchstbetrag', 'Städtebau']);
+    });
+
+    it('should sort by expected grant within each category with orderBy expectedFunding', () => {
+      expect(sortPrograms(programs(), { orderBy: 'expectedFunding', projectBudget: 8000 }).map(p => p.name))
+        .toEqual(['Gedeckelt', 'Kleinprogramm', 'Landesprogramm', 'Nur Höchstbetrag', 'Städtebau']);
+    });
+
+    it('should apply caps against the budget', () => {
+      expect(sortPrograms(programs(), { orderBy: 'expectedFunding', projectBudget: 100000 }).map(p => p.name))
+        .toEqual(['Kleinprogramm', 'Landesprogramm', 'Gedeckelt', 'Nur Höchstbetrag', 'Städtebau']);
+    });
+
+    it('should rank cap-only programs last since their grant is unknown', () => {
+      const sorted = sortPrograms([capOnlyProgram, smallProgram], { orderBy: 'expectedFunding', projectBudget: 5000 });
+
+      expect(sorted.map(p => p.name)).toEqual(['Kleinprogramm', 'Nur Höchstbetrag']);
+    });
+  });
+});
@@ -1,35 +1,40 @@
-import config from "../data/foerderprogramme.json" with { type: "json" };
+import { getRegistryEntry, applyRegistryAttributes } from "../data/programRegistry.js";
+import { compareByExpectedFunding } from "./fundingAmountService.js";
 
 /*
 Kiro Funding Engine
 - löscht irrelevante Programme
 - weist Kategorien zu
 - sortiert automatisch
+Kategorien kommen aus der Programm-Registry (per ID, Altnamen werden aufgelöst),
+eine im Programmspeicher gepflegte Kategorie (Admin-Ansicht) hat Vorrang
 */
 
-const DELETE_LIST = config.delete;
-const CORE = config.core;
-const CONDITIONAL = config.conditional;
-
 
 // ❌ komplett entfernen
 export function removeDeleted(programs: any[]) {
   return programs.filter(
-    p => !DELETE_LIST.some(d => d.name === p.name)
+    p => getRegistryEntry(p)?.category !== "deleted"
   );
 }
 
 
 // 🟢 / 🟡 Kategorie setzen
 export function assignCategory(program: any) {
-  if (CORE.some(p => p.name === program.name)) return "core";
-  if (CONDITIONAL.some(p => p.name === program.name)) return "conditional";
+  const category = ["core", "conditional", "hidden"].includes(program?.category)
+    ? program.category
+    : getRegistryEntry(program)?.category;
+  if (category === "core" || category === "conditional") return category;
   return "hidden";
 }
 
 
 // ✨ automatisch sortieren (core oben, conditional unten)
-export function sortPrograms(programs: any[]) {
+// orderBy "expectedFunding": innerhalb der Kategorie nach erwarteter Fördersumme für das Budget
+export function sortPrograms(
+  programs: any[],
+  { orderBy = "relevance", projectBudget = null }: { orderBy?: string; projectBudget?: number | null } = {}
+) {
   const priority: Record<string, number> = {
     core: 1,        // 🟢 Kategorie A – Einzelförderung Spielplatz & Bewegungsanlagen
     conditional: 2, // 🟡 Kategorie B – Teil eines größeren Projekts (Städtebauförderung)
@@ -41,6 +46,11 @@ export function sortPrograms(programs: any[]) {
     const categoryDiff = priority[a.category] - priority[b.category];
     if (categoryDiff !== 0) return categoryDiff;
     
+    if (orderBy === "expectedFunding") {
+      const amountDiff = compareByExpectedFunding(a, b, projectBudget);
+      if (amountDiff !== 0) return amountDiff;
+    }
+    
     // Secondary sort: state-specific programs first within same category
     const aIsStateSpecific = a.federalStates && a.federalStates.length === 1 && a.federalStates[0] !== 'all';
     const bIsStateSpecific = b.federalStates && b.federalStates.length === 1 && b.federalStates[0] !== 'all';
@@ -59,7 +69,7 @@ export function processFundingPrograms(programs: any[]) {
   const cleaned = removeDeleted(programs);
 
   const categorized = cleaned.map(p => ({
-    ...p,
+    ...applyRegistryAttributes(p),
     category: assignCategory(p)
   }));
 
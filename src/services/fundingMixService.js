@@ -0,0 +1,235 @@
+/**
+ * Funding Mix Service
+ *
+ * Most projects are financed from several sources, e.g. Städtebauförderung plus
+ * a Stiftung grant. Programs declare their combinability in `combinability`:
+ *
+ *   combinability: {
+ *     group: 'staedtebau',        // Förderstrang (FUNDING_GROUPS)
+ *     excludes: ['program-id'],   // program-level Kumulierungsverbote (registry ids)
+ *     maxTotalRate: 90            // maximum total funding quota of the mix in percent
+ *   }
+ *
+ * Group-level Kumulierungsverbote (no double funding from the same Förderstrang,
+ * no Städtebauförderung together with ländliche Entwicklung) are defined below.
+ * optimizeFundingMix() picks the legal combination with the highest total grant.
+ */
+
+import { calculateExpectedGrant, formatEuro } from './fundingAmountService.js';
+
+/**
+ * Funding groups with display labels
+ */
+export const FUNDING_GROUPS = {
+  'staedtebau': 'Städtebauförderung',
+  'laendlich': 'Ländliche Entwicklung',
+  'sport': 'Sportstättenförderung',
+  'landesprogramm': 'Landesprogramm',
+  'stiftung': 'Stiftungen, Lotterien & Fonds'
+};
+
+/**
+ * Groups that may not be combined with each other (Kumulierungsverbote)
+ */
+const GROUP_EXCLUSIONS = {
+  'staedtebau': ['staedtebau', 'laendlich'],
+  'laendlich': ['laendlich', 'staedtebau'],
+  'sport': ['sport'],
+  'landesprogramm': [],
+  'stiftung': []
+};
+
+/**
+ * Maximum total funding quota if no program sets one (kommunaler Eigenanteil of 10%)
+ */
+export const DEFAULT_MAX_TOTAL_RATE = 90;
+
+/**
+ * Get the combinability rules of a program
+ * @param {Object} program - Funding program
+ * @returns {Object} { group, excludes, maxTotalRate }
+ */
+export const getCombinabilityRules = (program) => {
+  const rules = program?.combinability || {};
+
+  return {
+    group: rules.group || 'landesprogramm',
+    excludes: Array.isArray(rules.excludes) ? rules.excludes : [],
+    maxTotalRate: typeof rules.maxTotalRate === 'number' ? rules.maxTotalRate : DEFAULT_MAX_TOTAL_RATE
+  };
+};
+
+/**
+ * Check if two programs may be combined in one project
+ * @param {Object} a - Funding program
+ * @param {Object} b - Funding program
+ * @returns {Object} { allowed, reason }
+ */
+export const canCombinePrograms = (a, b) => {
+  const rulesA = getCombinabilityRules(a);
+  const rulesB = getCombinabilityRules(b);
+  const refsA = [a.id, a.name].filter(Boolean);
+  const refsB = [b.id, b.name].filter(Boolean);
+
+  if (refsA.some(ref => refsB.includes(ref))) {
+    return { allowed: false, reason: 'Gleiches Programm' };
+  }
+
+  if (rulesA.excludes.some(ref => refsB.includes(ref)) || rulesB.excludes.some(ref => refsA.includes(ref))) {
+    return { allowed: false, reason: `Kumulierungsverbot zwischen ${a.name} und ${b.name}` };
+  }
+
+  if ((GROUP_EXCLUSIONS[rulesA.group] || []).includes(rulesB.group)) {
+    const reason = rulesA.group === rulesB.group
+      ? `Keine Doppelförderung aus demselben Förderstrang (${FUNDING_GROUPS[rulesA.group] || rulesA.group})`
+      : `${FUNDING_GROUPS[rulesA.group]} und ${FUNDING_GROUPS[rulesB.group]} sind nicht kombinierbar`;
+    return { allowed: false, reason };
+  }
+
+  return { allowed: true, reason: null };
+};
+
+/**
+ * Check if all programs of a set may be combined
+ * @param {Array} programs - Funding programs
+ * @returns {boolean} True if every pair is combinable
+ */
+const isLegalCombination = (programs) => {
+  return programs.every((a, i) => programs.slice(i + 1).every(b => canCombinePrograms(a, b).allowed));
+};
+
+/**
+ * Allocate grants to a combination, respecting the total funding quota
+ * Larger grants are allocated first; later programs fill the remaining room.
+ * @param {Array} candidates - Candidates as { program, estimate }
+ * @param {number} budget - Project budget in EUR
+ * @returns {Object} Mix result
+ */
+const allocateMix = (candidates, budget) => {
+  const maxTotalRate = Math.min(...candidates.map(({ program }) => getCombinabilityRules(program).maxTotalRate));
+  const maxTotalGrant = Math.floor(budget * maxTotalRate / 100);
+  let remaining = maxTotalGrant;
+
+  const parts = [...candidates]
+    .sort((a, b) => b.estimate.expectedGrant - a.estimate.expectedGrant)
+    .map(({ program, estimate }) => {
+      const grant = Math.max(0, Math.min(estimate.expectedGrant, remaining));
+      remaining -= grant;
+      return { program, grant, isReduced: grant < estimate.expectedGrant };
+    })
+    .filter(part => part.grant > 0);
+
+  const totalGrant = parts.reduce((sum, part) => sum + part.grant, 0);
+
+  return {
+    parts,
+    totalGrant,
+    eigenanteil: budget - totalGrant,
+    fundingQuota: Math.round(totalGrant / budget * 100),
+    maxTotalRate,
+    isCapped: parts.some(part => part.isReduced)
+  };
+};
+
+/**
+ * Build all combinations of up to `size` items
+ * @param {Array} items - Items
+ * @param {number} size - Maximum combination size
+ * @returns {Array} Combinations
+ */
+const combinations = (items, size) => {
+  const result = [];
+  const build = (start, current) => {
+    if (current.length > 0) {
+      result.push(current);
+    }
+    if (current.length === size) {
+      return;
+    }
+    for (let i = start; i < items.length; i++) {
+      build(i + 1, [...current, items[i]]);
+    }
+  };
+  build(0, []);
+  return result;
+};
+
+/**
+ * Propose the legal funding mix with the highest total grant
+ * @param {Array} programs - Filtered programs (e.g., from simpleFilterPrograms)
+ * @param {number} projectBudget - Total project costs in EUR
+ * @param {Object} options - Options
+ * @param {number} options.maxPrograms - Maximum number of programs in the mix (default: 3)
+ * @param {number} options.maxCandidates - Number of best single grants considered (default: 12)
+ * @returns {Object|null} { programs, totalGrant, eigenanteil, fundingQuota, maxTotalRate, isCapped } or null
+ */
+export const optimizeFundingMix = (programs, projectBudget, options = {}) => {
+  const budget = Number(projectBudget);
+  if (!Array.isArray(programs) || !projectBudget || isNaN(budget) || budget <= 0) {
+    return null;
+  }
+
+  const { maxPrograms = 3, maxCandidates = 12 } = options;
+
+  const candidates = programs
+    .map(program => ({ program, estimate: calculateExpectedGrant(program, budget) }))
+    .filter(({ estimate }) => estimate && estimate.isEstimable && estimate.expectedGrant > 0)
+    .sort((a, b) => b.estimate.expectedGrant - a.estimate.expectedGrant)
+    .slice(0, maxCandidates);
+
+  let best = null;
+
+  combinations(candidates, maxPrograms).forEach(combination => {
+    if (!isLegalCombination(combination.map(({ program }) => program))) {
+      return;
+    }
+
+    const mix = allocateMix(combination, budget);
+    const isBetter = !best ||
+      mix.totalGrant > best.totalGrant ||
+      (mix.totalGrant === best.totalGrant && mix.parts.length < best.parts.length);
+
+    if (isBetter) {
+      best = mix;
+    }
+  });
+
+  if (!best) {
+    return null;
+  }
+
+  return {
+    projectBudget: budget,
+    programs: best.parts.map(({ program, grant, isReduced }) => ({
+      name: program.name,
+      id: program.id || null,
+      group: getCombinabilityRules(program).group,
+      grant,
+      isReduced
+    })),
+    totalGrant: best.totalGrant,
+    eigenanteil: best.eigenanteil,
+    fundingQuota: best.fundingQuota,
+    maxTotalRate: best.maxTotalRate,
+    isCapped: best.isCapped
+  };
+};
+
+/**
+ * Describe a funding mix in one sentence for `combinationAdvice`
+ * @param {Object|null} mix - Result of optimizeFundingMix
+ * @returns {string|null} Advice text or null without mix
+ */
+export const formatFundingMixAdvice = (mix) => {
+  if (!mix || mix.programs.length === 0) {
+    return null;
+  }
+
+  const sources = mix.programs.map(part => `${part.name} (${formatEuro(part.grant)})`).join(' + ');
+  const label = mix.programs.length > 1 ? 'Empfohlener Förder-Mix' : 'Beste Einzelförderung';
+  const capNote = mix.isCapped
+    ? ` Die Höchstförderquote von ${mix.maxTotalRate} % begrenzt die Summe.`
+    : '';
+
+  return `${label}: ${sources} = ${formatEuro(mix.totalGrant)} Förderung (${mix.fundingQuota} %), Eigenanteil ${formatEuro(mix.eigenanteil)}.${capNote}`;
+};
@@ -0,0 +1,136 @@
+/**
+ * Tests for Funding Mix Service
+ * Feature: funding-mix
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  getCombinabilityRules,
+  canCombinePrograms,
+  optimizeFundingMix,
+  formatFundingMixAdvice,
+  DEFAULT_MAX_TOTAL_RATE
+} from './fundingMixService.js';
+import { fundingPrograms } from '../data/fundingPrograms.js';
+
+const staedtebau = { id: 'stb', name: 'Städtebau', fundingRate: '60-80%', combinability: { group: 'staedtebau' } };
+const staedtebau2 = { id: 'stb2', name: 'Städtebau Land', fundingRate: '50%', combinability: { group: 'staedtebau' } };
+const dorf = { id: 'dorf', name: 'Dorferneuerung', fundingRate: 'bis 65%', combinability: { group: 'laendlich' } };
+const stiftung = { id: 'stiftung', name: 'Stiftung', fundingRate: 'bis 50%, max 10.000 EUR', combinability: { group: 'stiftung' } };
+const stiftung2 = {
+  id: 'stiftung2',
+  name: 'Stiftung Fonds',
+  fundingRate: 'bis 50%, max 5.000 EUR',
+  combinability: { group: 'stiftung', excludes: ['stiftung'] }
+};
+const variabel = { id: 'var', name: 'Variabel', fundingRate: 'variabel', combinability: { group: 'landesprogramm' } };
+
+describe('Funding Mix Service', () => {
+
+  describe('getCombinabilityRules', () => {
+    it('should fall back to defaults', () => {
+      expect(getCombinabilityRules({ name: 'X' })).toEqual({
+        group: 'landesprogramm',
+        excludes: [],
+        maxTotalRate: DEFAULT_MAX_TOTAL_RATE
+      });
+    });
+
+    it('should give every program in the dataset a funding group', () => {
+      fundingPrograms.forEach(program => {
+        expect(program.combinability?.group, program.name).toBeDefined();
+      });
+    });
+  });
+
+  describe('canCombinePrograms', () => {
+    it('should allow Städtebauförderung plus Stiftung', () => {
+      expect(canCombinePrograms(staedtebau, stiftung).allowed).toBe(true);
+    });
+
+    it('should forbid double funding from the same Förderstrang', () => {
+      const result = canCombinePrograms(staedtebau, staedtebau2);
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toContain('Doppelförderung');
+    });
+
+    it('should forbid Städtebauförderung with ländlicher Entwicklung', () => {
+      expect(canCombinePrograms(dorf, staedtebau).allowed).toBe(false);
+    });
+
+    it('should apply program-level Kumulierungsverbote in both directions', () => {
+      expect(canCombinePrograms(stiftung, stiftung2).allowed).toBe(false);
+      expect(canCombinePrograms(stiftung2, stiftung).reason).toContain('Kumulierungsverbot');
+    });
+
+    it('should keep the DKHW funds apart', () => {
+      const dkhw = fundingPrograms.filter(program => program.name.includes('Kinderhilfswerk'));
+      expect(canCombinePrograms(dkhw[0], dkhw[1]).allowed).toBe(false);
+    });
+  });
+
+  describe('optimizeFundingMix', () => {
+    it('should return null without budget or programs', () => {
+      expect(optimizeFundingMix([staedtebau], null)).toBeNull();
+      expect(optimizeFundingMix(null, 100000)).toBeNull();
+      expect(optimizeFundingMix([variabel], 100000)).toBeNull();
+    });
+
+    it('should combine Städtebauförderung and a Stiftung grant', () => {
+      const mix = optimizeFundingMix([staedtebau, staedtebau2, stiftung], 100000);
+
+      expect(mix.programs.map(part => part.name)).toEqual(['Städtebau', 'Stiftung']);
+      expect(mix.totalGrant).toBe(80000);
+      expect(mix.eigenanteil).toBe(20000);
+      expect(mix.fundingQuota).toBe(80);
+    });
+
+    it('should cap the mix at the maximum total funding quota', () => {
+      const mix = optimizeFundingMix([{ ...staedtebau, fundingRate: '85%' }, stiftung], 100000);
+
+      expect(mix.totalGrant).toBe(90000);
+      expect(mix.isCapped).toBe(true);
+      expect(mix.programs[1]).toMatchObject({ name: 'Stiftung', grant: 5000, isReduced: true });
+    });
+
+    it('should leave out programs with unknown Förderquote', () => {
+      const capOnly = { ...stiftung, fundingRate: 'bis 10.000 EUR' };
+      const mix = optimizeFundingMix([staedtebau, capOnly], 100000);
+
+      expect(mix.programs.map(part => part.name)).toEqual(['Städtebau']);
+      expect(mix.totalGrant).toBe(70000);
+    });
+
+    it('should respect program-specific quotas', () => {
+      const strict = { ...staedtebau, combinability: { group: 'staedtebau', maxTotalRate: 70 } };
+      expect(optimizeFundingMix([strict, stiftung], 100000).totalGrant).toBe(70000);
+    });
+
+    it('should never propose an illegal combination or exceed the budget', () => {
+      const candidates = fundingPrograms.filter(program => program.federalStates.includes('BY') || program.federalStates.includes('all'));
+
+      fc.assert(fc.property(fc.integer({ min: 1000, max: 2000000 }), (budget) => {
+        const mix = optimizeFundingMix(candidates, budget);
+        if (!mix) return true;
+
+        const programs = mix.programs.map(part => candidates.find(program => program.name === part.name));
+        const legal = programs.every((a, i) => programs.slice(i + 1).every(b => canCombinePrograms(a, b).allowed));
+        return legal && mix.totalGrant <= budget * mix.maxTotalRate / 100 && mix.eigenanteil >= 0;
+      }), { numRuns: 25 });
+    });
+  });
+
+  describe('formatFundingMixAdvice', () => {
+    it('should describe the mix with Eigenanteil', () => {
+      const advice = formatFundingMixAdvice(optimizeFundingMix([staedtebau, stiftung], 100000));
+
+      expect(advice).toContain('Empfohlener Förder-Mix: Städtebau');
+      expect(advice).toContain('Eigenanteil');
+    });
+
+    it('should return null without mix', () => {
+      expect(formatFundingMixAdvice(null)).toBeNull();
+    });
+  });
+});
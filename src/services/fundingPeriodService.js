@@ -0,0 +1,174 @@
+/**
+ * Funding Period Service
+ *
+ * Programs run for a funding period (Förderperiode). `validFrom` / `validUntil`
+ * (ISO dates "YYYY-MM-DD") describe that period, `successor` references the
+ * program that replaces it once it has ended (registry id or program name).
+ * Expired programs must not be recommended; instead they are listed as
+ * "ausgelaufen" with a pointer to their successor.
+ */
+
+import { resolveProgramId } from '../data/programRegistry.js';
+
+/**
+ * Convert a date or ISO date string to a comparable "YYYY-MM-DD" string
+ * @param {Date|string} date - Date to convert
+ * @returns {string|null} ISO day or null if invalid
+ */
+const toIsoDay = (date) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+  const value = date instanceof Date ? date : new Date(date);
+  if (isNaN(value.getTime())) {
+    return null;
+  }
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Derive a funding period from a program name ("LEADER Bayern 2023-2027")
+ * @param {string} name - Program name
+ * @returns {Object|null} { validFrom, validUntil } or null if the name carries no period
+ */
+export const parseFundingPeriodFromName = (name) => {
+  if (!name || typeof name !== 'string') {
+    return null;
+  }
+
+  const match = name.match(/\b(20\d{2})\s*[-–]\s*(20\d{2})\b/);
+  if (!match || Number(match[1]) > Number(match[2])) {
+    return null;
+  }
+
+  return {
+    validFrom: `${match[1]}-01-01`,
+    validUntil: `${match[2]}-12-31`
+  };
+};
+
+/**
+ * Get the funding period of a program (explicit fields win over the name)
+ * @param {Object} program - Funding program
+ * @returns {Object} { validFrom, validUntil } (null = open-ended)
+ */
+export const getFundingPeriod = (program) => {
+  const fromName = parseFundingPeriodFromName(program?.name) || {};
+
+  return {
+    validFrom: program?.validFrom || fromName.validFrom || null,
+    validUntil: program?.validUntil || fromName.validUntil || null
+  };
+};
+
+/**
+ * Check if a program's funding period has ended
+ * @param {Object} program - Funding program
+ * @param {Date|string} referenceDate - Day to evaluate (defaults to today)
+ * @returns {boolean} True if the program has expired
+ */
+export const isProgramExpired = (program, referenceDate = new Date()) => {
+  const { validUntil } = getFundingPeriod(program);
+  const today = toIsoDay(referenceDate);
+
+  return Boolean(validUntil && today && validUntil < today);
+};
+
+/**
+ * Check if a program's funding period has not started yet
+ * @param {Object} program - Funding program
+ * @param {Date|string} referenceDate - Day to evaluate (defaults to today)
+ * @returns {boolean} True if the program starts in the future
+ */
+export const isProgramUpcoming = (program, referenceDate = new Date()) => {
+  const { validFrom } = getFundingPeriod(program);
+  const today = toIsoDay(referenceDate);
+
+  return Boolean(validFrom && today && validFrom > today);
+};
+
+/**
+ * Check if a program can be recommended on a given day
+ * @param {Object} program - Funding program
+ * @param {Date|string} referenceDate - Day to evaluate (defaults to today)
+ * @returns {boolean} True if the funding period covers the day
+ */
+export const isProgramActive = (program, referenceDate = new Date()) => {
+  return !isProgramExpired(program, referenceDate) && !isProgramUpcoming(program, referenceDate);
+};
+
+/**
+ * Look up a program by registry id, current name or legacy name
+ * @param {string} ref - Program reference
+ * @param {Array} allPrograms - Programs to search
+ * @returns {Object|null} Program or null if not found
+ */
+const findProgramByRef = (ref, allPrograms) => {
+  const direct = allPrograms.find(p => p.id === ref || p.name === ref);
+  if (direct) {
+    return direct;
+  }
+  const id = resolveProgramId(ref);
+  return id ? allPrograms.find(p => (p.id || resolveProgramId(p.name)) === id) || null : null;
+};
+
+/**
+ * Resolve the successor of a program, following chains of replaced programs
+ * @param {Object} program - Funding program
+ * @param {Array} allPrograms - All programs to look the successor up in
+ * @param {Date|string} referenceDate - Day to evaluate (defaults to today)
+ * @returns {Object|null} Successor program, or null if none is known
+ */
+export const findSuccessor = (program, allPrograms, referenceDate = new Date()) => {
+  if (!program || !program.successor || !Array.isArray(allPrograms)) {
+    return null;
+  }
+
+  const visited = new Set([program.name]);
+  let successor = findProgramByRef(program.successor, allPrograms);
+
+  // Skip over successors that have expired themselves
+  while (successor && successor.successor && isProgramExpired(successor, referenceDate) && !visited.has(successor.name)) {
+    visited.add(successor.name);
+    const next = findProgramByRef(successor.successor, allPrograms);
+    if (!next) break;
+    successor = next;
+  }
+
+  return successor;
+};
+
+/**
+ * Split programs into active and expired ("ausgelaufen") programs
+ * @param {Array} programs - Programs to split
+ * @param {Object} options - Options
+ * @param {Date|string} options.referenceDate - Day to evaluate (defaults to today)
+ * @param {Array} options.allPrograms - Programs to resolve successors from (defaults to programs)
+ * @returns {Object} { active, expired } where expired entries carry successor info
+ */
+export const partitionByFundingPeriod = (programs, options = {}) => {
+  if (!Array.isArray(programs)) {
+    return { active: [], expired: [] };
+  }
+
+  const { referenceDate = new Date(), allPrograms = programs } = options;
+  const active = [];
+  const expired = [];
+
+  programs.forEach(program => {
+    if (isProgramExpired(program, referenceDate)) {
+      const successor = findSuccessor(program, allPrograms, referenceDate);
+      expired.push({
+        ...program,
+        isExpired: true,
+        successorProgram: successor ? { name: successor.name, source: successor.source } : null
+      });
+    } else if (!isProgramUpcoming(program, referenceDate)) {
+      active.push(program);
+    }
+  });
+
+  return { active, expired };
+};
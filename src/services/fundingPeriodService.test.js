@@ -0,0 +1,143 @@
+/**
+ * Tests for Funding Period Service
+ * Feature: funding-periods
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseFundingPeriodFromName,
+  getFundingPeriod,
+  isProgramExpired,
+  isProgramUpcoming,
+  isProgramActive,
+  findSuccessor,
+  partitionByFundingPeriod
+} from './fundingPeriodService.js';
+import { fundingPrograms } from '../data/fundingPrograms.js';
+import { analyzeProject } from './geminiService.js';
+
+const oldProgram = { name: 'Dorfprogramm 2014-2020', successor: 'Dorfprogramm 2021' };
+const interimProgram = {
+  name: 'Dorfprogramm 2021',
+  validFrom: '2021-01-01',
+  validUntil: '2022-12-31',
+  successor: 'Dorfprogramm neu'
+};
+const currentProgram = { name: 'Dorfprogramm neu', validFrom: '2023-01-01', source: 'https://example.org' };
+const futureProgram = { name: 'Zukunftsprogramm', validFrom: '2030-01-01' };
+const programs = [oldProgram, interimProgram, currentProgram, futureProgram];
+
+describe('Funding Period Service', () => {
+
+  describe('parseFundingPeriodFromName', () => {
+    it('should read year ranges from program names', () => {
+      expect(parseFundingPeriodFromName('LEADER Bayern 2023-2027')).toEqual({
+        validFrom: '2023-01-01',
+        validUntil: '2027-12-31'
+      });
+      expect(parseFundingPeriodFromName('Öffentliche Dorferneuerung Saarland (ELER 2023–2027)').validUntil).toBe('2027-12-31');
+    });
+
+    it('should ignore names without a period', () => {
+      expect(parseFundingPeriodFromName('Sachsen barrierefrei 2030')).toBeNull();
+      expect(parseFundingPeriodFromName(null)).toBeNull();
+    });
+  });
+
+  describe('getFundingPeriod', () => {
+    it('should prefer explicit fields over the name', () => {
+      expect(getFundingPeriod({ name: 'X 2023-2027', validUntil: '2029-12-31' })).toEqual({
+        validFrom: '2023-01-01',
+        validUntil: '2029-12-31'
+      });
+    });
+
+    it('should store the period of every program named with one', () => {
+      fundingPrograms
+        .filter(program => parseFundingPeriodFromName(program.name))
+        .forEach(program => {
+          expect(program.validFrom).toBeDefined();
+          expect(program.validUntil).toBeDefined();
+        });
+    });
+  });
+
+  describe('expiry checks', () => {
+    it('should detect expired, upcoming and active programs', () => {
+      expect(isProgramExpired(oldProgram, '2026-10-18')).toBe(true);
+      expect(isProgramExpired(currentProgram, '2026-10-18')).toBe(false);
+      expect(isProgramUpcoming(futureProgram, '2026-10-18')).toBe(true);
+      expect(isProgramActive(currentProgram, '2026-10-18')).toBe(true);
+      expect(isProgramActive(futureProgram, '2026-10-18')).toBe(false);
+    });
+
+    it('should keep a program active on its last day', () => {
+      expect(isProgramExpired(interimProgram, '2022-12-31')).toBe(false);
+      expect(isProgramExpired(interimProgram, '2023-01-01')).toBe(true);
+    });
+
+    it('should treat programs without period as open-ended', () => {
+      expect(isProgramActive({ name: 'Ohne Zeitraum' }, '2099-01-01')).toBe(true);
+    });
+  });
+
+  describe('findSuccessor', () => {
+    it('should follow successor chains past expired programs', () => {
+      expect(findSuccessor(oldProgram, programs, '2026-10-18').name).toBe('Dorfprogramm neu');
+      expect(findSuccessor(oldProgram, programs, '2021-06-01').name).toBe('Dorfprogramm 2021');
+    });
+
+    it('should resolve successors referenced by registry id or legacy name', () => {
+      const leader = fundingPrograms.find(p => p.name === 'LEADER Saarland 2023-2027');
+      expect(findSuccessor({ name: 'Alt', successor: 'leader-saarland-2023-2027' }, fundingPrograms)).toBe(leader);
+      expect(findSuccessor({ name: 'Alt', successor: 'LEADER Saarland' }, fundingPrograms)).toBe(leader);
+    });
+
+    it('should return null without known successor', () => {
+      expect(findSuccessor(currentProgram, programs)).toBeNull();
+      expect(findSuccessor({ name: 'A', successor: 'Unbekannt' }, programs)).toBeNull();
+    });
+
+    it('should not loop on circular successor links', () => {
+      const a = { name: 'A', validUntil: '2000-01-01', successor: 'B' };
+      const b = { name: 'B', validUntil: '2000-01-01', successor: 'A' };
+      expect(findSuccessor(a, [a, b], '2026-01-01')).toBeDefined();
+    });
+  });
+
+  describe('partitionByFundingPeriod', () => {
+    it('should split active and expired programs', () => {
+      const { active, expired } = partitionByFundingPeriod(programs, { referenceDate: '2026-10-18' });
+
+      expect(active.map(p => p.name)).toEqual(['Dorfprogramm neu']);
+      expect(expired.map(p => p.name)).toEqual(['Dorfprogramm 2014-2020', 'Dorfprogramm 2021']);
+      expect(expired[0].successorProgram).toEqual({ name: 'Dorfprogramm neu', source: 'https://example.org' });
+    });
+
+    it('should resolve successors from all programs', () => {
+      const { expired } = partitionByFundingPeriod([oldProgram], {
+        referenceDate: '2026-10-18',
+        allPrograms: programs
+      });
+      expect(expired[0].successorProgram.name).toBe('Dorfprogramm neu');
+    });
+
+    it('should handle invalid input', () => {
+      expect(partitionByFundingPeriod(null)).toEqual({ active: [], expired: [] });
+    });
+  });
+
+  describe('analysis', () => {
+    it('should list the end date derived from the name for expired programs', async () => {
+      const expiredProgram = { ...oldProgram, type: ['playground'], federalStates: ['BY'], fundingRate: '50%' };
+      const result = await analyzeProject(
+        { federalState: 'BY', einsatzbereich: 'laendlicher-raum', projectType: 'playground', measures: [] },
+        null, [expiredProgram, { ...currentProgram, type: ['playground'], federalStates: ['BY'], fundingRate: '50%' }], null);
+
+      expect(result.expiredPrograms).toEqual([expect.objectContaining({
+        name: 'Dorfprogramm 2014-2020',
+        validUntil: '2020-12-31'
+      })]);
+    });
+  });
+});
@@ -1,16 +1,29 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { fundingPrograms } from '../data/fundingPrograms';
-import { preFilterPrograms } from './preFilterService';
-import { strictFilterPrograms, getStrictProgramNames, strictFilterProgramsWithRelevance } from './strictFilterService';
 import { sortResults, sortAndLimitByRelevance } from './sortService';
-import { simpleFilterPrograms, getSimpleFilterProgramNames } from './simpleFilterService';
+import { runFilterPipeline } from './filterPipeline';
 import { assignCategory } from './fundingLogic';
-
-const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-
-console.log('🔑 MODULE LOADED - Key:', apiKey ? 'loaded from .env' : 'not found');
-
-const genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+import { getFundingModel, calculateExpectedGrant, formatEuro, getProjectBudget } from './fundingAmountService';
+import { filterByApplicationWindow, getApplicationStatus } from './applicationWindowService';
+import { getApplicantTypeLabel } from './applicantEligibilityService';
+import { PROGRAM_TYPES, PROGRAM_MEASURES } from '../data/programLabels';
+import { partitionByFundingPeriod, isProgramExpired, getFundingPeriod } from './fundingPeriodService';
+import { createDecisionTrace, traceStage, getExcludedPrograms } from './decisionTraceService';
+import { resolveProjectLocation, formatLocation } from './regionService';
+import { optimizeFundingMix, formatFundingMixAdvice } from './fundingMixService';
+import { analyzeProgramOffline, rankProgramsOffline, checkFitScore } from './offlineAnalyzerService';
+import { findNearMisses, NEAR_MISS_THRESHOLD } from './nearMissService';
+import { getSiteTypeLabel } from './siteTypeService';
+import { formatMunicipalityProfile } from './municipalityProfileService';
+import { getLLMConfig, createLLMProvider } from './llmProviderService';
+
+// Language model for the analysis: provider and model from VITE_LLM_* (see llmProviderService.js)
+const llmConfig = getLLMConfig();
+const analysisLLM = createLLMProvider(llmConfig, 'analysis');
+
+console.log('🔑 MODULE LOADED - LLM:', analysisLLM ? `${analysisLLM.name} (${analysisLLM.model})` : `${llmConfig.provider} not configured`);
+
+// Filter pipeline for the analysis: preset name or stage list (see filterPipeline.js)
+const FILTER_PIPELINE = import.meta.env.VITE_FILTER_PIPELINE || 'simple';
 
 // Retry function for API calls
 const retryApiCall = async (apiCall, maxRetries = 3, delay = 2000) => {
@@ -30,6 +43,66 @@ const retryApiCall = async (apiCall, maxRetries = 3, delay = 2000) => {
   }
 };
 
+// Filter criteria from the project form
+const getFilterCriteria = (projectData) => ({
+  einsatzbereich: projectData.einsatzbereich,
+  siteType: projectData.siteType || null,
+  federalState: projectData.federalState,
+  projectType: projectData.projectType,
+  measures: projectData.measures,
+  applicantType: projectData.applicantType,
+  location: resolveProjectLocation(projectData),
+  municipality: projectData.municipality || null,
+  scoringProfile: projectData.scoringProfile || null,
+  projectBudget: getProjectBudget(projectData).amount
+});
+
+// Summary of expired programs for the "ausgelaufen" section
+const summarizeExpiredPrograms = (expiredPrograms) => {
+  return expiredPrograms.map(program => ({
+    name: program.name,
+    source: program.source,
+    validUntil: getFundingPeriod(program).validUntil,
+    successorProgram: program.successorProgram
+  }));
+};
+
+// Application window and funding period filters, recorded in the decision trace
+const filterByWindowAndPeriod = (filteredPrograms, projectData, programs, trace) => {
+  const windowPrograms = traceStage(trace, 'applicationWindow', filteredPrograms,
+    filterByApplicationWindow(filteredPrograms, { openWithinWeeks: projectData.openWithinWeeks }),
+    () => Number(projectData.openWithinWeeks) === 0
+      ? 'Antragsfenster derzeit geschlossen'
+      : `Antragsfenster öffnet nicht in den nächsten ${projectData.openWithinWeeks} Wochen`);
+
+  const { active, expired } = partitionByFundingPeriod(windowPrograms, { allPrograms: programs });
+  traceStage(trace, 'fundingPeriod', windowPrograms, active, program => isProgramExpired(program)
+    ? 'Förderperiode abgelaufen'
+    : 'Förderperiode hat noch nicht begonnen');
+
+  return { active, expired };
+};
+
+// Near misses for empty or thin results: rerun the same filters with one changed input
+const getNearMisses = (projectData, currentPrograms, relevanceEngine, programs) => {
+  if (currentPrograms.length >= NEAR_MISS_THRESHOLD) {
+    return [];
+  }
+  return findNearMisses(projectData, currentPrograms, changedProjectData => {
+    const filtered = runFilterPipeline(programs, getFilterCriteria(changedProjectData), {
+      stages: FILTER_PIPELINE,
+      relevanceEngine
+    });
+    return filterByWindowAndPeriod(filtered, changedProjectData, programs, null).active;
+  });
+};
+
+// Combination advice: proposed funding mix, followed by the project type hint
+const buildCombinationAdvice = (fundingMix, projectTypeHint) => {
+  const advice = [formatFundingMixAdvice(fundingMix), projectTypeHint].filter(Boolean);
+  return advice.length > 0 ? advice.join(' ') : null;
+};
+
 // Helper function to enhance nextSteps based on project data
 const enhanceNextSteps = (nextSteps) => {
   // Always use the same standardized next steps
@@ -41,67 +114,72 @@ const enhanceNextSteps = (nextSteps) => {
   return standardNextSteps;
 };
 
-export const analyzeProject = async (projectData, relevanceEngine = null) => {
+/**
+ * Format measure codes for prompts and explanations ("Neubau, Sanierung")
+ * @param {Array} measures - Measure codes
+ * @returns {string} Labels
+ */
+const formatMeasures = (measures) => {
+  return (measures || []).map(measure => PROGRAM_MEASURES[measure] || measure).join(', ');
+};
+
+/**
+ * Format project type codes ("Spielplatz, Calisthenics / Outdoor Fitness")
+ * @param {Array} projectTypes - Project type codes
+ * @returns {string} Labels
+ */
+const formatProjectTypes = (projectTypes) => {
+  return (projectTypes || []).map(type => PROGRAM_TYPES[type] || type).join(', ');
+};
+
+export const analyzeProject = async (projectData, relevanceEngine = null, programs = fundingPrograms, llm = analysisLLM) => {
   try {
     console.log('=== ANALYZE PROJECT v2.0 ===');
     console.log('Project data:', projectData);
     
-    // Fallback mock response if no API key
-    console.log('API Key check:', { 
-      hasGenAI: !!genAI, 
-      hasApiKey: !!apiKey, 
-      apiKeyValue: apiKey,
-      isPlaceholder: apiKey === 'your_gemini_api_key_here'
-    });
-    
-    if (!genAI || !apiKey || apiKey === 'your_gemini_api_key_here') {
-      console.log('Using mock analysis - reason:', !genAI ? 'no genAI' : !apiKey ? 'no apiKey' : 'placeholder key');
-      return getMockAnalysis(projectData, relevanceEngine);
+    // Fallback mock response if no language model is configured (no API key / model)
+    if (!llm) {
+      console.log('Using mock analysis - reason: no LLM provider configured');
+      return getMockAnalysis(projectData, relevanceEngine, programs);
     }
     
-    console.log('Using REAL AI analysis with Gemini');
+    console.log(`Using REAL AI analysis with ${llm.name} (${llm.model})`);
 
-    console.log('Total programs in database:', fundingPrograms.length);
+    console.log('Total programs in database:', programs.length);
     
-    // SIMPLE FILTERING: Apply new location-based filtering logic
-    console.log('=== APPLYING SIMPLE FILTERING ===');
+    // Deterministic filtering with the configured pipeline
+    console.log(`=== APPLYING FILTER PIPELINE (${FILTER_PIPELINE}) ===`);
     
-    let filteredPrograms;
+    const criteria = getFilterCriteria(projectData);
+    const trace = createDecisionTrace();
+    let filteredPrograms = runFilterPipeline(programs, criteria, {
+      stages: FILTER_PIPELINE,
+      relevanceEngine,
+      trace
+    });
     
-    try {
-      // Use the new simple filter service
-      console.log('🎯 Using new simple filter service');
-      filteredPrograms = simpleFilterPrograms(
-        projectData.einsatzbereich,
-        projectData.federalState,
-        fundingPrograms
-      );
-      
-      console.log(`Simple filter result: ${filteredPrograms.length} programs`);
-      console.log('Simple filtered programs:', getSimpleFilterProgramNames(filteredPrograms));
-      
-    } catch (simpleFilterError) {
-      console.error('❌ Simple filtering failed, falling back to legacy:', simpleFilterError);
-      // Fallback to legacy filtering
-      filteredPrograms = strictFilterProgramsWithRelevance(
-        projectData.einsatzbereich,
-        projectData.federalState,
-        fundingPrograms,
-        relevanceEngine
-      );
-    }
+    console.log(`Filter pipeline result: ${filteredPrograms.length} programs`);
+    console.log('Filtered programs:', filteredPrograms.map(program => program.name));
+    
+    // Application window filter ("open now / opens within N weeks") and funding period:
+    // never recommend expired programs, list them separately
+    const { active, expired } = filterByWindowAndPeriod(filteredPrograms, projectData, programs, trace);
+    filteredPrograms = active;
+    const expiredPrograms = summarizeExpiredPrograms(expired);
+    const excludedPrograms = getExcludedPrograms(trace);
     
     // If no programs pass filtering, return empty result
     if (filteredPrograms.length === 0) {
       console.log('No programs pass filtering criteria');
       return {
         programs: [],
+        expiredPrograms,
+        excludedPrograms,
+        nearMisses: getNearMisses(projectData, [], relevanceEngine, programs),
         message: 'Keine Programme entsprechen den Filterkriterien für diesen Einsatzbereich'
       };
     }
 
-    const model = genAI.getGenerativeModel({ model: 'gemini-3-flash-preview' });
-
     // Use filtered programs (no additional AI selection needed)
     const programsForAI = filteredPrograms;
     console.log(`Using ${programsForAI.length} filtered programs for AI evaluation`);
@@ -112,7 +190,8 @@ export const analyzeProject = async (projectData, relevanceEngine = null) => {
     name: p.name,
     description: p.description,
     fundingRate: p.fundingRate,
-    measures: p.measures
+    measures: p.measures,
+    projectTypes: formatProjectTypes(p.matchedProjectTypes)
   }));
 
     const prompt = `
@@ -124,9 +203,15 @@ Deine Aufgabe ist NUR die Bewertung und Erklärung - NICHT das Filtern.
 
 PROJEKTDATEN:
 - Bundesland: ${projectData.federalState}
-- Projekttyp: ${projectData.projectType}
+- Standort: ${criteria.location ? formatLocation(criteria.location) : projectData.postalCode || 'nicht angegeben'}
+- Projekttyp: ${formatProjectTypes([projectData.projectType]) || 'nicht angegeben'}
 - Einsatzbereich: ${projectData.einsatzbereich || 'nicht angegeben'}
-- Maßnahmen: ${(projectData.measures || []).join(', ') || 'keine'}
+- Art des Standorts: ${projectData.siteType ? getSiteTypeLabel(projectData.siteType) : 'nicht angegeben'}
+- Antragsteller: ${projectData.applicantType ? getApplicantTypeLabel(projectData.applicantType) : 'nicht angegeben'}
+- Gemeinde: ${formatMunicipalityProfile(projectData.municipality) || 'nicht angegeben'}
+- Maßnahmen: ${formatMeasures(projectData.measures) || 'keine'}
+- Fläche: ${projectData.projectArea ? `${projectData.projectArea} m²` : 'nicht angegeben'}
+- Projektkosten: ${criteria.projectBudget ? formatEuro(criteria.projectBudget) : 'nicht angegeben'}${getProjectBudget(projectData).isEstimated ? ' (geschätzt aus der Fläche)' : ''}
 
 VORGEFILTERTE PROGRAMME (alle fachlich geeignet):
 ${JSON.stringify(programList, null, 2)}
@@ -176,19 +261,7 @@ Antworte NUR mit JSON:
 }
 `;
 
-    const analysis = await retryApiCall(async () => {
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      // Extract JSON from response (handle markdown code blocks)
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('Keine gültige JSON-Antwort erhalten');
-      }
-      
-      return JSON.parse(jsonMatch[0]);
-    });
+    const analysis = await retryApiCall(() => llm.generateJSON(prompt));
     
     console.log('AI returned program indices:', analysis.programs?.map(p => p.index));
     
@@ -199,29 +272,44 @@ Antworte NUR mit JSON:
       // Ensure ALL filtered programs are included
       analysis.programs = programsForAI.map((dbProgram, index) => {
         const aiProgram = aiProgramsMap.get(index);
+        const offlineAnalysis = analyzeProgramOffline(dbProgram, projectData);
         
         if (!aiProgram) {
           // If AI didn't return this program, add it with default values
-          console.warn(`AI didn't return program at index ${index}, adding with defaults`);
+          console.warn(`AI didn't return program at index ${index}, using offline analysis`);
           return {
             name: dbProgram.name,
             source: dbProgram.source,
             fundingRate: dbProgram.fundingRate,
             description: dbProgram.description,
-            fitScore: 70, // Default score
-            eligibility: "Unklar",
-            whyItFits: ["Programm wurde vorgefiltert und erfüllt grundlegende Kriterien"],
+            fitScore: offlineAnalysis.fitScore,
+            eligibility: offlineAnalysis.eligibility,
+            whyItFits: offlineAnalysis.whyItFits,
+            risks: offlineAnalysis.risks,
+            municipalityChecks: offlineAnalysis.municipalityChecks,
             nextSteps: enhanceNextSteps(["Projektkonzept erstellen"]),
-            missingInfo: ["Detaillierte Förderbedingungen"],
+            missingInfo: offlineAnalysis.missingInfo,
             // Add relevance metadata
             relevanceLevel: dbProgram.relevanceLevel || 3,
             isFederalStateSpecific: dbProgram.isFederalStateSpecific || false,
             playgroundFundingHistory: dbProgram.playgroundFundingHistory || false,
             federalStates: dbProgram.federalStates,
-            category: assignCategory(dbProgram) // Use funding logic to assign category
+            matchedProjectTypes: dbProgram.matchedProjectTypes || [],
+            category: assignCategory(dbProgram), // Use funding logic to assign category
+            funding: getFundingModel(dbProgram),
+            expectedGrant: calculateExpectedGrant(dbProgram, criteria.projectBudget),
+            scoreBreakdown: relevanceEngine ? relevanceEngine.getScoreBreakdown(dbProgram, criteria) : null,
+            applicationWindows: dbProgram.applicationWindows || [],
+            applicationStatus: getApplicationStatus(dbProgram)
           };
         }
         
+        // Plausibility check of the Gemini score against the rule-based score
+        const scoreCheck = checkFitScore(aiProgram.fitScore, offlineAnalysis);
+        if (!scoreCheck.isPlausible) {
+          console.warn(`Fit score for "${dbProgram.name}" deviates from offline score:`, aiProgram.fitScore, scoreCheck.offlineScore);
+        }
+        
         return {
           name: dbProgram.name,
           source: dbProgram.source,
@@ -230,6 +318,9 @@ Antworte NUR mit JSON:
           fitScore: aiProgram.fitScore,
           eligibility: aiProgram.eligibility,
           whyItFits: aiProgram.whyItFits,
+          risks: offlineAnalysis.risks,
+          municipalityChecks: offlineAnalysis.municipalityChecks,
+          scoreCheck,
           nextSteps: enhanceNextSteps(aiProgram.nextSteps),
           missingInfo: aiProgram.missingInfo,
           relevanceReason: aiProgram.relevanceReason || "Programm wurde vorgefiltert und erfüllt grundlegende Kriterien",
@@ -239,7 +330,13 @@ Antworte NUR mit JSON:
           isFederalStateSpecific: dbProgram.isFederalStateSpecific || false,
           playgroundFundingHistory: dbProgram.playgroundFundingHistory || false,
           federalStates: dbProgram.federalStates,
-          category: assignCategory(dbProgram) // Use funding logic to assign category
+          matchedProjectTypes: dbProgram.matchedProjectTypes || [],
+          category: assignCategory(dbProgram), // Use funding logic to assign category
+          funding: getFundingModel(dbProgram),
+          expectedGrant: calculateExpectedGrant(dbProgram, criteria.projectBudget),
+          scoreBreakdown: relevanceEngine ? relevanceEngine.getScoreBreakdown(dbProgram, criteria) : null,
+          applicationWindows: dbProgram.applicationWindows || [],
+          applicationStatus: getApplicationStatus(dbProgram)
         };
       });
       
@@ -256,10 +353,18 @@ Antworte NUR mit JSON:
       })));
     }
     
-    // Add combination advice if needed
-    if (projectData.projectType === 'combination') {
-      analysis.combinationAdvice = "Bei Kombiprojekten empfehlen wir zu prüfen, ob eine getrennte Förderung (Spielplatz + Fitness) oder eine integrierte Förderung sinnvoller ist. Dies hängt von den lokalen Förderbedingungen ab.";
-    }
+    // Best legal funding mix (Kumulierung) for the project budget
+    analysis.fundingMix = optimizeFundingMix(filteredPrograms, criteria.projectBudget);
+    analysis.combinationAdvice = buildCombinationAdvice(
+      analysis.fundingMix,
+      projectData.projectType === 'combination'
+        ? "Bei Kombiprojekten empfehlen wir zu prüfen, ob eine getrennte Förderung (Spielplatz + Fitness) oder eine integrierte Förderung sinnvoller ist. Dies hängt von den lokalen Förderbedingungen ab."
+        : null
+    );
+    
+    analysis.expiredPrograms = expiredPrograms;
+    analysis.excludedPrograms = excludedPrograms;
+    analysis.nearMisses = getNearMisses(projectData, filteredPrograms, relevanceEngine, programs);
     
     return analysis;
   } catch (error) {
@@ -272,84 +377,94 @@ Antworte NUR mit JSON:
 };
 
 
-// Mock analysis for testing without API key
-const getMockAnalysis = (projectData, relevanceEngine = null) => {
+// Offline analysis without API key: rule-based scoring (offlineAnalyzerService)
+const getMockAnalysis = (projectData, relevanceEngine = null, programs = fundingPrograms) => {
   console.log('=== USING MOCK ANALYSIS ===');
   
-  // Apply simple filtering even in mock mode
-  let filteredPrograms;
-  try {
-    console.log('🎯 Mock: Using simple filter service');
-    filteredPrograms = simpleFilterPrograms(
-      projectData.einsatzbereich,
-      projectData.federalState,
-      fundingPrograms
-    );
-  } catch (error) {
-    console.error('❌ Mock simple filtering failed, using legacy fallback:', error);
-    filteredPrograms = strictFilterProgramsWithRelevance(
-      projectData.einsatzbereich,
-      projectData.federalState,
-      fundingPrograms,
-      null
-    );
-  }
+  // Apply the filter pipeline even in mock mode
+  const criteria = getFilterCriteria(projectData);
+  const trace = createDecisionTrace();
+  let filteredPrograms = runFilterPipeline(programs, criteria, {
+    stages: FILTER_PIPELINE,
+    relevanceEngine,
+    trace
+  });
+  
+  const { active, expired } = filterByWindowAndPeriod(filteredPrograms, projectData, programs, trace);
+  filteredPrograms = active;
+  const expiredPrograms = summarizeExpiredPrograms(expired);
+  const excludedPrograms = getExcludedPrograms(trace);
   
   console.log(`Mock: Filter result: ${filteredPrograms.length} programs`);
   
   if (filteredPrograms.length === 0) {
     return {
       programs: [],
+      expiredPrograms,
+      excludedPrograms,
+      nearMisses: getNearMisses(projectData, [], relevanceEngine, programs),
       message: 'Keine Programme entsprechen den Filterkriterien für diesen Einsatzbereich'
     };
   }
   
-  // Create mock analysis for filtered programs
-  const mockPrograms = filteredPrograms.slice(0, 10).map((program, index) => ({
+  // Rule-based analysis: fit score, reasons and risks from the program data
+  const mockPrograms = rankProgramsOffline(filteredPrograms, projectData).slice(0, 10).map(({ program, analysis }) => ({
     name: program.name,
     source: program.source,
     fundingRate: program.fundingRate,
     description: program.description,
-    fitScore: 85 - (index * 5), // Decreasing scores
-    eligibility: "Förderfähig",
+    fitScore: analysis.fitScore,
+    eligibility: analysis.eligibility,
     whyItFits: [
-      `Programm ist fachlich geeignet für ${projectData.einsatzbereich}`,
-      `Verfügbar in ${projectData.federalState}`,
-      `Unterstützt Neubau von Spielplätzen`,
-      "Wurde durch strenges Filter-System validiert"
-    ],
+      ...analysis.whyItFits,
+      projectData.projectType === 'combination'
+        ? `Deckt ab: ${formatProjectTypes(program.matchedProjectTypes)}`
+        : null
+    ].filter(Boolean),
+    risks: analysis.risks,
+    municipalityChecks: analysis.municipalityChecks,
     nextSteps: enhanceNextSteps([]),
-    missingInfo: [
-      "Genaue Projektkosten",
-      "Detaillierte Standortplanung"
-    ],
-    relevanceReason: "Programm wurde durch erweiterte Relevanzlogik als geeignet eingestuft",
+    missingInfo: analysis.missingInfo,
+    relevanceReason: "Regelbasierte Bewertung (Offline-Modus)",
     isStateSpecific: program.federalStates && !program.federalStates.includes('all'),
     // Add relevance metadata
     relevanceLevel: program.relevanceLevel || 3,
     isFederalStateSpecific: program.isFederalStateSpecific || false,
     playgroundFundingHistory: program.playgroundFundingHistory || false,
     federalStates: program.federalStates,
-    category: assignCategory(program) // Use funding logic to assign category
+    matchedProjectTypes: program.matchedProjectTypes || [],
+    category: assignCategory(program), // Use funding logic to assign category
+    funding: getFundingModel(program),
+    expectedGrant: calculateExpectedGrant(program, criteria.projectBudget),
+    scoreBreakdown: relevanceEngine ? relevanceEngine.getScoreBreakdown(program, criteria) : null,
+    applicationWindows: program.applicationWindows || [],
+    applicationStatus: getApplicationStatus(program)
   }));
 
+  const fundingMix = optimizeFundingMix(filteredPrograms, criteria.projectBudget);
+
   return {
     programs: mockPrograms,
-    combinationAdvice: projectData.projectType === 'combination' 
-      ? "Bei Kombiprojekten empfehlen wir eine getrennte Förderung: Spielplatz über Städtebauförderung, Fitness-Bereich über Sportstättenförderung. So maximieren Sie die Fördersumme."
-      : null
+    expiredPrograms,
+    excludedPrograms,
+    nearMisses: getNearMisses(projectData, filteredPrograms, relevanceEngine, programs),
+    fundingMix,
+    combinationAdvice: buildCombinationAdvice(
+      fundingMix,
+      projectData.projectType === 'combination'
+        ? "Bei Kombiprojekten empfehlen wir eine getrennte Förderung: Spielplatz über Städtebauförderung, Fitness-Bereich über Sportstättenförderung. So maximieren Sie die Fördersumme."
+        : null
+    )
   };
 };
 
 
 // Analyze program details for application
-export const analyzeProgramDetails = async (program, projectData) => {
-  if (!genAI || !apiKey || apiKey === 'your_gemini_api_key_here') {
+export const analyzeProgramDetails = async (program, projectData, llm = analysisLLM) => {
+  if (!llm) {
     return getMockProgramDetails(program);
   }
 
-  const model = genAI.getGenerativeModel({ model: 'gemini-3-flash-preview' });
-
   const prompt = `
 Du bist ein Experte für Fördermittelanträge in Deutschland.
 
@@ -418,16 +533,7 @@ Sei KONKRET und PRAKTISCH. Gib echte Informationen basierend auf dem Programm.
 `;
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('Keine gültige JSON-Antwort erhalten');
-    }
-    
-    return JSON.parse(jsonMatch[0]);
+    return await llm.generateJSON(prompt);
   } catch (error) {
     console.error('Error analyzing program details:', error);
     return getMockProgramDetails(program);
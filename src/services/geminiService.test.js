@@ -5,6 +5,7 @@
 
 import { describe, it, expect } from 'vitest';
 import { preFilterPrograms } from './preFilterService.js';
+import { analyzeProject } from './geminiService.js';
 
 describe('Gemini Service Integration Tests', () => {
   
@@ -94,4 +95,22 @@ describe('Gemini Service Integration Tests', () => {
       expect(result.bundesweiteCount).toBe(0);
     });
   });
-});
\ No newline at end of file
+
+  describe('offline analysis', () => {
+    it('should drop programs that lack one selected measure', async () => {
+      const program = { type: ['playground'], federalStates: ['BY'], fundingRate: '50%', source: 'https://example.com' };
+      const result = await analyzeProject(
+        { federalState: 'BY', einsatzbereich: 'stadt-quartier', projectType: 'playground', measures: ['newBuild', 'accessibility'] },
+        null,
+        [
+          { ...program, name: 'Nur Neubau', measures: ['newBuild'] },
+          { ...program, name: 'Neubau und Barrierefreiheit', measures: ['newBuild', 'accessibility'] }
+        ],
+        null
+      );
+
+      expect(result.programs.map(p => p.name)).toEqual(['Neubau und Barrierefreiheit']);
+      expect(result.excludedPrograms).toEqual([expect.objectContaining({ name: 'Nur Neubau', stage: 'measures' })]);
+    });
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * LLM Provider Service
+ *
+ * One interface for the language models behind the analysis and the tools:
+ *
+ *   provider.generate(prompt)      → Promise<string>
+ *   provider.generateJSON(prompt)  → Promise<Object> (first JSON object in the answer)
+ *   provider.stream(prompt)        → AsyncIterable<string> (text chunks)
+ *
+ * Adapters:
+ * - gemini:  Google Gemini (VITE_GEMINI_API_KEY)
+ * - openai:  any OpenAI-compatible endpoint, e.g. a local Ollama
+ *            (http://localhost:11434/v1) or llama.cpp server – nothing leaves
+ *            the own network
+ *
+ * Provider and model are selected by configuration:
+ *
+ *   VITE_LLM_PROVIDER=openai
+ *   VITE_LLM_BASE_URL=http://localhost:11434/v1
+ *   VITE_LLM_MODEL=llama3.1
+ *   VITE_LLM_TOOLS_MODEL=llama3.1      (optional, model for the text tools)
+ *   VITE_LLM_API_KEY=...               (optional, for hosted endpoints)
+ *
+ * VITE_LLM_MODEL also replaces the Gemini tools model unless VITE_LLM_TOOLS_MODEL
+ * is set. Tests pass recorded answers via createFixtureProvider directly.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Available providers with display labels
+ */
+export const LLM_PROVIDERS = {
+  gemini: 'Google Gemini',
+  openai: 'OpenAI-kompatibler Endpunkt (z. B. Ollama, llama.cpp)'
+};
+
+export const DEFAULT_LLM_PROVIDER = 'gemini';
+
+/**
+ * Default models per provider and purpose ("analysis": funding analysis, "tools": text tools)
+ * OpenAI-compatible endpoints have no default, the model depends on the server.
+ */
+export const DEFAULT_LLM_MODELS = {
+  gemini: { analysis: 'gemini-3-flash-preview', tools: 'gemini-2.5-flash' },
+  openai: { analysis: null, tools: null }
+};
+
+export const DEFAULT_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+
+const GEMINI_PLACEHOLDER_KEY = 'your_gemini_api_key_here';
+
+/**
+ * Extract and parse the first JSON object of a model answer (handles markdown code blocks)
+ * @param {string} text - Model answer
+ * @returns {Object} Parsed JSON
+ */
+export const parseJSONResponse = (text) => {
+  const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('Keine gültige JSON-Antwort erhalten');
+  }
+
+  return JSON.parse(jsonMatch[0]);
+};
+
+// Complete a provider from generate / stream
+const createProvider = ({ name, model, generate, stream }) => ({
+  name,
+  model,
+  generate,
+  generateJSON: async (prompt) => parseJSONResponse(await generate(prompt)),
+  stream: stream || (async function* (prompt) {
+    yield await generate(prompt);
+  })
+});
+
+/**
+ * Google Gemini
+ * @param {Object} options - { apiKey, model }
+ * @returns {Object} Provider
+ */
+export const createGeminiProvider = ({ apiKey, model }) => {
+  const generativeModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+  return createProvider({
+    name: 'gemini',
+    model,
+    generate: async (prompt) => {
+      const result = await generativeModel.generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    },
+    stream: async function* (prompt) {
+      const result = await generativeModel.generateContentStream(prompt);
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+    }
+  });
+};
+
+// Read the "data:" lines of a server-sent event stream
+async function* readServerSentEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) {
+        yield line.slice(5).trim();
+      }
+    }
+  }
+  if (buffer.startsWith('data:')) {
+    yield buffer.slice(5).trim();
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions endpoint (Ollama, llama.cpp, vLLM, OpenAI …)
+ * @param {Object} options - { baseUrl, apiKey, model, fetch }
+ * @returns {Object} Provider
+ */
+export const createOpenAICompatibleProvider = ({ baseUrl = DEFAULT_OPENAI_BASE_URL, apiKey = null, model, fetch: fetchImpl = globalThis.fetch }) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const request = async (prompt, stream) => {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        stream
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`LLM-Anfrage fehlgeschlagen: ${response.status} ${response.statusText || ''}`.trim());
+    }
+    return response;
+  };
+
+  return createProvider({
+    name: 'openai',
+    model,
+    generate: async (prompt) => {
+      const data = await (await request(prompt, false)).json();
+      return data.choices?.[0]?.message?.content || '';
+    },
+    stream: async function* (prompt) {
+      const response = await request(prompt, true);
+      for await (const data of readServerSentEvents(response.body)) {
+        if (data === '[DONE]') {
+          return;
+        }
+        const content = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (content) {
+          yield content;
+        }
+      }
+    }
+  });
+};
+
+/**
+ * Recorded answers, e.g. for tests
+ *
+ * Each fixture answers the prompts containing `match` (string or RegExp);
+ * object responses are returned as JSON. Prompts are kept in `calls`.
+ * @param {Object} options - { fixtures: [{ match, response }], model }
+ * @returns {Object} Provider with `calls`
+ */
+export const createFixtureProvider = ({ fixtures = [], model = 'fixture' } = {}) => {
+  const calls = [];
+
+  const findResponse = (prompt) => {
+    const fixture = fixtures.find(({ match }) => (match instanceof RegExp ? match.test(prompt) : prompt.includes(match ?? '')));
+    if (!fixture) {
+      throw new Error('Keine aufgezeichnete Antwort für diesen Prompt');
+    }
+    return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+  };
+
+  return {
+    ...createProvider({
+      name: 'fixture',
+      model,
+      generate: async (prompt) => {
+        calls.push(prompt);
+        return findResponse(prompt);
+      }
+    }),
+    calls
+  };
+};
+
+/**
+ * Wrap a provider and record its answers as fixtures for createFixtureProvider
+ * @param {Object} provider - Provider to record
+ * @returns {Object} Provider with `recordings` ([{ match, response }])
+ */
+export const createRecordingProvider = (provider) => {
+  const recordings = [];
+
+  return {
+    ...createProvider({
+      name: provider.name,
+      model: provider.model,
+      generate: async (prompt) => {
+        const response = await provider.generate(prompt);
+        recordings.push({ match: prompt, response });
+        return response;
+      }
+    }),
+    recordings
+  };
+};
+
+/**
+ * Read the provider configuration
+ * @param {Object} env - Environment (defaults to import.meta.env)
+ * @returns {Object} { provider, model, toolsModel, baseUrl, apiKey }
+ */
+export const getLLMConfig = (env = import.meta.env || {}) => {
+  const provider = LLM_PROVIDERS[env.VITE_LLM_PROVIDER] ? env.VITE_LLM_PROVIDER : DEFAULT_LLM_PROVIDER;
+  const defaults = DEFAULT_LLM_MODELS[provider];
+  const model = env.VITE_LLM_MODEL || defaults.analysis;
+
+  return {
+    provider,
+    model,
+    toolsModel: env.VITE_LLM_TOOLS_MODEL || env.VITE_LLM_MODEL || defaults.tools,
+    baseUrl: env.VITE_LLM_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+    apiKey: provider === 'gemini' ? env.VITE_GEMINI_API_KEY : env.VITE_LLM_API_KEY || null
+  };
+};
+
+/**
+ * Create the configured provider
+ * @param {Object} config - Config from getLLMConfig
+ * @param {string} purpose - "analysis" or "tools"
+ * @returns {Object|null} Provider, or null if it is not configured (callers fall back to the offline mode)
+ */
+export const createLLMProvider = (config, purpose = 'analysis') => {
+  const model = purpose === 'tools' ? config.toolsModel : config.model;
+
+  switch (config.provider) {
+    case 'gemini':
+      return config.apiKey && config.apiKey !== GEMINI_PLACEHOLDER_KEY
+        ? createGeminiProvider({ apiKey: config.apiKey, model })
+        : null;
+    case 'openai':
+      return model
+        ? createOpenAICompatibleProvider({ baseUrl: config.baseUrl, apiKey: config.apiKey, model })
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Get the provider configured in the environment
+ * @param {string} purpose - "analysis" or "tools"
+ * @param {Object} env - Environment (defaults to import.meta.env)
+ * @returns {Object|null} Provider, or null if none is configured
+ */
+export const getLLMProvider = (purpose = 'analysis', env = import.meta.env || {}) => {
+  return createLLMProvider(getLLMConfig(env), purpose);
+};
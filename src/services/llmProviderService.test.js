@@ -0,0 +1,193 @@
+/**
+ * Tests for the LLM Provider Service
+ * Feature: llm-provider-abstraction
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getLLMConfig,
+  createLLMProvider,
+  createOpenAICompatibleProvider,
+  createFixtureProvider,
+  createRecordingProvider,
+  parseJSONResponse
+} from './llmProviderService.js';
+import { analyzeProject } from './geminiService.js';
+
+const collect = async (iterable) => {
+  const chunks = [];
+  for await (const chunk of iterable) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+// Minimal fetch for an OpenAI-compatible server, recording the requests
+const createFetch = (respond) => {
+  const requests = [];
+  const fetch = async (url, options) => {
+    const body = JSON.parse(options.body);
+    requests.push({ url, headers: options.headers, body });
+    return respond(body);
+  };
+  return { fetch, requests };
+};
+
+const sseBody = (events) => new ReadableStream({
+  start(controller) {
+    const encoder = new TextEncoder();
+    // Split mid-event to exercise the line buffer
+    const text = events.map(event => `data: ${event}\n\n`).join('');
+    controller.enqueue(encoder.encode(text.slice(0, 20)));
+    controller.enqueue(encoder.encode(text.slice(20)));
+    controller.close();
+  }
+});
+
+describe('LLM Provider Service', () => {
+
+  describe('getLLMConfig', () => {
+    it('should default to Gemini with the built-in models', () => {
+      expect(getLLMConfig({ VITE_GEMINI_API_KEY: 'key' })).toEqual({
+        provider: 'gemini',
+        model: 'gemini-3-flash-preview',
+        toolsModel: 'gemini-2.5-flash',
+        baseUrl: 'http://localhost:11434/v1',
+        apiKey: 'key'
+      });
+    });
+
+    it('should select provider and model by configuration', () => {
+      const config = getLLMConfig({
+        VITE_LLM_PROVIDER: 'openai',
+        VITE_LLM_BASE_URL: 'http://llm.intern:8080/v1',
+        VITE_LLM_MODEL: 'llama3.1',
+        VITE_GEMINI_API_KEY: 'key'
+      });
+
+      expect(config).toEqual({
+        provider: 'openai',
+        model: 'llama3.1',
+        toolsModel: 'llama3.1',
+        baseUrl: 'http://llm.intern:8080/v1',
+        apiKey: null
+      });
+      expect(createLLMProvider(config, 'tools').model).toBe('llama3.1');
+    });
+
+    it('should not create a provider without API key or model', () => {
+      expect(createLLMProvider(getLLMConfig({}))).toBeNull();
+      expect(createLLMProvider(getLLMConfig({ VITE_GEMINI_API_KEY: 'your_gemini_api_key_here' }))).toBeNull();
+      expect(createLLMProvider(getLLMConfig({ VITE_LLM_PROVIDER: 'openai' }))).toBeNull();
+    });
+
+    it('should not offer the fixture provider by configuration', () => {
+      expect(getLLMConfig({ VITE_LLM_PROVIDER: 'fixture' }).provider).toBe('gemini');
+      expect(createLLMProvider(getLLMConfig({ VITE_LLM_PROVIDER: 'fixture' }))).toBeNull();
+    });
+
+    it('should let VITE_LLM_MODEL replace the Gemini tools model', () => {
+      expect(getLLMConfig({ VITE_LLM_MODEL: 'gemini-2.5-pro' }).toolsModel).toBe('gemini-2.5-pro');
+      expect(getLLMConfig({ VITE_LLM_MODEL: 'gemini-2.5-pro', VITE_LLM_TOOLS_MODEL: 'gemini-2.5-flash' }).toolsModel)
+        .toBe('gemini-2.5-flash');
+    });
+  });
+
+  describe('OpenAI-compatible provider', () => {
+    it('should post chat completions and return the message', async () => {
+      const { fetch, requests } = createFetch(() => ({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: 'Antwort: {"fitScore": 80}' } }] })
+      }));
+      const provider = createOpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1/', model: 'llama3.1', fetch });
+
+      expect(await provider.generateJSON('Bewerte')).toEqual({ fitScore: 80 });
+      expect(requests[0]).toEqual({
+        url: 'http://localhost:11434/v1/chat/completions',
+        headers: { 'Content-Type': 'application/json' },
+        body: { model: 'llama3.1', messages: [{ role: 'user', content: 'Bewerte' }], stream: false }
+      });
+    });
+
+    it('should stream the content deltas', async () => {
+      const { fetch } = createFetch(() => ({
+        ok: true,
+        body: sseBody([
+          JSON.stringify({ choices: [{ delta: { role: 'assistant' } }] }),
+          JSON.stringify({ choices: [{ delta: { content: 'Sehr geehrte ' } }] }),
+          JSON.stringify({ choices: [{ delta: { content: 'Damen und Herren' } }] }),
+          '[DONE]'
+        ])
+      }));
+      const provider = createOpenAICompatibleProvider({ model: 'llama3.1', apiKey: 'secret', fetch });
+
+      expect(await collect(provider.stream('Anschreiben'))).toEqual(['Sehr geehrte ', 'Damen und Herren']);
+    });
+
+    it('should surface HTTP errors with the status code', async () => {
+      const { fetch } = createFetch(() => ({ ok: false, status: 503, statusText: 'Service Unavailable' }));
+      const provider = createOpenAICompatibleProvider({ model: 'llama3.1', fetch });
+
+      await expect(provider.generate('Test')).rejects.toThrow('LLM-Anfrage fehlgeschlagen: 503 Service Unavailable');
+    });
+  });
+
+  describe('fixture provider', () => {
+    it('should replay recorded answers by prompt', async () => {
+      const provider = createFixtureProvider({
+        fixtures: [
+          { match: /Anschreiben/, response: 'Sehr geehrte Damen und Herren' },
+          { match: 'Bewerte', response: { programs: [] } }
+        ]
+      });
+
+      expect(await provider.generate('Erstelle ein Anschreiben')).toBe('Sehr geehrte Damen und Herren');
+      expect(await provider.generateJSON('Bewerte ALLE Programme')).toEqual({ programs: [] });
+      expect(await collect(provider.stream('Anschreiben'))).toEqual(['Sehr geehrte Damen und Herren']);
+      expect(provider.calls).toHaveLength(3);
+      await expect(provider.generate('Unbekannt')).rejects.toThrow('Keine aufgezeichnete Antwort');
+    });
+
+    it('should replay what a recording provider captured', async () => {
+      const recording = createRecordingProvider(createFixtureProvider({ fixtures: [{ match: '', response: 'live' }] }));
+      await recording.generate('Prompt A');
+
+      const replay = createFixtureProvider({ fixtures: recording.recordings });
+      expect(await replay.generate('Prompt A')).toBe('live');
+    });
+  });
+
+  describe('parseJSONResponse', () => {
+    it('should extract JSON from markdown code blocks', () => {
+      expect(parseJSONResponse('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+      expect(() => parseJSONResponse('keine Daten')).toThrow('Keine gültige JSON-Antwort erhalten');
+    });
+  });
+
+  describe('analysis with a provider', () => {
+    it('should run the AI analysis against any provider', async () => {
+      const programs = [{
+        name: 'Spielplatzprogramm Bayern',
+        type: ['playground'],
+        federalStates: ['BY'],
+        fundingRate: '60%',
+        source: 'https://example.com',
+        description: 'Landesprogramm'
+      }];
+      const provider = createFixtureProvider({
+        fixtures: [{
+          match: 'VORGEFILTERTE PROGRAMME',
+          response: { programs: [{ index: 0, fitScore: 85, eligibility: 'Förderfähig', whyItFits: ['Passt'], nextSteps: [], missingInfo: [] }] }
+        }]
+      });
+
+      const result = await analyzeProject(
+        { federalState: 'BY', einsatzbereich: 'stadt-quartier', projectType: 'playground', measures: [] },
+        null, programs, provider);
+
+      expect(provider.calls).toHaveLength(1);
+      expect(provider.calls[0]).toContain('Spielplatzprogramm Bayern');
+      expect(result.programs.map(program => [program.name, program.fitScore])).toEqual([['Spielplatzprogramm Bayern', 85]]);
+    });
+  });
+});
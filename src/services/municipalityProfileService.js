@@ -0,0 +1,202 @@
+/**
+ * Municipality Profile Service
+ *
+ * Several programs depend on characteristics of the Kommune: the Ausgleichstock
+ * only supports finanzschwache Gemeinden, Dorfentwicklung targets small Orte
+ * and Städtebauförderung requires an established Fördergebiet. The user
+ * describes the Gemeinde in a municipality profile:
+ *
+ *   municipality: {
+ *     population: 4200,              // Einwohner
+ *     isFinanzschwach: true,         // financially weak (e.g. Ausgleichstock-berechtigt)
+ *     hasSanierungsgebiet: false,    // Sanierungsgebiet festgelegt
+ *     hasSozialeStadtGebiet: null    // Soziale-Stadt-Gebiet (Sozialer Zusammenhalt) festgelegt
+ *   }
+ *
+ * Programs declare `municipalityRequirements` as predicates against it:
+ *
+ *   municipalityRequirements: {
+ *     minPopulation: 2000,
+ *     maxPopulation: 10000,         // Gemeinde
+ *     maxOrtPopulation: 10000,      // Ort / Ortsteil, not the whole Gemeinde
+ *     finanzschwach: true,
+ *     foerdergebiete: ['sanierungsgebiet', 'soziale-stadt']   // any of them
+ *   }
+ *
+ * Unknown profile values (null) never exclude a program; the check is reported
+ * as open so the user can verify it. The profile only knows the Gemeinde, so an
+ * Ort limit can only be confirmed (small Gemeinde), never failed.
+ */
+
+/**
+ * Fördergebiet types with display labels and their profile field
+ */
+export const FOERDERGEBIETE = {
+  'sanierungsgebiet': { label: 'Sanierungsgebiet', field: 'hasSanierungsgebiet' },
+  'soziale-stadt': { label: 'Soziale-Stadt-Gebiet', field: 'hasSozialeStadtGebiet' }
+};
+
+const formatNumber = (value) => Number(value).toLocaleString('de-DE');
+
+const isKnown = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Predicates per requirement key: evaluate(requirement, profile) → { passed, reason }
+ * `passed` is null if the profile does not say
+ */
+const MUNICIPALITY_PREDICATES = {
+  minPopulation: (min, { population }) => {
+    if (!isKnown(population)) {
+      return { passed: null, reason: `Nur für Gemeinden ab ${formatNumber(min)} Einwohnern – Einwohnerzahl nicht angegeben` };
+    }
+    return Number(population) >= min
+      ? { passed: true, reason: `${formatNumber(population)} Einwohner (mindestens ${formatNumber(min)})` }
+      : { passed: false, reason: `Nur für Gemeinden ab ${formatNumber(min)} Einwohnern (Ihre Gemeinde: ${formatNumber(population)})` };
+  },
+
+  maxPopulation: (max, { population }) => {
+    if (!isKnown(population)) {
+      return { passed: null, reason: `Nur für Gemeinden bis ${formatNumber(max)} Einwohner – Einwohnerzahl nicht angegeben` };
+    }
+    return Number(population) <= max
+      ? { passed: true, reason: `${formatNumber(population)} Einwohner (höchstens ${formatNumber(max)})` }
+      : { passed: false, reason: `Nur für Gemeinden bis ${formatNumber(max)} Einwohner (Ihre Gemeinde: ${formatNumber(population)})` };
+  },
+
+  maxOrtPopulation: (max, { population }) => {
+    if (isKnown(population) && Number(population) <= max) {
+      return { passed: true, reason: `${formatNumber(population)} Einwohner – kein Ortsteil über ${formatNumber(max)}` };
+    }
+    return { passed: null, reason: `Nur für Orte bis ${formatNumber(max)} Einwohner – Einwohnerzahl des Ortsteils prüfen` };
+  },
+
+  finanzschwach: (required, { isFinanzschwach }) => {
+    if (!required) {
+      return null;
+    }
+    if (!isKnown(isFinanzschwach)) {
+      return { passed: null, reason: 'Nur für finanzschwache Gemeinden – Finanzkraft nicht angegeben' };
+    }
+    return isFinanzschwach
+      ? { passed: true, reason: 'Finanzschwache Gemeinde' }
+      : { passed: false, reason: 'Nur für finanzschwache Gemeinden' };
+  },
+
+  foerdergebiete: (types, profile) => {
+    const labels = types.map(type => FOERDERGEBIETE[type]?.label || type).join(' oder ');
+    const values = types.map(type => profile[FOERDERGEBIETE[type]?.field]);
+
+    const existing = types.filter((type, i) => values[i] === true);
+    if (existing.length > 0) {
+      return { passed: true, reason: `Festgelegtes Fördergebiet: ${existing.map(type => FOERDERGEBIETE[type]?.label || type).join(', ')}` };
+    }
+    if (values.some(value => !isKnown(value))) {
+      return { passed: null, reason: `Setzt ein festgelegtes Fördergebiet voraus (${labels}) – nicht angegeben` };
+    }
+    return { passed: false, reason: `Setzt ein festgelegtes Fördergebiet voraus (${labels})` };
+  }
+};
+
+/**
+ * Format a municipality profile, e.g. "4.200 Einwohner, finanzschwach, Sanierungsgebiet"
+ * @param {Object|null} profile - Municipality profile
+ * @returns {string} Known profile values (empty if nothing is known)
+ */
+export const formatMunicipalityProfile = (profile) => {
+  if (!profile) {
+    return '';
+  }
+
+  const parts = [];
+  if (isKnown(profile.population)) {
+    parts.push(`${formatNumber(profile.population)} Einwohner`);
+  }
+  if (isKnown(profile.isFinanzschwach)) {
+    parts.push(profile.isFinanzschwach ? 'finanzschwach' : 'nicht finanzschwach');
+  }
+  Object.values(FOERDERGEBIETE).forEach(({ label, field }) => {
+    if (isKnown(profile[field])) {
+      parts.push(profile[field] ? label : `kein ${label}`);
+    }
+  });
+  return parts.join(', ');
+};
+
+/**
+ * Get the municipality requirements of a program
+ * @param {Object} program - Funding program
+ * @returns {Object|null} Requirements or null if the program has none
+ */
+export const getMunicipalityRequirements = (program) => {
+  const requirements = program?.municipalityRequirements;
+  if (!requirements || typeof requirements !== 'object' || Object.keys(requirements).length === 0) {
+    return null;
+  }
+  return requirements;
+};
+
+/**
+ * Evaluate the municipality requirements of a program against a profile
+ * @param {Object} program - Funding program
+ * @param {Object|null} profile - Municipality profile (null: nothing known)
+ * @returns {Object} { isEligible, checks: [{ requirement, passed, reason }] }
+ */
+export const evaluateMunicipalityRequirements = (program, profile) => {
+  const requirements = getMunicipalityRequirements(program);
+  if (!requirements) {
+    return { isEligible: true, checks: [] };
+  }
+
+  const checks = Object.entries(requirements)
+    .filter(([requirement]) => MUNICIPALITY_PREDICATES[requirement])
+    .map(([requirement, value]) => {
+      const result = MUNICIPALITY_PREDICATES[requirement](value, profile || {});
+      return result ? { requirement, ...result } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    isEligible: checks.every(check => check.passed !== false),
+    checks
+  };
+};
+
+/**
+ * Check if a program is available to the Gemeinde
+ * @param {Object} program - Funding program
+ * @param {Object|null} profile - Municipality profile
+ * @returns {boolean} True unless a requirement fails
+ */
+export const isMunicipalityEligible = (program, profile) => {
+  return evaluateMunicipalityRequirements(program, profile).isEligible;
+};
+
+/**
+ * Remove programs whose municipality requirements fail
+ * @param {Array} programs - Programs to filter
+ * @param {Object|null} profile - Municipality profile
+ * @returns {Array} Programs the Gemeinde is eligible for
+ */
+export const filterByMunicipalityProfile = (programs, profile) => {
+  if (!Array.isArray(programs)) {
+    return [];
+  }
+  if (!profile) {
+    return programs;
+  }
+
+  return programs.filter(program => isMunicipalityEligible(program, profile));
+};
+
+/**
+ * Describe why a program is not available to the Gemeinde (failing checks)
+ * @param {Object} program - Funding program
+ * @param {Object|null} profile - Municipality profile
+ * @returns {string} Rule text
+ */
+export const describeMunicipalityExclusion = (program, profile) => {
+  return evaluateMunicipalityRequirements(program, profile).checks
+    .filter(check => check.passed === false)
+    .map(check => check.reason)
+    .join('; ');
+};
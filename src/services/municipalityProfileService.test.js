@@ -0,0 +1,131 @@
+/**
+ * Tests for the Municipality Profile Service
+ * Feature: municipality-profile
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  evaluateMunicipalityRequirements,
+  filterByMunicipalityProfile,
+  describeMunicipalityExclusion,
+  formatMunicipalityProfile
+} from './municipalityProfileService.js';
+import { runFilterPipeline } from './filterPipeline.js';
+import { createDecisionTrace, getExcludedPrograms } from './decisionTraceService.js';
+import { analyzeProgramOffline } from './offlineAnalyzerService.js';
+import { fundingPrograms } from '../data/fundingPrograms.js';
+
+const ausgleichstock = { name: 'Ausgleichstock', type: ['playground'], federalStates: ['BW'], municipalityRequirements: { finanzschwach: true } };
+const dorfentwicklung = { name: 'Dorfentwicklung', type: ['playground'], federalStates: ['BW'], municipalityRequirements: { maxPopulation: 10000 } };
+const staedtebau = { name: 'Städtebau', type: ['playground'], federalStates: ['BW'], municipalityRequirements: { foerdergebiete: ['sanierungsgebiet', 'soziale-stadt'] } };
+const general = { name: 'Allgemein', type: ['playground'], federalStates: ['BW'] };
+const programs = [ausgleichstock, dorfentwicklung, staedtebau, general];
+
+const profile = {
+  population: 12500,
+  isFinanzschwach: true,
+  hasSanierungsgebiet: false,
+  hasSozialeStadtGebiet: false
+};
+
+const names = (result) => result.map(program => program.name).sort();
+
+describe('Municipality Profile Service', () => {
+
+  describe('evaluateMunicipalityRequirements', () => {
+    it('should report a pass or fail reason per requirement', () => {
+      expect(evaluateMunicipalityRequirements(ausgleichstock, profile)).toEqual({
+        isEligible: true,
+        checks: [{ requirement: 'finanzschwach', passed: true, reason: 'Finanzschwache Gemeinde' }]
+      });
+      expect(evaluateMunicipalityRequirements(dorfentwicklung, profile)).toEqual({
+        isEligible: false,
+        checks: [{ requirement: 'maxPopulation', passed: false, reason: 'Nur für Gemeinden bis 10.000 Einwohner (Ihre Gemeinde: 12.500)' }]
+      });
+      expect(evaluateMunicipalityRequirements(general, profile)).toEqual({ isEligible: true, checks: [] });
+    });
+
+    it('should accept any of the listed Fördergebiete', () => {
+      const result = evaluateMunicipalityRequirements(staedtebau, { ...profile, hasSozialeStadtGebiet: true });
+      expect(result.isEligible).toBe(true);
+      expect(result.checks[0].reason).toBe('Festgelegtes Fördergebiet: Soziale-Stadt-Gebiet');
+    });
+
+    it('should leave unknown profile values open instead of excluding', () => {
+      const result = evaluateMunicipalityRequirements(staedtebau, { hasSanierungsgebiet: false });
+      expect(result.isEligible).toBe(true);
+      expect(result.checks[0]).toEqual({
+        requirement: 'foerdergebiete',
+        passed: null,
+        reason: 'Setzt ein festgelegtes Fördergebiet voraus (Sanierungsgebiet oder Soziale-Stadt-Gebiet) – nicht angegeben'
+      });
+      expect(evaluateMunicipalityRequirements(ausgleichstock, null).checks[0].passed).toBeNull();
+    });
+
+    it('should only confirm Ort limits, never fail them on the Gemeinde population', () => {
+      const dorferneuerung = { name: 'Dorferneuerung', municipalityRequirements: { maxOrtPopulation: 10000 } };
+
+      expect(evaluateMunicipalityRequirements(dorferneuerung, profile)).toEqual({
+        isEligible: true,
+        checks: [{ requirement: 'maxOrtPopulation', passed: null, reason: 'Nur für Orte bis 10.000 Einwohner – Einwohnerzahl des Ortsteils prüfen' }]
+      });
+      expect(evaluateMunicipalityRequirements(dorferneuerung, { population: 4200 }).checks[0]).toEqual({
+        requirement: 'maxOrtPopulation',
+        passed: true,
+        reason: '4.200 Einwohner – kein Ortsteil über 10.000'
+      });
+    });
+
+    it('should keep the Dorfentwicklung programs for large Gemeinden', () => {
+      const dataset = fundingPrograms.filter(program => program.municipalityRequirements?.maxOrtPopulation);
+
+      expect(dataset.map(program => program.id).sort()).toEqual([
+        'dorfentwicklung-hessen',
+        'dorferneuerung-bayern',
+        'gak-foerderung-der-dorfentwicklung',
+        'zile-dorfentwicklung-niedersachsen'
+      ]);
+      expect(filterByMunicipalityProfile(dataset, { population: 50000 })).toHaveLength(4);
+    });
+  });
+
+  describe('filterByMunicipalityProfile', () => {
+    it('should drop programs whose requirements fail', () => {
+      expect(names(filterByMunicipalityProfile(programs, profile))).toEqual(['Allgemein', 'Ausgleichstock']);
+      expect(filterByMunicipalityProfile(programs, null)).toHaveLength(4);
+      expect(describeMunicipalityExclusion(staedtebau, profile))
+        .toBe('Setzt ein festgelegtes Fördergebiet voraus (Sanierungsgebiet oder Soziale-Stadt-Gebiet)');
+    });
+
+    it('should record the failing requirements in the decision trace', () => {
+      const trace = createDecisionTrace();
+      runFilterPipeline(programs, { federalState: 'BW', projectType: 'playground', municipality: { ...profile, isFinanzschwach: false } },
+        { stages: 'simple', trace });
+
+      expect(getExcludedPrograms(trace).map(({ name, stage, rule }) => [name, stage, rule])).toEqual([
+        ['Ausgleichstock', 'municipality', 'Nur für finanzschwache Gemeinden'],
+        ['Dorfentwicklung', 'municipality', 'Nur für Gemeinden bis 10.000 Einwohner (Ihre Gemeinde: 12.500)'],
+        ['Städtebau', 'municipality', 'Setzt ein festgelegtes Fördergebiet voraus (Sanierungsgebiet oder Soziale-Stadt-Gebiet)']
+      ]);
+    });
+  });
+
+  describe('offline analysis', () => {
+    it('should pass the checks on and flag open requirements', () => {
+      const analysis = analyzeProgramOffline(ausgleichstock, { federalState: 'BW', municipality: { population: 3000 } });
+
+      expect(analysis.municipalityChecks).toEqual([
+        { requirement: 'finanzschwach', passed: null, reason: 'Nur für finanzschwache Gemeinden – Finanzkraft nicht angegeben' }
+      ]);
+      expect(analysis.eligibility).toBe('Vorbehaltlich kommunaler Voraussetzungen');
+    });
+  });
+
+  describe('formatMunicipalityProfile', () => {
+    it('should list the known profile values', () => {
+      expect(formatMunicipalityProfile({ population: 4200, isFinanzschwach: true, hasSanierungsgebiet: false, hasSozialeStadtGebiet: null }))
+        .toBe('4.200 Einwohner, finanzschwach, kein Sanierungsgebiet');
+      expect(formatMunicipalityProfile(null)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Near Miss Service
+ *
+ * When the analysis finds no or only a few programs, suggest programs that
+ * would match with exactly one changed input: the other Einsatzbereich, the
+ * other project type (Spielplatz ↔ Calisthenics) or, for Gemeinden on a state
+ * border, the neighbouring federal state.
+ *
+ * The service does not filter itself: the caller passes the same filter
+ * function the analysis uses (pipeline, application window, funding period),
+ * which is run once per changed input.
+ */
+
+import { USE_CASES, PROGRAM_TYPES } from '../data/programLabels.js';
+import { FORM_FEDERAL_STATES } from './programAdminService.js';
+import { lookupPostalCode } from './regionService.js';
+import { isSiteTypeAvailable } from './siteTypeService.js';
+
+// Fewer results than this count as "thin" and get near miss suggestions
+export const NEAR_MISS_THRESHOLD = 3;
+
+// Programs listed per suggestion
+const MAX_PROGRAMS_PER_CHANGE = 5;
+
+const OTHER_EINSATZBEREICH = {
+  'stadt-quartier': 'laendlicher-raum',
+  'laendlicher-raum': 'stadt-quartier'
+};
+
+const OTHER_PROJECT_TYPE = {
+  playground: 'calisthenics',
+  calisthenics: 'playground'
+};
+
+const FIELD_LABELS = {
+  einsatzbereich: 'Einsatzbereich',
+  projectType: 'Projekttyp',
+  federalState: 'Bundesland'
+};
+
+const VALUE_LABELS = {
+  einsatzbereich: USE_CASES,
+  projectType: PROGRAM_TYPES,
+  federalState: FORM_FEDERAL_STATES
+};
+
+const formatValue = (field, value) => VALUE_LABELS[field][value] || value;
+
+/**
+ * Describe a single input change ("Projekttyp „Calisthenics / Outdoor Fitness“ statt „Spielplatz“")
+ * @param {string} field - Project data field
+ * @param {string} from - Current value
+ * @param {string} to - Changed value
+ * @returns {string} Description
+ */
+export const describeChange = (field, from, to) => {
+  return `${FIELD_LABELS[field]} „${formatValue(field, to)}“ statt „${formatValue(field, from)}“`;
+};
+
+/**
+ * One-input changes worth trying for a project
+ * @param {Object} projectData - Project form data
+ * @returns {Array} { field, from, to }
+ */
+export const getNearMissChanges = (projectData) => {
+  const changes = [];
+
+  const einsatzbereich = OTHER_EINSATZBEREICH[projectData.einsatzbereich];
+  if (einsatzbereich) {
+    changes.push({ field: 'einsatzbereich', from: projectData.einsatzbereich, to: einsatzbereich });
+  }
+
+  const projectType = OTHER_PROJECT_TYPE[projectData.projectType];
+  if (projectType) {
+    changes.push({ field: 'projectType', from: projectData.projectType, to: projectType });
+  }
+
+  // Neighbouring states only for Gemeinden on the border of the selected state
+  const location = lookupPostalCode(projectData.postalCode);
+  if (location && location.federalState === projectData.federalState) {
+    location.borderStates.forEach(state => {
+      changes.push({ field: 'federalState', from: projectData.federalState, to: state });
+    });
+  }
+
+  return changes;
+};
+
+/**
+ * Find programs that would match with one changed input
+ * @param {Object} projectData - Project form data
+ * @param {Array} currentPrograms - Programs the analysis already found
+ * @param {Function} filterPrograms - (projectData) => programs passing the analysis filters
+ * @returns {Array} { field, from, to, change, totalPrograms, programs: [{ name, source, fundingRate }] }
+ */
+export const findNearMisses = (projectData, currentPrograms, filterPrograms) => {
+  const currentNames = new Set((currentPrograms || []).map(program => program.name));
+
+  return getNearMissChanges(projectData)
+    .map(({ field, from, to }) => {
+      const changedProjectData = { ...projectData, [field]: to };
+      if (field === 'federalState') {
+        changedProjectData.postalCode = null; // The location lies in the selected state
+      }
+      if (field === 'einsatzbereich' && !isSiteTypeAvailable(projectData.siteType, to)) {
+        changedProjectData.siteType = null; // Site type not offered for the other area type
+      }
+      const programs = filterPrograms(changedProjectData)
+        .filter(program => !currentNames.has(program.name));
+
+      return {
+        field,
+        from,
+        to,
+        change: describeChange(field, from, to),
+        totalPrograms: programs.length,
+        programs: programs.slice(0, MAX_PROGRAMS_PER_CHANGE).map(({ name, source, fundingRate }) => ({ name, source, fundingRate }))
+      };
+    })
+    .filter(nearMiss => nearMiss.programs.length > 0);
+};
@@ -0,0 +1,89 @@
+/**
+ * Tests for the Near Miss Service
+ * Feature: near-miss-suggestions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getNearMissChanges, findNearMisses, describeChange } from './nearMissService.js';
+import { runFilterPipeline } from './filterPipeline.js';
+
+const programs = [
+  { name: 'Dorferneuerung Bremen', type: ['playground'], federalStates: ['HB'] },
+  { name: 'Bremer Bewegungsparcours', type: ['calisthenics'], federalStates: ['HB'] },
+  { name: 'Niedersachsen Spielplatzprogramm', type: ['playground'], federalStates: ['NI'] }
+];
+
+// Same filters as the analysis (simple preset)
+const filterPrograms = (projectData) => runFilterPipeline(programs, {
+  einsatzbereich: projectData.einsatzbereich,
+  federalState: projectData.federalState,
+  projectType: projectData.projectType
+}, { stages: 'simple' });
+
+const projectData = {
+  federalState: 'HB',
+  postalCode: '28195',
+  einsatzbereich: 'stadt-quartier',
+  projectType: 'playground'
+};
+
+describe('Near Miss Service', () => {
+
+  describe('getNearMissChanges', () => {
+    it('should try the other Einsatzbereich, project type and the neighbouring state', () => {
+      expect(getNearMissChanges(projectData)).toEqual([
+        { field: 'einsatzbereich', from: 'stadt-quartier', to: 'laendlicher-raum' },
+        { field: 'projectType', from: 'playground', to: 'calisthenics' },
+        { field: 'federalState', from: 'HB', to: 'NI' }
+      ]);
+    });
+
+    it('should only suggest neighbouring states for Gemeinden on the border', () => {
+      const changes = getNearMissChanges({ ...projectData, federalState: 'BY', postalCode: '80331' });
+      expect(changes.map(change => change.field)).toEqual(['einsatzbereich', 'projectType']);
+    });
+
+    it('should suggest the neighbouring state for border Gemeinden outside the city-states', () => {
+      const ulm = { ...projectData, federalState: 'BW', postalCode: '89073' };
+      const nearMisses = findNearMisses(ulm, [], (data) => runFilterPipeline([
+        { name: 'Bayerisches Spielplatzprogramm', type: ['playground'], federalStates: ['BY'] }
+      ], { einsatzbereich: data.einsatzbereich, federalState: data.federalState, projectType: data.projectType }, { stages: 'simple' }));
+
+      expect(getNearMissChanges(ulm)).toContainEqual({ field: 'federalState', from: 'BW', to: 'BY' });
+      expect(nearMisses.map(nearMiss => [nearMiss.change, nearMiss.programs.map(program => program.name)])).toEqual([
+        ['Bundesland „Bayern“ statt „Baden-Württemberg“', ['Bayerisches Spielplatzprogramm']]
+      ]);
+    });
+
+    it('should not change the project type of combination projects', () => {
+      const changes = getNearMissChanges({ ...projectData, projectType: 'combination', postalCode: null });
+      expect(changes.map(change => change.field)).toEqual(['einsatzbereich']);
+    });
+  });
+
+  describe('findNearMisses', () => {
+    it('should list the programs each single change would add', () => {
+      expect(filterPrograms(projectData)).toEqual([]);
+
+      const nearMisses = findNearMisses(projectData, [], filterPrograms);
+
+      expect(nearMisses.map(nearMiss => [nearMiss.change, nearMiss.programs.map(program => program.name)])).toEqual([
+        ['Einsatzbereich „Ländlicher Raum“ statt „Stadt / Quartier“', ['Dorferneuerung Bremen']],
+        ['Projekttyp „Calisthenics / Outdoor Fitness“ statt „Spielplatz“', ['Bremer Bewegungsparcours']],
+        ['Bundesland „Niedersachsen“ statt „Bremen“', ['Niedersachsen Spielplatzprogramm']]
+      ]);
+    });
+
+    it('should skip programs already in the results and changes without new programs', () => {
+      const nearMisses = findNearMisses(projectData, [{ name: 'Bremer Bewegungsparcours' }, { name: 'Niedersachsen Spielplatzprogramm' }], filterPrograms);
+
+      expect(nearMisses.map(nearMiss => nearMiss.field)).toEqual(['einsatzbereich']);
+    });
+  });
+
+  describe('describeChange', () => {
+    it('should fall back to the raw value for unknown codes', () => {
+      expect(describeChange('federalState', 'HB', 'XX')).toBe('Bundesland „XX“ statt „Bremen“');
+    });
+  });
+});
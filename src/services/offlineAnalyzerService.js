@@ -0,0 +1,254 @@
+/**
+ * Offline Analyzer Service
+ *
+ * Rule-based program analysis without Gemini: computes the fit score from the
+ * program data (state match, measures overlap, location type, funding rate,
+ * success rate) and derives program-specific reasons, risks and missing
+ * information. Used for the offline / demo mode and as a plausibility check
+ * of the Gemini fit scores.
+ *
+ * The fit score uses the Gemini scale (45-95): 45 + half of the weighted
+ * component total (0-100).
+ */
+
+import { getFundingModel, getFundingRateScore, calculateExpectedGrant, formatEuro, getProjectBudget } from './fundingAmountService.js';
+import { getProgramLocationType } from './filterStages.js';
+import { getEligibleApplicants, getApplicantTypeLabel } from './applicantEligibilityService.js';
+import { getApplicationStatus, APPLICATION_STATUS } from './applicationWindowService.js';
+import { PROGRAM_MEASURES } from '../data/programLabels.js';
+import { FORM_FEDERAL_STATES } from './programAdminService.js';
+import { evaluateMunicipalityRequirements } from './municipalityProfileService.js';
+import { getRegionRestriction, resolveProjectLocation, evaluateLocationRestriction } from './regionService.js';
+
+/**
+ * Component weights (sum 100) with display labels
+ */
+export const OFFLINE_SCORE_COMPONENTS = {
+  stateMatch: { label: 'Bundesland', weight: 25 },
+  measures: { label: 'Geplante Maßnahmen', weight: 25 },
+  locationType: { label: 'Einsatzbereich', weight: 15 },
+  fundingRate: { label: 'Förderquote / Förderbetrag', weight: 20 },
+  successRate: { label: 'Bewilligungschance', weight: 15 }
+};
+
+export const MIN_FIT_SCORE = 45;
+export const MAX_FIT_SCORE = 95;
+
+// Gemini and offline score differ by more than this → flagged as implausible
+export const SCORE_DEVIATION_THRESHOLD = 20;
+
+// Location types that suit each Einsatzbereich (share of the component)
+const LOCATION_MATCH = {
+  'stadt-quartier': { urban: 1, both: 0.7, rural: 0 },
+  'laendlicher-raum': { rural: 1, both: 0.7, urban: 0 }
+};
+
+const formatMeasureList = (measures) => measures.map(measure => PROGRAM_MEASURES[measure] || measure).join(', ');
+
+// Share of the state component: own Landesprogramm > multi-state > bundesweit
+const rateStateMatch = (program, federalState) => {
+  const states = program.federalStates || [];
+  if (federalState && states.includes(federalState)) {
+    return states.length === 1 ? 1 : 0.8;
+  }
+  return states.includes('all') ? 0.6 : 0;
+};
+
+// Share of the planned measures the program funds (neutral without data)
+const rateMeasures = (program, measures) => {
+  if (!measures || measures.length === 0 || !Array.isArray(program.measures)) {
+    return { share: 0.5, covered: [], missing: [] };
+  }
+  const covered = measures.filter(measure => program.measures.includes(measure));
+  const missing = measures.filter(measure => !program.measures.includes(measure));
+  return { share: covered.length / measures.length, covered, missing };
+};
+
+/**
+ * Analyze a program against the project without AI
+ * @param {Object} program - Funding program (with enhanced metadata)
+ * @param {Object} projectData - Project form data
+ * @param {Date|string} referenceDate - Day to evaluate application windows (defaults to today)
+ * @returns {Object} { fitScore, components, eligibility, whyItFits, risks, missingInfo, municipalityChecks }
+ */
+export const analyzeProgramOffline = (program, projectData = {}, referenceDate = new Date()) => {
+  const { federalState, einsatzbereich, measures, applicantType } = projectData;
+  const whyItFits = [];
+  const risks = [];
+  const missingInfo = [];
+
+  // Federal state
+  const stateShare = rateStateMatch(program, federalState);
+  const stateLabel = FORM_FEDERAL_STATES[federalState] || federalState;
+  if (stateShare === 1) {
+    whyItFits.push(`Landesprogramm für ${stateLabel}`);
+  } else if (stateShare === 0.8) {
+    whyItFits.push(`Verfügbar in ${stateLabel}`);
+  } else if (stateShare > 0) {
+    whyItFits.push('Bundesweit verfügbar');
+    risks.push('Bundesweites Programm – Konkurrenz mit Anträgen aus allen Ländern');
+  }
+
+  // Measures
+  const measureMatch = rateMeasures(program, measures);
+  if (measureMatch.covered.length > 0) {
+    whyItFits.push(`Fördert die geplanten Maßnahmen: ${formatMeasureList(measureMatch.covered)}`);
+  }
+  if (measureMatch.missing.length > 0) {
+    risks.push(`Nicht gefördert: ${formatMeasureList(measureMatch.missing)}`);
+  }
+  if (measures && measures.length > 0 && !Array.isArray(program.measures)) {
+    risks.push('Förderfähige Maßnahmen nicht hinterlegt – Förderrichtlinie prüfen');
+  }
+  if (!measures || measures.length === 0) {
+    missingInfo.push('Geplante Maßnahmen (Neubau, Sanierung, Ausstattung …)');
+  }
+
+  // Location type
+  const locationType = getProgramLocationType(program);
+  const locationMatch = LOCATION_MATCH[einsatzbereich];
+  const locationShare = locationMatch ? locationMatch[locationType] ?? 0.7 : 0.7;
+  if (locationShare === 1) {
+    whyItFits.push(locationType === 'urban'
+      ? 'Auf Städte und Quartiere ausgerichtet'
+      : 'Auf den ländlichen Raum ausgerichtet');
+  } else if (locationShare === 0) {
+    risks.push(locationType === 'urban'
+      ? 'Programm richtet sich an Städte und Quartiere'
+      : 'Programm richtet sich an den ländlichen Raum');
+  }
+
+  // Funding rate / amount
+  const fundingModel = getFundingModel(program);
+  const fundingShare = getFundingRateScore(fundingModel) / 100;
+  if (fundingModel.maxRate !== null && fundingModel.maxRate !== undefined) {
+    if (fundingModel.maxRate >= 60) {
+      whyItFits.push(`Förderquote bis ${fundingModel.maxRate} %`);
+    } else if (fundingModel.maxRate < 50) {
+      risks.push(`Niedrige Förderquote (max. ${fundingModel.maxRate} %) – hoher Eigenanteil`);
+    }
+  } else if (fundingModel.maxAmount) {
+    whyItFits.push(`Förderung bis ${formatEuro(fundingModel.maxAmount)}`);
+  } else {
+    risks.push('Förderquote nicht festgelegt – Eigenanteil im Einzelfall klären');
+  }
+
+  // Success rate
+  const successRate = typeof program.successRate === 'number' ? program.successRate : 50;
+  if (successRate >= 70) {
+    whyItFits.push(`Gute Bewilligungschance (ca. ${successRate} %)`);
+  } else if (successRate < 50) {
+    risks.push(`Geringe Bewilligungsquote (ca. ${successRate} %) – Antrag sorgfältig begründen`);
+  }
+
+  if (program.playgroundFundingHistory && projectData.projectType !== 'calisthenics') {
+    whyItFits.push('Hat bereits Spielplätze gefördert');
+  }
+
+  // Applicant type
+  const eligibleApplicants = getEligibleApplicants(program);
+  let eligibility = 'Voraussichtlich förderfähig';
+  if (applicantType && eligibleApplicants && eligibleApplicants.includes(applicantType)) {
+    eligibility = 'Förderfähig';
+    whyItFits.push(`Antragsberechtigt: ${getApplicantTypeLabel(applicantType)}`);
+  } else if (!applicantType) {
+    missingInfo.push('Antragsteller (Kommune, Verein, Träger …)');
+  } else if (!eligibleApplicants) {
+    risks.push('Antragsberechtigte nicht hinterlegt – Berechtigung beim Fördergeber erfragen');
+  }
+
+  // Municipality requirements (population, Finanzkraft, Fördergebiete) and the
+  // region restriction (e.g. LEADER membership), shown as their own checks
+  const municipality = evaluateMunicipalityRequirements(program, projectData.municipality);
+  const region = getRegionRestriction(program)
+    ? evaluateLocationRestriction(program, resolveProjectLocation(projectData))
+    : null;
+  if (region) {
+    municipality.checks.push({ requirement: 'region', ...region });
+  }
+  if (!municipality.isEligible || region?.passed === false) {
+    eligibility = 'Nicht förderfähig';
+  } else if (municipality.checks.some(check => check.passed === null)) {
+    eligibility = 'Vorbehaltlich kommunaler Voraussetzungen';
+  }
+
+  // Project budget
+  const projectBudget = getProjectBudget(projectData);
+  const expectedGrant = calculateExpectedGrant(program, projectBudget.amount);
+  if (projectBudget.isEstimated) {
+    missingInfo.push('Genaue Projektkosten (bisher aus der Fläche geschätzt)');
+  }
+  if (!expectedGrant) {
+    missingInfo.push('Projektkosten oder Fläche (für Fördersumme und Eigenanteil)');
+  } else if (!expectedGrant.meetsMinimumVolume) {
+    eligibility = 'Eingeschränkt förderfähig';
+    risks.push(`Projektkosten unter dem Mindestvolumen von ${formatEuro(fundingModel.minProjectVolume)}`);
+  } else if (expectedGrant.isRateUnknown) {
+    missingInfo.push(`Förderquote (bekannt ist nur der Förderhöchstbetrag von ${formatEuro(expectedGrant.maxGrant)})`);
+  } else if (expectedGrant.isCapped) {
+    risks.push(`Förderhöchstbetrag erreicht – Eigenanteil ca. ${formatEuro(expectedGrant.expectedEigenanteil)}`);
+  }
+
+  // Application window
+  const applicationStatus = getApplicationStatus(program, referenceDate);
+  if (applicationStatus.status === APPLICATION_STATUS.UPCOMING) {
+    risks.push(`Antragsfenster öffnet erst am ${applicationStatus.opensAt}`);
+  } else if (applicationStatus.status === APPLICATION_STATUS.OPEN && applicationStatus.daysUntilClose !== null &&
+             applicationStatus.daysUntilClose <= 30) {
+    risks.push(`Antragsfrist endet in ${applicationStatus.daysUntilClose} Tagen (${applicationStatus.closesAt})`);
+  }
+
+  const shares = {
+    stateMatch: stateShare,
+    measures: measureMatch.share,
+    locationType: locationShare,
+    fundingRate: fundingShare,
+    successRate: successRate / 100
+  };
+  const components = Object.entries(OFFLINE_SCORE_COMPONENTS).map(([key, { label, weight }]) => ({
+    key,
+    label,
+    weight,
+    points: Math.round(shares[key] * weight * 10) / 10
+  }));
+  const total = components.reduce((sum, component) => sum + component.points, 0);
+
+  return {
+    fitScore: Math.round(MIN_FIT_SCORE + Math.min(total, 100) * (MAX_FIT_SCORE - MIN_FIT_SCORE) / 100),
+    components,
+    eligibility,
+    whyItFits,
+    risks,
+    missingInfo,
+    municipalityChecks: municipality.checks
+  };
+};
+
+/**
+ * Analyze and rank programs offline (highest fit score first, ties keep the input order)
+ * @param {Array} programs - Filtered programs
+ * @param {Object} projectData - Project form data
+ * @param {Date|string} referenceDate - Day to evaluate application windows
+ * @returns {Array} { program, analysis } sorted by fit score
+ */
+export const rankProgramsOffline = (programs, projectData, referenceDate = new Date()) => {
+  return programs
+    .map((program, index) => ({ program, index, analysis: analyzeProgramOffline(program, projectData, referenceDate) }))
+    .sort((a, b) => b.analysis.fitScore - a.analysis.fitScore || a.index - b.index)
+    .map(({ program, analysis }) => ({ program, analysis }));
+};
+
+/**
+ * Compare a Gemini fit score with the offline score
+ * @param {number} aiFitScore - Fit score returned by Gemini
+ * @param {Object} offlineAnalysis - Result of analyzeProgramOffline
+ * @returns {Object} { offlineScore, deviation, isPlausible }
+ */
+export const checkFitScore = (aiFitScore, offlineAnalysis) => {
+  const offlineScore = offlineAnalysis.fitScore;
+  if (typeof aiFitScore !== 'number' || isNaN(aiFitScore)) {
+    return { offlineScore, deviation: null, isPlausible: false };
+  }
+  const deviation = Math.round(aiFitScore - offlineScore);
+  return { offlineScore, deviation, isPlausible: Math.abs(deviation) <= SCORE_DEVIATION_THRESHOLD };
+};
@@ -0,0 +1,141 @@
+/**
+ * Tests for the Offline Analyzer Service
+ * Feature: offline-scoring
+ */
+
+import { describe, it, expect } from 'vitest';
+import { analyzeProgramOffline, rankProgramsOffline, checkFitScore } from './offlineAnalyzerService.js';
+
+const REFERENCE_DATE = '2026-03-01';
+
+const stateProgram = {
+  name: 'Bayern Spielplatzförderung',
+  type: ['playground'],
+  federalStates: ['BY'],
+  measures: ['newBuild', 'renovation'],
+  eligibleApplicants: ['kommune'],
+  fundingRate: 'bis 80%',
+  successRate: 85,
+  playgroundFundingHistory: true
+};
+
+const federalProgram = {
+  name: 'Bundesprogramm Bewegung',
+  type: ['playground'],
+  federalStates: ['all'],
+  measures: ['newBuild'],
+  fundingRate: 'bis 40%',
+  successRate: 40
+};
+
+const projectData = {
+  federalState: 'BY',
+  einsatzbereich: 'stadt-quartier',
+  projectType: 'playground',
+  measures: ['newBuild', 'renovation'],
+  applicantType: 'kommune',
+  projectBudget: 100000
+};
+
+describe('Offline Analyzer Service', () => {
+
+  describe('analyzeProgramOffline', () => {
+    it('should score a matching state program high and explain why', () => {
+      const analysis = analyzeProgramOffline(stateProgram, projectData, REFERENCE_DATE);
+
+      expect(analysis.fitScore).toBeGreaterThanOrEqual(85);
+      expect(analysis.fitScore).toBeLessThanOrEqual(95);
+      expect(analysis.eligibility).toBe('Förderfähig');
+      expect(analysis.whyItFits).toContain('Landesprogramm für Bayern');
+      expect(analysis.whyItFits).toContain('Fördert die geplanten Maßnahmen: Neubau, Sanierung');
+      expect(analysis.whyItFits).toContain('Förderquote bis 80 %');
+      expect(analysis.risks).toEqual([]);
+    });
+
+    it('should derive risks from the program data', () => {
+      const analysis = analyzeProgramOffline(federalProgram, projectData, REFERENCE_DATE);
+
+      expect(analysis.risks).toContain('Nicht gefördert: Sanierung');
+      expect(analysis.risks).toContain('Niedrige Förderquote (max. 40 %) – hoher Eigenanteil');
+      expect(analysis.risks.some(risk => risk.startsWith('Geringe Bewilligungsquote'))).toBe(true);
+      expect(analysis.risks.some(risk => risk.startsWith('Antragsberechtigte nicht hinterlegt'))).toBe(true);
+      expect(analysis.eligibility).toBe('Voraussichtlich förderfähig');
+    });
+
+    it('should be deterministic and stay within the Gemini scale', () => {
+      const first = analyzeProgramOffline(federalProgram, projectData, REFERENCE_DATE);
+      const second = analyzeProgramOffline(federalProgram, projectData, REFERENCE_DATE);
+
+      expect(second).toEqual(first);
+      expect(first.fitScore).toBeGreaterThanOrEqual(45);
+      expect(first.fitScore).toBeLessThan(analyzeProgramOffline(stateProgram, projectData, REFERENCE_DATE).fitScore);
+    });
+
+    it('should penalize a mismatching location type', () => {
+      const ruralProgram = { ...stateProgram, name: 'Dorferneuerung Bayern' };
+      const urban = analyzeProgramOffline(ruralProgram, projectData, REFERENCE_DATE);
+      const rural = analyzeProgramOffline(ruralProgram, { ...projectData, einsatzbereich: 'laendlicher-raum' }, REFERENCE_DATE);
+
+      expect(rural.fitScore).toBeGreaterThan(urban.fitScore);
+      expect(urban.risks).toContain('Programm richtet sich an den ländlichen Raum');
+      expect(rural.whyItFits).toContain('Auf den ländlichen Raum ausgerichtet');
+    });
+
+    it('should list missing project information', () => {
+      const analysis = analyzeProgramOffline(stateProgram, { federalState: 'BY' }, REFERENCE_DATE);
+
+      expect(analysis.missingInfo).toEqual([
+        'Geplante Maßnahmen (Neubau, Sanierung, Ausstattung …)',
+        'Antragsteller (Kommune, Verein, Träger …)',
+        'Projektkosten oder Fläche (für Fördersumme und Eigenanteil)'
+      ]);
+    });
+
+    it('should flag projects below the minimum volume', () => {
+      const program = { ...stateProgram, fundingOverrides: { minProjectVolume: 250000 } };
+      const analysis = analyzeProgramOffline(program, projectData, REFERENCE_DATE);
+
+      expect(analysis.eligibility).toBe('Eingeschränkt förderfähig');
+      expect(analysis.risks.some(risk => risk.startsWith('Projektkosten unter dem Mindestvolumen'))).toBe(true);
+    });
+
+    it('should report an unknown LEADER membership as open check', () => {
+      const program = { ...stateProgram, regionRestriction: { regionTypes: ['leader'] } };
+      const analysis = analyzeProgramOffline(program, { ...projectData, postalCode: '80331' }, REFERENCE_DATE);
+
+      expect(analysis.eligibility).toBe('Vorbehaltlich kommunaler Voraussetzungen');
+      expect(analysis.municipalityChecks).toEqual([{
+        requirement: 'region',
+        passed: null,
+        reason: 'Nur in LEADER-Region verfügbar – Zugehörigkeit von München nicht hinterlegt'
+      }]);
+    });
+  });
+
+  describe('rankProgramsOffline', () => {
+    it('should sort by fit score and keep the input order on ties', () => {
+      const twin = { ...federalProgram, name: 'Bundesprogramm Bewegung II' };
+      const ranked = rankProgramsOffline([federalProgram, stateProgram, twin], projectData, REFERENCE_DATE);
+
+      expect(ranked.map(({ program }) => program.name)).toEqual([
+        'Bayern Spielplatzförderung',
+        'Bundesprogramm Bewegung',
+        'Bundesprogramm Bewegung II'
+      ]);
+    });
+  });
+
+  describe('checkFitScore', () => {
+    it('should flag Gemini scores that deviate strongly from the offline score', () => {
+      const analysis = analyzeProgramOffline(federalProgram, projectData, REFERENCE_DATE);
+
+      expect(checkFitScore(analysis.fitScore + 10, analysis).isPlausible).toBe(true);
+      expect(checkFitScore(analysis.fitScore + 25, analysis)).toEqual({
+        offlineScore: analysis.fitScore,
+        deviation: 25,
+        isPlausible: false
+      });
+      expect(checkFitScore(undefined, analysis).isPlausible).toBe(false);
+    });
+  });
+});
@@ -8,6 +8,7 @@ import * as fc from 'fast-check';
 import { 
   filterByState, 
   filterByType, 
+  filterByProjectType,
   filterByMeasures, 
   filterByRelevance,
   preFilterPrograms 
@@ -246,6 +247,37 @@ describe('Pre-Filter Service Property Tests', () => {
 // Unit Tests for specific examples and edge cases
 describe('Pre-Filter Service Unit Tests', () => {
   
+  describe('filterByProjectType', () => {
+    const programs = [
+      { name: 'Spielplatz', type: ['playground'] },
+      { name: 'Sportstätten', type: ['calisthenics', 'combination'] },
+      { name: 'Dorf', type: ['playground', 'calisthenics'] }
+    ];
+
+    it('should default to the playground path', () => {
+      const result = filterByProjectType(programs);
+
+      expect(result.map(p => p.name)).toEqual(['Spielplatz', 'Dorf']);
+      expect(result[0].matchedProjectTypes).toEqual(['playground']);
+    });
+
+    it('should search sports facility programs for calisthenics', () => {
+      const result = filterByProjectType(programs, 'calisthenics');
+
+      expect(result.map(p => p.name)).toEqual(['Sportstätten', 'Dorf']);
+    });
+
+    it('should merge both paths for combination projects and label the matches', () => {
+      const result = filterByProjectType(programs, 'combination');
+
+      expect(result.map(p => [p.name, p.matchedProjectTypes])).toEqual([
+        ['Spielplatz', ['playground']],
+        ['Sportstätten', ['calisthenics']],
+        ['Dorf', ['playground', 'calisthenics']]
+      ]);
+    });
+  });
+
   describe('filterByRelevance', () => {
     it('should exclude Level 4 programs when RelevanceEngine is provided', () => {
       const programs = [
@@ -0,0 +1,308 @@
+/**
+ * Program Admin Service
+ *
+ * Logic behind the admin view (ProgramAdmin.jsx): searching the program list,
+ * converting programs to form values and back, validating before save and
+ * writing through DatabaseUpdateService. Validation runs the required-field
+ * checks of the form plus validateAllMetadataFields and
+ * validateMetadataConsistency from metadataHelpers.js.
+ */
+
+import {
+  addEnhancedMetadata,
+  validateAllMetadataFields,
+  validateMetadataConsistency
+} from '../data/metadataHelpers.js';
+import { FederalStatePrioritizer } from './FederalStatePrioritizer.js';
+
+/**
+ * Federal states for the form, including the "bundesweit" marker
+ */
+export const FORM_FEDERAL_STATES = {
+  'all': 'Bundesweit',
+  ...FederalStatePrioritizer.FEDERAL_STATES
+};
+
+/**
+ * Enhanced metadata fields maintained in the form
+ */
+const METADATA_FIELDS = [
+  'relevanceLevel',
+  'isFederalStateSpecific',
+  'playgroundFundingHistory',
+  'programOrigin',
+  'implementationLevel',
+  'successRate'
+];
+
+/**
+ * Create a URL-safe program id from a name
+ * @param {string} name - Program name
+ * @returns {string} Id, e.g. "spielplatzprogramm-sachsen"
+ */
+export const createProgramId = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Search programs by name, id, description or federal state
+ * @param {Array} programs - Programs
+ * @param {string} query - Search text
+ * @returns {Array} Matching programs, sorted by name
+ */
+export const searchPrograms = (programs, query) => {
+  const needle = String(query || '').trim().toLowerCase();
+  const list = Array.isArray(programs) ? [...programs] : [];
+
+  const matches = needle
+    ? list.filter(program => {
+      const states = (program.federalStates || [])
+        .map(code => `${code} ${FORM_FEDERAL_STATES[code] || ''}`)
+        .join(' ');
+      const haystack = [program.name, program.id, program.description, states].join(' ').toLowerCase();
+      return haystack.includes(needle);
+    })
+    : list;
+
+  return matches.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Empty form values for a new program
+ * @returns {Object} Form values
+ */
+export const createEmptyFormValues = () => ({
+  id: '',
+  name: '',
+  description: '',
+  source: '',
+  fundingRate: '',
+  type: [],
+  federalStates: [],
+  measures: [],
+  eligibleApplicants: [],
+  category: 'core',
+  locationType: '',
+  classificationTypes: [],
+  useCases: [],
+  excludedUseCases: [],
+  relevanceLevel: '',
+  isFederalStateSpecific: null, // null: derived from the program data
+  playgroundFundingHistory: null,
+  programOrigin: '',
+  implementationLevel: '',
+  successRate: ''
+});
+
+/**
+ * Convert a program to form values
+ * @param {Object} program - Funding program
+ * @returns {Object} Form values
+ */
+export const programToFormValues = (program) => {
+  const empty = createEmptyFormValues();
+  if (!program) {
+    return empty;
+  }
+
+  const classification = program.classification || {};
+  return {
+    ...empty,
+    id: program.id || '',
+    name: program.name || '',
+    description: program.description || '',
+    source: program.source || '',
+    fundingRate: program.fundingRate || '',
+    type: [...(program.type || [])],
+    federalStates: [...(program.federalStates || [])],
+    measures: [...(program.measures || [])],
+    eligibleApplicants: [...(program.eligibleApplicants || [])],
+    category: program.category || empty.category,
+    locationType: program.locationType || empty.locationType,
+    classificationTypes: [...(classification.types || [])],
+    useCases: [...(classification.useCases || [])],
+    excludedUseCases: [...(classification.excludedUseCases || [])],
+    relevanceLevel: program.relevanceLevel ?? '',
+    isFederalStateSpecific: program.isFederalStateSpecific ?? empty.isFederalStateSpecific,
+    playgroundFundingHistory: program.playgroundFundingHistory ?? empty.playgroundFundingHistory,
+    programOrigin: program.programOrigin || '',
+    implementationLevel: program.implementationLevel || '',
+    successRate: program.successRate ?? ''
+  };
+};
+
+/**
+ * Build a program from form values
+ * Fields not covered by the form (e.g. applicationWindows) are kept from the original,
+ * except a stored `funding` snapshot: the funding model follows the edited fundingRate.
+ * Empty metadata fields are derived with addEnhancedMetadata.
+ * @param {Object} values - Form values
+ * @param {Object|null} original - Program being edited (null for new programs)
+ * @returns {Object} Program
+ */
+export const formValuesToProgram = (values, original = null) => {
+  const hasClassification = values.classificationTypes.length > 0 ||
+    values.useCases.length > 0 ||
+    values.excludedUseCases.length > 0;
+
+  const program = {
+    ...(original || {}),
+    id: values.id || createProgramId(values.name),
+    name: values.name.trim(),
+    description: values.description.trim(),
+    source: values.source.trim(),
+    fundingRate: values.fundingRate.trim(),
+    type: [...values.type],
+    federalStates: [...values.federalStates],
+    measures: [...values.measures],
+    eligibleApplicants: [...values.eligibleApplicants],
+    category: values.category,
+    classification: hasClassification
+      ? {
+        types: [...values.classificationTypes],
+        useCases: [...values.useCases],
+        excludedUseCases: [...values.excludedUseCases]
+      }
+      : null
+  };
+
+  // The funding model is derived from fundingRate; drop snapshots saved by older versions
+  delete program.funding;
+
+  // No location type: getProgramLocationType falls back to registry and name keywords
+  if (values.locationType) {
+    program.locationType = values.locationType;
+  } else {
+    delete program.locationType;
+  }
+
+  const derived = addEnhancedMetadata(program);
+  const toNumber = (value) => (value === '' || value === null || value === undefined ? undefined : Number(value));
+  const formMetadata = {
+    relevanceLevel: toNumber(values.relevanceLevel),
+    isFederalStateSpecific: values.isFederalStateSpecific ?? undefined,
+    playgroundFundingHistory: values.playgroundFundingHistory ?? undefined,
+    programOrigin: values.programOrigin || undefined,
+    implementationLevel: values.implementationLevel || undefined,
+    successRate: toNumber(values.successRate)
+  };
+
+  METADATA_FIELDS.forEach(field => {
+    program[field] = formMetadata[field] !== undefined ? formMetadata[field] : derived[field];
+  });
+
+  return program;
+};
+
+/**
+ * Derive the enhanced metadata fields from the other form values
+ * @param {Object} values - Form values
+ * @returns {Object} Form values with derived metadata
+ */
+export const deriveMetadataFormValues = (values) => {
+  const derived = addEnhancedMetadata(formValuesToProgram({
+    ...values,
+    relevanceLevel: '',
+    isFederalStateSpecific: null,
+    playgroundFundingHistory: null,
+    programOrigin: '',
+    implementationLevel: '',
+    successRate: ''
+  }));
+
+  return {
+    ...values,
+    relevanceLevel: derived.relevanceLevel,
+    isFederalStateSpecific: derived.isFederalStateSpecific,
+    playgroundFundingHistory: derived.playgroundFundingHistory,
+    programOrigin: derived.programOrigin,
+    implementationLevel: derived.implementationLevel,
+    successRate: derived.successRate
+  };
+};
+
+/**
+ * Validate a program before saving
+ * @param {Object} program - Program built with formValuesToProgram
+ * @param {Object} options - Options
+ * @param {Array} options.existingPrograms - Current programs (for duplicate checks)
+ * @param {Object|null} options.original - Program being edited (null for new programs)
+ * @returns {Object} { isValid, errors: [{ field, message }], warnings, sanitizedProgram }
+ */
+export const validateProgramForSave = (program, options = {}) => {
+  const { existingPrograms = [], original = null } = options;
+  const errors = [];
+
+  if (!program.name) {
+    errors.push({ field: 'name', message: 'Name ist erforderlich' });
+  }
+  if (!program.id) {
+    errors.push({ field: 'id', message: 'ID ist erforderlich' });
+  }
+  if (program.type.length === 0) {
+    errors.push({ field: 'type', message: 'Mindestens ein Projekttyp ist erforderlich' });
+  }
+  if (program.federalStates.length === 0) {
+    errors.push({ field: 'federalStates', message: 'Mindestens ein Bundesland ist erforderlich' });
+  }
+  if (program.federalStates.includes('all') && program.federalStates.length > 1) {
+    errors.push({ field: 'federalStates', message: '"Bundesweit" kann nicht mit einzelnen Ländern kombiniert werden' });
+  }
+  if (!program.fundingRate) {
+    errors.push({ field: 'fundingRate', message: 'Förderquote ist erforderlich' });
+  }
+  if (!/^https?:\/\/\S+$/.test(program.source)) {
+    errors.push({ field: 'source', message: 'Quelle muss eine http(s)-URL sein' });
+  }
+
+  const others = existingPrograms.filter(p => !original || (p.id !== original.id && p.name !== original.name));
+  if (others.some(p => p.id === program.id)) {
+    errors.push({ field: 'id', message: `ID '${program.id}' ist bereits vergeben` });
+  }
+  if (others.some(p => p.name === program.name)) {
+    errors.push({ field: 'name', message: `Ein Programm '${program.name}' existiert bereits` });
+  }
+
+  const metadata = validateAllMetadataFields(program);
+  metadata.errors.forEach(error => {
+    errors.push({ field: error.field, message: error.reason });
+  });
+
+  const consistency = validateMetadataConsistency(program);
+  consistency.inconsistencies.forEach(message => {
+    errors.push({ field: 'metadata', message });
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings: consistency.warnings,
+    sanitizedProgram: metadata.sanitizedProgram
+  };
+};
+
+/**
+ * Validate and save a program through DatabaseUpdateService
+ * @param {DatabaseUpdateService} databaseService - Database service
+ * @param {Object} program - Program built with formValuesToProgram
+ * @param {Object} options - Options
+ * @param {Array} options.existingPrograms - Current programs (for duplicate checks)
+ * @param {Object|null} options.original - Program being edited (null creates a new program)
+ * @returns {Promise<Object>} { success, validation, result }
+ */
+export const saveProgram = async (databaseService, program, options = {}) => {
+  const validation = validateProgramForSave(program, options);
+  if (!validation.isValid) {
+    return { success: false, validation, result: null };
+  }
+
+  const result = options.original
+    ? await databaseService.updateProgram(validation.sanitizedProgram)
+    : await databaseService.createProgram(validation.sanitizedProgram);
+
+  return { success: result.success, validation, result };
+};
@@ -0,0 +1,190 @@
+/**
+ * Tests for Program Admin Service
+ * Feature: program-admin
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createProgramId,
+  searchPrograms,
+  createEmptyFormValues,
+  programToFormValues,
+  formValuesToProgram,
+  deriveMetadataFormValues,
+  validateProgramForSave,
+  saveProgram
+} from './programAdminService.js';
+import { calculateExpectedGrant } from './fundingAmountService.js';
+import { InMemoryStorageAdapter, loadProgramsFromStorage } from './programStorage.js';
+import { DatabaseUpdateService } from './DatabaseUpdateService.js';
+import { fundingPrograms } from '../data/fundingPrograms.js';
+
+const newValues = () => ({
+  ...createEmptyFormValues(),
+  name: 'Spielplatzprogramm Musterland',
+  source: 'https://example.com/foerderung',
+  fundingRate: 'bis 50%',
+  type: ['playground'],
+  federalStates: ['SN'],
+  measures: ['newBuild']
+});
+
+describe('Program Admin Service', () => {
+
+  describe('createProgramId', () => {
+    it('should create URL-safe ids from German names', () => {
+      expect(createProgramId('Förderung Spielplätze (Thüringen)')).toBe('foerderung-spielplaetze-thueringen');
+      expect(createProgramId('')).toBe('');
+    });
+  });
+
+  describe('searchPrograms', () => {
+    it('should find programs by name, id and state name', () => {
+      expect(searchPrograms(fundingPrograms, 'leader bayern').map(p => p.id)).toContain('leader-bayern-2023-2027');
+      expect(searchPrograms(fundingPrograms, 'leader-bayern-2023').length).toBeGreaterThan(0);
+      expect(searchPrograms(fundingPrograms, 'Thüringen').every(p =>
+        p.federalStates.includes('TH') || `${p.name} ${p.description}`.includes('Thüringen')
+      )).toBe(true);
+    });
+
+    it('should return all programs sorted by name without query', () => {
+      const result = searchPrograms(fundingPrograms, '');
+      expect(result).toHaveLength(fundingPrograms.length);
+      expect(result[0].name.localeCompare(result[1].name)).toBeLessThanOrEqual(0);
+      expect(searchPrograms(null, 'x')).toEqual([]);
+    });
+  });
+
+  describe('form values', () => {
+    it('should round-trip a program through the form', () => {
+      const original = fundingPrograms.find(p => p.id === 'leader-bayern-2023-2027');
+      const program = formValuesToProgram(programToFormValues(original), original);
+
+      expect(program.id).toBe(original.id);
+      expect(program.type).toEqual(original.type);
+      expect(program.federalStates).toEqual(original.federalStates);
+      expect(program.regionRestriction).toEqual(original.regionRestriction);
+      expect(program.relevanceLevel).toBe(original.relevanceLevel);
+    });
+
+    it('should apply an edited funding rate to the expected grant', () => {
+      const original = { ...formValuesToProgram({ ...newValues(), fundingRate: 'bis 80%, max 20.000 EUR' }),
+        funding: { maxRate: 80, maxAmount: 20000 } };
+      const program = formValuesToProgram({ ...programToFormValues(original), fundingRate: '50%' }, original);
+
+      expect(program).not.toHaveProperty('funding');
+      expect(calculateExpectedGrant(program, 100000).expectedGrant).toBe(50000);
+    });
+
+    it('should derive id and metadata for new programs', () => {
+      const program = formValuesToProgram(newValues());
+
+      expect(program.id).toBe('spielplatzprogramm-musterland');
+      expect(program.relevanceLevel).toBe(1);
+      expect(program.isFederalStateSpecific).toBe(true);
+      expect(program.classification).toBeNull();
+      expect(program).not.toHaveProperty('locationType');
+    });
+
+    it('should store classification and location type when set', () => {
+      const program = formValuesToProgram({
+        ...newValues(),
+        locationType: 'rural',
+        useCases: ['laendlicher-raum']
+      });
+
+      expect(program.locationType).toBe('rural');
+      expect(program.classification).toEqual({ types: [], useCases: ['laendlicher-raum'], excludedUseCases: [] });
+    });
+
+    it('should fill the metadata fields on request', () => {
+      const values = deriveMetadataFormValues(newValues());
+      expect(values.programOrigin).toBe('state');
+      expect(values.successRate).toBe(90);
+    });
+  });
+
+  describe('validateProgramForSave', () => {
+    it('should accept a complete program', () => {
+      const result = validateProgramForSave(formValuesToProgram(newValues()), { existingPrograms: fundingPrograms });
+      expect(result.errors).toEqual([]);
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should require the core fields', () => {
+      const result = validateProgramForSave(formValuesToProgram(createEmptyFormValues()));
+      const fields = result.errors.map(error => error.field);
+
+      expect(result.isValid).toBe(false);
+      expect(fields).toEqual(expect.arrayContaining(['name', 'id', 'type', 'federalStates', 'fundingRate', 'source']));
+    });
+
+    it('should reject duplicate names for new programs only', () => {
+      const original = fundingPrograms[0];
+      const values = programToFormValues(original);
+
+      expect(validateProgramForSave(formValuesToProgram({ ...values, id: 'x' }), { existingPrograms: fundingPrograms }).isValid).toBe(false);
+      expect(validateProgramForSave(formValuesToProgram(values, original), { existingPrograms: fundingPrograms, original }).errors
+        .filter(error => error.field === 'name')).toEqual([]);
+    });
+
+    it('should report validateAllMetadataFields errors', () => {
+      const program = formValuesToProgram({ ...newValues(), successRate: '150' });
+      const result = validateProgramForSave(program);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.some(error => error.field === 'successRate')).toBe(true);
+    });
+
+    it('should report validateMetadataConsistency inconsistencies', () => {
+      const program = formValuesToProgram({ ...newValues(), programOrigin: 'state', implementationLevel: 'national' });
+      const result = validateProgramForSave(program);
+
+      expect(result.errors).toContainEqual({ field: 'metadata', message: 'State programs should not have national implementation level' });
+    });
+  });
+
+  describe('saveProgram', () => {
+    let storage;
+    let service;
+
+    beforeEach(async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      storage = new InMemoryStorageAdapter();
+      await loadProgramsFromStorage(storage);
+      service = new DatabaseUpdateService(null, storage);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should create new programs that show up after reload', async () => {
+      const program = formValuesToProgram(newValues());
+      const { success } = await saveProgram(service, program, { existingPrograms: fundingPrograms });
+
+      expect(success).toBe(true);
+      const reloaded = await loadProgramsFromStorage(storage);
+      expect(reloaded.find(p => p.id === program.id).category).toBe('core');
+    });
+
+    it('should update existing programs', async () => {
+      const original = (await loadProgramsFromStorage(storage)).find(p => p.id === 'leader-bayern-2023-2027');
+      const program = formValuesToProgram({ ...programToFormValues(original), fundingRate: 'bis 80%' }, original);
+
+      const { success } = await saveProgram(service, program, { existingPrograms: fundingPrograms, original });
+
+      expect(success).toBe(true);
+      expect((await storage.get('leader-bayern-2023-2027')).fundingRate).toBe('bis 80%');
+    });
+
+    it('should not write invalid programs', async () => {
+      const create = vi.spyOn(service, 'createProgram');
+      const { success, result } = await saveProgram(service, formValuesToProgram(createEmptyFormValues()));
+
+      expect(success).toBe(false);
+      expect(result).toBeNull();
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,334 @@
+/**
+ * Program Import Service
+ *
+ * Bulk import of funding programs from spreadsheets (CSV / XLSX, see
+ * spreadsheetParser.js). The first row holds the column headers; German and
+ * English headers are accepted ("Förderquote" or "fundingRate"). Rows are
+ * matched to existing programs by id, then by name (including legacy names of
+ * the program registry). Empty cells keep the existing value.
+ *
+ * The import runs in two steps:
+ *   1. buildImportPreview: field-level diff of additions, changes and
+ *      (optionally) removals, with validateProgramBatch errors per row
+ *   2. applyImportPreview: writes the approved, error-free entries through
+ *      DatabaseUpdateService.updateProgramsBulk (and deleteProgramsBulk)
+ */
+
+import { addEnhancedMetadata, validateProgramBatch } from '../data/metadataHelpers.js';
+import { resolveProgramId } from '../data/programRegistry.js';
+import {
+  PROGRAM_TYPES,
+  PROGRAM_MEASURES,
+  LOCATION_TYPES,
+  PROGRAM_CATEGORIES,
+  PROGRAM_ORIGINS,
+  IMPLEMENTATION_LEVELS
+} from '../data/programLabels.js';
+import { diffPrograms } from './auditLogService.js';
+import { normalizeKey } from './spreadsheetParser.js';
+import { APPLICANT_TYPES } from './applicantEligibilityService.js';
+import { FORM_FEDERAL_STATES, createProgramId } from './programAdminService.js';
+
+/**
+ * Importable fields with their accepted column headers and value conversion.
+ * `labels` maps codes to display labels; cells may contain either.
+ */
+export const IMPORT_COLUMNS = {
+  id: { headers: ['id', 'Programm-ID'], kind: 'text' },
+  name: { headers: ['name', 'Name', 'Programm', 'Programmname'], kind: 'text' },
+  description: { headers: ['description', 'Beschreibung'], kind: 'text' },
+  source: { headers: ['source', 'Quelle', 'URL', 'Link'], kind: 'text' },
+  fundingRate: { headers: ['fundingRate', 'Förderquote', 'Quote'], kind: 'text' },
+  type: { headers: ['type', 'Typ', 'Projekttyp', 'Projekttypen'], kind: 'list', labels: PROGRAM_TYPES },
+  federalStates: { headers: ['federalStates', 'Bundesland', 'Bundesländer', 'Länder'], kind: 'list', labels: FORM_FEDERAL_STATES },
+  measures: { headers: ['measures', 'Maßnahmen'], kind: 'list', labels: PROGRAM_MEASURES },
+  eligibleApplicants: { headers: ['eligibleApplicants', 'Antragsberechtigte', 'Antragsteller'], kind: 'list', labels: APPLICANT_TYPES },
+  locationType: { headers: ['locationType', 'Gebietstyp', 'Lage'], kind: 'code', labels: LOCATION_TYPES },
+  category: { headers: ['category', 'Kategorie'], kind: 'code', labels: PROGRAM_CATEGORIES },
+  relevanceLevel: { headers: ['relevanceLevel', 'Relevanzstufe', 'Relevanz'], kind: 'number' },
+  successRate: { headers: ['successRate', 'Erfolgsquote'], kind: 'number' },
+  programOrigin: { headers: ['programOrigin', 'Herkunft', 'Mittelherkunft'], kind: 'code', labels: PROGRAM_ORIGINS },
+  implementationLevel: { headers: ['implementationLevel', 'Umsetzungsebene'], kind: 'code', labels: IMPLEMENTATION_LEVELS }
+};
+
+/**
+ * Metadata fields checked by validateProgramBatch
+ */
+const METADATA_FIELDS = ['relevanceLevel', 'successRate', 'programOrigin', 'implementationLevel'];
+
+const headerIndex = new Map();
+Object.entries(IMPORT_COLUMNS).forEach(([field, column]) => {
+  column.headers.forEach(header => headerIndex.set(normalizeKey(header), field));
+});
+
+/**
+ * Resolve a cell value to a code ("Bayern" -> "BY", "bundesweit" -> "all")
+ * @param {string} value - Cell value
+ * @param {Object} labels - Code -> label map
+ * @returns {string|null} Code or null if unknown
+ */
+const resolveCode = (value, labels) => {
+  const key = normalizeKey(value);
+  const match = Object.entries(labels).find(([code, label]) => normalizeKey(code) === key || normalizeKey(label) === key);
+  return match ? match[0] : null;
+};
+
+/**
+ * Convert a cell to a field value
+ * @param {string} field - Field name
+ * @param {string} cell - Cell value (not empty)
+ * @returns {Object} { value, error }
+ */
+const convertCell = (field, cell) => {
+  const column = IMPORT_COLUMNS[field];
+
+  if (column.kind === 'list') {
+    const values = cell.split(/[;,|]/).map(value => value.trim()).filter(Boolean);
+    const codes = values.map(value => resolveCode(value, column.labels));
+    const unknown = values.filter((_, index) => codes[index] === null);
+    return unknown.length > 0
+      ? { value: values, error: `Unbekannte Werte: ${unknown.join(', ')}` }
+      : { value: [...new Set(codes)] };
+  }
+
+  if (column.kind === 'code') {
+    const code = resolveCode(cell, column.labels);
+    return code ? { value: code } : { value: cell, error: `Unbekannter Wert: ${cell}` };
+  }
+
+  if (column.kind === 'number') {
+    // Invalid numbers are passed on as text and reported by the metadata validation
+    const number = Number(cell.replace('%', '').replace(',', '.').trim());
+    return { value: Number.isNaN(number) ? cell : number };
+  }
+
+  return { value: cell };
+};
+
+/**
+ * Map spreadsheet rows (first row = headers) to import rows
+ * @param {Array} rows - Rows as arrays of strings (see parseSpreadsheet)
+ * @returns {Object} { importRows: [{ rowNumber, fields, errors }], columns, ignoredColumns }
+ */
+export const mapImportRows = (rows) => {
+  const [headers = [], ...dataRows] = rows;
+  const columns = headers.map(header => headerIndex.get(normalizeKey(header)) || null);
+
+  if (!columns.includes('id') && !columns.includes('name')) {
+    throw new Error('Die Tabelle braucht eine Spalte "Name" oder "ID"');
+  }
+
+  const importRows = dataRows.map((row, index) => {
+    const fields = {};
+    const errors = [];
+
+    columns.forEach((field, column) => {
+      const cell = String(row[column] ?? '').trim();
+      if (!field || cell === '') return;
+
+      const { value, error } = convertCell(field, cell);
+      fields[field] = value;
+      if (error) {
+        errors.push({ field, message: error });
+      }
+    });
+
+    return { rowNumber: index + 2, fields, errors };
+  });
+
+  return {
+    importRows,
+    columns: columns.filter(Boolean),
+    ignoredColumns: headers.filter((header, index) => !columns[index] && String(header).trim() !== '')
+  };
+};
+
+/**
+ * Find the existing program a row refers to
+ * @param {Object} fields - Row fields
+ * @param {Array} existingPrograms - Current programs
+ * @returns {Object|null} Existing program
+ */
+const findExistingProgram = (fields, existingPrograms) => {
+  const byId = (id) => id ? existingPrograms.find(program => program.id === id) : null;
+  return byId(fields.id) ||
+    (fields.name ? existingPrograms.find(program => program.name === fields.name) : null) ||
+    byId(resolveProgramId(fields.name)) ||
+    null;
+};
+
+/**
+ * Create a program from the fields of a row without match; metadata not given
+ * in the file is derived like for the bundled programs
+ * @param {Object} fields - Row fields
+ * @returns {Object} New program
+ */
+const createNewProgram = (fields) => {
+  const program = { id: fields.id || createProgramId(fields.name), ...fields };
+  return program.name ? { ...addEnhancedMetadata({ type: [], federalStates: [], ...program }), ...fields } : program;
+};
+
+/**
+ * Required-field checks for rows that create a program
+ * @param {Object} program - New program
+ * @returns {Array} Errors
+ */
+const validateNewProgram = (program) => {
+  const errors = [];
+  if (!program.name) {
+    errors.push({ field: 'name', message: 'Name ist für neue Programme erforderlich' });
+  }
+  if (!program.type || program.type.length === 0) {
+    errors.push({ field: 'type', message: 'Mindestens ein Projekttyp ist erforderlich' });
+  }
+  if (!program.federalStates || program.federalStates.length === 0) {
+    errors.push({ field: 'federalStates', message: 'Mindestens ein Bundesland ist erforderlich' });
+  }
+  return errors;
+};
+
+/**
+ * Run validateProgramBatch on the candidate programs and attach the errors to their entries.
+ * Values the metadata validation had to replace by a fallback count as errors as well,
+ * the import would otherwise silently store something else than the spreadsheet says.
+ * @param {Array} allEntries - Preview entries with candidate programs
+ */
+const attachBatchValidation = (allEntries) => {
+  // Rows without a name already carry a required-field error
+  const entries = allEntries.filter(entry => entry.program.name);
+  const batch = validateProgramBatch(entries.map(entry => entry.program));
+  const invalid = new Map(batch.invalidPrograms.map(result => [result.program, result.errors]));
+  const validPrograms = [...batch.validPrograms];
+
+  entries.forEach(entry => {
+    if (invalid.has(entry.program)) {
+      invalid.get(entry.program).forEach(error => {
+        entry.errors.push(typeof error === 'string'
+          ? { field: 'program', message: error }
+          : { field: error.field, message: error.reason });
+      });
+      return;
+    }
+
+    const sanitized = validPrograms.shift();
+    METADATA_FIELDS
+      .filter(field => field in entry.fields && sanitized[field] !== entry.program[field])
+      .forEach(field => {
+        entry.errors.push({ field, message: `Ungültiger Wert '${entry.program[field]}'` });
+      });
+  });
+};
+
+/**
+ * Copy of a stored program without the `funding` snapshot saved by older versions
+ * @param {Object} program - Stored program
+ * @returns {Object} Program without `funding`
+ */
+const withoutFundingSnapshot = (program) => {
+  const copy = { ...program };
+  delete copy.funding;
+  return copy;
+};
+
+/**
+ * Build the diff preview of an import
+ * @param {Array} importRows - Rows from mapImportRows
+ * @param {Array} existingPrograms - Current programs
+ * @param {Object} options - Options
+ * @param {boolean} options.detectRemovals - Programs missing in the file are proposed for removal
+ * @returns {Object} { additions, changes, removals, unchanged, rowErrors }
+ *   Entries: { key, rowNumber, program, before, diff, errors } (program is null for removals)
+ */
+export const buildImportPreview = (importRows, existingPrograms, options = {}) => {
+  const { detectRemovals = false } = options;
+  const seenRows = new Map();
+  const entries = [];
+
+  importRows.forEach(row => {
+    const before = findExistingProgram(row.fields, existingPrograms);
+    // Funding snapshots of older versions would hide an imported Förderquote; the model follows fundingRate
+    const current = before ? withoutFundingSnapshot(before) : null;
+    const program = current
+      ? { ...current, ...row.fields, id: before.id }
+      : createNewProgram(row.fields);
+    const key = program.id || program.name;
+    const errors = [...row.errors];
+
+    if (seenRows.has(key)) {
+      errors.push({ field: 'name', message: `Programm kommt bereits in Zeile ${seenRows.get(key)} vor` });
+    } else {
+      seenRows.set(key, row.rowNumber);
+    }
+    if (!before) {
+      errors.push(...validateNewProgram(program));
+    }
+
+    entries.push({ key, rowNumber: row.rowNumber, fields: row.fields, program, before, diff: diffPrograms(current, program), errors });
+  });
+
+  attachBatchValidation(entries);
+
+  const removals = detectRemovals
+    ? existingPrograms
+      .filter(program => !entries.some(entry => entry.before === program))
+      .map(program => ({
+        key: program.id || program.name,
+        rowNumber: null,
+        program: null,
+        before: program,
+        diff: diffPrograms(program, null),
+        errors: []
+      }))
+    : [];
+
+  const toEntry = ({ fields, ...entry }) => entry;
+
+  return {
+    additions: entries.filter(entry => !entry.before).map(toEntry),
+    changes: entries.filter(entry => entry.before && entry.diff.length > 0).map(toEntry),
+    removals,
+    unchanged: entries.filter(entry => entry.before && entry.diff.length === 0).map(toEntry),
+    rowErrors: entries
+      .filter(entry => entry.errors.length > 0)
+      .map(entry => ({ rowNumber: entry.rowNumber, key: entry.key, errors: entry.errors }))
+  };
+};
+
+/**
+ * Apply the approved entries of a preview
+ * @param {Object} databaseService - DatabaseUpdateService instance
+ * @param {Object} preview - Preview from buildImportPreview
+ * @param {Object} options - Options
+ * @param {Array} options.approvedKeys - Keys of the approved entries (default: all)
+ * @param {string} options.user - User recorded in the audit log
+ * @returns {Promise<Object>} { success, appliedCount, updateResult, deleteResult, message }
+ */
+export const applyImportPreview = async (databaseService, preview, options = {}) => {
+  const { approvedKeys = null, user } = options;
+  const isApproved = (entry) => entry.errors.length === 0 && (!approvedKeys || approvedKeys.includes(entry.key));
+
+  const upserts = [...preview.additions, ...preview.changes].filter(isApproved).map(entry => entry.program);
+  const removals = preview.removals.filter(isApproved).map(entry => entry.key);
+
+  if (upserts.length === 0 && removals.length === 0) {
+    return { success: false, appliedCount: 0, updateResult: null, deleteResult: null, message: 'Keine freigegebenen Änderungen' };
+  }
+
+  const updateResult = upserts.length > 0
+    ? await databaseService.updateProgramsBulk(upserts, { allowCreate: true, updateType: 'import', user })
+    : null;
+  const deleteResult = removals.length > 0
+    ? await databaseService.deleteProgramsBulk(removals, { deletionType: 'import', user })
+    : null;
+
+  const results = [updateResult, deleteResult].filter(Boolean);
+  const appliedCount = (updateResult?.updatedCount || 0) + (deleteResult?.deletedCount || 0);
+
+  return {
+    success: results.every(result => result.success),
+    appliedCount,
+    updateResult,
+    deleteResult,
+    message: `${appliedCount} von ${upserts.length + removals.length} Änderungen übernommen`
+  };
+};
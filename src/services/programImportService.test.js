@@ -0,0 +1,159 @@
+/**
+ * Tests for Program Import Service
+ * Feature: program-import
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mapImportRows, buildImportPreview, applyImportPreview } from './programImportService.js';
+import { parseCsv } from './spreadsheetParser.js';
+import { addEnhancedMetadata } from '../data/metadataHelpers.js';
+import { InMemoryStorageAdapter } from './programStorage.js';
+import { DatabaseUpdateService } from './DatabaseUpdateService.js';
+import { RelevanceEngine } from './RelevanceEngine.js';
+import { calculateExpectedGrant } from './fundingAmountService.js';
+
+const programA = addEnhancedMetadata({
+  id: 'program-a', name: 'Program A', federalStates: ['BY'], type: ['playground'], fundingRate: '50%', source: 'https://a.example'
+});
+const programB = addEnhancedMetadata({
+  id: 'program-b', name: 'Program B', federalStates: ['all'], type: ['playground'], fundingRate: '60%', source: 'https://b.example'
+});
+
+/**
+ * Parse a CSV and build the preview against the given programs
+ */
+const previewCsv = (csv, programs = [programA, programB], options = {}) => {
+  return buildImportPreview(mapImportRows(parseCsv(csv)).importRows, programs, options);
+};
+
+describe('Program Import Service', () => {
+
+  describe('mapImportRows', () => {
+    it('should map German and English headers and convert values', () => {
+      const { importRows, ignoredColumns } = mapImportRows(parseCsv([
+        'Name;Förderquote;Bundesländer;Projekttyp;Relevanzstufe;Notiz',
+        'Program A;bis 70%;Bayern, Sachsen;Spielplatz | calisthenics;2;intern'
+      ].join('\n')));
+
+      expect(importRows).toEqual([{
+        rowNumber: 2,
+        fields: { name: 'Program A', fundingRate: 'bis 70%', federalStates: ['BY', 'SN'], type: ['playground', 'calisthenics'], relevanceLevel: 2 },
+        errors: []
+      }]);
+      expect(ignoredColumns).toEqual(['Notiz']);
+    });
+
+    it('should accept "bundesweit" and report unknown codes', () => {
+      const { importRows } = mapImportRows([['name', 'federalStates', 'programOrigin'], ['X', 'bundesweit', 'Mond']]);
+      expect(importRows[0].fields.federalStates).toEqual(['all']);
+      expect(importRows[0].errors).toEqual([{ field: 'programOrigin', message: 'Unbekannter Wert: Mond' }]);
+    });
+
+    it('should require a name or id column', () => {
+      expect(() => mapImportRows([['Förderquote'], ['50%']])).toThrow('Name');
+    });
+  });
+
+  describe('buildImportPreview', () => {
+    it('should classify additions, changes and unchanged rows with field diffs', () => {
+      const preview = previewCsv([
+        'id;name;fundingRate;type;federalStates',
+        'program-a;;70%;;',
+        ';Program B;;;',
+        ';Program C;40%;playground;HE'
+      ].join('\n'));
+
+      expect(preview.changes).toHaveLength(1);
+      expect(preview.changes[0].diff).toEqual([{ field: 'fundingRate', before: '50%', after: '70%' }]);
+      expect(preview.unchanged.map(entry => entry.key)).toEqual(['program-b']);
+      expect(preview.additions.map(entry => entry.key)).toEqual(['program-c']);
+      expect(preview.additions[0].program.relevanceLevel).toBe(1);
+      expect(preview.rowErrors).toEqual([]);
+    });
+
+    it('should apply an imported Förderquote to the expected grant', () => {
+      const stored = { ...programA, fundingRate: 'bis 80%, max 20.000 EUR', funding: { maxRate: 80, maxAmount: 20000 } };
+      const preview = previewCsv('id;fundingRate\nprogram-a;50%', [stored]);
+
+      expect(preview.changes[0].diff).toEqual([{ field: 'fundingRate', before: 'bis 80%, max 20.000 EUR', after: '50%' }]);
+      expect(preview.changes[0].program).not.toHaveProperty('funding');
+      expect(calculateExpectedGrant(preview.changes[0].program, 100000).expectedGrant).toBe(50000);
+    });
+
+    it('should match rows by legacy registry names', () => {
+      const leader = addEnhancedMetadata({ id: 'leader-nordrhein-westfalen-2023-2027', name: 'LEADER Nordrhein-Westfalen 2023-2027', federalStates: ['NW'], type: ['playground'], fundingRate: '50%' });
+      const preview = previewCsv('name;fundingRate\nLEADER Nordrhein-Westfalen;60%', [leader]);
+
+      expect(preview.additions).toEqual([]);
+      expect(preview.changes[0].key).toBe('leader-nordrhein-westfalen-2023-2027');
+    });
+
+    it('should report validateProgramBatch errors per row', () => {
+      const preview = previewCsv('name;successRate;relevanceLevel\nProgram A;150;2\nProgram B;80;sehr hoch');
+
+      expect(preview.rowErrors.map(row => row.rowNumber)).toEqual([2, 3]);
+      expect(preview.rowErrors[0].errors[0].field).toBe('successRate');
+      expect(preview.rowErrors[1].errors[0]).toEqual({ field: 'relevanceLevel', message: "Ungültiger Wert 'sehr hoch'" });
+    });
+
+    it('should require core fields for new programs and flag duplicate rows', () => {
+      const preview = previewCsv('name;fundingRate\nProgram C;40%\nProgram A;70%\nProgram A;80%');
+
+      expect(preview.rowErrors[0].errors.map(error => error.field)).toEqual(['type', 'federalStates']);
+      expect(preview.rowErrors[1]).toMatchObject({ rowNumber: 4, errors: [{ message: 'Programm kommt bereits in Zeile 3 vor' }] });
+    });
+
+    it('should propose programs missing in the file for removal only on request', () => {
+      expect(previewCsv('name\nProgram A').removals).toEqual([]);
+
+      const preview = previewCsv('name\nProgram A', [programA, programB], { detectRemovals: true });
+      expect(preview.removals.map(entry => entry.key)).toEqual(['program-b']);
+      expect(preview.removals[0].diff.every(change => change.after === null)).toBe(true);
+    });
+  });
+
+  describe('applyImportPreview', () => {
+    let storage;
+    let engine;
+    let service;
+
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      storage = new InMemoryStorageAdapter([programA, programB]);
+      engine = new RelevanceEngine([programA, programB]);
+      service = new DatabaseUpdateService(engine, storage, { user: 'anna' });
+    });
+
+    afterEach(() => {
+      service.destroy();
+      vi.restoreAllMocks();
+    });
+
+    it('should apply approved changes through the bulk update', async () => {
+      const bulkUpdate = vi.spyOn(service, 'updateProgramsBulk');
+      const preview = previewCsv('name;fundingRate;type;federalStates\nProgram A;70%;;\nProgram C;40%;playground;HE', [programA, programB], { detectRemovals: true });
+
+      const result = await applyImportPreview(service, preview, { approvedKeys: ['program-a', 'program-c', 'program-b'] });
+
+      expect(result.success).toBe(true);
+      expect(result.appliedCount).toBe(3);
+      expect(bulkUpdate).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({ allowCreate: true }));
+      expect((await storage.get('program-a')).fundingRate).toBe('70%');
+      expect(await storage.get('program-c')).not.toBeNull();
+      expect(await storage.get('program-b')).toBeNull();
+      expect(engine.findProgram('program-c')).not.toBeNull();
+      expect(engine.findProgram('program-b')).toBeUndefined();
+      expect((await service.getAuditLog()).map(entry => entry.action)).toEqual(['bulk_update', 'bulk_update', 'delete']);
+    });
+
+    it('should skip rows that are not approved or have errors', async () => {
+      const preview = previewCsv('name;fundingRate;successRate\nProgram A;70%;\nProgram B;80%;150');
+
+      const result = await applyImportPreview(service, preview, { approvedKeys: ['program-b'] });
+
+      expect(result.success).toBe(false);
+      expect(result.appliedCount).toBe(0);
+      expect((await storage.get('program-a')).fundingRate).toBe('50%');
+    });
+  });
+});
@@ -0,0 +1,385 @@
+/**
+ * Program Search Service
+ *
+ * Full-text search over the program catalog ("inklusiv", "Schulhof",
+ * "Bewegungsparcours"). The in-memory index covers name, description and the
+ * classification fields (project types, measures, use cases, location type,
+ * applicants, federal states).
+ *
+ * German-aware tokenization:
+ * - umlaut / ß folding (ä and ae → a, ß → ss), so "Grünfläche" finds "Gruenflaeche"
+ * - light suffix stemming ("Spielplätze" → "spielplatz")
+ * - compound splitting against the index vocabulary ("Spielplatzsanierung" → spielplatz + sanierung)
+ * - synonyms from the RelevanceClassifier keyword lists (e.g. "Outdoor-Fitness" ↔ "Calisthenics")
+ *
+ * Every query word must match (itself, a compound part, a synonym or a prefix);
+ * results are ranked by field weight and term rarity and carry highlight segments
+ * and facet counts.
+ */
+
+import { RelevanceClassifier } from './RelevanceClassifier.js';
+import { PROGRAM_TYPES, PROGRAM_MEASURES, USE_CASES, LOCATION_TYPES } from '../data/programLabels.js';
+import { FORM_FEDERAL_STATES } from './programAdminService.js';
+import { APPLICANT_TYPES } from './applicantEligibilityService.js';
+import { getProgramClassification, getProgramLocationType } from './filterStages.js';
+
+/**
+ * Indexed fields with their ranking weight
+ */
+const FIELD_WEIGHTS = {
+  name: 3,
+  classification: 2,
+  description: 1
+};
+
+/**
+ * Weight of a query term by how it was derived from the query word
+ */
+const TERM_WEIGHTS = {
+  exact: 1,
+  compound: 0.7,
+  prefix: 0.6,
+  synonym: 0.5
+};
+
+/**
+ * Words that never carry meaning on their own (already folded)
+ */
+const STOPWORDS = new Set([
+  'und', 'oder', 'der', 'die', 'das', 'des', 'den', 'dem', 'ein', 'eine', 'einer', 'eines',
+  'von', 'fur', 'im', 'in', 'mit', 'zur', 'zum', 'auf', 'an', 'bei', 'aus', 'als', 'am'
+]);
+
+const MIN_PART_LENGTH = 4;
+const MIN_PREFIX_LENGTH = 3;
+const STEM_SUFFIXES = ['ern', 'em', 'en', 'er', 'es', 'e', 's'];
+const LINKING_ELEMENTS = ['', 's', 'es', 'n', 'en'];
+
+/**
+ * Search facets: how to read a program's values and their display labels
+ */
+export const SEARCH_FACETS = {
+  federalState: { label: 'Bundesland', getValues: program => program.federalStates || [], labels: FORM_FEDERAL_STATES },
+  type: { label: 'Projekttyp', getValues: program => program.type || [], labels: PROGRAM_TYPES },
+  measures: { label: 'Maßnahmen', getValues: program => program.measures || [], labels: PROGRAM_MEASURES },
+  locationType: { label: 'Gebietstyp', getValues: program => [getProgramLocationType(program)], labels: LOCATION_TYPES },
+  applicant: { label: 'Antragsteller', getValues: program => program.eligibleApplicants || [], labels: APPLICANT_TYPES }
+};
+
+/**
+ * Fold German text for matching: lowercase, umlauts and ß
+ * @param {string} text - Text
+ * @returns {string} Folded text ("Grünflächen" → "grunflachen")
+ */
+export const normalizeGermanText = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/ä|ae/g, 'a').replace(/ö|oe/g, 'o').replace(/ü|ue/g, 'u').replace(/ß/g, 'ss');
+};
+
+/**
+ * Reduce a folded German word to its stem
+ * @param {string} word - Folded word
+ * @returns {string} Stem ("spielplatze" → "spielplatz", "sanierungen" → "sanierung")
+ */
+export const stemGermanWord = (word) => {
+  const suffix = STEM_SUFFIXES.find(ending => word.endsWith(ending) && word.length - ending.length >= MIN_PART_LENGTH);
+  return suffix ? word.slice(0, -suffix.length) : word;
+};
+
+/**
+ * Split text into stemmed, folded tokens
+ * @param {string} text - Text
+ * @returns {Array} Stems without stopwords
+ */
+export const tokenizeGerman = (text) => {
+  return (normalizeGermanText(text).match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(stemGermanWord);
+};
+
+/**
+ * Split a compound word into parts known to the vocabulary
+ * Prefers the longest leading part; allows linking elements ("bewegungs|parcours").
+ * @param {string} stem - Stemmed, folded word
+ * @param {Set} vocabulary - Known stems
+ * @returns {Array} Parts (at least two), or [] if the word cannot be split
+ */
+export const splitCompound = (stem, vocabulary) => {
+  for (let end = stem.length - MIN_PART_LENGTH; end >= MIN_PART_LENGTH; end--) {
+    const head = stem.slice(0, end);
+    if (!vocabulary.has(head)) {
+      continue;
+    }
+
+    for (const linking of LINKING_ELEMENTS) {
+      const rest = stem.slice(end);
+      if (!rest.startsWith(linking) || rest.length - linking.length < MIN_PART_LENGTH) {
+        continue;
+      }
+      const tail = rest.slice(linking.length);
+      if (vocabulary.has(tail)) {
+        return [head, tail];
+      }
+      const tailParts = splitCompound(tail, vocabulary);
+      if (tailParts.length > 0) {
+        return [head, ...tailParts];
+      }
+    }
+  }
+  return [];
+};
+
+/**
+ * Synonym groups from the RelevanceClassifier keyword lists, as stems
+ * @returns {Array} Sets of stems
+ */
+const buildSynonymGroups = () => {
+  const keywordLists = [
+    RelevanceClassifier.PLAYGROUND_KEYWORDS,
+    RelevanceClassifier.CALISTHENICS_KEYWORDS,
+    ...Object.values(RelevanceClassifier.MEASURE_KEYWORDS)
+  ];
+  // Only single-word keywords are synonyms; "inklusiver spielplatz" is not a synonym of "spielplatz"
+  return keywordLists.map(keywords => new Set(keywords.flatMap(keyword => {
+    const tokens = tokenizeGerman(keyword);
+    return tokens.length === 1 ? tokens : [];
+  })));
+};
+
+/**
+ * Get the indexed text of a program, per field
+ * @param {Object} program - Funding program
+ * @returns {Object} { name, description, classification }
+ */
+const getProgramFields = (program) => {
+  const classification = getProgramClassification(program);
+  const labels = (codes, map) => (codes || []).map(code => map[code] || code);
+
+  return {
+    name: program.name || '',
+    description: program.description || '',
+    classification: [
+      ...labels(program.type, PROGRAM_TYPES),
+      ...labels(program.measures, PROGRAM_MEASURES),
+      ...labels(classification?.useCases, USE_CASES),
+      LOCATION_TYPES[getProgramLocationType(program)],
+      ...labels(program.eligibleApplicants, APPLICANT_TYPES),
+      ...labels(program.federalStates, FORM_FEDERAL_STATES)
+    ].filter(Boolean).join(' ')
+  };
+};
+
+/**
+ * Build the search index
+ * @param {Array} programs - Funding programs
+ * @returns {Object} Index for searchProgramIndex
+ */
+export const createSearchIndex = (programs) => {
+  const documents = (Array.isArray(programs) ? programs : []).map(program => ({
+    program,
+    fields: getProgramFields(program)
+  }));
+
+  // Vocabulary first: compound parts are only split off against words the catalog uses on their own
+  const fieldTokens = documents.map(document => Object.fromEntries(
+    Object.keys(FIELD_WEIGHTS).map(field => [field, tokenizeGerman(document.fields[field])])
+  ));
+  const synonymGroups = buildSynonymGroups();
+  const vocabulary = new Set([
+    ...fieldTokens.flatMap(fields => Object.values(fields).flat()),
+    ...synonymGroups.flatMap(group => [...group])
+  ].filter(token => token.length >= MIN_PART_LENGTH));
+
+  // postings: term → Map(document index → weighted term frequency)
+  const postings = new Map();
+  const addPosting = (term, documentIndex, weight) => {
+    if (!postings.has(term)) {
+      postings.set(term, new Map());
+    }
+    const documentPostings = postings.get(term);
+    documentPostings.set(documentIndex, (documentPostings.get(documentIndex) || 0) + weight);
+  };
+
+  fieldTokens.forEach((fields, documentIndex) => {
+    Object.entries(fields).forEach(([field, tokens]) => {
+      tokens.forEach(token => {
+        addPosting(token, documentIndex, FIELD_WEIGHTS[field]);
+        splitCompound(token, vocabulary).forEach(part => addPosting(part, documentIndex, FIELD_WEIGHTS[field]));
+      });
+    });
+  });
+
+  return { documents, postings, vocabulary, synonymGroups };
+};
+
+/**
+ * Expand one query word into weighted search terms
+ * @param {Object} index - Search index
+ * @param {string} stem - Stemmed query word
+ * @returns {Object} { terms: Map(term → weight), parts: compound parts that only match together }
+ */
+const expandQueryWord = (index, stem) => {
+  const terms = new Map();
+  const parts = splitCompound(stem, index.vocabulary);
+  const add = (term, weight) => {
+    if (index.postings.has(term) && (terms.get(term) || 0) < weight) {
+      terms.set(term, weight);
+    }
+  };
+
+  add(stem, TERM_WEIGHTS.exact);
+  parts.forEach(part => add(part, TERM_WEIGHTS.compound));
+  index.synonymGroups
+    .filter(group => group.has(stem))
+    .forEach(group => group.forEach(synonym => add(synonym, TERM_WEIGHTS.synonym)));
+
+  // Search as you type: "bewegungs" finds "bewegungsparcour"
+  if (terms.size === 0 && stem.length >= MIN_PREFIX_LENGTH) {
+    [...index.postings.keys()]
+      .filter(term => term.startsWith(stem))
+      .forEach(term => add(term, TERM_WEIGHTS.prefix));
+  }
+  return { terms, parts };
+};
+
+/**
+ * Split text into highlight segments
+ * @param {string} text - Original text
+ * @param {Set|Array} terms - Matched search terms (stems)
+ * @param {Set} vocabulary - Index vocabulary (for compound parts)
+ * @returns {Array} Segments { text, match }
+ */
+export const highlightText = (text, terms, vocabulary = new Set()) => {
+  const matchedTerms = new Set(terms);
+  const segments = [];
+  let position = 0;
+
+  for (const word of String(text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+    const stem = stemGermanWord(normalizeGermanText(word[0]));
+    const matches = matchedTerms.has(stem) || splitCompound(stem, vocabulary).some(part => matchedTerms.has(part));
+    if (!matches) {
+      continue;
+    }
+    if (word.index > position) {
+      segments.push({ text: text.slice(position, word.index), match: false });
+    }
+    segments.push({ text: word[0], match: true });
+    position = word.index + word[0].length;
+  }
+
+  if (position < String(text || '').length) {
+    segments.push({ text: text.slice(position), match: false });
+  }
+  return segments;
+};
+
+/**
+ * Check whether a program passes the facet filters
+ * @param {Object} program - Funding program
+ * @param {Object} filters - facet → selected value
+ * @param {string} ignoredFacet - Facet to skip (for its own counts)
+ * @returns {boolean} True if every other selected facet value is present
+ */
+const matchesFilters = (program, filters, ignoredFacet = null) => {
+  return Object.entries(filters).every(([facet, value]) =>
+    facet === ignoredFacet || !value || !SEARCH_FACETS[facet] || SEARCH_FACETS[facet].getValues(program).includes(value)
+  );
+};
+
+/**
+ * Count facet values; each facet counts with the other facets' filters applied
+ * @param {Array} programs - Programs matching the query
+ * @param {Object} filters - Selected facet values
+ * @returns {Object} facet → [{ value, label, count }] sorted by count
+ */
+const countFacets = (programs, filters) => {
+  return Object.fromEntries(Object.entries(SEARCH_FACETS).map(([facet, { getValues, labels }]) => {
+    const counts = new Map();
+    programs
+      .filter(program => matchesFilters(program, filters, facet))
+      .forEach(program => new Set(getValues(program)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1)));
+
+    const values = [...counts.entries()]
+      .map(([value, count]) => ({ value, label: labels[value] || value, count }))
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    return [facet, values];
+  }));
+};
+
+/**
+ * Search the program catalog
+ * @param {Object} index - Index from createSearchIndex
+ * @param {string} query - Search text (empty: all programs, by name)
+ * @param {Object} options - Search options
+ * @param {Object} options.filters - Selected facet values, e.g. { federalState: 'BY', measures: 'accessibility' }
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Object} { results: [{ program, score, terms, highlights: { name, description } }], facets, total }
+ */
+export const searchProgramIndex = (index, query, options = {}) => {
+  const { filters = {}, limit = null } = options;
+  const queryWords = [...new Set(tokenizeGerman(query))];
+  const wordTerms = queryWords.map(stem => expandQueryWord(index, stem));
+  const documentCount = index.documents.length;
+
+  let matches;
+  if (queryWords.length === 0) {
+    matches = index.documents
+      .map(({ program }) => ({ program, score: 0, terms: [] }))
+      .sort((a, b) => a.program.name.localeCompare(b.program.name));
+  } else {
+    // Every query word must match one of its terms, or all of its compound parts
+    const scores = new Map();
+    const matchedTerms = new Map();
+    const matchedWords = new Map();
+
+    wordTerms.forEach(({ terms, parts }) => {
+      const wordMatches = new Map();
+      terms.forEach((weight, term) => {
+        const termPostings = index.postings.get(term);
+        const idf = Math.log(1 + documentCount / termPostings.size);
+        termPostings.forEach((frequency, documentIndex) => {
+          const match = wordMatches.get(documentIndex) || { score: 0, terms: [] };
+          match.score += weight * idf * frequency;
+          match.terms.push(term);
+          wordMatches.set(documentIndex, match);
+        });
+      });
+
+      wordMatches.forEach((match, documentIndex) => {
+        const matchesWord = match.terms.some(term => !parts.includes(term)) ||
+          (parts.length > 0 && parts.every(part => match.terms.includes(part)));
+        if (!matchesWord) {
+          return;
+        }
+        scores.set(documentIndex, (scores.get(documentIndex) || 0) + match.score);
+        matchedTerms.set(documentIndex, [...(matchedTerms.get(documentIndex) || []), ...match.terms]);
+        matchedWords.set(documentIndex, (matchedWords.get(documentIndex) || 0) + 1);
+      });
+    });
+
+    matches = [...matchedWords.entries()]
+      .filter(([, count]) => count === queryWords.length)
+      .map(([documentIndex]) => ({
+        program: index.documents[documentIndex].program,
+        score: Math.round(scores.get(documentIndex) * 100) / 100,
+        terms: [...new Set(matchedTerms.get(documentIndex))]
+      }))
+      .sort((a, b) => b.score - a.score || a.program.name.localeCompare(b.program.name));
+  }
+
+  const filtered = matches.filter(match => matchesFilters(match.program, filters));
+  const results = (limit ? filtered.slice(0, limit) : filtered).map(match => ({
+    ...match,
+    highlights: {
+      name: highlightText(match.program.name, match.terms, index.vocabulary),
+      description: highlightText(match.program.description, match.terms, index.vocabulary)
+    }
+  }));
+
+  return {
+    results,
+    facets: countFacets(matches.map(match => match.program), filters),
+    total: filtered.length
+  };
+};
@@ -0,0 +1,124 @@
+/**
+ * Tests for the Program Search Service
+ * Feature: program-search
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeGermanText,
+  stemGermanWord,
+  tokenizeGerman,
+  splitCompound,
+  highlightText,
+  createSearchIndex,
+  searchProgramIndex
+} from './programSearchService.js';
+
+const programs = [
+  {
+    id: 'spielplatzprogramm-sachsen',
+    name: 'Spielplatzprogramm Sachsen',
+    description: 'Neubau inklusiver Spielplätze und Schulhöfe',
+    type: ['playground'],
+    federalStates: ['SN'],
+    measures: ['newBuild', 'accessibility'],
+    eligibleApplicants: ['kommune']
+  },
+  {
+    id: 'sanierung-bayern',
+    name: 'Sanierungsprogramm Bayern',
+    description: 'Sanierung kommunaler Einrichtungen',
+    type: ['playground'],
+    federalStates: ['BY'],
+    measures: ['renovation'],
+    eligibleApplicants: ['kommune', 'verein']
+  },
+  {
+    id: 'bewegung-bund',
+    name: 'Bewegungsparcours für alle',
+    description: 'Fitnessparcours und Calisthenics-Anlagen im öffentlichen Raum',
+    type: ['calisthenics'],
+    federalStates: ['all'],
+    measures: ['newBuild']
+  }
+];
+
+const names = (result) => result.results.map(match => match.program.name);
+
+describe('Program Search Service', () => {
+
+  describe('German normalization', () => {
+    it('should fold umlauts and ß, also when typed as ae / oe / ue', () => {
+      expect(normalizeGermanText('Grünflächen Straße')).toBe('grunflachen strasse');
+      expect(normalizeGermanText('Gruenflaechen')).toBe(normalizeGermanText('Grünflächen'));
+    });
+
+    it('should stem plural and inflected forms', () => {
+      expect(stemGermanWord('spielplatze')).toBe('spielplatz');
+      expect(stemGermanWord('sanierungen')).toBe('sanierung');
+      expect(stemGermanWord('inklusiver')).toBe('inklusiv');
+      expect(stemGermanWord('hof')).toBe('hof');
+    });
+
+    it('should drop stopwords', () => {
+      expect(tokenizeGerman('Spielplätze für die Kinder')).toEqual(['spielplatz', 'kind']);
+    });
+
+    it('should split compounds against the vocabulary', () => {
+      const vocabulary = new Set(['spielplatz', 'sanierung', 'bewegung', 'parcour']);
+      expect(splitCompound('spielplatzsanierung', vocabulary)).toEqual(['spielplatz', 'sanierung']);
+      expect(splitCompound('bewegungsparcour', vocabulary)).toEqual(['bewegung', 'parcour']);
+      expect(splitCompound('spielplatz', vocabulary)).toEqual([]);
+    });
+  });
+
+  describe('searchProgramIndex', () => {
+    const index = createSearchIndex(programs);
+
+    it('should find inflected words and rank name matches first', () => {
+      expect(names(searchProgramIndex(index, 'inklusive'))).toEqual(['Spielplatzprogramm Sachsen']);
+      expect(names(searchProgramIndex(index, 'Schulhof'))).toEqual(['Spielplatzprogramm Sachsen']);
+      expect(names(searchProgramIndex(index, 'Sanierung'))[0]).toBe('Sanierungsprogramm Bayern');
+    });
+
+    it('should match compound queries by their parts', () => {
+      const result = searchProgramIndex(index, 'Spielplatzsanierung');
+
+      expect(names(result)).toEqual(['Sanierungsprogramm Bayern']);
+      expect(result.results[0].terms).toEqual(expect.arrayContaining(['spielplatz', 'sanierung']));
+    });
+
+    it('should expand synonyms from the RelevanceClassifier keywords', () => {
+      expect(names(searchProgramIndex(index, 'Sportanlage'))).toEqual(['Bewegungsparcours für alle']);
+    });
+
+    it('should require every query word and support prefixes', () => {
+      expect(names(searchProgramIndex(index, 'Spielplatz Bayern'))).toEqual(['Sanierungsprogramm Bayern']);
+      expect(names(searchProgramIndex(index, 'bewegungs'))).toEqual(['Bewegungsparcours für alle']);
+    });
+
+    it('should highlight matched words in name and description', () => {
+      const [match] = searchProgramIndex(index, 'inklusiv').results;
+
+      expect(match.highlights.description).toEqual([
+        { text: 'Neubau ', match: false },
+        { text: 'inklusiver', match: true },
+        { text: ' Spielplätze und Schulhöfe', match: false }
+      ]);
+      expect(highlightText('Spielplatzsanierung', ['sanierung'], index.vocabulary)).toEqual([
+        { text: 'Spielplatzsanierung', match: true }
+      ]);
+    });
+
+    it('should filter by facets and count the other facets', () => {
+      const result = searchProgramIndex(index, '', { filters: { applicant: 'kommune' } });
+
+      expect(names(result)).toEqual(['Sanierungsprogramm Bayern', 'Spielplatzprogramm Sachsen']);
+      expect(result.facets.applicant).toEqual([
+        { value: 'kommune', label: 'Kommune / Gemeinde', count: 2 },
+        { value: 'verein', label: 'Verein', count: 1 }
+      ]);
+      expect(result.facets.federalState.map(facet => facet.value).sort()).toEqual(['BY', 'SN']);
+    });
+  });
+});
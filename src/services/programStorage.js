@@ -0,0 +1,536 @@
+/**
+ * Program Storage
+ *
+ * Pluggable persistence for funding programs. DatabaseUpdateService writes to a
+ * storage adapter and the app loads its programs from the same adapter at
+ * startup, so edits survive a reload. Every adapter implements:
+ *
+ *   load()          -> Promise<Array|null>   all programs, null if never initialized
+ *   saveAll(list)   -> Promise<void>         replace all programs
+ *   get(ref)        -> Promise<Object|null>  program by id or name
+ *   put(program)    -> Promise<void>         insert or replace a program
+ *   remove(ref)     -> Promise<boolean>      delete a program, false if not found
+ *   clear()         -> Promise<void>         drop all programs (back to "never initialized")
+ *   appendAuditEntry(entry) -> Promise<void> append to the audit log (auditLogService.js)
+ *   loadAuditLog()  -> Promise<Array>        all audit entries, oldest first
+ *   loadDrafts()    -> Promise<Array>        program drafts waiting for review
+ *   saveDrafts(list) -> Promise<void>        replace the draft queue
+ *   loadMeta()      -> Promise<Object>       storage meta, e.g. { datasetVersion } ({} if none)
+ *   saveMeta(meta)  -> Promise<void>         replace the storage meta
+ *
+ * The audit log is append-only; it, the draft queue and the meta survive clear().
+ *
+ * Adapters: InMemoryStorageAdapter (tests), IndexedDBStorageAdapter (browser),
+ * JsonFileStorageAdapter (Node). createProgramStorage() picks one for the
+ * current environment.
+ */
+
+import { rawPrograms } from '../data/fundingPrograms.js';
+import { processFundingPrograms } from './fundingLogic.ts';
+
+/**
+ * Get the storage key of a program (registry id, name as fallback)
+ * @param {Object} program - Funding program
+ * @returns {string|null} Storage key
+ */
+export const getProgramKey = (program) => {
+  return program?.id || program?.name || null;
+};
+
+/**
+ * Find a program in a list by id or name
+ * @param {Array} programs - Stored programs
+ * @param {string} ref - Program id or name
+ * @returns {number} Index or -1 if not found
+ */
+const findIndexByRef = (programs, ref) => {
+  return programs.findIndex(program => program.id === ref || program.name === ref);
+};
+
+/**
+ * Deep copy a program so callers never share state with the storage
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+const clone = (value) => {
+  return value === null || value === undefined ? value : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Version of a bundled dataset (FNV-1a hash of its JSON)
+ * @param {Array} programs - Bundled programs
+ * @returns {string} Dataset version
+ */
+export const getDatasetVersion = (programs) => {
+  const json = JSON.stringify(programs || []);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * In-memory storage, e.g. for tests
+ */
+export class InMemoryStorageAdapter {
+  /**
+   * @param {Array|null} initialPrograms - Programs to start with (null = not initialized)
+   */
+  constructor(initialPrograms = null) {
+    this.programs = initialPrograms ? clone(initialPrograms) : null;
+    this.auditEntries = [];
+    this.drafts = [];
+    this.meta = {};
+  }
+
+  async load() {
+    return this.programs ? clone(this.programs) : null;
+  }
+
+  async saveAll(programs) {
+    this.programs = clone(programs);
+  }
+
+  async get(ref) {
+    const programs = this.programs || [];
+    const index = findIndexByRef(programs, ref);
+    return index === -1 ? null : clone(programs[index]);
+  }
+
+  async put(program) {
+    const programs = this.programs || [];
+    const index = findIndexByRef(programs, getProgramKey(program));
+    if (index === -1) {
+      programs.push(clone(program));
+    } else {
+      programs[index] = clone(program);
+    }
+    this.programs = programs;
+  }
+
+  async remove(ref) {
+    const programs = this.programs || [];
+    const index = findIndexByRef(programs, ref);
+    if (index === -1) {
+      return false;
+    }
+    programs.splice(index, 1);
+    return true;
+  }
+
+  async clear() {
+    this.programs = null;
+  }
+
+  async appendAuditEntry(entry) {
+    this.auditEntries.push(clone(entry));
+  }
+
+  async loadAuditLog() {
+    return clone(this.auditEntries);
+  }
+
+  async loadDrafts() {
+    return clone(this.drafts);
+  }
+
+  async saveDrafts(drafts) {
+    this.drafts = clone(drafts);
+  }
+
+  async loadMeta() {
+    return clone(this.meta);
+  }
+
+  async saveMeta(meta) {
+    this.meta = clone(meta);
+  }
+}
+
+/**
+ * JSON file storage for Node (scripts, server-side tools)
+ * The whole program list is kept in one file, written atomically via a temp file.
+ * The audit log is a JSON Lines file next to it (programs.json -> programs.audit.jsonl),
+ * drafts are kept in programs.drafts.json and the meta in programs.meta.json.
+ */
+export class JsonFileStorageAdapter {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('JsonFileStorageAdapter requires a file path');
+    }
+    this.filePath = filePath;
+    this.auditFilePath = `${filePath.replace(/\.json$/, '')}.audit.jsonl`;
+    this.draftsFilePath = `${filePath.replace(/\.json$/, '')}.drafts.json`;
+    this.metaFilePath = `${filePath.replace(/\.json$/, '')}.meta.json`;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run read-modify-write operations one after another (bulk updates run in parallel)
+   * @param {Function} task - Async operation
+   * @returns {Promise<*>} Result of the operation
+   */
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load fs/promises lazily so browser bundles never pull it in
+   * @returns {Promise<Object>} fs/promises module
+   */
+  async getFs() {
+    const fsModule = 'node:fs/promises';
+    return import(/* @vite-ignore */ fsModule);
+  }
+
+  async load() {
+    const fs = await this.getFs();
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(content);
+      return Array.isArray(data.programs) ? data.programs : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async saveAll(programs) {
+    const fs = await this.getFs();
+    const content = JSON.stringify({ updatedAt: new Date().toISOString(), programs }, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  async get(ref) {
+    const programs = (await this.load()) || [];
+    const index = findIndexByRef(programs, ref);
+    return index === -1 ? null : programs[index];
+  }
+
+  async put(program) {
+    return this.enqueue(async () => {
+      const programs = (await this.load()) || [];
+      const index = findIndexByRef(programs, getProgramKey(program));
+      if (index === -1) {
+        programs.push(program);
+      } else {
+        programs[index] = program;
+      }
+      await this.saveAll(programs);
+    });
+  }
+
+  async remove(ref) {
+    return this.enqueue(async () => {
+      const programs = (await this.load()) || [];
+      const index = findIndexByRef(programs, ref);
+      if (index === -1) {
+        return false;
+      }
+      programs.splice(index, 1);
+      await this.saveAll(programs);
+      return true;
+    });
+  }
+
+  async clear() {
+    const fs = await this.getFs();
+    await fs.rm(this.filePath, { force: true });
+  }
+
+  async appendAuditEntry(entry) {
+    const fs = await this.getFs();
+    await fs.appendFile(this.auditFilePath, `${JSON.stringify(entry)}\n`, 'utf8');
+  }
+
+  async loadAuditLog() {
+    const fs = await this.getFs();
+    try {
+      const content = await fs.readFile(this.auditFilePath, 'utf8');
+      return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async loadDrafts() {
+    const fs = await this.getFs();
+    try {
+      return JSON.parse(await fs.readFile(this.draftsFilePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async saveDrafts(drafts) {
+    const fs = await this.getFs();
+    const tempPath = `${this.draftsFilePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(drafts, null, 2), 'utf8');
+    await fs.rename(tempPath, this.draftsFilePath);
+  }
+
+  async loadMeta() {
+    const fs = await this.getFs();
+    try {
+      return JSON.parse(await fs.readFile(this.metaFilePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async saveMeta(meta) {
+    const fs = await this.getFs();
+    const tempPath = `${this.metaFilePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(meta, null, 2), 'utf8');
+    await fs.rename(tempPath, this.metaFilePath);
+  }
+}
+
+/**
+ * IndexedDB storage for the browser
+ * Programs are stored by key (getProgramKey); a meta entry marks the store as initialized.
+ * Audit entries are kept in their own object store, keyed by sequence number,
+ * the draft queue and the storage meta are meta entries.
+ */
+export class IndexedDBStorageAdapter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.dbName - Database name (default: 'foerdermittel')
+   * @param {Object} options.indexedDB - IndexedDB factory (default: globalThis.indexedDB)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'foerdermittel';
+    this.factory = options.indexedDB || globalThis.indexedDB;
+    this.dbPromise = null;
+
+    if (!this.factory) {
+      throw new Error('IndexedDB is not available in this environment');
+    }
+  }
+
+  /**
+   * Open (and upgrade) the database once
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.factory.open(this.dbName, 2);
+        request.onupgradeneeded = (event) => {
+          if (event.oldVersion < 1) {
+            request.result.createObjectStore('programs');
+            request.result.createObjectStore('meta');
+          }
+          if (event.oldVersion < 2) {
+            request.result.createObjectStore('audit', { keyPath: 'seq' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a callback in a transaction and wait for it to complete
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives { programs, meta, audit } object stores, may return an IDBRequest
+   * @returns {Promise<*>} Result of the returned request
+   */
+  async transaction(mode, callback) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['programs', 'meta', 'audit'], mode);
+      const request = callback({
+        programs: tx.objectStore('programs'),
+        meta: tx.objectStore('meta'),
+        audit: tx.objectStore('audit')
+      });
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async load() {
+    const initialized = await this.transaction('readonly', ({ meta }) => meta.get('initializedAt'));
+    if (!initialized) {
+      return null;
+    }
+    return this.transaction('readonly', ({ programs }) => programs.getAll());
+  }
+
+  async saveAll(list) {
+    await this.transaction('readwrite', ({ programs, meta }) => {
+      programs.clear();
+      list.forEach(program => programs.put(program, getProgramKey(program)));
+      meta.put(new Date().toISOString(), 'initializedAt');
+    });
+  }
+
+  async get(ref) {
+    const programs = (await this.transaction('readonly', ({ programs }) => programs.getAll())) || [];
+    const index = findIndexByRef(programs, ref);
+    return index === -1 ? null : programs[index];
+  }
+
+  async put(program) {
+    await this.transaction('readwrite', ({ programs, meta }) => {
+      programs.put(program, getProgramKey(program));
+      meta.put(new Date().toISOString(), 'initializedAt');
+    });
+  }
+
+  async remove(ref) {
+    const program = await this.get(ref);
+    if (!program) {
+      return false;
+    }
+    await this.transaction('readwrite', ({ programs }) => programs.delete(getProgramKey(program)));
+    return true;
+  }
+
+  async clear() {
+    await this.transaction('readwrite', ({ programs, meta }) => {
+      programs.clear();
+      meta.delete('initializedAt');
+    });
+  }
+
+  async appendAuditEntry(entry) {
+    await this.transaction('readwrite', ({ audit }) => audit.add(entry));
+  }
+
+  async loadAuditLog() {
+    return (await this.transaction('readonly', ({ audit }) => audit.getAll())) || [];
+  }
+
+  async loadDrafts() {
+    return (await this.transaction('readonly', ({ meta }) => meta.get('drafts'))) || [];
+  }
+
+  async saveDrafts(drafts) {
+    await this.transaction('readwrite', ({ meta }) => meta.put(drafts, 'drafts'));
+  }
+
+  async loadMeta() {
+    return (await this.transaction('readonly', ({ meta }) => meta.get('dataset'))) || {};
+  }
+
+  async saveMeta(dataset) {
+    await this.transaction('readwrite', ({ meta }) => meta.put(dataset, 'dataset'));
+  }
+}
+
+/**
+ * Create the storage adapter for the current environment
+ * @param {Object} options - Options
+ * @param {string} options.type - 'indexeddb' | 'file' | 'memory' (default: detected)
+ * @param {string} options.filePath - JSON file for the file adapter (default: 'data/programs.json')
+ * @returns {Object} Storage adapter
+ */
+export const createProgramStorage = (options = {}) => {
+  const type = options.type || (
+    globalThis.indexedDB ? 'indexeddb' :
+    typeof process !== 'undefined' && process.versions?.node ? 'file' :
+    'memory'
+  );
+
+  switch (type) {
+    case 'indexeddb':
+      return new IndexedDBStorageAdapter(options);
+    case 'file':
+      return new JsonFileStorageAdapter(options.filePath || 'data/programs.json');
+    case 'memory':
+      return new InMemoryStorageAdapter(options.initialPrograms || null);
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+};
+
+/**
+ * Merge an updated bundled dataset into the stored programs
+ * Programs with an audit log entry were edited (or deleted) locally and are kept
+ * as stored; all other bundled programs are added or replaced.
+ * @param {Object} storage - Storage adapter
+ * @param {Array} stored - Stored programs
+ * @param {Array} seedPrograms - Bundled programs
+ * @returns {Promise<Array>} Stored programs after the merge
+ */
+const mergeBundledPrograms = async (storage, stored, seedPrograms) => {
+  const entries = await storage.loadAuditLog();
+  const editedRefs = new Set(entries.flatMap(entry => [entry.programId, entry.programName]).filter(Boolean));
+
+  const merged = [...stored];
+  let changed = false;
+  seedPrograms.forEach(program => {
+    if (editedRefs.has(program.id) || editedRefs.has(program.name)) {
+      return;
+    }
+    const index = program.id ? findIndexByRef(merged, program.id) : findIndexByRef(merged, program.name);
+    if (index === -1) {
+      merged.push(program);
+      changed = true;
+    } else if (JSON.stringify(merged[index]) !== JSON.stringify(program)) {
+      merged[index] = program;
+      changed = true;
+    }
+  });
+
+  if (!changed) {
+    return stored;
+  }
+  await storage.saveAll(merged);
+  return storage.load();
+};
+
+/**
+ * Load the funding programs from storage
+ * An uninitialized storage is seeded with the bundled programs first. When the
+ * bundled dataset changed since the last seed (datasetVersion in the storage meta),
+ * its new and changed programs are merged in unless they were edited locally.
+ * @param {Object} storage - Storage adapter
+ * @param {Object} options - Options
+ * @param {Array} options.seedPrograms - Programs used to seed an empty storage (default: bundled programs)
+ * @returns {Promise<Array>} Processed programs (categories assigned, deleted programs removed, sorted)
+ */
+export const loadProgramsFromStorage = async (storage, options = {}) => {
+  const { seedPrograms = rawPrograms } = options;
+  const datasetVersion = getDatasetVersion(seedPrograms);
+
+  let stored = await storage.load();
+  const meta = await storage.loadMeta();
+  if (!stored) {
+    await storage.saveAll(seedPrograms);
+    stored = await storage.load();
+  } else if (meta.datasetVersion !== datasetVersion) {
+    stored = await mergeBundledPrograms(storage, stored, seedPrograms);
+  }
+
+  if (meta.datasetVersion !== datasetVersion) {
+    await storage.saveMeta({ ...meta, datasetVersion, seededAt: new Date().toISOString() });
+  }
+
+  return processFundingPrograms(stored || []);
+};
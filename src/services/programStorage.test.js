@@ -0,0 +1,286 @@
+/**
+ * Tests for Program Storage and persistent DatabaseUpdateService
+ * Feature: program-persistence
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  InMemoryStorageAdapter,
+  JsonFileStorageAdapter,
+  IndexedDBStorageAdapter,
+  createProgramStorage,
+  loadProgramsFromStorage,
+  getProgramKey,
+  getDatasetVersion
+} from './programStorage.js';
+import { DatabaseUpdateService } from './DatabaseUpdateService.js';
+import { RelevanceEngine } from './RelevanceEngine.js';
+import { rawPrograms } from '../data/fundingPrograms.js';
+
+const programA = { id: 'program-a', name: 'Program A', federalStates: ['BY'], type: ['playground'], fundingRate: '50%' };
+const programB = { id: 'program-b', name: 'Program B', federalStates: ['all'], type: ['playground'], fundingRate: '60%' };
+
+/**
+ * Shared contract every adapter has to fulfil
+ */
+const describeAdapterContract = (label, createAdapter) => {
+  describe(`${label} contract`, () => {
+    let storage;
+
+    beforeEach(async () => {
+      storage = await createAdapter();
+    });
+
+    it('should report an uninitialized storage as null', async () => {
+      expect(await storage.load()).toBeNull();
+    });
+
+    it('should save and load all programs', async () => {
+      await storage.saveAll([programA, programB]);
+      expect(await storage.load()).toEqual([programA, programB]);
+    });
+
+    it('should get programs by id or name', async () => {
+      await storage.saveAll([programA]);
+      expect(await storage.get('program-a')).toEqual(programA);
+      expect(await storage.get('Program A')).toEqual(programA);
+      expect(await storage.get('missing')).toBeNull();
+    });
+
+    it('should insert and replace programs', async () => {
+      await storage.saveAll([programA]);
+      await storage.put({ ...programA, fundingRate: '70%' });
+      await storage.put(programB);
+
+      const programs = await storage.load();
+      expect(programs).toHaveLength(2);
+      expect(programs[0].fundingRate).toBe('70%');
+    });
+
+    it('should keep parallel writes', async () => {
+      await storage.saveAll([]);
+      await Promise.all([storage.put(programA), storage.put(programB)]);
+      expect(await storage.load()).toHaveLength(2);
+    });
+
+    it('should remove programs', async () => {
+      await storage.saveAll([programA, programB]);
+      expect(await storage.remove('Program A')).toBe(true);
+      expect(await storage.remove('Program A')).toBe(false);
+      expect((await storage.load()).map(getProgramKey)).toEqual(['program-b']);
+    });
+
+    it('should clear back to uninitialized', async () => {
+      await storage.saveAll([programA]);
+      await storage.clear();
+      expect(await storage.load()).toBeNull();
+    });
+
+    it('should append audit entries that survive clear', async () => {
+      expect(await storage.loadAuditLog()).toEqual([]);
+      await storage.appendAuditEntry({ seq: 1, action: 'create' });
+      await storage.appendAuditEntry({ seq: 2, action: 'delete' });
+      await storage.clear();
+
+      expect((await storage.loadAuditLog()).map(entry => entry.seq)).toEqual([1, 2]);
+    });
+
+    it('should save drafts that survive clear', async () => {
+      expect(await storage.loadDrafts()).toEqual([]);
+      await storage.saveDrafts([{ draftId: 'd1', program: programA }]);
+      await storage.clear();
+
+      expect(await storage.loadDrafts()).toEqual([{ draftId: 'd1', program: programA }]);
+    });
+
+    it('should save meta that survives clear', async () => {
+      expect(await storage.loadMeta()).toEqual({});
+      await storage.saveMeta({ datasetVersion: 'abc' });
+      await storage.clear();
+
+      expect(await storage.loadMeta()).toEqual({ datasetVersion: 'abc' });
+    });
+  });
+};
+
+describe('Program Storage', () => {
+
+  describeAdapterContract('InMemoryStorageAdapter', () => new InMemoryStorageAdapter());
+
+  describe('JsonFileStorageAdapter', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'programs-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    describeAdapterContract('JsonFileStorageAdapter', () => new JsonFileStorageAdapter(join(dir, 'programs.json')));
+
+    it('should persist across adapter instances', async () => {
+      const file = join(dir, 'programs.json');
+      await new JsonFileStorageAdapter(file).saveAll([programA]);
+      expect(await new JsonFileStorageAdapter(file).get('program-a')).toEqual(programA);
+    });
+
+    it('should require a file path', () => {
+      expect(() => new JsonFileStorageAdapter()).toThrow('file path');
+    });
+  });
+
+  describe('InMemoryStorageAdapter', () => {
+    it('should not share state with callers', async () => {
+      const storage = new InMemoryStorageAdapter([programA]);
+      const loaded = await storage.load();
+      loaded[0].name = 'Changed';
+
+      expect((await storage.get('program-a')).name).toBe('Program A');
+    });
+  });
+
+  describe('createProgramStorage', () => {
+    it('should create the requested adapter', () => {
+      expect(createProgramStorage({ type: 'memory' })).toBeInstanceOf(InMemoryStorageAdapter);
+      expect(createProgramStorage({ type: 'file', filePath: 'x.json' })).toBeInstanceOf(JsonFileStorageAdapter);
+      expect(() => createProgramStorage({ type: 'unknown' })).toThrow('Unknown storage type');
+    });
+
+    it('should fail for IndexedDB outside the browser', () => {
+      expect(() => new IndexedDBStorageAdapter({ indexedDB: null })).toThrow('IndexedDB');
+    });
+  });
+
+  describe('loadProgramsFromStorage', () => {
+    it('should seed an empty storage with the bundled programs', async () => {
+      const storage = new InMemoryStorageAdapter();
+      const programs = await loadProgramsFromStorage(storage);
+
+      expect((await storage.load())).toHaveLength(rawPrograms.length);
+      expect(programs.length).toBeGreaterThan(0);
+      expect(programs.every(program => program.category)).toBe(true);
+    });
+
+    it('should record the bundled dataset version', async () => {
+      const storage = new InMemoryStorageAdapter();
+      await loadProgramsFromStorage(storage);
+
+      expect((await storage.loadMeta()).datasetVersion).toBe(getDatasetVersion(rawPrograms));
+    });
+
+    it('should not reseed an initialized storage', async () => {
+      const storage = new InMemoryStorageAdapter();
+      await loadProgramsFromStorage(storage, { seedPrograms: [programA, programB] });
+      await storage.remove('program-b');
+
+      const programs = await loadProgramsFromStorage(storage, { seedPrograms: [programA, programB] });
+      expect(programs.map(program => program.name)).toEqual(['Program A']);
+    });
+
+    it('should merge the bundled dataset updated after the first seed', async () => {
+      const programC = { id: 'program-c', name: 'Program C', federalStates: ['all'], type: ['playground'], fundingRate: '40%' };
+      const storage = new InMemoryStorageAdapter();
+      await loadProgramsFromStorage(storage, { seedPrograms: [programA, programB] });
+
+      // Program A edited locally (DatabaseUpdateService records every edit in the audit log)
+      await storage.put({ ...programA, fundingRate: '70%' });
+      await storage.appendAuditEntry({ seq: 1, action: 'update', programId: 'program-a', programName: 'Program A' });
+
+      const updatedDataset = [{ ...programA, fundingRate: '55%' }, { ...programB, fundingRate: '65%' }, programC];
+      await loadProgramsFromStorage(storage, { seedPrograms: updatedDataset });
+
+      expect((await storage.get('program-a')).fundingRate).toBe('70%');
+      expect((await storage.get('program-b')).fundingRate).toBe('65%');
+      expect(await storage.get('program-c')).toEqual(programC);
+      expect((await storage.loadMeta()).datasetVersion).toBe(getDatasetVersion(updatedDataset));
+    });
+
+    it('should merge new bundled programs into a storage seeded without dataset version', async () => {
+      const storage = new InMemoryStorageAdapter([programA]);
+      const programs = await loadProgramsFromStorage(storage, { seedPrograms: [programA, programB] });
+
+      expect(programs.map(program => program.name).sort()).toEqual(['Program A', 'Program B']);
+    });
+
+    it('should not bring back bundled programs deleted locally', async () => {
+      const storage = new InMemoryStorageAdapter();
+      await loadProgramsFromStorage(storage, { seedPrograms: [programA, programB] });
+      await storage.remove('program-b');
+      await storage.appendAuditEntry({ seq: 1, action: 'delete', programId: 'program-b', programName: 'Program B' });
+
+      const programs = await loadProgramsFromStorage(storage, { seedPrograms: [programA, { ...programB, fundingRate: '65%' }] });
+      expect(programs.map(program => program.name)).toEqual(['Program A']);
+    });
+  });
+
+  describe('DatabaseUpdateService with storage', () => {
+    let storage;
+    let engine;
+    let service;
+
+    beforeEach(async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      storage = new InMemoryStorageAdapter();
+      engine = new RelevanceEngine(await loadProgramsFromStorage(storage));
+      service = new DatabaseUpdateService(engine, storage);
+    });
+
+    afterEach(() => {
+      service.destroy();
+      vi.restoreAllMocks();
+    });
+
+    it('should make edits survive a reload', async () => {
+      const program = (await storage.load()).find(p => p.id === 'leader-bayern-2023-2027');
+      const result = await service.updateProgram({ ...program, fundingRate: 'bis 80%' });
+
+      expect(result.success).toBe(true);
+      const reloaded = await loadProgramsFromStorage(storage);
+      expect(reloaded.find(p => p.id === 'leader-bayern-2023-2027').fundingRate).toBe('bis 80%');
+    });
+
+    it('should still emit cache invalidation events', async () => {
+      const listener = vi.fn();
+      service.on('funding_program_updated', listener);
+      const program = await storage.get('leader-bayern-2023-2027');
+
+      const result = await service.updateProgram(program);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(result.cacheInvalidation).not.toBeNull();
+    });
+
+    it('should create and delete programs', async () => {
+      const created = await service.createProgram(programA);
+      expect(created.success).toBe(true);
+      expect(await storage.get('program-a')).not.toBeNull();
+
+      const duplicate = await service.createProgram(programA);
+      expect(duplicate.success).toBe(false);
+      expect(duplicate.error).toBe('Program already exists');
+
+      const deleted = await service.deleteProgram('Program A');
+      expect(deleted.success).toBe(true);
+      expect(await storage.get('program-a')).toBeNull();
+    });
+
+    it('should reject updates and deletes of unknown programs', async () => {
+      expect((await service.updateProgram(programB)).error).toBe('Program not found');
+      expect((await service.deleteProgram('Program B')).error).toBe('Program not found');
+    });
+
+    it('should persist successful programs of a bulk update', async () => {
+      const program = await storage.get('leader-bayern-2023-2027');
+      const result = await service.updateProgramsBulk([{ ...program, fundingRate: 'bis 70%' }, programB]);
+
+      expect(result.updatedCount).toBe(1);
+      expect(result.failedPrograms).toEqual([{ program: 'Program B', error: 'Program not found' }]);
+      expect((await storage.get('leader-bayern-2023-2027')).fundingRate).toBe('bis 70%');
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Region Service
+ *
+ * Resolves a postal code (PLZ) or Gemeinde to its Landkreis and LEADER / ILE
+ * regions using the offline data in regionData.js. Programs that only apply in
+ * parts of a state declare a `regionRestriction`:
+ *
+ *   regionRestriction: {
+ *     landkreise: ['04012'],         // Kreisschlüssel
+ *     gemeinden: ['09180129'],       // AGS
+ *     regions: ['leader-by-...'],    // region ids
+ *     regionTypes: ['leader']        // any LEADER / ILE region
+ *   }
+ *
+ * A program is available if the location matches any of the listed criteria.
+ * Unknown locations never exclude programs. Region types only exclude where the
+ * membership data covers the Landkreis (REGION_TYPE_COVERAGE); elsewhere the
+ * membership stays an open check.
+ */
+
+import { LANDKREISE, GEMEINDEN, REGIONS, REGION_TYPES, REGION_TYPE_COVERAGE } from '../data/regionData.js';
+
+/**
+ * Normalize a postal code input
+ * @param {string|number} input - Postal code
+ * @returns {string|null} Five digit postal code or null if invalid
+ */
+export const parsePostalCode = (input) => {
+  if (input === null || input === undefined) {
+    return null;
+  }
+  const postalCode = String(input).trim();
+  return /^\d{5}$/.test(postalCode) ? postalCode : null;
+};
+
+/**
+ * Check if a postal code is covered by a list of codes and ranges
+ * @param {string} postalCode - Five digit postal code
+ * @param {Array} postalCodes - Codes ("82467") or ranges ("28195-28779")
+ * @returns {boolean} True if covered
+ */
+const matchesPostalCodes = (postalCode, postalCodes) => {
+  return postalCodes.some(entry => {
+    const [from, to = from] = entry.split('-');
+    return postalCode >= from && postalCode <= to;
+  });
+};
+
+/**
+ * Get the LEADER / ILE regions covering a Gemeinde
+ * @param {string} ags - Amtlicher Gemeindeschlüssel
+ * @returns {Array} Regions as { id, name, type }
+ */
+export const getRegionsForGemeinde = (ags) => {
+  if (!ags) {
+    return [];
+  }
+  const kreis = ags.slice(0, 5);
+
+  return REGIONS
+    .filter(region => (region.landkreise || []).includes(kreis) || (region.gemeinden || []).includes(ags))
+    .map(({ id, name, type }) => ({ id, name, type }));
+};
+
+/**
+ * Build a location from a Gemeinde record
+ * @param {Object} gemeinde - Gemeinde record
+ * @param {string|null} postalCode - Postal code the lookup started from
+ * @returns {Object} Location
+ */
+const toLocation = (gemeinde, postalCode = null) => {
+  const kreis = gemeinde.ags.slice(0, 5);
+  const landkreis = LANDKREISE[kreis] || null;
+
+  return {
+    postalCode,
+    ags: gemeinde.ags,
+    gemeinde: gemeinde.name,
+    landkreis: landkreis ? { code: kreis, name: landkreis.name } : null,
+    federalState: landkreis ? landkreis.federalState : null,
+    borderStates: landkreis?.borderStates || [],
+    regions: getRegionsForGemeinde(gemeinde.ags)
+  };
+};
+
+/**
+ * Look up the location of a postal code
+ * @param {string|number} input - Postal code
+ * @returns {Object|null} { postalCode, ags, gemeinde, landkreis, federalState, borderStates, regions } or null if unknown
+ */
+export const lookupPostalCode = (input) => {
+  const postalCode = parsePostalCode(input);
+  if (!postalCode) {
+    return null;
+  }
+
+  const gemeinde = GEMEINDEN.find(g => matchesPostalCodes(postalCode, g.postalCodes));
+  return gemeinde ? toLocation(gemeinde, postalCode) : null;
+};
+
+/**
+ * Look up the location of a Gemeinde by AGS or name
+ * @param {string} ref - AGS or Gemeinde name
+ * @returns {Object|null} Location or null if unknown
+ */
+export const lookupGemeinde = (ref) => {
+  if (!ref || typeof ref !== 'string') {
+    return null;
+  }
+  const needle = ref.trim().toLowerCase();
+
+  const gemeinde = GEMEINDEN.find(g => g.ags === needle || g.name.toLowerCase() === needle);
+  return gemeinde ? toLocation(gemeinde) : null;
+};
+
+/**
+ * Resolve the project location from form data
+ * Locations outside the selected federal state are ignored.
+ * @param {Object} projectData - Project data with postalCode and federalState
+ * @returns {Object|null} Location or null if unknown / not in the selected state
+ */
+export const resolveProjectLocation = (projectData) => {
+  const location = lookupPostalCode(projectData?.postalCode);
+  if (!location) {
+    return null;
+  }
+  if (projectData.federalState && location.federalState !== projectData.federalState) {
+    console.warn(`Postal code ${location.postalCode} is not in ${projectData.federalState}, ignoring location`);
+    return null;
+  }
+  return location;
+};
+
+/**
+ * Get the region restriction of a program
+ * @param {Object} program - Funding program
+ * @returns {Object|null} Region restriction or null if the program applies statewide
+ */
+export const getRegionRestriction = (program) => {
+  const restriction = program?.regionRestriction;
+  if (!restriction) {
+    return null;
+  }
+  const hasCriteria = ['landkreise', 'gemeinden', 'regions', 'regionTypes']
+    .some(key => Array.isArray(restriction[key]) && restriction[key].length > 0);
+
+  return hasCriteria ? restriction : null;
+};
+
+/**
+ * Check if the regions of a type are completely listed for a Landkreis
+ * @param {string} type - Region type
+ * @param {string|null} kreis - Kreisschlüssel
+ * @returns {boolean} True if a missing membership rules the Landkreis out
+ */
+export const isRegionTypeCovered = (type, kreis) => {
+  return Boolean(kreis) && (REGION_TYPE_COVERAGE[type] || []).includes(kreis);
+};
+
+/**
+ * Describe the areas of a region restriction
+ * @param {Object} restriction - Region restriction
+ * @returns {string} Area names
+ */
+const formatRestrictionAreas = (restriction) => {
+  return [
+    ...(restriction.landkreise || []).map(code => LANDKREISE[code]?.name || code),
+    ...(restriction.gemeinden || []).map(ags => GEMEINDEN.find(gemeinde => gemeinde.ags === ags)?.name || ags),
+    ...(restriction.regions || []).map(id => REGIONS.find(region => region.id === id)?.name || id),
+    ...(restriction.regionTypes || []).map(type => REGION_TYPES[type] || type)
+  ].join(', ');
+};
+
+/**
+ * Evaluate the region restriction of a program at a location
+ * `passed` is null if only a region type could apply and its membership data
+ * does not cover the Landkreis.
+ * @param {Object} program - Funding program
+ * @param {Object|null} location - Location from lookupPostalCode / lookupGemeinde
+ * @returns {Object|null} { passed, reason }, null without restriction or location
+ */
+export const evaluateLocationRestriction = (program, location) => {
+  const restriction = getRegionRestriction(program);
+  if (!restriction || !location) {
+    return null;
+  }
+
+  const areas = formatRestrictionAreas(restriction);
+  const regions = location.regions || [];
+  const matches = (restriction.landkreise || []).includes(location.landkreis?.code) ||
+    (restriction.gemeinden || []).includes(location.ags) ||
+    (restriction.regions || []).some(id => regions.some(region => region.id === id)) ||
+    (restriction.regionTypes || []).some(type => regions.some(region => region.type === type));
+  if (matches) {
+    return { passed: true, reason: `${location.gemeinde} liegt im Fördergebiet (${areas})` };
+  }
+
+  const isOpen = (restriction.regionTypes || []).some(type => !isRegionTypeCovered(type, location.landkreis?.code));
+  return isOpen
+    ? { passed: null, reason: `Nur in ${areas} verfügbar – Zugehörigkeit von ${location.gemeinde} nicht hinterlegt` }
+    : { passed: false, reason: `Nur in ${areas} verfügbar, ${location.gemeinde} liegt außerhalb` };
+};
+
+/**
+ * Check if a program can be used at a location
+ * @param {Object} program - Funding program
+ * @param {Object|null} location - Location from lookupPostalCode / lookupGemeinde
+ * @returns {boolean} True if available (or if location / restriction / membership is unknown)
+ */
+export const isProgramAvailableInLocation = (program, location) => {
+  return evaluateLocationRestriction(program, location)?.passed !== false;
+};
+
+/**
+ * Remove programs that do not apply at the location
+ * @param {Array} programs - Programs to filter
+ * @param {Object|null} location - Location
+ * @returns {Array} Programs available at the location
+ */
+export const filterByLocation = (programs, location) => {
+  if (!Array.isArray(programs)) {
+    return [];
+  }
+
+  if (!location) {
+    return programs;
+  }
+
+  return programs.filter(program => isProgramAvailableInLocation(program, location));
+};
+
+/**
+ * Describe why a program does not apply at a location (decision trace)
+ * @param {Object} program - Funding program
+ * @param {Object} location - Location
+ * @returns {string} Rule text
+ */
+export const describeLocationExclusion = (program, location) => {
+  const areas = formatRestrictionAreas(getRegionRestriction(program) || {});
+  return `Nur in ${areas} verfügbar, ${location.gemeinde} liegt außerhalb`;
+};
+
+/**
+ * Format a location for display ("Oberammergau, Landkreis Garmisch-Partenkirchen · ILE-Region: ...")
+ * @param {Object|null} location - Location
+ * @returns {string} Display text (empty for unknown locations)
+ */
+export const formatLocation = (location) => {
+  if (!location) {
+    return '';
+  }
+
+  const place = location.landkreis && location.landkreis.name !== location.gemeinde
+    ? `${location.gemeinde}, ${location.landkreis.name}`
+    : location.gemeinde;
+  const regions = location.regions.map(region => `${REGION_TYPES[region.type] || region.type}: ${region.name}`);
+
+  return [place, ...regions].join(' · ');
+};
@@ -0,0 +1,203 @@
+/**
+ * Tests for Region Service
+ * Feature: sub-state-geography
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  parsePostalCode,
+  lookupPostalCode,
+  lookupGemeinde,
+  resolveProjectLocation,
+  getRegionRestriction,
+  evaluateLocationRestriction,
+  isProgramAvailableInLocation,
+  filterByLocation,
+  formatLocation
+} from './regionService.js';
+import { fundingPrograms } from '../data/fundingPrograms.js';
+import { REGION_TYPE_COVERAGE } from '../data/regionData.js';
+import { simpleFilterPrograms } from './simpleFilterService.js';
+import { strictFilterPrograms } from './strictFilterService.js';
+
+const bremerhavenOnly = { name: 'Bremerhaven', regionRestriction: { landkreise: ['04012'] } };
+const leaderOnly = { name: 'LEADER', regionRestriction: { regionTypes: ['leader'] } };
+const statewide = { name: 'Landesweit' };
+
+describe('Region Service', () => {
+
+  describe('parsePostalCode', () => {
+    it('should accept five digit codes only', () => {
+      expect(parsePostalCode(' 82467 ')).toBe('82467');
+      expect(parsePostalCode('8246')).toBeNull();
+      expect(parsePostalCode('abcde')).toBeNull();
+      expect(parsePostalCode(null)).toBeNull();
+    });
+  });
+
+  describe('lookupPostalCode', () => {
+    it('should resolve Gemeinde, Landkreis and state', () => {
+      const location = lookupPostalCode('27570');
+
+      expect(location.gemeinde).toBe('Bremerhaven');
+      expect(location.ags).toBe('04012000');
+      expect(location.landkreis).toEqual({ code: '04012', name: 'Bremerhaven' });
+      expect(location.federalState).toBe('HB');
+    });
+
+    it('should list the neighbouring states of border Landkreise', () => {
+      expect(lookupPostalCode('20095').borderStates).toEqual(['SH', 'NI']);
+      expect(lookupPostalCode('80331').borderStates).toEqual([]);
+      expect(lookupPostalCode('89073').borderStates).toEqual(['BY']);
+      expect(lookupPostalCode('68159').borderStates).toEqual(['RP', 'HE']);
+    });
+
+    it('should not assign codes of neighbouring Gemeinden to the city-states', () => {
+      expect(lookupPostalCode('21073').federalState).toBe('HH');
+      expect(lookupPostalCode('21335')).toBeNull();
+      expect(lookupPostalCode('21244')).toBeNull();
+      expect(lookupPostalCode('12529')).toBeNull();
+      expect(lookupPostalCode('12527').federalState).toBe('BE');
+    });
+
+    it('should tell Bremen and Bremerhaven apart', () => {
+      expect(lookupPostalCode('28195').landkreis.code).toBe('04011');
+      expect(lookupPostalCode('27568').landkreis.code).toBe('04012');
+    });
+
+    it('should resolve LEADER and ILE regions', () => {
+      const regions = lookupPostalCode('82487').regions.map(region => region.type);
+      expect(regions).toEqual(['leader', 'ile']);
+      expect(lookupPostalCode('80331').regions).toEqual([]);
+    });
+
+    it('should return null for unknown codes', () => {
+      expect(lookupPostalCode('99999')).toBeNull();
+      expect(lookupPostalCode('')).toBeNull();
+    });
+  });
+
+  describe('lookupGemeinde', () => {
+    it('should find Gemeinden by AGS or name', () => {
+      expect(lookupGemeinde('09180117').gemeinde).toBe('Garmisch-Partenkirchen');
+      expect(lookupGemeinde('oberammergau').ags).toBe('09180129');
+      expect(lookupGemeinde('Atlantis')).toBeNull();
+    });
+  });
+
+  describe('resolveProjectLocation', () => {
+    it('should ignore postal codes outside the selected state', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(resolveProjectLocation({ postalCode: '27570', federalState: 'HB' }).gemeinde).toBe('Bremerhaven');
+      expect(resolveProjectLocation({ postalCode: '27570', federalState: 'BY' })).toBeNull();
+      expect(resolveProjectLocation({ federalState: 'BY' })).toBeNull();
+
+      warn.mockRestore();
+    });
+  });
+
+  describe('isProgramAvailableInLocation', () => {
+    it('should treat programs without restriction as statewide', () => {
+      expect(getRegionRestriction(statewide)).toBeNull();
+      expect(getRegionRestriction({ regionRestriction: { landkreise: [] } })).toBeNull();
+      expect(isProgramAvailableInLocation(statewide, lookupPostalCode('28195'))).toBe(true);
+    });
+
+    it('should never exclude programs for unknown locations', () => {
+      expect(isProgramAvailableInLocation(bremerhavenOnly, null)).toBe(true);
+    });
+
+    it('should match Landkreise and region types', () => {
+      expect(isProgramAvailableInLocation(bremerhavenOnly, lookupPostalCode('27570'))).toBe(true);
+      expect(isProgramAvailableInLocation(bremerhavenOnly, lookupPostalCode('28195'))).toBe(false);
+      expect(isProgramAvailableInLocation(leaderOnly, lookupPostalCode('82467'))).toBe(true);
+    });
+
+    it('should keep region types open where the membership data does not cover the Landkreis', () => {
+      const check = evaluateLocationRestriction(leaderOnly, lookupPostalCode('80331'));
+
+      expect(check).toEqual({ passed: null, reason: 'Nur in LEADER-Region verfügbar – Zugehörigkeit von München nicht hinterlegt' });
+      expect(isProgramAvailableInLocation(leaderOnly, lookupPostalCode('80331'))).toBe(true);
+    });
+
+    it('should exclude region types where the membership data covers the Landkreis', () => {
+      REGION_TYPE_COVERAGE.leader = ['09162'];
+      try {
+        expect(evaluateLocationRestriction(leaderOnly, lookupPostalCode('80331')).passed).toBe(false);
+        expect(isProgramAvailableInLocation(leaderOnly, lookupPostalCode('80331'))).toBe(false);
+      } finally {
+        delete REGION_TYPE_COVERAGE.leader;
+      }
+    });
+
+    it('should report no check without restriction or location', () => {
+      expect(evaluateLocationRestriction(statewide, lookupPostalCode('80331'))).toBeNull();
+      expect(evaluateLocationRestriction(leaderOnly, null)).toBeNull();
+    });
+
+    it('should match explicit region ids and Gemeinden', () => {
+      const location = lookupPostalCode('82487');
+      expect(isProgramAvailableInLocation({ regionRestriction: { regions: ['ile-by-ammergauer-alpen'] } }, location)).toBe(true);
+      expect(isProgramAvailableInLocation({ regionRestriction: { gemeinden: ['09180117'] } }, location)).toBe(false);
+    });
+  });
+
+  describe('filterByLocation', () => {
+    it('should keep all programs without location', () => {
+      expect(filterByLocation([bremerhavenOnly, statewide], null)).toHaveLength(2);
+      expect(filterByLocation(null, null)).toEqual([]);
+    });
+
+    it('should drop Bremerhaven programs for Bremen', () => {
+      const location = lookupPostalCode('28195');
+      const names = filterByLocation(fundingPrograms, location).map(p => p.name);
+
+      expect(names).not.toContain('Städtebauförderung Bremerhaven');
+      expect(names).toContain('Wohnen in Nachbarschaften (WiN) Bremen');
+    });
+  });
+
+  describe('filters with location', () => {
+    it('should narrow simple filter results below state level', () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const withoutLocation = simpleFilterPrograms('stadt-quartier', 'HB', fundingPrograms);
+      const bremen = simpleFilterPrograms('stadt-quartier', 'HB', fundingPrograms, { location: lookupPostalCode('28195') });
+      log.mockRestore();
+
+      expect(withoutLocation.map(p => p.name)).toContain('Städtebauförderung Bremerhaven');
+      expect(bremen.map(p => p.name)).not.toContain('Städtebauförderung Bremerhaven');
+    });
+
+    it('should keep LEADER programs where the membership is not known', () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const munich = simpleFilterPrograms('laendlicher-raum', 'BY', fundingPrograms, { location: lookupPostalCode('80331') });
+      log.mockRestore();
+
+      expect(munich.map(p => p.name)).toContain('LEADER Bayern 2023-2027');
+    });
+
+    it('should apply region restrictions in the strict filter', () => {
+      REGION_TYPE_COVERAGE.ile = ['09180'];
+      try {
+        const names = strictFilterPrograms('laendlicher-raum', 'BY', fundingPrograms, {
+          location: lookupPostalCode('82467')
+        }).map(p => p.name);
+
+        expect(names).toContain('LEADER Bayern 2023-2027');
+        expect(names).not.toContain('Regionalbudget Bayern');
+      } finally {
+        delete REGION_TYPE_COVERAGE.ile;
+      }
+    });
+  });
+
+  describe('formatLocation', () => {
+    it('should describe the location with its regions', () => {
+      expect(formatLocation(lookupPostalCode('82487')))
+        .toBe('Oberammergau, Landkreis Garmisch-Partenkirchen · LEADER-Region: LAG Zugspitz Region · ILE-Region: ILE Ammergauer Alpen');
+      expect(formatLocation(lookupPostalCode('80331'))).toBe('München');
+      expect(formatLocation(null)).toBe('');
+    });
+  });
+});
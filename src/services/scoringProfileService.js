@@ -0,0 +1,184 @@
+/**
+ * Scoring Profile Service
+ *
+ * Resolves the scoring profiles from src/data/scoringProfiles.js for
+ * RelevanceEngine and FederalStatePrioritizer and computes the per-program
+ * score breakdown (one entry per weighted component).
+ *
+ * The default profile is `standard`; deployments can choose another one with
+ * VITE_SCORING_PROFILE, users per analysis with the profile selector.
+ */
+
+import { SCORING_PROFILES, DEFAULT_SCORING_PROFILE } from '../data/scoringProfiles.js';
+import { getFundingModel, getFundingRateScore } from './fundingAmountService.js';
+import { FederalStatePrioritizer } from './FederalStatePrioritizer.js';
+
+/**
+ * Score components with display labels, in breakdown order
+ */
+export const SCORE_COMPONENTS = {
+  relevanceLevel: 'Relevanzstufe',
+  stateMatch: 'Landesprogramm für Ihr Bundesland',
+  statePriority: 'Priorität nach Bundesland',
+  projectType: 'Projekttyp',
+  playgroundHistory: 'Spielplatz-Förderhistorie',
+  measures: 'Geplante Maßnahmen',
+  applicant: 'Antragsteller',
+  fundingRate: 'Förderquote / Förderbetrag',
+  successRate: 'Bewilligungschance'
+};
+
+// Resolved registered profiles by id, and one FederalStatePrioritizer per resolved profile
+const resolvedProfiles = new Map();
+const statePrioritizers = new WeakMap();
+
+/**
+ * Get the configured default profile id
+ * @returns {string} Profile id
+ */
+export const getDefaultScoringProfileId = () => {
+  const configured = import.meta.env?.VITE_SCORING_PROFILE;
+  return configured && SCORING_PROFILES[configured] ? configured : DEFAULT_SCORING_PROFILE;
+};
+
+/**
+ * List the available profiles for the profile selector
+ * @returns {Array} { id, label, description }
+ */
+export const listScoringProfiles = () => {
+  return Object.entries(SCORING_PROFILES).map(([id, { label, description }]) => ({ id, label, description }));
+};
+
+/**
+ * Fill missing weights of a profile definition from the standard profile
+ * @param {string} id - Profile id
+ * @param {Object} definition - Profile definition
+ * @returns {Object} Resolved profile
+ */
+const resolveScoringProfile = (id, definition) => {
+  const base = SCORING_PROFILES[DEFAULT_SCORING_PROFILE];
+  return {
+    id: id || 'custom',
+    label: definition.label || id || 'Eigenes Profil',
+    description: definition.description || '',
+    weights: {
+      ...base.weights,
+      ...definition.weights,
+      relevanceLevel: { ...base.weights.relevanceLevel, ...definition.weights?.relevanceLevel }
+    },
+    statePriorityWeights: { ...base.statePriorityWeights, ...definition.statePriorityWeights }
+  };
+};
+
+/**
+ * Resolve a profile, filling missing weights from the standard profile
+ * Registered profiles are resolved once and shared, so treat the result as read-only.
+ * @param {string|Object|null} profile - Profile id, profile object or null for the default profile
+ * @returns {Object} { id, label, description, weights, statePriorityWeights }
+ */
+export const getScoringProfile = (profile = null) => {
+  let id = typeof profile === 'string' ? profile : profile?.id;
+  let definition = profile && typeof profile === 'object' ? profile : SCORING_PROFILES[id];
+
+  if (!definition) {
+    if (profile) {
+      console.warn(`Unknown scoring profile '${profile}', using ${getDefaultScoringProfileId()}`);
+    }
+    id = getDefaultScoringProfileId();
+    definition = SCORING_PROFILES[id];
+  }
+
+  if (definition === SCORING_PROFILES[id]) {
+    if (!resolvedProfiles.has(id)) {
+      resolvedProfiles.set(id, resolveScoringProfile(id, definition));
+    }
+    return resolvedProfiles.get(id);
+  }
+  return resolveScoringProfile(id, definition);
+};
+
+/**
+ * Get the state prioritizer of a resolved profile (built once per profile)
+ * @param {Object} profile - Resolved profile from getScoringProfile
+ * @returns {FederalStatePrioritizer} Prioritizer with the profile's state priority weights
+ */
+const getStatePrioritizer = (profile) => {
+  if (!statePrioritizers.has(profile)) {
+    statePrioritizers.set(profile, new FederalStatePrioritizer(profile.statePriorityWeights));
+  }
+  return statePrioritizers.get(profile);
+};
+
+/**
+ * Compute the weighted score components of a program
+ * @param {Object} program - Funding program (classified: relevanceLevel, isFederalStateSpecific, playgroundFundingHistory)
+ * @param {Object} userCriteria - { federalState, projectType, measures, applicantType }
+ * @param {Object} profile - Resolved profile from getScoringProfile
+ * @returns {Object} { profile, components: [{ key, label, weight, points }], total, score }
+ */
+export const calculateScoreBreakdown = (program, userCriteria, profile) => {
+  const { weights } = profile;
+  const points = {
+    relevanceLevel: weights.relevanceLevel[program.relevanceLevel] || 0,
+    stateMatch: 0,
+    statePriority: 0,
+    projectType: 0,
+    playgroundHistory: 0,
+    measures: 0,
+    applicant: 0,
+    fundingRate: 0,
+    successRate: 0
+  };
+
+  // Federal state match bonus
+  if (userCriteria.federalState && program.isFederalStateSpecific &&
+      program.federalStates && program.federalStates.includes(userCriteria.federalState)) {
+    points.stateMatch = weights.stateMatch;
+  }
+
+  // State priority (exact state, multi-state, nationwide by relevance level) with the profile's weights
+  if (weights.statePriority > 0 && userCriteria.federalState) {
+    points.statePriority = (getStatePrioritizer(profile).calculateStatePriorityScore(program, userCriteria.federalState) / 100) * weights.statePriority;
+  }
+
+  // Project type match bonus
+  if (userCriteria.projectType && program.type && program.type.includes(userCriteria.projectType)) {
+    points.projectType = weights.projectType;
+  }
+
+  // Playground funding history bonus
+  if (userCriteria.projectType === 'playground' && program.playgroundFundingHistory) {
+    points.playgroundHistory = weights.playgroundHistory;
+  }
+
+  // Measures match bonus
+  if (userCriteria.measures && userCriteria.measures.length > 0 && program.measures) {
+    const matchingMeasures = userCriteria.measures.filter(measure => program.measures.includes(measure));
+    points.measures = (matchingMeasures.length / userCriteria.measures.length) * weights.measures;
+  }
+
+  // Applicant type explicitly eligible
+  if (userCriteria.applicantType && (program.eligibleApplicants || []).includes(userCriteria.applicantType)) {
+    points.applicant = weights.applicant;
+  }
+
+  points.fundingRate = (getFundingRateScore(getFundingModel(program)) / 100) * weights.fundingRate;
+  points.successRate = ((program.successRate || 0) / 100) * weights.successRate;
+
+  const components = Object.keys(SCORE_COMPONENTS)
+    .filter(key => key === 'relevanceLevel' || weights[key] > 0)
+    .map(key => ({
+      key,
+      label: SCORE_COMPONENTS[key],
+      weight: key === 'relevanceLevel' ? weights.relevanceLevel[1] : weights[key],
+      points: Math.round(points[key] * 10) / 10
+    }));
+  const total = Object.values(points).reduce((sum, value) => sum + value, 0);
+
+  return {
+    profile: { id: profile.id, label: profile.label },
+    components,
+    total,
+    score: Math.min(total, 100) // Cap at 100
+  };
+};
@@ -0,0 +1,160 @@
+/**
+ * Tests for the Scoring Profile Service
+ * Feature: scoring-profiles
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { getScoringProfile, listScoringProfiles, calculateScoreBreakdown } from './scoringProfileService.js';
+import { RelevanceEngine } from './RelevanceEngine.js';
+import { FederalStatePrioritizer } from './FederalStatePrioritizer.js';
+import { runFilterPipeline } from './filterPipeline.js';
+import { fundingPrograms } from '../data/fundingPrograms.js';
+
+const stateProgram = {
+  name: 'Bayern Spielplatzförderung',
+  type: ['playground'],
+  federalStates: ['BY'],
+  measures: ['newBuild', 'renovation'],
+  eligibleApplicants: ['kommune'],
+  fundingRate: 'bis 80%',
+  description: 'Landesförderprogramm für Spielplätze in Bayern'
+};
+
+const federalProgram = {
+  name: 'Bundesprogramm Bewegung',
+  type: ['playground'],
+  federalStates: ['all'],
+  measures: ['newBuild'],
+  eligibleApplicants: ['verein', 'kommune'],
+  fundingRate: 'bis 90%'
+};
+
+const pointsOf = (breakdown) => Object.fromEntries(breakdown.components.map(component => [component.key, component.points]));
+
+describe('Scoring Profile Service', () => {
+
+  describe('getScoringProfile', () => {
+    it('should fill missing weights from the standard profile', () => {
+      const profile = getScoringProfile('verein');
+
+      expect(profile.weights.projectType).toBe(25);
+      expect(profile.weights.applicant).toBe(30);
+      expect(profile.weights.relevanceLevel).toEqual({ 1: 40, 2: 35, 3: 35, 4: 0 });
+      expect(profile.statePriorityWeights).toMatchObject({ EXACT_STATE_MATCH: 100, ALL_STATES_CORE: 70 });
+    });
+
+    it('should fall back to the default profile and accept custom profiles', () => {
+      expect(getScoringProfile('unknown').id).toBe('standard');
+      expect(getScoringProfile(null).id).toBe('standard');
+      expect(getScoringProfile({ label: 'Test', weights: { fundingRate: 50 } }).weights).toMatchObject({ fundingRate: 50, stateMatch: 30 });
+    });
+
+    it('should list the profiles for the selector', () => {
+      expect(listScoringProfiles().map(profile => profile.id)).toEqual(['standard', 'kommune', 'verein', 'maxAmount', 'approvalOdds']);
+    });
+  });
+
+  describe('calculateScoreBreakdown', () => {
+    it('should reproduce the original fixed weights with the standard profile', () => {
+      const breakdown = calculateScoreBreakdown(
+        { ...stateProgram, relevanceLevel: 1, isFederalStateSpecific: true, playgroundFundingHistory: true },
+        { federalState: 'BY', projectType: 'playground', measures: ['newBuild', 'accessibility'] },
+        getScoringProfile('standard')
+      );
+
+      expect(pointsOf(breakdown)).toEqual({
+        relevanceLevel: 50,
+        stateMatch: 30,
+        projectType: 25,
+        playgroundHistory: 20,
+        measures: 7.5
+      });
+      expect(breakdown.total).toBe(132.5);
+      expect(breakdown.score).toBe(100);
+    });
+
+    it('should show the weighted components of the profile', () => {
+      const breakdown = calculateScoreBreakdown(
+        { ...federalProgram, relevanceLevel: 3, successRate: 60 },
+        { federalState: 'BY', projectType: 'calisthenics', applicantType: 'verein' },
+        getScoringProfile('maxAmount')
+      );
+
+      expect(breakdown.profile).toEqual({ id: 'maxAmount', label: 'Maximale Fördersumme' });
+      expect(pointsOf(breakdown)).toMatchObject({ relevanceLevel: 30, projectType: 0, fundingRate: 31.5 });
+      expect(pointsOf(breakdown).successRate).toBeUndefined();
+    });
+
+    it('should score the state priority with the profile\'s state priority weights', () => {
+      const program = { ...federalProgram, relevanceLevel: 1 };
+      const criteria = { federalState: 'BY', projectType: 'playground' };
+
+      expect(pointsOf(calculateScoreBreakdown(program, criteria, getScoringProfile('verein'))).statePriority).toBe(10.5);
+      expect(pointsOf(calculateScoreBreakdown(program, criteria, getScoringProfile('standard'))).statePriority).toBeUndefined();
+    });
+
+    it('should build the state prioritizer once per profile', () => {
+      const spy = vi.spyOn(FederalStatePrioritizer.prototype, 'calculateStatePriorityScore');
+      const criteria = { federalState: 'BY', projectType: 'playground' };
+      const profile = getScoringProfile('verein');
+
+      calculateScoreBreakdown({ ...federalProgram, relevanceLevel: 1 }, criteria, profile);
+      calculateScoreBreakdown({ ...stateProgram, relevanceLevel: 1 }, criteria, getScoringProfile('verein'));
+      const prioritizers = [...spy.mock.contexts];
+      spy.mockRestore();
+
+      expect(getScoringProfile('verein')).toBe(profile);
+      expect(prioritizers).toHaveLength(2);
+      expect(prioritizers[0]).toBe(prioritizers[1]);
+    });
+  });
+
+  describe('RelevanceEngine integration', () => {
+    it('should rank by the selected profile', () => {
+      const engine = new RelevanceEngine([stateProgram, federalProgram]);
+      const criteria = { federalState: 'BY', projectType: 'playground', applicantType: 'verein' };
+
+      expect(engine.calculateRelevanceScore(stateProgram, criteria))
+        .toBeGreaterThan(engine.calculateRelevanceScore(federalProgram, criteria));
+
+      const vereinCriteria = { ...criteria, scoringProfile: 'verein' };
+      expect(engine.getScoreBreakdown(federalProgram, vereinCriteria).profile.id).toBe('verein');
+      expect(pointsOf(engine.getScoreBreakdown(federalProgram, vereinCriteria)).applicant).toBe(30);
+    });
+
+    it('should pass the state priority weights to the FederalStatePrioritizer', () => {
+      const engine = new RelevanceEngine([stateProgram], null, 'verein');
+      const program = { ...federalProgram, relevanceLevel: 3 };
+
+      expect(engine.prioritizer.calculateStatePriorityScore(program, 'BY')).toBe(40);
+      engine.setScoringProfile('standard');
+      expect(engine.prioritizer.calculateStatePriorityScore(program, 'BY')).toBe(20);
+      expect(new FederalStatePrioritizer().calculateStatePriorityScore(program, 'BY')).toBe(20);
+    });
+  });
+
+  describe('filter pipeline', () => {
+    it('should order the default pipeline by the selected profile', () => {
+      // Playground programs by name get the higher estimated approval odds (addEnhancedMetadata)
+      const highRate = { ...stateProgram, name: 'Freiraumprogramm Bayern', fundingRate: 'bis 90%' };
+      const goodOdds = { ...stateProgram, name: 'Spielplatzprogramm Bayern', fundingRate: 'bis 50%' };
+      const engine = new RelevanceEngine([highRate, goodOdds]);
+      const order = (scoringProfile) => runFilterPipeline(
+        [highRate, goodOdds],
+        { federalState: 'BY', einsatzbereich: 'stadt-quartier', projectType: 'playground', scoringProfile },
+        { stages: 'simple', relevanceEngine: engine }
+      ).map(program => program.name);
+
+      expect(order('maxAmount')).toEqual(['Freiraumprogramm Bayern', 'Spielplatzprogramm Bayern']);
+      expect(order('approvalOdds')).toEqual(['Spielplatzprogramm Bayern', 'Freiraumprogramm Bayern']);
+    });
+
+    it('should keep the default order under the standard profile', () => {
+      const criteria = { federalState: 'BY', einsatzbereich: 'laendlicher-raum', projectType: 'playground' };
+      const names = (options) => runFilterPipeline(fundingPrograms, criteria, { stages: 'simple', ...options })
+        .map(program => program.name);
+
+      expect(names({ relevanceEngine: new RelevanceEngine(fundingPrograms) })).toEqual(names({}));
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Site Type Service
+ *
+ * Second level of the location picker: after the area type (Einsatzbereich
+ * "stadt-quartier" / "laendlicher-raum") the user picks the concrete site,
+ * e.g. Kita-Außengelände or Schulhof. Each site type maps to the finer use
+ * cases of the program classifications (programRegistry.js) per area type,
+ * most specific first: a Kita in town matches programs that list `kita` or
+ * `kommunal-angebunden` and is rejected by programs that exclude either of
+ * them. `kommunal-angebunden` is an urban category (rural development
+ * programs exclude it), so a Kita in the Ländlicher Raum only maps to `kita`.
+ */
+
+/**
+ * Site types with display labels and their use cases per area type
+ * (the area types offering a site type are the keys of `useCases`)
+ */
+export const SITE_TYPES = {
+  'oeffentlich-kommunal': {
+    label: 'Öffentlicher Spielplatz (kommunal)',
+    useCases: { 'stadt-quartier': ['oeffentlich-kommunal'] }
+  },
+  'parks-gruenanlage': {
+    label: 'Park / Grünanlage',
+    useCases: { 'stadt-quartier': ['parks-gruenanlage'] }
+  },
+  'wohnquartier': {
+    label: 'Wohnquartier',
+    useCases: { 'stadt-quartier': ['wohnquartier'] }
+  },
+  'neubaugebiet': {
+    label: 'Neubaugebiet',
+    useCases: { 'stadt-quartier': ['neubaugebiet'] }
+  },
+  'sozialer-wohnungsbau': {
+    label: 'Sozialer Wohnungsbau',
+    useCases: { 'stadt-quartier': ['sozialer-wohnungsbau', 'wohnquartier'] }
+  },
+  'kita': {
+    label: 'Kita-Außengelände',
+    useCases: {
+      'stadt-quartier': ['kita', 'kommunal-angebunden'],
+      'laendlicher-raum': ['kita']
+    }
+  },
+  'schule': {
+    label: 'Schulhof',
+    useCases: {
+      'stadt-quartier': ['schule', 'kommunal-angebunden'],
+      'laendlicher-raum': ['schule']
+    }
+  },
+  'soziale-einrichtung': {
+    label: 'Soziale Einrichtung (Jugendzentrum, Familienzentrum …)',
+    useCases: {
+      'stadt-quartier': ['soziale-einrichtung', 'kommunal-angebunden'],
+      'laendlicher-raum': ['soziale-einrichtung']
+    }
+  },
+  'freizeit-erholung': {
+    label: 'Freizeit- / Erholungsanlage',
+    useCases: {
+      'stadt-quartier': ['freizeit-erholung'],
+      'laendlicher-raum': ['freizeit-erholung']
+    }
+  }
+};
+
+/**
+ * Site types offered for an area type
+ * @param {string} einsatzbereich - Area type
+ * @returns {Array} { value, label }
+ */
+export const getSiteTypesForArea = (einsatzbereich) => {
+  return Object.entries(SITE_TYPES)
+    .filter(([, siteType]) => siteType.useCases[einsatzbereich])
+    .map(([value, { label }]) => ({ value, label }));
+};
+
+/**
+ * Check if a site type is offered for an area type
+ * @param {string} siteType - Site type key
+ * @param {string} einsatzbereich - Area type
+ * @returns {boolean} True if offered
+ */
+export const isSiteTypeAvailable = (siteType, einsatzbereich) => {
+  return Boolean(SITE_TYPES[siteType]?.useCases[einsatzbereich]);
+};
+
+/**
+ * Get the display label of a site type
+ * @param {string} siteType - Site type key
+ * @returns {string} Label
+ */
+export const getSiteTypeLabel = (siteType) => {
+  return SITE_TYPES[siteType]?.label || siteType;
+};
+
+/**
+ * Get the use cases a site type matches in an area type, most specific first
+ * @param {string} siteType - Site type key
+ * @param {string} einsatzbereich - Area type (optional: use cases of all area types)
+ * @returns {Array} Use cases (empty for unknown / no site type)
+ */
+export const getSiteUseCases = (siteType, einsatzbereich = null) => {
+  const useCases = SITE_TYPES[siteType]?.useCases || {};
+  if (einsatzbereich) {
+    return useCases[einsatzbereich] || [];
+  }
+  return [...new Set(Object.values(useCases).flat())];
+};
+
+/**
+ * Find the use case of a site type a classification explicitly excludes
+ * @param {Object|null} classification - Program classification { useCases, excludedUseCases }
+ * @param {string} siteType - Site type key
+ * @param {string} einsatzbereich - Area type (optional)
+ * @returns {string|null} Excluded use case, or null
+ */
+export const getExcludedSiteUseCase = (classification, siteType, einsatzbereich = null) => {
+  const excluded = classification?.excludedUseCases || [];
+  return getSiteUseCases(siteType, einsatzbereich).find(useCase => excluded.includes(useCase)) || null;
+};
+
+/**
+ * Check if a classification explicitly allows a site type
+ * @param {Object|null} classification - Program classification
+ * @param {string} siteType - Site type key
+ * @param {string} einsatzbereich - Area type (optional)
+ * @returns {boolean} True if one of the site's use cases is listed
+ */
+export const isSiteTypeAllowed = (classification, siteType, einsatzbereich = null) => {
+  const allowed = classification?.useCases || [];
+  return getSiteUseCases(siteType, einsatzbereich).some(useCase => allowed.includes(useCase));
+};
@@ -0,0 +1,110 @@
+/**
+ * Tests for the Site Type Service
+ * Feature: site-type-picker
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getSiteTypesForArea,
+  isSiteTypeAvailable,
+  getExcludedSiteUseCase,
+  isSiteTypeAllowed,
+  getSiteUseCases
+} from './siteTypeService.js';
+import { runFilterPipeline } from './filterPipeline.js';
+import { getUseCaseRejection } from './filterStages.js';
+import { createDecisionTrace, getExcludedPrograms } from './decisionTraceService.js';
+import { fundingPrograms } from '../data/fundingPrograms.js';
+
+const program = (name, classification) => ({
+  name,
+  type: ['playground'],
+  federalStates: ['BY'],
+  classification: { types: ['public_infrastructure'], ...classification }
+});
+
+const urbanProgram = program('Stadtprogramm', { useCases: ['stadt-quartier', 'wohnquartier'], excludedUseCases: ['kita', 'schule'] });
+const schoolProgram = program('Bildungsprogramm', { useCases: ['kommunal-angebunden'], excludedUseCases: [] });
+const generalProgram = program('Allgemeines Programm', { useCases: ['stadt-quartier'], excludedUseCases: [] });
+const programs = [urbanProgram, schoolProgram, generalProgram];
+
+const criteria = { einsatzbereich: 'stadt-quartier', federalState: 'BY', projectType: 'playground' };
+const names = (result) => result.map(entry => entry.name).sort();
+
+describe('Site Type Service', () => {
+
+  describe('getSiteTypesForArea', () => {
+    it('should offer Kita and Schulhof in both area types, Wohnquartier only in towns', () => {
+      const urban = getSiteTypesForArea('stadt-quartier').map(siteType => siteType.value);
+      const rural = getSiteTypesForArea('laendlicher-raum').map(siteType => siteType.value);
+
+      expect(urban).toContain('wohnquartier');
+      expect(urban).toContain('kita');
+      expect(rural).toEqual(['kita', 'schule', 'soziale-einrichtung', 'freizeit-erholung']);
+      expect(isSiteTypeAvailable('wohnquartier', 'laendlicher-raum')).toBe(false);
+      expect(isSiteTypeAvailable(null, 'stadt-quartier')).toBe(false);
+    });
+  });
+
+  describe('classification checks', () => {
+    it('should match the specific and the broader use case of a site type', () => {
+      expect(getExcludedSiteUseCase(urbanProgram.classification, 'kita')).toBe('kita');
+      expect(getExcludedSiteUseCase(generalProgram.classification, 'kita')).toBeNull();
+      expect(isSiteTypeAllowed(schoolProgram.classification, 'schule')).toBe(true);
+      expect(isSiteTypeAllowed(urbanProgram.classification, 'sozialer-wohnungsbau')).toBe(true);
+      expect(isSiteTypeAllowed(null, 'kita')).toBe(false);
+    });
+
+    it('should map Kita and Schulhof to the urban kommunal-angebunden category only in towns', () => {
+      expect(getSiteUseCases('kita', 'stadt-quartier')).toEqual(['kita', 'kommunal-angebunden']);
+      expect(getSiteUseCases('kita', 'laendlicher-raum')).toEqual(['kita']);
+      expect(getSiteUseCases('schule')).toEqual(['schule', 'kommunal-angebunden']);
+    });
+  });
+
+  describe('rural Kita', () => {
+    it('should keep the rural development programs for a Kita-Außengelände in the Ländlicher Raum', () => {
+      const rural = { einsatzbereich: 'laendlicher-raum', federalState: 'BY', projectType: 'playground' };
+
+      ['strict', 'simple'].forEach(stages => {
+        const withoutSite = names(runFilterPipeline(fundingPrograms, rural, { stages }));
+        const kita = names(runFilterPipeline(fundingPrograms, { ...rural, siteType: 'kita' }, { stages }));
+
+        expect(kita).toEqual(withoutSite);
+        expect(kita).toEqual(expect.arrayContaining([
+          'Dorferneuerung Bayern', 'GAK - Förderung der Dorfentwicklung', 'LEADER Bayern 2023-2027'
+        ]));
+      });
+    });
+  });
+
+  describe('strict matching', () => {
+    it('should reject excluded site types, accept listed ones and fall back to the Einsatzbereich', () => {
+      expect(getUseCaseRejection(urbanProgram, 'stadt-quartier', 'BY', 'kita')).toEqual({
+        stage: 'site',
+        rule: 'Standort „Kita-Außengelände“ ist ausdrücklich ausgeschlossen (kita)'
+      });
+      expect(getUseCaseRejection(schoolProgram, 'stadt-quartier', 'BY', 'kita')).toBeNull();
+      expect(getUseCaseRejection(generalProgram, 'stadt-quartier', 'BY', 'kita')).toBeNull();
+      expect(getUseCaseRejection(schoolProgram, 'stadt-quartier', 'BY')).not.toBeNull();
+    });
+
+    it('should feed the site type into the strict preset', () => {
+      const trace = createDecisionTrace();
+      const result = runFilterPipeline(programs, { ...criteria, siteType: 'schule' }, { stages: 'strict', trace });
+
+      expect(names(result)).toEqual(['Allgemeines Programm', 'Bildungsprogramm']);
+      expect(getExcludedPrograms(trace)).toEqual([
+        expect.objectContaining({ name: 'Stadtprogramm', stage: 'site' })
+      ]);
+    });
+  });
+
+  describe('simple preset', () => {
+    it('should only drop programs that exclude the site type', () => {
+      expect(names(runFilterPipeline(programs, criteria, { stages: 'simple' }))).toHaveLength(3);
+      expect(names(runFilterPipeline(programs, { ...criteria, siteType: 'kita' }, { stages: 'simple' })))
+        .toEqual(['Allgemeines Programm', 'Bildungsprogramm']);
+    });
+  });
+});
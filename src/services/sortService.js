@@ -6,60 +6,14 @@
  * 2. Secondary: Federal state match
  * 3. Tertiary: Funding rate (highest first)
  * 
+ * The "expectedFunding" order puts the expected grant in EUR for the
+ * project budget first; the relevance order does not use the budget.
  * Also includes legacy sorting for backward compatibility.
  */
 
-/**
- * Parse funding rate string to numeric value for comparison
- * @param {string} fundingRateStr - Funding rate string (e.g., "60-90%", "bis 80%", "bis 10.000 EUR")
- * @returns {number} Numeric value for comparison (0-100 for percentages, raw number for EUR amounts)
- */
-export const parseFundingRate = (fundingRateStr) => {
-  if (!fundingRateStr || typeof fundingRateStr !== 'string') {
-    return 0;
-  }
+import { parseFundingRate, getFundingModel, getFundingRateScore, compareByExpectedFunding } from './fundingAmountService.js';
 
-  const str = fundingRateStr.toLowerCase().trim();
-  
-  // Handle EUR amounts (convert to percentage equivalent for comparison)
-  if (str.includes('eur')) {
-    const eurMatch = str.match(/(\d+(?:\.\d+)?)/);
-    if (eurMatch) {
-      const amount = parseFloat(eurMatch[1]);
-      // Convert EUR amounts to a comparable scale (higher amounts = higher score)
-      // Use logarithmic scale to handle wide range of amounts
-      return Math.min(100, Math.log10(amount + 1) * 20);
-    }
-    return 0;
-  }
-  
-  // Handle percentage ranges (e.g., "60-90%")
-  const rangeMatch = str.match(/(\d+)-(\d+)%/);
-  if (rangeMatch) {
-    const min = parseInt(rangeMatch[1]);
-    const max = parseInt(rangeMatch[2]);
-    return max; // Use maximum value for comparison
-  }
-  
-  // Handle "bis X%" format
-  const bisMatch = str.match(/bis\s+(\d+)%/);
-  if (bisMatch) {
-    return parseInt(bisMatch[1]);
-  }
-  
-  // Handle simple percentage (e.g., "75%")
-  const percentMatch = str.match(/(\d+)%/);
-  if (percentMatch) {
-    return parseInt(percentMatch[1]);
-  }
-  
-  // Handle "variabel" or other non-numeric values
-  if (str.includes('variabel')) {
-    return 50; // Default middle value for variable rates
-  }
-  
-  return 0;
-};
+export { parseFundingRate };
 
 /**
  * Check if a program matches the user's federal state
@@ -90,19 +44,30 @@ export const isStateSpecific = (program) => {
   return !program.federalStates.includes('all') && program.federalStates.length > 0;
 };
 
+/**
+ * Sort orders for sortByRelevance
+ */
+export const SORT_ORDERS = {
+  relevance: 'Relevanz',
+  expectedFunding: 'Erwartete Fördersumme'
+};
+
 /**
  * Enhanced sort by relevance with multi-level sorting
  * Priority: State-specific programs first, then bundesweite programs
  * @param {Array} programs - Array of programs with relevance metadata
  * @param {string} userFederalState - User's federal state code
+ * @param {Object} options - { orderBy: 'relevance' | 'expectedFunding', projectBudget }
  * @returns {Array} Sorted programs
  */
-export const sortByRelevance = (programs, userFederalState = null) => {
+export const sortByRelevance = (programs, userFederalState = null, options = {}) => {
   if (!Array.isArray(programs)) {
     return [];
   }
 
-  return programs.sort((a, b) => {
+  const { orderBy = 'relevance', projectBudget = null } = options;
+
+  const compareByRelevance = (a, b) => {
     // 1. Primary: State-specific programs before bundesweite programs
     const aIsStateSpecific = isStateSpecific(a);
     const bIsStateSpecific = isStateSpecific(b);
@@ -130,11 +95,17 @@ export const sortByRelevance = (programs, userFederalState = null) => {
     }
     
     // 4. Quaternary: Funding rate (highest first)
-    const aRate = parseFundingRate(a.fundingRate);
-    const bRate = parseFundingRate(b.fundingRate);
+    const aRate = getFundingRateScore(getFundingModel(a));
+    const bRate = getFundingRateScore(getFundingModel(b));
     
     return bRate - aRate;
-  });
+  };
+
+  if (orderBy === 'expectedFunding') {
+    return programs.sort((a, b) => compareByExpectedFunding(a, b, projectBudget) || compareByRelevance(a, b));
+  }
+
+  return programs.sort(compareByRelevance);
 };
 
 /**
@@ -156,10 +127,11 @@ export const limitResults = (programs, maxResults = 20) => {
  * @param {Array} programs - Array of programs with relevance metadata
  * @param {string} userFederalState - User's federal state code
  * @param {number} maxResults - Maximum number of results (default: 20)
+ * @param {Object} options - Sort options (see sortByRelevance)
  * @returns {Array} Sorted and limited programs
  */
-export const sortAndLimitByRelevance = (programs, userFederalState = null, maxResults = 20) => {
-  const sorted = sortByRelevance(programs, userFederalState);
+export const sortAndLimitByRelevance = (programs, userFederalState = null, maxResults = 20, options = {}) => {
+  const sorted = sortByRelevance(programs, userFederalState, options);
   return limitResults(sorted, maxResults);
 };
 
@@ -464,6 +464,26 @@ describe('Sort Service Property Tests', () => {
       });
     });
 
+    describe('Expected Funding Order', () => {
+      const cappedProgram = { name: 'Capped', federalStates: ['all'], relevanceLevel: 3, fundingRate: '90%, max 10.000 EUR' };
+      const uncappedProgram = { name: 'Uncapped', federalStates: ['all'], relevanceLevel: 3, fundingRate: '60%' };
+      const stateProgram = { name: 'State', federalStates: ['BY'], relevanceLevel: 1, fundingRate: '50%, max 20.000 EUR' };
+
+      it('should keep the relevance order when only a budget is given', () => {
+        expect(sortByRelevance([cappedProgram, uncappedProgram])[0].name).toBe('Capped');
+        expect(sortByRelevance([cappedProgram, uncappedProgram], null, { projectBudget: 200000 })[0].name).toBe('Capped');
+      });
+
+      it('should put the expected grant first with orderBy expectedFunding', () => {
+        const programs = [stateProgram, cappedProgram, uncappedProgram];
+
+        expect(sortByRelevance([...programs], 'BY', { projectBudget: 200000 }).map(p => p.name))
+          .toEqual(['State', 'Capped', 'Uncapped']);
+        expect(sortByRelevance([...programs], 'BY', { orderBy: 'expectedFunding', projectBudget: 200000 }).map(p => p.name))
+          .toEqual(['Uncapped', 'State', 'Capped']);
+      });
+    });
+
     describe('Edge Cases and Error Handling', () => {
       it('should handle empty arrays', () => {
         expect(sortByRelevance([])).toEqual([]);
@@ -0,0 +1,297 @@
+/**
+ * Spreadsheet Parser
+ *
+ * Reads CSV and XLSX files into rows of cell strings, without external
+ * dependencies. XLSX files are ZIP archives of XML parts; entries are inflated
+ * with the platform's DecompressionStream (browsers and Node 18+). Only the
+ * first worksheet is read, cell formatting and formulas are ignored (the cached
+ * value is used).
+ */
+
+/**
+ * Normalize a column header or code for comparison ("Förder-Quote" -> "foerderquote")
+ * @param {string} value - Header or value
+ * @returns {string} Normalized value
+ */
+export const normalizeKey = (value) => {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Detect the delimiter of a CSV text from its first line
+ * @param {string} text - CSV text
+ * @returns {string} ';', ',' or tab
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const [best] = [';', ',', '\t']
+    .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }))
+    .sort((a, b) => b.count - a.count);
+  return best.count > 0 ? best.delimiter : ',';
+};
+
+/**
+ * Parse CSV text (RFC 4180 quoting, delimiter detected: ";" as written by German Excel, "," or tab)
+ * @param {string} text - CSV text
+ * @param {Object} options - Options
+ * @param {string} options.delimiter - Delimiter (default: detected)
+ * @returns {Array} Rows as arrays of strings (empty rows removed)
+ */
+export const parseCsv = (text, options = {}) => {
+  const input = String(text || '').replace(/^﻿/, '');
+  const delimiter = options.delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Decode XML character entities (shared with the Förderdatenbank XML import)
+ * @param {string} text - XML text content
+ * @returns {string} Decoded text
+ */
+export const decodeXml = (text) => {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Concatenate the text runs (<t>) inside an XML fragment
+ * @param {string} xml - Fragment
+ * @returns {string} Text
+ */
+const readTextRuns = (xml) => {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+};
+
+/**
+ * Inflate raw DEFLATE data
+ * @param {Uint8Array} data - Compressed data
+ * @returns {Promise<Uint8Array>} Uncompressed data
+ */
+const inflateRaw = async (data) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('XLSX import is not supported in this environment (DecompressionStream missing)');
+  }
+
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(data);
+      controller.close();
+    }
+  }).pipeThrough(new DecompressionStream('deflate-raw'));
+
+  const chunks = [];
+  const reader = stream.getReader();
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    chunks.push(result.value);
+  }
+
+  const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+};
+
+/**
+ * Read the entries of a ZIP archive
+ * @param {ArrayBuffer|Uint8Array} buffer - ZIP file
+ * @returns {Promise<Map>} File name -> text content
+ */
+const readZipEntries = async (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder('utf-8');
+
+  // End of central directory record, searched from the end (it may be followed by a comment)
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a valid XLSX file (ZIP directory missing)');
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error('Not a valid XLSX file (corrupt ZIP directory)');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    const dataStart = localOffset + 30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, decoder.decode(data));
+    } else if (method === 8) {
+      entries.set(name, decoder.decode(await inflateRaw(data)));
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Convert a column reference ("B", "AA") to a zero-based index
+ * @param {string} letters - Column letters
+ * @returns {number} Column index
+ */
+const columnIndex = (letters) => {
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+/**
+ * Find the path of the first worksheet
+ * @param {Map} entries - ZIP entries
+ * @returns {string|null} Worksheet path
+ */
+const findFirstWorksheet = (entries) => {
+  const workbook = entries.get('xl/workbook.xml') || '';
+  const rels = entries.get('xl/_rels/workbook.xml.rels') || '';
+  const sheet = workbook.match(/<sheet\s[^>]*r:id="([^"]+)"/);
+
+  if (sheet) {
+    const rel = [...rels.matchAll(/<Relationship\s[^>]*>/g)]
+      .map(match => match[0])
+      .find(tag => tag.includes(`Id="${sheet[1]}"`));
+    const target = rel && rel.match(/Target="([^"]+)"/);
+    if (target) {
+      const path = target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+      if (entries.has(path)) return path;
+    }
+  }
+
+  return [...entries.keys()].filter(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name)).sort()[0] || null;
+};
+
+/**
+ * Parse the first worksheet of an XLSX file
+ * @param {ArrayBuffer|Uint8Array} buffer - XLSX file content
+ * @returns {Promise<Array>} Rows as arrays of strings (empty rows removed)
+ */
+export const parseXlsx = async (buffer) => {
+  const entries = await readZipEntries(buffer);
+  const sheetPath = findFirstWorksheet(entries);
+  if (!sheetPath) {
+    throw new Error('Not a valid XLSX file (no worksheet found)');
+  }
+
+  const sharedStrings = [...(entries.get('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(match => readTextRuns(match[1]));
+
+  const rows = [];
+  const sheet = entries.get(sheetPath);
+
+  for (const rowMatch of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+
+    for (const cellMatch of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const ref = attributes.match(/\br="([A-Z]+)\d+"/);
+      const type = (attributes.match(/\bt="([^"]+)"/) || [])[1];
+      const rawValue = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = '';
+      if (type === 's') {
+        value = sharedStrings[Number(rawValue)] ?? '';
+      } else if (type === 'inlineStr') {
+        value = readTextRuns(content);
+      } else if (type === 'b') {
+        value = rawValue === '1' ? 'TRUE' : 'FALSE';
+      } else if (rawValue !== undefined) {
+        value = decodeXml(rawValue);
+      }
+
+      row[ref ? columnIndex(ref[1]) : row.length] = value;
+    }
+
+    rows.push(Array.from(row, value => value ?? ''));
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse a CSV or XLSX file (by file name)
+ * @param {Object} file - { name, content } with text content for CSV, ArrayBuffer for XLSX
+ * @returns {Promise<Array>} Rows as arrays of strings
+ */
+export const parseSpreadsheet = async (file) => {
+  const name = String(file?.name || '').toLowerCase();
+
+  if (name.endsWith('.xlsx')) {
+    return parseXlsx(file.content);
+  }
+  if (name.endsWith('.csv') || name.endsWith('.txt')) {
+    const text = typeof file.content === 'string' ? file.content : new TextDecoder('utf-8').decode(file.content);
+    return parseCsv(text);
+  }
+
+  throw new Error(`Unsupported file type: ${file?.name} (expected .csv or .xlsx)`);
+};
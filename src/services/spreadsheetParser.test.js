@@ -0,0 +1,126 @@
+/**
+ * Tests for Spreadsheet Parser
+ * Feature: program-import
+ */
+
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync } from 'node:zlib';
+import { parseCsv, parseXlsx, parseSpreadsheet } from './spreadsheetParser.js';
+
+/**
+ * Build a minimal ZIP archive (local headers + central directory, no CRC check needed)
+ * @param {Object} files - Path -> text content
+ * @param {boolean} compress - Deflate the entries
+ * @returns {Uint8Array} ZIP file
+ */
+const buildZip = (files, compress) => {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([path, text]) => {
+    const name = encoder.encode(path);
+    const raw = encoder.encode(text);
+    const data = compress ? new Uint8Array(deflateRawSync(raw)) : raw;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(8, compress ? 8 : 0, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(10, compress ? 8 : 0, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, raw.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+};
+
+const workbookFiles = {
+  'xl/workbook.xml': '<workbook xmlns:r="r"><sheets><sheet name="Programme" sheetId="1" r:id="rId1"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+  'xl/sharedStrings.xml': '<sst><si><t>Name</t></si><si><t>Förderquote</t></si><si><r><t>Spiel</t></r><r><t>platz &amp; Co</t></r></si></sst>',
+  'xl/worksheets/sheet1.xml': [
+    '<worksheet><sheetData>',
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="D1" t="inlineStr"><is><t>Aktiv</t></is></c></row>',
+    '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"><v>75</v></c><c r="D2" t="b"><v>1</v></c></row>',
+    '<row r="3"></row>',
+    '</sheetData></worksheet>'
+  ].join('')
+};
+
+describe('Spreadsheet Parser', () => {
+
+  describe('parseCsv', () => {
+    it('should detect semicolons as written by German Excel', () => {
+      expect(parseCsv('Name;Förderquote\nProgramm A;50%\n')).toEqual([
+        ['Name', 'Förderquote'],
+        ['Programm A', '50%']
+      ]);
+    });
+
+    it('should handle quoted cells with delimiters, quotes and line breaks', () => {
+      const csv = 'name,description\r\n"A, B","Sagt ""Hallo""\nzweite Zeile"\r\n';
+      expect(parseCsv(csv)).toEqual([
+        ['name', 'description'],
+        ['A, B', 'Sagt "Hallo"\nzweite Zeile']
+      ]);
+    });
+
+    it('should drop empty rows and a byte order mark', () => {
+      expect(parseCsv('﻿name;quote\n\n;\nA;50%')).toEqual([['name', 'quote'], ['A', '50%']]);
+    });
+  });
+
+  describe('parseXlsx', () => {
+    it('should read stored entries', async () => {
+      expect(await parseXlsx(buildZip(workbookFiles, false))).toEqual([
+        ['Name', 'Förderquote', '', 'Aktiv'],
+        ['Spielplatz & Co', '75', '', 'TRUE']
+      ]);
+    });
+
+    it('should read deflated entries', async () => {
+      const rows = await parseXlsx(buildZip(workbookFiles, true).buffer);
+      expect(rows[1][0]).toBe('Spielplatz & Co');
+    });
+
+    it('should reject files that are not ZIP archives', async () => {
+      await expect(parseXlsx(new TextEncoder().encode('name;quote'))).rejects.toThrow('Not a valid XLSX file');
+    });
+  });
+
+  describe('parseSpreadsheet', () => {
+    it('should dispatch on the file extension', async () => {
+      expect(await parseSpreadsheet({ name: 'programme.CSV', content: 'name\nA' })).toEqual([['name'], ['A']]);
+      expect((await parseSpreadsheet({ name: 'programme.xlsx', content: buildZip(workbookFiles, true) }))).toHaveLength(2);
+      await expect(parseSpreadsheet({ name: 'programme.ods', content: '' })).rejects.toThrow('Unsupported file type');
+    });
+  });
+});
@@ -10,6 +10,7 @@ import {
   prioritizePlaygroundFundingHistory
 } from './strictFilterService';
 import { RelevanceEngine } from './RelevanceEngine';
+import { fundingPrograms } from '../data/fundingPrograms';
 
 // Mock programs for testing
 const mockPrograms = [
@@ -130,6 +131,91 @@ describe('strictFilterPrograms (backward compatibility)', () => {
   });
 });
 
+describe('strictFilterPrograms applicant type', () => {
+  const programsWithApplicants = mockPrograms.map(program => ({
+    ...program,
+    eligibleApplicants: program.name.startsWith('LEADER')
+      ? ['kommune', 'verein', 'privat']
+      : ['kommune']
+  }));
+
+  it('should hard-exclude programs the applicant cannot receive', () => {
+    const result = strictFilterPrograms('oeffentlich-kommunal', 'NI', programsWithApplicants, {
+      applicantType: 'verein'
+    });
+
+    expect(getStrictProgramNames(result)).not.toContain('Städtebauförderung - Lebendige Zentren');
+  });
+
+  it('should keep programs open to the applicant', () => {
+    const result = strictFilterPrograms('laendlicher-raum', 'NI', programsWithApplicants, {
+      applicantType: 'verein'
+    });
+
+    expect(getStrictProgramNames(result)).toContain('LEADER Niedersachsen (KLARA)');
+  });
+
+  it('should read the applicant type from user criteria', () => {
+    const result = strictFilterProgramsWithRelevance(
+      'oeffentlich-kommunal', 'NI', programsWithApplicants, mockRelevanceEngine, { applicantType: 'privat' }
+    );
+
+    expect(result).toEqual([]);
+  });
+});
+
+describe('strictFilterPrograms measures', () => {
+  it('should keep programs that fund all selected measures', () => {
+    const result = strictFilterPrograms('oeffentlich-kommunal', 'NI', mockPrograms, {
+      measures: ['renovation']
+    });
+
+    expect(getStrictProgramNames(result)).toContain('Städtebauförderung - Lebendige Zentren');
+  });
+
+  it('should exclude programs missing a selected measure', () => {
+    const result = strictFilterPrograms('oeffentlich-kommunal', 'NI', mockPrograms, {
+      measures: ['renovation', 'greening']
+    });
+
+    expect(result).toEqual([]);
+  });
+
+  it('should read the measures from user criteria', () => {
+    const result = strictFilterProgramsWithRelevance(
+      'oeffentlich-kommunal', 'NI', mockPrograms, mockRelevanceEngine, { measures: ['greening'] }
+    );
+
+    expect(result).toEqual([]);
+  });
+});
+
+describe('strictFilterPrograms project type', () => {
+  it('should search Sportstättenförderung for calisthenics projects', () => {
+    const names = getStrictProgramNames(
+      strictFilterPrograms('stadt-quartier', 'NI', fundingPrograms, { projectType: 'calisthenics' })
+    );
+
+    expect(names).toContain('Sportstättenbauförderung Niedersachsen');
+    expect(names).not.toContain('Städtebauförderung - Lebendige Zentren');
+  });
+
+  it('should merge playground and calisthenics results for combination projects', () => {
+    const result = strictFilterProgramsWithRelevance(
+      'stadt-quartier', 'NI', fundingPrograms, new RelevanceEngine(fundingPrograms), { projectType: 'combination' }
+    );
+    const byName = Object.fromEntries(result.map(program => [program.name, program.matchedProjectTypes]));
+
+    expect(byName['Sportstättenbauförderung Niedersachsen']).toEqual(['calisthenics']);
+    expect(byName['Städtebauförderung - Lebendige Zentren']).toContain('playground');
+  });
+
+  it('should keep the playground path by default', () => {
+    const names = getStrictProgramNames(strictFilterPrograms('stadt-quartier', 'NI', fundingPrograms));
+    expect(names).not.toContain('Sportstättenbauförderung Niedersachsen');
+  });
+});
+
 describe('strictFilterPrograms with relevance scoring', () => {
   it('should apply relevance scoring when enabled', () => {
     const result = strictFilterPrograms('oeffentlich-kommunal', 'NI', mockPrograms, {
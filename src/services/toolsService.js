@@ -1,15 +1,13 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { getLLMProvider } from './llmProviderService';
 
-const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-const genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+// Language model for the text tools (VITE_LLM_TOOLS_MODEL, see llmProviderService.js)
+const toolsLLM = getLLMProvider('tools');
 
-export const generateCoverLetter = async (data) => {
-  if (!genAI) {
+export const generateCoverLetter = async (data, llm = toolsLLM) => {
+  if (!llm) {
     return getMockCoverLetter(data);
   }
 
-  const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-
   const prompt = `
 Erstelle ein professionelles Anschreiben für einen Förderantrag.
 
@@ -35,22 +33,18 @@ Format: Reiner Text, kein Markdown. Beginne mit Datum und Betreff.
 `;
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    return response.text();
+    return await llm.generate(prompt);
   } catch (error) {
     console.error('Error generating cover letter:', error);
     return getMockCoverLetter(data);
   }
 };
 
-export const generateProjectDescription = async (data) => {
-  if (!genAI) {
+export const generateProjectDescription = async (data, llm = toolsLLM) => {
+  if (!llm) {
     return getMockProjectDescription(data);
   }
 
-  const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-
   const prompt = `
 Erstelle eine professionelle Projektbeschreibung für einen Förderantrag.
 
@@ -82,9 +76,7 @@ Format: Reiner Text mit Abschnittsüberschriften. Kein Markdown.
 `;
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    return response.text();
+    return await llm.generate(prompt);
   } catch (error) {
     console.error('Error generating project description:', error);
     return getMockProjectDescription(data);